@@ -6,8 +6,10 @@
 import eventBus from '../utils/EventBus.js';
 import { themeManager } from '../utils/themeManager.js';
 import store from '../store/index.js';
+import { sessionPersistence } from '../store/persistence.js';
 import { measurePerformance } from '../utils/performance.js';
 import { registerComponents } from '../components/index.js';
+import { registerUndoRedoShortcuts } from '../handlers/historyHandlers.js';
 
 /**
  * @function initializeEventBus
@@ -108,6 +110,14 @@ export const domLoadHandler = () => {
   // 웹 컴포넌트 등록
   registerComponents();
   
+  // 실행 취소/다시 실행 단축키 (Ctrl+Z, Ctrl+Shift+Z)
+  registerUndoRedoShortcuts();
+  
+  // 창을 닫기 직전 상태를 세션으로 저장 (복원 여부를 정하기 전에는 저장하지 않음)
+  eventBus.on('app:beforeUnload', ({ state }) => {
+    sessionPersistence.save(state);
+  });
+  
   // 상태 저장을 위한 윈도우 닫힘 이벤트
   window.addEventListener('beforeunload', () => {
     // 필요한 상태 저장 작업 수행
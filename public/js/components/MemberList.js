@@ -2,7 +2,6 @@ import { BaseComponent } from './BaseComponent.js';
 import { renderMemberList } from '../renderers/index.js';
 import store, { actionCreators } from '../store/index.js';
 import { memoize } from '../utils/performance.js';
-import { ACTION_TYPES } from '../store/actions.js';
 import { showUIError } from '../handlers/uiHandlers.js';
 import { initMemberListMVC } from '../mvc/index.js';
 
@@ -406,11 +405,11 @@ export class MemberList extends BaseComponent {
    */
   handleMemberDelete(index) {
     console.log(`MemberList: 멤버 삭제 (인덱스: ${index})`);
+    const member = this.state.members[index];
+    if (!member) return;
+    
     // 스토어 액션 디스패치 - 멤버 삭제
-    store.dispatch({
-      type: ACTION_TYPES.DELETE_MEMBER,
-      payload: { index }
-    });
+    store.dispatch(actionCreators.deleteMember(member.id));
   }
 
   /**
@@ -515,25 +514,11 @@ export class MemberList extends BaseComponent {
     }
     
     const memberName = `멤버 ${trimmedSuffix}`;
+    const member = this.state.members[index];
+    if (!member) return false;
     
-    // 기존 멤버 확인
-    const existingMemberIndex = this.state.members.findIndex((name, i) => 
-      i !== index && name === memberName
-    );
-    
-    if (existingMemberIndex !== -1) {
-      showUIError(`이미 같은 이름의 멤버가 있습니다: ${memberName}`);
-      return false;
-    }
-    
-    // 스토어 액션 디스패치 - 멤버 이름 변경
-    store.dispatch({
-      type: ACTION_TYPES.EDIT_MEMBER,
-      payload: {
-        index,
-        newName: memberName
-      }
-    });
+    // 스토어 액션 디스패치 - 멤버 이름 변경 (이름이 같은 멤버도 ID로 구분)
+    store.dispatch(actionCreators.editMember(member.id, { name: memberName }));
     
     // 편집 모드 종료
     this.cancelEdit();
@@ -558,14 +543,6 @@ export class MemberList extends BaseComponent {
     // 멤버 이름 일관성 확인 - "멤버" 접두사 확인
     const formattedName = memberName.startsWith('멤버 ') ? memberName : `멤버 ${memberName}`;
     
-    // 중복 체크
-    if (this.state.members.includes(formattedName)) {
-      inputElement.focus();
-      this.shakeElement(inputElement);
-      showUIError(`이미 존재하는 멤버 이름입니다: ${formattedName}`);
-      return;
-    }
-    
     // 총원 제한 체크
     if (this.state.isTotalConfirmed && this.state.members.length >= this.state.totalMembers) {
       inputElement.focus();
@@ -575,12 +552,7 @@ export class MemberList extends BaseComponent {
     }
     
     // 스토어 액션 디스패치 - 멤버 추가
-    store.dispatch({
-      type: ACTION_TYPES.ADD_MEMBER,
-      payload: {
-        memberName: formattedName
-      }
-    });
+    store.dispatch(actionCreators.addMember(formattedName));
     
     // 입력 필드 초기화
     inputElement.value = '';
@@ -0,0 +1,218 @@
+/**
+ * @file ConstraintConfig.js
+ * @description 같은 팀 / 다른 팀 배정 규칙 설정을 담당하는 컴포넌트
+ */
+
+import store from '../../store/index.js';
+import { showUIError } from '../../handlers/uiHandlers.js';
+import { addConstraint, removeConstraint } from '../../store/actions.js';
+import { describeConstraint } from '../../utils/teamConstraints.js';
+import { createMemberNameResolver } from '../../utils/memberUtils.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 선택할 수 있는 규칙 종류
+ * @constant {Array<{value: string, label: string}>}
+ */
+const CONSTRAINT_OPTIONS = [
+  { value: 'together', label: '같은 팀' },
+  { value: 'apart', label: '다른 팀' }
+];
+
+/**
+ * 배정 규칙 설정 컴포넌트
+ */
+export class ConstraintConfig extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+    this._members = null;
+    this._constraints = null;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.render();
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    // 멤버나 규칙이 바뀐 경우에만 다시 렌더링
+    this.unsubscribe = store.subscribe((state) => {
+      if (state.members !== this._members || state.constraints !== this._constraints) {
+        this.render();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  render() {
+    const { members, constraints } = store.getState();
+    this._members = members;
+    this._constraints = constraints;
+
+    const isActive = members.length >= 2;
+    const getName = createMemberNameResolver(members);
+    // 이름이 같은 멤버는 역할로 구분
+    const memberOptions = members
+      .map(({ id, name, role }) => `<option value="${escapeHtml(id)}">${escapeHtml(role ? `${name} (${role})` : name)}</option>`)
+      .join('');
+    const typeOptions = CONSTRAINT_OPTIONS
+      .map(({ value, label }) => `<option value="${value}">${label}</option>`)
+      .join('');
+    const constraintItems = constraints
+      .map((constraint, index) => `
+        <li class="constraint-item">
+          <span>${escapeHtml(describeConstraint(constraint, getName))}</span>
+          <button class="btn btn--small remove-constraint" data-index="${index}" aria-label="규칙 삭제">삭제</button>
+        </li>
+      `)
+      .join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          width: 100%;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+        }
+
+        .card {
+          background-color: #121212;
+          border-radius: 8px;
+          overflow: hidden;
+          margin-bottom: 16px;
+        }
+
+        .card.inactive {
+          opacity: 0.5;
+          pointer-events: none;
+        }
+
+        .card__content {
+          padding: 16px;
+        }
+
+        .card__title {
+          font-size: 18px;
+          font-weight: 600;
+          color: #ffffff;
+          margin: 0 0 16px 0;
+        }
+
+        .constraint-form {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
+        .select {
+          padding: 10px 8px;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          background-color: #1e1e1e;
+          color: #ffffff;
+          font-size: 14px;
+        }
+
+        .btn {
+          padding: 10px 16px;
+          background-color: #4a6e5a;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn:hover {
+          background-color: #3c5c4a;
+        }
+
+        .btn--small {
+          padding: 4px 10px;
+          font-size: 12px;
+          background-color: rgba(239, 68, 68, 0.2);
+        }
+
+        .constraint-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .constraint-item {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 6px 8px;
+          margin-bottom: 6px;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.04);
+          border-radius: 4px;
+        }
+
+        .status-message {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.6);
+          text-align: center;
+          padding: 4px 0;
+        }
+      </style>
+      <div class="card ${isActive ? '' : 'inactive'}">
+        <div class="card__content">
+          <h3 class="card__title">배정 규칙</h3>
+          <div class="constraint-form">
+            <select class="select constraint-member" aria-label="첫 번째 멤버">${memberOptions}</select>
+            <select class="select constraint-member" aria-label="두 번째 멤버">${memberOptions}</select>
+            <select class="select constraint-type" aria-label="규칙 종류">${typeOptions}</select>
+            <button class="btn add-constraint">추가</button>
+          </div>
+          ${constraints.length
+            ? `<ul class="constraint-list">${constraintItems}</ul>`
+            : `<div class="status-message">${isActive ? '등록된 규칙이 없습니다.' : '멤버를 2명 이상 추가하면 규칙을 설정할 수 있습니다.'}</div>`}
+        </div>
+      </div>
+    `;
+  }
+
+  addEventListeners() {
+    // 렌더링 때마다 내용이 바뀌므로 shadowRoot에 이벤트 위임
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+
+      if (target.classList.contains('add-constraint')) {
+        this.handleAddConstraint();
+      } else if (target.classList.contains('remove-constraint')) {
+        const index = parseInt(target.dataset.index, 10);
+        if (!isNaN(index)) {
+          store.dispatch(removeConstraint(index));
+        }
+      }
+    });
+  }
+
+  handleAddConstraint() {
+    const [first, second] = Array.from(this.shadowRoot.querySelectorAll('.constraint-member'));
+    const type = this.shadowRoot.querySelector('.constraint-type')?.value;
+
+    if (!first || !second) return;
+
+    if (first.value === second.value) {
+      showUIError(second, '서로 다른 두 멤버를 선택하세요.');
+      return;
+    }
+
+    store.dispatch(addConstraint(type, [first.value, second.value]));
+  }
+}
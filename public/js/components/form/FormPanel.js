@@ -5,9 +5,11 @@
 
 import { BaseComponent } from '../BaseComponent.js';
 import { formPanelStyles } from '../../design/componentStyles.js';
+import store from '../../store/index.js';
 
 /**
  * 폼 요소들을 한 패널에 통합하는 컴포넌트
+ * 실시간 세션 참가자 화면에서는 진행자가 정한 설정을 바꿀 수 없으므로 설정 폼을 숨깁니다.
  * @extends BaseComponent
  */
 export class FormPanel extends BaseComponent {
@@ -19,19 +21,66 @@ export class FormPanel extends BaseComponent {
       useCommonStyles: true,
       useUtilityStyles: true
     });
+    this._liveRole = null;
   }
 
   initialize() {
-    // 초기화 코드가 필요한 경우 여기에 추가
+    // 실시간 세션 역할이 바뀐 경우에만 읽기 전용 여부 갱신
+    this.addUnsubscriber(store.subscribe((state) => {
+      if ((state.liveSession?.role ?? null) !== this._liveRole) {
+        this.updateReadOnly(state);
+      }
+    }));
   }
 
   render() {
     // FormPanel은 단순히 다른 컴포넌트들을 포함하는 컨테이너 역할
     this.shadowRoot.innerHTML = `
+      <style>
+        .form-panel[hidden],
+        .read-only-notice[hidden] {
+          display: none;
+        }
+
+        .read-only-notice {
+          margin: 0;
+          padding: 16px;
+          font-size: 14px;
+          color: rgba(255, 255, 255, 0.6);
+          background-color: #121212;
+          border-radius: 8px;
+        }
+      </style>
+      <p class="read-only-notice" role="status" hidden>
+        실시간 세션 참가자 화면에서는 멤버와 팀 설정을 바꿀 수 없습니다. 진행자가 정한 설정으로 진행합니다.
+      </p>
       <div class="form-panel">
         <team-config></team-config>
+        <role-requirements-config></role-requirements-config>
         <total-members-config></total-members-config>
+        <member-import></member-import>
+        <constraint-config></constraint-config>
       </div>
     `;
   }
-} 
\ No newline at end of file
+
+  afterRender() {
+    this.updateReadOnly(store.getState());
+  }
+
+  /**
+   * 실시간 세션 참가자 화면이면 설정 폼을 숨기고 안내 문구를 보여줍니다.
+   * @param {Object} state - 스토어 상태
+   */
+  updateReadOnly(state) {
+    this._liveRole = state.liveSession?.role ?? null;
+    const isReadOnly = this._liveRole === 'participant';
+
+    const panel = this.shadowRoot.querySelector('.form-panel');
+    const notice = this.shadowRoot.querySelector('.read-only-notice');
+    if (!panel || !notice) return;
+
+    panel.hidden = isReadOnly;
+    notice.hidden = !isReadOnly;
+  }
+}
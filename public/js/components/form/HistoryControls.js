@@ -0,0 +1,92 @@
+/**
+ * @file HistoryControls.js
+ * @description 실행 취소/다시 실행 버튼 컴포넌트
+ */
+
+import store from '../../store/index.js';
+import { undo, redo } from '../../store/middleware.js';
+
+/**
+ * 실행 취소/다시 실행 버튼 컴포넌트
+ * 멤버 목록 편집, 총원/팀 개수 변경, 팀 재구성을 되돌립니다. (단축키: Ctrl+Z, Ctrl+Shift+Z)
+ */
+export class HistoryControls extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.render();
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    this.updateButtons();
+    this.unsubscribe = store.subscribe(() => this.updateButtons());
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .history-controls {
+          display: flex;
+          justify-content: flex-end;
+          gap: 6px;
+          margin-bottom: 8px;
+        }
+
+        .btn {
+          padding: 4px 10px;
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.06);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .btn:hover:not(:disabled) {
+          background-color: rgba(255, 255, 255, 0.12);
+        }
+
+        .btn:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+      </style>
+      <div class="history-controls" role="toolbar" aria-label="실행 취소">
+        <button class="btn undo" title="실행 취소 (Ctrl+Z)" aria-keyshortcuts="Control+Z">↶ 실행 취소</button>
+        <button class="btn redo" title="다시 실행 (Ctrl+Shift+Z)" aria-keyshortcuts="Control+Shift+Z">↷ 다시 실행</button>
+      </div>
+    `;
+  }
+
+  addEventListeners() {
+    this.shadowRoot.addEventListener('click', (e) => {
+      if (e.target.classList.contains('undo')) {
+        store.dispatch(undo());
+      } else if (e.target.classList.contains('redo')) {
+        store.dispatch(redo());
+      }
+    });
+  }
+
+  updateButtons() {
+    this.shadowRoot.querySelector('.undo').disabled = !store.canUndo();
+    this.shadowRoot.querySelector('.redo').disabled = !store.canRedo();
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * @file LiveSessionControls.js
+ * @description 실시간 공유 세션 열기/참가 상태 표시 컴포넌트
+ */
+
+import store from '../../store/index.js';
+import { liveSession, getJoinUrl, getRegistrationUrl } from '../../store/liveSession.js';
+import { showUIError } from '../../handlers/uiHandlers.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 세션 연결 상태별 표시 문구
+ * @constant {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  connecting: '연결 중…',
+  open: '연결됨',
+  reconnecting: '다시 연결하는 중…',
+  ended: '세션이 종료되었거나 찾을 수 없습니다'
+};
+
+/**
+ * 실시간 공유 세션 컴포넌트
+ * 진행자는 세션을 열어 참가 링크와 코드를 나눠 주고, 참가자는 연결 상태를 봅니다.
+ * 진행자가 참가 신청을 받으면 신청 링크와 남은 자리, 대기 중인 신청(승인/거절)을 보여줍니다.
+ */
+export class LiveSessionControls extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    this.render(store.getLiveSession());
+    this.unsubscribe = store.subscribe((state, session) => this.render(session), state => state.liveSession);
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * @param {Object|null} session - 스토어의 liveSession
+   */
+  render(session) {
+    const role = session?.role ?? null;
+    const joinUrl = role === 'host' ? getJoinUrl(session.id) : '';
+    const registration = session?.registration ?? { isOpen: false, remaining: null };
+    const joinRequests = session?.joinRequests ?? [];
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .live-session {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+          padding: 8px 12px;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.04);
+          border-radius: 6px;
+        }
+
+        .live-session__code {
+          font-family: monospace;
+          font-size: 16px;
+          font-weight: 600;
+          letter-spacing: 2px;
+          color: #ffffff;
+        }
+
+        .live-session__link {
+          flex: 1;
+          min-width: 180px;
+          padding: 4px 8px;
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+        }
+
+        .live-session__status[data-status="ended"] {
+          color: #ef9a9a;
+        }
+
+        .btn {
+          padding: 4px 10px;
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.06);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .btn:hover {
+          background-color: rgba(255, 255, 255, 0.12);
+        }
+
+        .registration {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          flex-basis: 100%;
+          padding-top: 8px;
+          border-top: 1px solid rgba(255, 255, 255, 0.08);
+        }
+
+        .registration__header {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .join-requests {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .join-request {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 4px 0;
+        }
+
+        .join-request__name {
+          flex: 1;
+          color: #ffffff;
+        }
+
+        .join-request__attributes {
+          color: rgba(255, 255, 255, 0.5);
+        }
+
+        .btn.approve-request {
+          color: #a5d6a7;
+        }
+
+        .btn.reject-request {
+          color: #ef9a9a;
+        }
+      </style>
+      <div class="live-session" role="region" aria-label="실시간 공유 세션">
+        ${role === null ? `
+          <span>팀 구성을 다른 화면에서 실시간으로 보여줄 수 있습니다.</span>
+          <button class="btn start-session">라이브 세션 열기</button>
+          <button class="btn toggle-registration" data-open="true">참가 신청 받기</button>
+        ` : ''}
+        ${role === 'host' ? `
+          <span>세션 코드 <span class="live-session__code">${session.id}</span></span>
+          <input class="live-session__link" value="${joinUrl}" readonly aria-label="참가 링크">
+          <button class="btn copy-link">링크 복사</button>
+          <span aria-live="polite">참가자 ${session.participantCount}명</span>
+          <button class="btn leave-session">세션 종료</button>
+          ${this.renderRegistration(session.id, registration, joinRequests)}
+        ` : ''}
+        ${role === 'participant' ? `
+          <span>세션 <span class="live-session__code">${session.id}</span> 참가 중</span>
+          <span class="live-session__status" data-status="${session.status}" aria-live="polite">${STATUS_LABELS[session.status] ?? ''}</span>
+          <button class="btn leave-session">나가기</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * 진행자의 참가 신청 영역 (신청 링크, 남은 자리, 대기 중인 신청)
+   * @param {string} id - 세션 코드
+   * @param {{isOpen: boolean, remaining: number|null}} registration - 참가 신청 상태
+   * @param {Array<Object>} joinRequests - 대기 중인 신청
+   * @returns {string} HTML 문자열
+   */
+  renderRegistration(id, registration, joinRequests) {
+    const remainingLabel = registration.remaining === null ? '' : ` · 남은 자리 ${registration.remaining}명`;
+    const statusLabel = registration.isOpen
+      ? `참가 신청 받는 중${remainingLabel}`
+      : `참가 신청 마감${registration.remaining === 0 ? ' (총원 도달)' : ''}`;
+
+    return `
+      <div class="registration" role="group" aria-label="참가 신청">
+        <div class="registration__header">
+          <span aria-live="polite">${statusLabel}</span>
+          ${registration.isOpen ? `
+            <input class="live-session__link registration-link" value="${getRegistrationUrl(id)}" readonly aria-label="신청 링크">
+            <button class="btn copy-registration-link">신청 링크 복사</button>
+          ` : ''}
+          <button class="btn toggle-registration" data-open="${!registration.isOpen}">
+            ${registration.isOpen ? '신청 마감' : '참가 신청 받기'}
+          </button>
+        </div>
+        ${joinRequests.length > 0 ? `
+          <ul class="join-requests" aria-label="대기 중인 신청">
+            ${joinRequests.map(request => `
+              <li class="join-request">
+                <span class="join-request__name">${escapeHtml(request.name)}</span>
+                <span class="join-request__attributes">${escapeHtml([request.gender, ...(request.tags ?? [])].filter(Boolean).join(', '))}</span>
+                <button class="btn approve-request" data-request-id="${escapeHtml(request.id)}" aria-label="${escapeHtml(request.name)} 승인">승인</button>
+                <button class="btn reject-request" data-request-id="${escapeHtml(request.id)}" aria-label="${escapeHtml(request.name)} 거절">거절</button>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  addEventListeners() {
+    this.shadowRoot.addEventListener('click', (e) => {
+      if (e.target.classList.contains('start-session')) {
+        this.startSession();
+      } else if (e.target.classList.contains('copy-link')) {
+        this.copyJoinLink('.live-session__link');
+      } else if (e.target.classList.contains('copy-registration-link')) {
+        this.copyJoinLink('.registration-link');
+      } else if (e.target.classList.contains('toggle-registration')) {
+        this.toggleRegistration(e.target.dataset.open === 'true');
+      } else if (e.target.classList.contains('approve-request')) {
+        this.reviewRequest(e.target.dataset.requestId, 'approved');
+      } else if (e.target.classList.contains('reject-request')) {
+        this.reviewRequest(e.target.dataset.requestId, 'rejected');
+      } else if (e.target.classList.contains('leave-session')) {
+        this.leaveSession();
+      }
+    });
+  }
+
+  async startSession() {
+    try {
+      await liveSession.host();
+    } catch (error) {
+      showUIError('라이브 세션을 열지 못했습니다. 서버 연결을 확인해주세요.');
+    }
+  }
+
+  async toggleRegistration(isOpen) {
+    try {
+      await liveSession.setRegistrationOpen(isOpen);
+    } catch (error) {
+      showUIError(isOpen ? '참가 신청을 열지 못했습니다. 서버 연결을 확인해주세요.' : '참가 신청을 마감하지 못했습니다.');
+    }
+  }
+
+  async reviewRequest(requestId, status) {
+    try {
+      await liveSession.reviewJoinRequest(requestId, status);
+    } catch (error) {
+      showUIError('참가 신청을 처리하지 못했습니다. 이미 처리한 신청인지 확인해주세요.');
+      await liveSession.refreshJoinRequests();
+    }
+  }
+
+  /**
+   * @param {string} selector - 복사할 링크 입력란 선택자
+   */
+  async copyJoinLink(selector) {
+    const input = this.shadowRoot.querySelector(selector);
+    try {
+      await navigator.clipboard.writeText(input.value);
+    } catch (error) {
+      // 클립보드를 쓸 수 없으면 직접 복사할 수 있도록 선택
+      input.select();
+    }
+  }
+
+  async leaveSession() {
+    const isParticipant = store.getLiveSession()?.role === 'participant';
+    await liveSession.leave();
+
+    // 참가자는 참가 링크가 아닌 처음 화면으로 돌아감
+    if (isParticipant) {
+      window.location.assign(window.location.pathname);
+    }
+  }
+}
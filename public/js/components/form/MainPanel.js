@@ -5,6 +5,8 @@
 
 import { BaseComponent } from '../BaseComponent.js';
 import store from '../../store/index.js';
+import { sessionPersistence } from '../../store/persistence.js';
+import { liveSession, getSessionIdFromUrl, REGISTRATION_PARAM } from '../../store/liveSession.js';
 
 /**
  * 메인 패널 컴포넌트
@@ -74,8 +76,63 @@ export class MainPanel extends BaseComponent {
         .completion-message.show {
           display: block;
         }
+        
+        .session-restore {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--space-3, 12px);
+          margin-bottom: var(--space-4, 16px);
+          padding: var(--space-3, 12px) var(--space-4, 16px);
+          border-radius: var(--radius-md, 6px);
+          background-color: rgba(74, 110, 90, 0.2);
+          border-left: 3px solid var(--color-primary, #4a6e5a);
+          font-size: 14px;
+        }
+        
+        .session-restore[hidden] {
+          display: none;
+        }
+        
+        .session-restore__actions {
+          display: flex;
+          gap: 8px;
+        }
+        
+        .session-restore button {
+          padding: 6px 12px;
+          border: none;
+          border-radius: 4px;
+          font-size: 13px;
+          cursor: pointer;
+          color: #ffffff;
+          background-color: rgba(255, 255, 255, 0.1);
+        }
+        
+        .session-restore .restore-session {
+          background-color: var(--color-primary, #4a6e5a);
+        }
+        
+        .main-panel[hidden],
+        live-session-controls[hidden] {
+          display: none;
+        }
+        
+        .right-panel[inert] {
+          opacity: 0.7;
+        }
       </style>
       
+      <div class="session-restore" role="alertdialog" aria-labelledby="session-restore-message" hidden>
+        <span id="session-restore-message"></span>
+        <div class="session-restore__actions">
+          <button class="restore-session">복원</button>
+          <button class="discard-session">새로 시작</button>
+        </div>
+      </div>
+      
+      <live-session-controls></live-session-controls>
+      
       <div class="main-panel" id="main-panel-container">
         <div class="left-panel" id="left-panel-container">
           <!-- team-result 컴포넌트가 여기에 프로그래매틱하게 추가됩니다 -->
@@ -92,11 +149,13 @@ export class MainPanel extends BaseComponent {
     // 상태 변경 구독
     this.unsubscribe = store.subscribe((state) => {
       this.updateCompletionMessage(state);
+      this.updateReadOnly(state);
     });
     
     // 초기 상태로 메시지 업데이트
     setTimeout(() => {
       this.updateCompletionMessage(store.getState());
+      this.updateReadOnly(store.getState());
     }, 100);
     
     // 이벤트 구독 해제 함수 등록
@@ -105,6 +164,17 @@ export class MainPanel extends BaseComponent {
     // 자식 컴포넌트 생성 확인
     this.ensureChildComponents();
     
+    // 신청 링크로 열었으면 참가 신청 화면만 보여주고, 참가 링크로 열었으면 진행자 화면을 따라가고,
+    // 아니면 새로고침 전에 작업하던 세션 복원 여부 확인 (참가자 화면은 자기 세션을 저장하지 않음)
+    const liveSessionId = getSessionIdFromUrl();
+    if (new URLSearchParams(window.location.search).has(REGISTRATION_PARAM)) {
+      this.showJoinForm(getSessionIdFromUrl(window.location, REGISTRATION_PARAM));
+    } else if (liveSessionId) {
+      liveSession.join(liveSessionId);
+    } else {
+      this.promptSessionRestore();
+    }
+    
     console.log('MainPanel: 초기화 완료');
   }
   
@@ -137,12 +207,70 @@ export class MainPanel extends BaseComponent {
     }
   }
   
+  /**
+   * 팀 구성 화면 대신 참가 신청 폼을 보여줍니다.
+   * @param {string|null} code - 신청 링크의 세션 코드 (없거나 형식이 맞지 않으면 폼에서 입력받음)
+   */
+  showJoinForm(code) {
+    this.shadowRoot.getElementById('main-panel-container').hidden = true;
+    this.shadowRoot.querySelector('live-session-controls').hidden = true;
+    
+    const joinForm = document.createElement('member-join-form');
+    if (code) {
+      joinForm.setAttribute('code', code);
+    }
+    this.shadowRoot.appendChild(joinForm);
+  }
+  
+  /**
+   * 저장된 이전 세션이 있으면 복원할지 묻고, 답한 뒤부터 세션 저장을 시작합니다.
+   * (묻는 동안 저장하면 빈 상태가 이전 세션을 덮어쓰므로 저장을 미룸)
+   */
+  async promptSessionRestore() {
+    const snapshot = await sessionPersistence.loadSaved();
+    if (!snapshot) {
+      sessionPersistence.start();
+      return;
+    }
+    
+    const prompt = this.shadowRoot.querySelector('.session-restore');
+    const { members = [], totalMembers = 0 } = snapshot.state;
+    const savedAt = snapshot.savedAt ? ` (${new Date(snapshot.savedAt).toLocaleString()})` : '';
+    prompt.querySelector('#session-restore-message').textContent =
+      `이전 세션을 복원할까요? 멤버 ${members.length}명${totalMembers ? ` / 총원 ${totalMembers}명` : ''}${savedAt}`;
+    prompt.hidden = false;
+    
+    const answer = (restore) => async () => {
+      prompt.hidden = true;
+      if (restore) {
+        sessionPersistence.restore(snapshot);
+      } else {
+        await sessionPersistence.clear();
+      }
+      sessionPersistence.start();
+    };
+    prompt.querySelector('.restore-session').addEventListener('click', answer(true), { once: true });
+    prompt.querySelector('.discard-session').addEventListener('click', answer(false), { once: true });
+  }
+  
   render() {
     // 이미 초기화 과정에서 내용을 추가했으므로 빈 렌더링 수행
     // 새로운 렌더링 필요 시 여기서 수행
     return this.shadowRoot.innerHTML;
   }
   
+  /**
+   * 실시간 세션 참가자 화면이면 멤버 목록(멤버 추가, 이름 수정, 삭제)을 조작할 수 없게 합니다.
+   * (팀 결과는 TeamResult가 읽기 전용으로 보여줌)
+   * @param {Object} state - 스토어 상태
+   */
+  updateReadOnly(state) {
+    const rightPanel = this.shadowRoot.getElementById('right-panel-container');
+    if (!rightPanel) return;
+    
+    rightPanel.inert = state.liveSession?.role === 'participant';
+  }
+  
   updateCompletionMessage(state) {
     const msgEl = this.shadowRoot.querySelector(".completion-message");
     if (!msgEl) return;
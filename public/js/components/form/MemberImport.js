@@ -0,0 +1,304 @@
+/**
+ * @file MemberImport.js
+ * @description 붙여넣은 목록이나 CSV/TSV 파일에서 멤버를 한 번에 가져오는 컴포넌트
+ */
+
+import store from '../../store/index.js';
+import { showUIError } from '../../handlers/uiHandlers.js';
+import { importMembers } from '../../store/actions.js';
+import { parseMemberImport, previewMemberImport } from '../../utils/memberImport.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 파일 선택에서 받는 확장자
+ * @constant {string}
+ */
+const ACCEPTED_FILES = '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain';
+
+/**
+ * 멤버 일괄 가져오기 컴포넌트
+ */
+export class MemberImport extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+    this._members = null;
+    this.parsed = { entries: [], errors: [] };
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.render();
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    // 대화상자가 열려 있는 동안 멤버가 바뀌면 중복 미리보기를 다시 계산
+    this.unsubscribe = store.subscribe((state) => {
+      if (state.members !== this._members) {
+        this.renderPreview();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          width: 100%;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+        }
+
+        .card {
+          background-color: #121212;
+          border-radius: 8px;
+          overflow: hidden;
+          margin-bottom: 16px;
+        }
+
+        .card__content {
+          padding: 16px;
+        }
+
+        .card__title {
+          font-size: 18px;
+          font-weight: 600;
+          color: #ffffff;
+          margin: 0 0 8px 0;
+        }
+
+        .card__description {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.6);
+          margin: 0 0 12px 0;
+        }
+
+        .btn {
+          padding: 10px 16px;
+          background-color: #4a6e5a;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn:hover {
+          background-color: #3c5c4a;
+        }
+
+        .btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .btn--secondary {
+          background-color: rgba(255, 255, 255, 0.1);
+        }
+
+        .btn--secondary:hover {
+          background-color: rgba(255, 255, 255, 0.2);
+        }
+
+        dialog {
+          width: min(560px, 90vw);
+          padding: 0;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 8px;
+          background-color: #121212;
+          color: #ffffff;
+        }
+
+        dialog::backdrop {
+          background-color: rgba(0, 0, 0, 0.6);
+        }
+
+        .dialog__content {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          padding: 16px;
+        }
+
+        .import-text {
+          min-height: 120px;
+          padding: 10px 8px;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          background-color: #1e1e1e;
+          color: #ffffff;
+          font-size: 14px;
+          resize: vertical;
+        }
+
+        .import-file {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+        }
+
+        .preview {
+          max-height: 240px;
+          overflow-y: auto;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+        }
+
+        .preview table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .preview th,
+        .preview td {
+          padding: 4px 8px;
+          text-align: left;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        .preview .duplicate {
+          color: #f59e0b;
+        }
+
+        .preview-error {
+          margin: 6px 0;
+          color: #ef4444;
+        }
+
+        .dialog__actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+      </style>
+      <div class="card">
+        <div class="card__content">
+          <h3 class="card__title">멤버 가져오기</h3>
+          <p class="card__description">이름 목록을 붙여넣거나 CSV/TSV 파일로 여러 멤버를 한 번에 추가합니다.</p>
+          <button class="btn open-import">가져오기</button>
+        </div>
+      </div>
+      <dialog class="import-dialog" aria-label="멤버 가져오기">
+        <div class="dialog__content">
+          <textarea class="import-text" aria-label="가져올 멤버 목록"
+            placeholder="줄바꿈, 쉼표, 탭으로 구분된 이름 또는 머리글이 있는 표 (name, rating, role, gender, tags, notes)"></textarea>
+          <input type="file" class="import-file" accept="${ACCEPTED_FILES}" aria-label="CSV/TSV 파일 선택">
+          <div class="preview" aria-live="polite"></div>
+          <div class="dialog__actions">
+            <button class="btn btn--secondary cancel-import">취소</button>
+            <button class="btn confirm-import" disabled>추가</button>
+          </div>
+        </div>
+      </dialog>
+    `;
+  }
+
+  renderPreview() {
+    const preview = this.shadowRoot.querySelector('.preview');
+    const confirmButton = this.shadowRoot.querySelector('.confirm-import');
+    if (!preview || !confirmButton) return;
+
+    const { members } = store.getState();
+    const { entries, errors } = this.parsed;
+    const { rows } = previewMemberImport(entries, members);
+    this._members = members;
+
+    const rowItems = rows
+      .map(({ input, isDuplicate }, index) => `
+        <tr class="${isDuplicate ? 'duplicate' : ''}">
+          <td>${escapeHtml(input)}</td>
+          <td>${isDuplicate ? '동명이인' : ''}</td>
+          <td>${entries[index].rating ?? ''}</td>
+          <td>${escapeHtml(entries[index].role ?? '')}</td>
+          <td>${escapeHtml([entries[index].gender, ...(entries[index].tags ?? [])].filter(Boolean).join(', '))}</td>
+        </tr>
+      `)
+      .join('');
+    const errorItems = errors
+      .map(({ line, message }) => `<p class="preview-error">${line}번째 줄: ${escapeHtml(message)}</p>`)
+      .join('');
+
+    preview.innerHTML = rows.length || errors.length
+      ? `
+        ${rows.length ? `
+          <table>
+            <thead><tr><th>이름 (${rows.length}명)</th><th>중복</th><th>실력</th><th>역할</th><th>속성</th></tr></thead>
+            <tbody>${rowItems}</tbody>
+          </table>
+        ` : ''}
+        ${errorItems}
+      `
+      : '';
+    confirmButton.disabled = rows.length === 0;
+  }
+
+  addEventListeners() {
+    const dialog = this.shadowRoot.querySelector('.import-dialog');
+    const textarea = this.shadowRoot.querySelector('.import-text');
+    const fileInput = this.shadowRoot.querySelector('.import-file');
+
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+
+      if (target.classList.contains('open-import')) {
+        this.resetDialog();
+        dialog.showModal();
+        textarea.focus();
+      } else if (target.classList.contains('cancel-import')) {
+        dialog.close();
+      } else if (target.classList.contains('confirm-import')) {
+        this.handleConfirm();
+      }
+    });
+
+    textarea.addEventListener('input', () => this.updateParsed(textarea.value));
+
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      if (!file) return;
+
+      try {
+        textarea.value = await file.text();
+        this.updateParsed(textarea.value);
+      } catch (error) {
+        showUIError(fileInput, `파일을 읽을 수 없습니다: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * 입력 내용을 다시 읽고 미리보기를 갱신합니다.
+   * @param {string} text - 붙여넣은 텍스트 또는 파일 내용
+   */
+  updateParsed(text) {
+    this.parsed = parseMemberImport(text);
+    this.renderPreview();
+  }
+
+  resetDialog() {
+    this.shadowRoot.querySelector('.import-text').value = '';
+    this.shadowRoot.querySelector('.import-file').value = '';
+    this.updateParsed('');
+  }
+
+  handleConfirm() {
+    const { entries } = this.parsed;
+
+    if (entries.length === 0) {
+      showUIError(this.shadowRoot.querySelector('.import-text'), '가져올 멤버가 없습니다.');
+      return;
+    }
+
+    store.dispatch(importMembers(entries));
+    this.shadowRoot.querySelector('.import-dialog').close();
+  }
+}
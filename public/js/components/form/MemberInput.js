@@ -8,8 +8,9 @@ import utils from '../../utils/index.js';
 import { showInvalidInput, updateStatusMessage } from '../../handlers/uiHandlers.js';
 import { addMember } from '../../handlers/memberHandlers.js';
 import { showUIError } from '../../handlers/uiHandlers.js';
-import { ACTION_TYPES, editMember, deleteMember } from '../../store/actions.js';
+import { editMember, deleteMember } from '../../store/actions.js';
 import { debounce, throttle } from '../../utils/performance.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
 
 /**
  * 멤버 입력 컴포넌트
@@ -275,9 +276,16 @@ export class MemberInput extends HTMLElement {
           color: rgba(255, 255, 255, 0.9);
         }
         
-        .suffix {
-          font-style: italic;
-          color: rgba(255, 255, 255, 0.7);
+        .member-role {
+          margin-left: 6px;
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.6);
+        }
+        
+        .member-notes {
+          display: block;
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.5);
         }
         
         .member-actions {
@@ -291,7 +299,7 @@ export class MemberInput extends HTMLElement {
           color: rgba(255, 255, 255, 0.7);
         }
         
-        .edit-suffix-form {
+        .edit-profile-form {
           display: flex;
           align-items: center;
           gap: 8px;
@@ -299,7 +307,8 @@ export class MemberInput extends HTMLElement {
         }
         
         .edit-input {
-          width: 100px;
+          flex: 1;
+          min-width: 0;
           padding: 8px 10px;
           font-size: 13px;
           background-color: rgba(255, 255, 255, 0.08);
@@ -337,6 +346,7 @@ export class MemberInput extends HTMLElement {
     this.shadowRoot.innerHTML = `
       ${styles}
       <div class="member-input-container">
+        <history-controls></history-controls>
         <div class="${cardClass}">
           <div class="card__content">
             <h3 class="card__title">멤버 목록 <span class="member-count">(0)</span></h3>
@@ -387,70 +397,11 @@ export class MemberInput extends HTMLElement {
           return;
         }
         
-        // 이름 중복 확인 - 기본 이름이 중복되는지 먼저 확인
-        const duplicateBaseNames = this.findDuplicateBaseNames(name);
-        
-        if (duplicateBaseNames.length > 0) {
-          // 이미 같은 기본 이름이 있는 경우, 모든 기존 이름을 접미사 버전으로 업데이트하고 새 이름도 접미사 추가
-          
-          // 접미사 없는 원본 이름이 있는지 확인
-          const exactMatches = duplicateBaseNames.filter(item => item.exactMatch);
-          
-          // 이미 접미사가 있는 이름 중 가장 큰 번호 찾기
-          let maxSuffix = 0;
-          duplicateBaseNames.forEach(item => {
-            if (item.suffix && !isNaN(item.suffix)) {
-              maxSuffix = Math.max(maxSuffix, item.suffix);
-            }
-          });
-          
-          // 1. 이름이 정확히 일치하는 항목이 있으면 접미사 -1 추가
-          if (exactMatches.length > 0) {
-            exactMatches.forEach(match => {
-              const { member, index } = match;
-              const newName = `${member}-1`;
-              
-              console.log(`기존 정확히 일치하는 이름 업데이트: "${member}" -> "${newName}"`);
-              
-              // 기존 이름 업데이트
-              store.dispatch({
-                type: ACTION_TYPES.EDIT_MEMBER,
-                payload: { index, newName }
-              });
-            });
-            
-            // 접미사 1이 사용되었으므로 최소값은 1
-            if (maxSuffix < 1) maxSuffix = 1;
-          }
-          
-          // 2. 새 이름에 다음 접미사 번호 부여 (최대값 + 1)
-          const newName = `${name}-${maxSuffix + 1}`;
-          
-          // 3. 새 이름 추가 (즉시 추가)
-          console.log(`새 이름 추가: "${newName}"`);
-          store.dispatch({
-            type: ACTION_TYPES.ADD_MEMBER,
-            payload: { memberName: newName }
-          });
-          
-          // 사용자에게 알림
-          showUIError(`중복된 이름이 있어 자동으로 처리되었습니다. '${newName}'로 추가됩니다.`, 'info');
-        } else {
-          // 완전히 동일한 이름이 있는지 확인
-          if (members.includes(name)) {
-            // 이미 완전히 동일한 이름이 있는 경우 (이전에 접미사로 추가된 경우)
-            // 접미사를 추가하지 말고 오류 메시지 표시
-            showUIError(`이미 존재하는 멤버 이름입니다: ${name}`, 'error');
-            this.shakeElement(memberInput);
-            return;
-          }
-          
-          // 중복이 없으면 그대로 추가
-          store.dispatch({
-            type: ACTION_TYPES.ADD_MEMBER,
-            payload: { memberName: name }
-          });
+        // 이름이 같은 멤버도 ID로 구분되므로 그대로 추가하고 구분 방법만 안내
+        if (members.some(member => member.name === name)) {
+          showUIError(`이름이 같은 멤버가 이미 있습니다. 수정에서 역할이나 메모로 구분할 수 있습니다: ${name}`, 'info');
         }
+        store.dispatch(actionCreators.addMember(name));
         
         // 입력창 초기화 및 포커스
         memberInput.value = '';
@@ -599,27 +550,19 @@ export class MemberInput extends HTMLElement {
     }
     
     // 멤버 목록 HTML 생성
-    const htmlContent = this._state.members.map((member, index) => {
-      // 동명이인 검출 (이름에 '-' 포함된 경우)
-      const hasSuffix = member.includes('-');
-      const baseName = hasSuffix ? member.split('-')[0] : member;
-      const suffix = hasSuffix ? member.split('-')[1] : '';
-      
-      return `
-        <li class="member-item" data-index="${index}">
-          <span class="member-name">${baseName}${hasSuffix ? '-' : ''}<span class="suffix">${suffix}</span></span>
+    const htmlContent = this._state.members.map(({ id, name, role, notes }) => `
+        <li class="member-item" data-id="${escapeHtml(id)}">
+          <span class="member-name">${escapeHtml(name)}${role ? `<span class="member-role">${escapeHtml(role)}</span>` : ''}${notes ? `<span class="member-notes">${escapeHtml(notes)}</span>` : ''}</span>
           <div class="member-actions">
-            ${hasSuffix ? 
-              `<button class="btn btn--icon edit-suffix" data-index="${index}" data-name="${baseName}" data-suffix="${suffix}">
-                수정
-              </button>` : ''}
-            <button class="btn btn--icon delete-member" data-index="${index}">
+            <button class="btn btn--icon edit-member" data-id="${escapeHtml(id)}">
+              수정
+            </button>
+            <button class="btn btn--icon delete-member" data-id="${escapeHtml(id)}">
               삭제
             </button>
           </div>
         </li>
-      `;
-    }).join('');
+      `).join('');
     
     // 변경이 있을 때만 DOM 업데이트
     if (memberList.innerHTML !== htmlContent) {
@@ -640,21 +583,15 @@ export class MemberInput extends HTMLElement {
     this._memberListClickHandler = (e) => {
       // 삭제 버튼 클릭
       if (e.target.classList.contains('delete-member')) {
-        const index = parseInt(e.target.dataset.index, 10);
-        if (!isNaN(index)) {
-          store.dispatch(deleteMember(index));
-        }
+        store.dispatch(deleteMember(e.target.dataset.id));
         return;
       }
       
       // 수정 버튼 클릭
-      if (e.target.classList.contains('edit-suffix')) {
-        const index = parseInt(e.target.dataset.index, 10);
-        const name = e.target.dataset.name;
-        const suffix = e.target.dataset.suffix;
-        
-        if (!isNaN(index) && name) {
-          this.showSuffixEditForm(index, name, suffix);
+      if (e.target.classList.contains('edit-member')) {
+        const member = this._state.members.find(({ id }) => id === e.target.dataset.id);
+        if (member) {
+          this.showProfileEditForm(member);
         }
       }
     };
@@ -670,15 +607,20 @@ export class MemberInput extends HTMLElement {
     element.classList.add('shake');
   }
   
-  showSuffixEditForm(index, name, currentSuffix) {
+  /**
+   * 멤버의 이름, 역할, 메모를 고치는 폼을 멤버 항목 안에 엽니다.
+   * @param {Object} member - 수정할 멤버 프로필
+   */
+  showProfileEditForm(member) {
     // 현재 편집 중인 폼이 있으면 제거
-    const existingForm = this.shadowRoot.querySelector('.edit-suffix-form');
+    const existingForm = this.shadowRoot.querySelector('.edit-profile-form');
     if (existingForm) {
-      existingForm.remove();
+      this.cancelProfileEdit(existingForm);
     }
     
     // 해당 멤버 아이템 찾기
-    const memberItem = this.shadowRoot.querySelector(`.member-list .member-item[data-index="${index}"]`);
+    const memberItem = Array.from(this.shadowRoot.querySelectorAll('.member-list .member-item'))
+      .find(item => item.dataset.id === member.id);
     if (!memberItem) return;
     
     // 기존 멤버 이름과 액션 숨기기
@@ -691,10 +633,11 @@ export class MemberInput extends HTMLElement {
       
       // 수정 폼 생성
       const editForm = document.createElement('div');
-      editForm.className = 'edit-suffix-form';
+      editForm.className = 'edit-profile-form';
       editForm.innerHTML = `
-        <span>${name}-</span>
-        <input type="text" class="input edit-input" value="${currentSuffix || ''}" placeholder="접미사">
+        <input type="text" class="input edit-input" name="name" value="${escapeHtml(member.name)}" placeholder="이름" aria-label="이름">
+        <input type="text" class="input edit-input" name="role" value="${escapeHtml(member.role ?? '')}" placeholder="역할" aria-label="역할">
+        <input type="text" class="input edit-input" name="notes" value="${escapeHtml(member.notes ?? '')}" placeholder="메모" aria-label="메모">
         <div class="edit-buttons">
           <button class="btn btn--icon confirm-edit">확인</button>
           <button class="btn btn--icon cancel-edit">취소</button>
@@ -704,145 +647,67 @@ export class MemberInput extends HTMLElement {
       // 폼 추가
       memberItem.appendChild(editForm);
       
-      // 입력 필드에 포커스
-      const input = editForm.querySelector('.edit-input');
-      if (input) {
-        input.focus();
-        input.select();
-      }
+      // 이름 입력 필드에 포커스
+      const nameInput = editForm.querySelector('[name="name"]');
+      nameInput.focus();
+      nameInput.select();
       
       // 한글 입력 상태 추적
       let isComposing = false;
-      input.addEventListener('compositionstart', () => { isComposing = true; });
-      input.addEventListener('compositionend', () => { isComposing = false; });
+      editForm.addEventListener('compositionstart', () => { isComposing = true; });
+      editForm.addEventListener('compositionend', () => { isComposing = false; });
       
       // 확인 버튼 이벤트
-      const confirmBtn = editForm.querySelector('.confirm-edit');
-      if (confirmBtn) {
-        confirmBtn.addEventListener('click', () => {
-          if (!isComposing) {
-            const newSuffix = input.value.trim();
-            this.updateMemberSuffix(index, name, newSuffix);
-          }
-        });
-      }
+      editForm.querySelector('.confirm-edit').addEventListener('click', () => {
+        if (!isComposing) {
+          this.updateMemberProfile(member.id, editForm);
+        }
+      });
       
       // 취소 버튼 이벤트
-      const cancelBtn = editForm.querySelector('.cancel-edit');
-      if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-          this.cancelSuffixEdit(memberName, memberActions, editForm);
-        });
-      }
+      editForm.querySelector('.cancel-edit').addEventListener('click', () => {
+        this.cancelProfileEdit(editForm);
+      });
       
       // 엔터키 이벤트
-      input.addEventListener('keydown', (e) => {
+      editForm.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !isComposing) {
           e.preventDefault();
-          const newSuffix = input.value.trim();
-          this.updateMemberSuffix(index, name, newSuffix);
+          this.updateMemberProfile(member.id, editForm);
         } else if (e.key === 'Escape') {
-          this.cancelSuffixEdit(memberName, memberActions, editForm);
+          this.cancelProfileEdit(editForm);
         }
       });
     }
   }
   
-  updateMemberSuffix(index, name, newSuffix) {
-    // 멤버 이름 업데이트
-    let updatedName = name;
-    
-    // 접미사가 있는 경우에만 하이픈 추가
-    if (newSuffix && newSuffix.trim() !== '') {
-      updatedName = `${name}-${newSuffix.trim()}`;
-    }
-    
-    // 스토어 업데이트
-    store.dispatch(editMember(index, updatedName));
-    
-    // 기존 폼 제거 및 원래 요소 표시
-    const editForm = this.shadowRoot.querySelector('.edit-suffix-form');
-    const memberItem = this.shadowRoot.querySelector(`.member-list .member-item[data-index="${index}"]`);
-    
-    if (memberItem) {
-      const memberName = memberItem.querySelector('.member-name');
-      const memberActions = memberItem.querySelector('.member-actions');
-      
-      if (memberName && memberActions && editForm) {
-        memberName.style.display = '';
-        memberActions.style.display = '';
-        editForm.remove();
-      }
-    }
-  }
-  
-  cancelSuffixEdit(memberName, memberActions, editForm) {
-    if (memberName && memberActions && editForm) {
-      memberName.style.display = '';
-      memberActions.style.display = '';
-      editForm.remove();
-    }
-  }
-
   /**
-   * 기본 이름(접미사 제외)이 중복되는 모든 멤버를 찾습니다.
-   * @param {string} name - 확인할 이름
-   * @returns {Array<{member: string, index: number}>} 중복된 멤버 정보
+   * 수정 폼의 입력으로 멤버 프로필을 고칩니다. 이름은 비울 수 없고, 역할과 메모는 비우면 지워집니다.
+   * @param {string} memberId - 수정할 멤버 ID
+   * @param {HTMLElement} editForm - 수정 폼
    */
-  findDuplicateBaseNames(name) {
-    console.log('중복 멤버 찾기 시작:', name);
-    console.log('현재 멤버 목록:', this._state.members);
-    
-    const duplicates = [];
+  updateMemberProfile(memberId, editForm) {
+    const [name, role, notes] = ['name', 'role', 'notes']
+      .map(field => editForm.querySelector(`[name="${field}"]`).value.trim());
     
-    this._state.members.forEach((member, index) => {
-      // 정확히 일치하는 경우
-      if (member === name) {
-        console.log(`정확한 중복 발견: ${member} (인덱스: ${index})`);
-        duplicates.push({ member, index, baseName: member, exactMatch: true });
-        return;
-      }
-      
-      // 하이픈이 있는 경우 기본 이름만 비교
-      if (member.includes('-')) {
-        const parts = member.split('-');
-        const baseName = parts[0];
-        
-        if (baseName === name) {
-          console.log(`기본 이름 중복 발견: ${member} (기본 이름: ${baseName}, 인덱스: ${index})`);
-          
-          // 접미사 추출 시도
-          let suffix = null;
-          if (parts.length > 1) {
-            const suffixNum = parseInt(parts[1], 10);
-            if (!isNaN(suffixNum)) {
-              suffix = suffixNum;
-            }
-          }
-          
-          duplicates.push({ 
-            member, 
-            index, 
-            baseName,
-            exactMatch: false,
-            suffix 
-          });
-        }
-      }
-    });
+    if (!name) {
+      showUIError('멤버 이름을 입력해주세요.');
+      this.shakeElement(editForm.querySelector('[name="name"]'));
+      return;
+    }
     
-    console.log('중복 멤버 결과:', duplicates);
-    return duplicates;
+    // 폼을 먼저 닫아야 목록이 다시 그려질 때 숨겨진 항목이 남지 않음
+    this.cancelProfileEdit(editForm);
+    store.dispatch(editMember(memberId, { name, role, notes }));
   }
   
-  /**
-   * 기본 이름이 중복되는지 확인 (접미사 제외)
-   * @param {string} name - 확인할 이름
-   * @returns {boolean} 중복 여부
-   */
-  isDuplicateBaseName(name) {
-    return this.findDuplicateBaseNames(name).length > 0;
+  cancelProfileEdit(editForm) {
+    const memberItem = editForm.closest('.member-item');
+    memberItem?.querySelectorAll('.member-name, .member-actions').forEach(el => {
+      el.style.display = '';
+    });
+    editForm.remove();
   }
 }
 
-customElements.define('member-input', MemberInput); 
\ No newline at end of file
+customElements.define('member-input', MemberInput);
@@ -0,0 +1,291 @@
+/**
+ * @file MemberJoinForm.js
+ * @description 신청 링크(?join=<세션 코드>)로 연 참가자가 자기 이름을 신청하는 컴포넌트
+ */
+
+import { isValidSessionId } from '../../store/liveSession.js';
+import { fetchLiveSession, submitJoinRequest, fetchJoinRequest } from '../../utils/api.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 신청 결과를 다시 확인하는 간격(ms)
+ * @constant {number}
+ */
+const STATUS_POLL_INTERVAL = 3000;
+
+/**
+ * 신청 상태별 안내 문구
+ * @constant {Object<string, string>}
+ */
+const REQUEST_STATUS_LABELS = {
+  pending: '신청했습니다. 진행자가 승인하면 명단에 추가됩니다.',
+  approved: '승인되었습니다. 명단에 추가되었습니다.',
+  rejected: '진행자가 신청을 거절했습니다.'
+};
+
+/**
+ * 서버가 안내 문구를 보내지 않았을 때 HTTP 상태별 안내 문구
+ * @constant {Object<number, string>}
+ */
+const ERROR_MESSAGES = {
+  404: '세션을 찾을 수 없습니다. 코드를 확인해주세요.',
+  409: '신청이 마감되었거나 이미 신청한 이름입니다.'
+};
+
+/**
+ * 참가 신청 컴포넌트
+ * 세션 코드가 없으면 코드를 입력받고, 신청이 열려 있으면 이름(필수)과 성별, 태그를 받아 신청합니다.
+ * 신청한 뒤에는 진행자가 승인하거나 거절할 때까지 결과를 확인합니다.
+ */
+export class MemberJoinForm extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.pollTimer = null;
+    this.initialized = false;
+    this._state = {
+      code: null,
+      registration: null,
+      request: null,
+      message: ''
+    };
+  }
+
+  static get observedAttributes() {
+    return ['code'];
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    this.render();
+    const code = this.getAttribute('code');
+    if (code) {
+      this.loadSession(code);
+    }
+  }
+
+  disconnectedCallback() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (this.isConnected && newValue && newValue !== oldValue) {
+      this.loadSession(newValue);
+    }
+  }
+
+  setState(changes) {
+    this._state = { ...this._state, ...changes };
+    this.render();
+  }
+
+  /**
+   * 세션의 참가 신청 상태를 불러옵니다.
+   * @param {string} code - 세션 코드
+   */
+  async loadSession(code) {
+    const id = code.trim().toUpperCase();
+    if (!isValidSessionId(id)) {
+      this.setState({ message: '세션 코드 형식이 올바르지 않습니다.' });
+      return;
+    }
+
+    try {
+      const { data } = await fetchLiveSession(id);
+      this.setState({ code: id, registration: data.registration, message: '' });
+    } catch (error) {
+      this.setState({ code: null, registration: null, message: this.getErrorMessage(error) });
+    }
+  }
+
+  /**
+   * @param {Error} error - api.js가 던진 오류
+   * @returns {string} 표시할 문구
+   */
+  getErrorMessage(error) {
+    if (error.details?.errors?.length) {
+      return error.details.errors.map(({ message }) => message).join(' ');
+    }
+    return error.details?.body?.message
+      ?? ERROR_MESSAGES[error.details?.status]
+      ?? '서버에 연결하지 못했습니다. 잠시 후 다시 시도해주세요.';
+  }
+
+  /**
+   * 입력한 내용으로 참가를 신청하고 결과를 기다립니다.
+   * @param {HTMLFormElement} form - 신청 폼
+   */
+  async submit(form) {
+    const name = form.elements.name.value.trim();
+    const gender = form.elements.gender.value.trim();
+    const tags = form.elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+    if (!name) {
+      this.setState({ message: '이름을 입력해주세요.' });
+      return;
+    }
+
+    try {
+      const { data } = await submitJoinRequest(this._state.code, {
+        name,
+        ...(gender && { gender }),
+        ...(tags.length > 0 && { tags })
+      });
+      this.setState({ request: data, message: '' });
+      this.pollTimer = setInterval(() => this.refreshRequest(), STATUS_POLL_INTERVAL);
+    } catch (error) {
+      this.setState({ message: this.getErrorMessage(error) });
+    }
+  }
+
+  /**
+   * 신청 결과를 다시 확인합니다. 승인되거나 거절되면 더 확인하지 않습니다.
+   */
+  async refreshRequest() {
+    try {
+      const { data } = await fetchJoinRequest(this._state.code, this._state.request.id);
+      if (data.status !== 'pending') {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+      if (data.status !== this._state.request.status) {
+        this.setState({ request: data });
+      }
+    } catch (error) {
+      // 진행자가 세션을 종료하면 더 확인할 수 없음
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      this.setState({ message: '세션이 종료되었습니다.' });
+    }
+  }
+
+  renderContent() {
+    const { code, registration, request } = this._state;
+
+    if (request) {
+      return `
+        <p class="join-form__name">${escapeHtml(request.name)}</p>
+        <p class="join-form__status" data-status="${request.status}" aria-live="polite">${REQUEST_STATUS_LABELS[request.status] ?? ''}</p>
+      `;
+    }
+
+    if (!code) {
+      return `
+        <form class="code-form">
+          <label for="join-code">세션 코드</label>
+          <input id="join-code" name="code" autocomplete="off" autocapitalize="characters" maxlength="12" required>
+          <button type="submit" class="btn">확인</button>
+        </form>
+      `;
+    }
+
+    if (!registration.isOpen) {
+      return `<p class="join-form__status" data-status="closed">세션 ${code}의 참가 신청이 마감되었습니다.</p>`;
+    }
+
+    return `
+      <form class="member-form">
+        <p>세션 <strong>${code}</strong>${registration.remaining === null ? '' : ` · 남은 자리 ${registration.remaining}명`}</p>
+        <label for="join-name">이름</label>
+        <input id="join-name" name="name" maxlength="50" autocomplete="name" required>
+        <label for="join-gender">성별 (선택)</label>
+        <input id="join-gender" name="gender" maxlength="20">
+        <label for="join-tags">태그 (선택, 쉼표로 구분)</label>
+        <input id="join-tags" name="tags" placeholder="예: 백엔드, 디자인">
+        <button type="submit" class="btn btn-primary">참가 신청</button>
+      </form>
+    `;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          max-width: 420px;
+          margin: 40px auto;
+          padding: 24px;
+          color: rgba(255, 255, 255, 0.9);
+          background-color: rgba(255, 255, 255, 0.04);
+          border-radius: 8px;
+        }
+
+        h2 {
+          margin: 0 0 16px;
+          font-size: 20px;
+        }
+
+        form {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        label {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.7);
+        }
+
+        input {
+          padding: 8px 10px;
+          font-size: 15px;
+          color: #ffffff;
+          background-color: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+        }
+
+        .btn {
+          margin-top: 8px;
+          padding: 10px;
+          font-size: 15px;
+          color: #ffffff;
+          background-color: rgba(255, 255, 255, 0.1);
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .btn-primary {
+          background-color: var(--color-primary, #4a6e5a);
+        }
+
+        .join-form__name {
+          font-size: 18px;
+          font-weight: 600;
+        }
+
+        .join-form__status[data-status="approved"] {
+          color: #a5d6a7;
+        }
+
+        .join-form__status[data-status="rejected"],
+        .join-form__status[data-status="closed"],
+        .join-form__message {
+          color: #ef9a9a;
+        }
+      </style>
+      <section aria-labelledby="join-form-title">
+        <h2 id="join-form-title">참가 신청</h2>
+        ${this.renderContent()}
+        <p class="join-form__message" role="alert">${escapeHtml(this._state.message)}</p>
+      </section>
+    `;
+  }
+
+  addEventListeners() {
+    this.shadowRoot.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (e.target.classList.contains('code-form')) {
+        this.loadSession(e.target.elements.code.value);
+      } else if (e.target.classList.contains('member-form')) {
+        this.submit(e.target);
+      }
+    });
+  }
+}
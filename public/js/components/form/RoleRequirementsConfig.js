@@ -0,0 +1,277 @@
+/**
+ * @file RoleRequirementsConfig.js
+ * @description 팀마다 필요한 역할별 최소/최대 인원(역할 조건) 설정을 담당하는 컴포넌트 (모든 팀 조건과 팀별 조건)
+ */
+
+import store from '../../store/index.js';
+import { showUIError } from '../../handlers/uiHandlers.js';
+import { setRoleRequirement, removeRoleRequirement } from '../../store/actions.js';
+import { describeRoleRequirement, getRequiredRoleCounts, normalizeRole } from '../../utils/roleRequirements.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 역할 조건 설정 컴포넌트
+ * 멤버 프로필에 입력한 역할을 입력 후보로 보여주고, 조건마다 그 역할의 멤버 수를 함께 표시합니다.
+ * 조건은 모든 팀에 적용하거나 한 팀에만 적용할 수 있으며, 팀 조건은 같은 역할의 모든 팀 조건보다 우선합니다.
+ */
+export class RoleRequirementsConfig extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+    this._members = null;
+    this._roleRequirements = null;
+    this._teamCount = null;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.render();
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    // 멤버, 역할 조건이나 팀 수가 바뀐 경우에만 다시 렌더링
+    this.unsubscribe = store.subscribe((state) => {
+      if (state.members !== this._members
+        || state.roleRequirements !== this._roleRequirements
+        || state.teamCount !== this._teamCount) {
+        this.render();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  render() {
+    const { members, roleRequirements, teamCount } = store.getState();
+    this._members = members;
+    this._roleRequirements = roleRequirements;
+    this._teamCount = teamCount;
+
+    // 역할별 멤버 수 (처음 입력한 표기를 후보로 사용)
+    const roleCounts = new Map();
+    const roleLabels = new Map();
+    members.forEach(({ role }) => {
+      const key = normalizeRole(role);
+      if (!key) return;
+      roleCounts.set(key, (roleCounts.get(key) || 0) + 1);
+      if (!roleLabels.has(key)) roleLabels.set(key, role.trim());
+    });
+
+    const roleOptions = [...roleLabels.values()]
+      .map(role => `<option value="${escapeHtml(role)}"></option>`)
+      .join('');
+    const teamOptions = Array.from({ length: teamCount }, (_, index) =>
+      `<option value="${index}">Team ${index + 1}</option>`).join('');
+
+    // 팀 조건을 반영한 역할별 필요 인원 합계
+    const requiredCounts = getRequiredRoleCounts(roleRequirements, teamCount);
+    const describeTeam = (team) => {
+      if (team === null) return '모든 팀';
+      return team < teamCount ? `Team ${team + 1}` : `Team ${team + 1} (없는 팀)`;
+    };
+
+    // 모든 팀 조건을 먼저, 이어서 팀 순서대로 (삭제는 상태의 인덱스를 사용)
+    const requirementItems = roleRequirements
+      .map((requirement, index) => ({ requirement, index, team: requirement.team ?? null }))
+      .sort((a, b) => (a.team ?? -1) - (b.team ?? -1) || a.index - b.index)
+      .map(({ requirement, index, team }) => {
+        const key = normalizeRole(requirement.role);
+        const available = roleCounts.get(key) || 0;
+        const needed = requiredCounts.get(key) || 0;
+        const isShort = teamCount > 0 && available < needed;
+        return `
+        <li class="requirement-item">
+          <span>
+            <span class="requirement-team ${team !== null && team >= teamCount ? 'short' : ''}">${describeTeam(team)}</span>
+            ${escapeHtml(describeRoleRequirement(requirement))}
+            <span class="requirement-count ${isShort ? 'short' : ''}">(멤버 ${available}명${isShort ? `, ${teamCount}팀에 ${needed}명 필요` : ''})</span>
+          </span>
+          <button class="btn btn--small remove-requirement" data-index="${index}" aria-label="역할 조건 삭제">삭제</button>
+        </li>
+      `;
+      })
+      .join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          width: 100%;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+        }
+
+        .card {
+          background-color: #121212;
+          border-radius: 8px;
+          overflow: hidden;
+          margin-bottom: 16px;
+        }
+
+        .card__content {
+          padding: 16px;
+        }
+
+        .card__title {
+          font-size: 18px;
+          font-weight: 600;
+          color: #ffffff;
+          margin: 0 0 16px 0;
+        }
+
+        .requirement-form {
+          display: grid;
+          grid-template-columns: 1.5fr 2fr 1fr 1fr auto;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
+        .input {
+          min-width: 0;
+          padding: 10px 8px;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+          background-color: #1e1e1e;
+          color: #ffffff;
+          font-size: 14px;
+        }
+
+        .btn {
+          padding: 10px 16px;
+          background-color: #4a6e5a;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn:hover {
+          background-color: #3c5c4a;
+        }
+
+        .btn--small {
+          padding: 4px 10px;
+          font-size: 12px;
+          background-color: rgba(239, 68, 68, 0.2);
+        }
+
+        .requirement-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .requirement-item {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 6px 8px;
+          margin-bottom: 6px;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.04);
+          border-radius: 4px;
+        }
+
+        .requirement-count {
+          color: rgba(255, 255, 255, 0.5);
+        }
+
+        .requirement-team {
+          margin-right: 6px;
+          color: rgba(255, 255, 255, 0.5);
+        }
+
+        .requirement-count.short,
+        .requirement-team.short {
+          color: #fbbf24;
+        }
+
+        .status-message {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.6);
+          text-align: center;
+          padding: 4px 0;
+        }
+      </style>
+      <div class="card">
+        <div class="card__content">
+          <h3 class="card__title">팀별 역할 조건</h3>
+          <div class="requirement-form">
+            <select class="input requirement-team-select" aria-label="조건을 적용할 팀">
+              <option value="">모든 팀</option>
+              ${teamOptions}
+            </select>
+            <input class="input requirement-role" list="known-roles" maxlength="50" placeholder="역할" aria-label="역할">
+            <datalist id="known-roles">${roleOptions}</datalist>
+            <input class="input requirement-min" type="number" min="0" value="1" aria-label="팀별 최소 인원">
+            <input class="input requirement-max" type="number" min="1" placeholder="최대" aria-label="팀별 최대 인원 (비우면 제한 없음)">
+            <button class="btn add-requirement">추가</button>
+          </div>
+          ${roleRequirements.length
+            ? `<ul class="requirement-list">${requirementItems}</ul>`
+            : `<div class="status-message">${roleLabels.size ? '등록된 역할 조건이 없습니다.' : '멤버 프로필에 역할을 입력하면 팀마다 필요한 역할 인원을 정할 수 있습니다.'}</div>`}
+        </div>
+      </div>
+    `;
+  }
+
+  addEventListeners() {
+    // 렌더링 때마다 내용이 바뀌므로 shadowRoot에 이벤트 위임
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+
+      if (target.classList.contains('add-requirement')) {
+        this.handleAddRequirement();
+      } else if (target.classList.contains('remove-requirement')) {
+        const index = parseInt(target.dataset.index, 10);
+        if (!isNaN(index)) {
+          store.dispatch(removeRoleRequirement(index));
+        }
+      }
+    });
+  }
+
+  handleAddRequirement() {
+    const roleInput = this.shadowRoot.querySelector('.requirement-role');
+    const minInput = this.shadowRoot.querySelector('.requirement-min');
+    const maxInput = this.shadowRoot.querySelector('.requirement-max');
+    const teamSelect = this.shadowRoot.querySelector('.requirement-team-select');
+    if (!roleInput || !minInput || !maxInput || !teamSelect) return;
+
+    const role = roleInput.value.trim();
+    const min = minInput.value.trim() === '' ? 0 : Number(minInput.value);
+    const max = maxInput.value.trim() === '' ? null : Number(maxInput.value);
+    const team = teamSelect.value === '' ? null : Number(teamSelect.value);
+
+    if (!role) {
+      showUIError(roleInput, '역할을 입력하세요.');
+      return;
+    }
+
+    if (!Number.isInteger(min) || min < 0) {
+      showUIError(minInput, '최소 인원은 0 이상의 정수로 입력하세요.');
+      return;
+    }
+
+    if (max !== null && (!Number.isInteger(max) || max < Math.max(min, 1))) {
+      showUIError(maxInput, '최대 인원은 최소 인원 이상(1 이상)의 정수로 입력하세요.');
+      return;
+    }
+
+    if (min === 0 && max === null) {
+      showUIError(minInput, '최소 인원이나 최대 인원 중 하나는 입력하세요.');
+      return;
+    }
+
+    store.dispatch(setRoleRequirement(role, min, max, team));
+  }
+}
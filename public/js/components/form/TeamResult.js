@@ -4,11 +4,52 @@
  */
 
 import store from '../../store/index.js';
-import { distributeTeams } from '../../handlers/teamConfigHandlers.js';
+import { distributeTeamsWithServer } from '../../handlers/teamConfigHandlers.js';
 import { BaseComponent } from '../BaseComponent.js';
-import { saveTeamData } from '../../utils/api.js';
+import { saveTeamData, fetchPairHistory, fetchPMHistory, mapErrorsToFields } from '../../utils/api.js';
+import { ValidationError } from '../../utils/errorHandler.js';
 import { showUIError } from '../../handlers/uiHandlers.js';
 import { debounce } from '../../utils/performance.js';
+import { fromPairList, getRepeatScore } from '../../utils/pairHistory.js';
+import { EXPORT_FORMATS, createTeamDocument, exportTeamDocument, downloadExport } from '../../utils/teamExport.js';
+import { createMemberNameResolver, getMemberNames, toTeamRoster } from '../../utils/memberUtils.js';
+import {
+  moveMember,
+  setDistributionStrategy,
+  setMemberLock,
+  setPairHistory,
+  setTeamLock,
+  setPMPolicy,
+  setPMHistory
+} from '../../store/actions.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 화면에서 선택할 수 있는 분배 전략
+ * @constant {Array<{value: string, label: string}>}
+ */
+const STRATEGY_OPTIONS = [
+  { value: 'random', label: '무작위' },
+  { value: 'balanced', label: '실력 균형' },
+  { value: 'freshness', label: '새 조합 우선' }
+];
+
+/**
+ * 화면에서 선택할 수 있는 PM 선출 방식
+ * @constant {Array<{value: string, label: string}>}
+ */
+const PM_POLICY_OPTIONS = [
+  { value: 'random', label: '무작위' },
+  { value: 'least-recent', label: '가장 오래전 PM 우선' },
+  { value: 'volunteer', label: '지원자 우선' }
+];
+
+/**
+ * 점수를 소수점 한 자리까지 표시합니다.
+ * @param {number} value - 표시할 점수
+ * @returns {string} 표시용 문자열
+ */
+const formatRating = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
 
 /**
  * 팀 배분 결과 컴포넌트
@@ -23,14 +64,32 @@ export class TeamResult extends BaseComponent {
     }
     
     this._isFirstRender = true;
+    // 키보드로 집은 멤버와 놓을 팀 ({ member, fromTeam, targetTeam })
+    this._picked = null;
+    // 다시 그린 뒤 포커스를 돌려줄 멤버 이름
+    this._focusMember = null;
+    // 실시간 세션 참가자 화면에서 새 팀 구성을 받으면 한 명씩 나타나도록 표시
+    this._reveal = false;
     this._state = {
       teamCount: 0,
       totalMembers: 0,
       members: [],
       teams: [],
+      memberLocks: {},
+      teamLocks: [],
+      constraintViolations: [],
+      roleRequirements: [],
+      strategy: 'random',
+      pairHistory: { pairs: [], distributionCount: 0 },
+      pmPolicy: 'random',
+      pms: [],
+      seed: null,
+      distributionId: null,
       isTeamCountConfirmed: false,
       isTotalConfirmed: false,
-      isDistributed: false
+      isDistributed: false,
+      // 실시간 세션에서의 역할 ('host', 'participant', 세션에 없으면 null)
+      liveRole: null
     };
 
     // 디바운스된 업데이트 함수 생성
@@ -41,6 +100,11 @@ export class TeamResult extends BaseComponent {
       const prevState = {...this._state};
       this.updateFromStore(state);
       
+      if (this.isReadOnly() && this._state.teams.length &&
+          JSON.stringify(prevState.teams) !== JSON.stringify(this._state.teams)) {
+        this._reveal = true;
+      }
+      
       // 실질적인 변경이 있는 경우에만 뷰 업데이트
       if (this.hasSignificantChanges(prevState, this._state)) {
         this.debouncedUpdateView();
@@ -59,7 +123,16 @@ export class TeamResult extends BaseComponent {
       prevState.isTotalConfirmed !== currentState.isTotalConfirmed ||
       prevState.isDistributed !== currentState.isDistributed ||
       JSON.stringify(prevState.teams) !== JSON.stringify(currentState.teams) ||
-      prevState.members.length !== currentState.members.length
+      prevState.members !== currentState.members ||
+      prevState.memberLocks !== currentState.memberLocks ||
+      prevState.teamLocks !== currentState.teamLocks ||
+      prevState.constraintViolations !== currentState.constraintViolations ||
+      prevState.roleRequirements !== currentState.roleRequirements ||
+      prevState.strategy !== currentState.strategy ||
+      prevState.pairHistory !== currentState.pairHistory ||
+      prevState.pmPolicy !== currentState.pmPolicy ||
+      prevState.pms !== currentState.pms ||
+      prevState.liveRole !== currentState.liveRole
     );
   }
 
@@ -68,6 +141,38 @@ export class TeamResult extends BaseComponent {
     // 초기 상태로 UI 업데이트
     this.updateFromStore(store.getState());
     this.updateView();
+    this.loadPairHistory();
+    this.loadPMHistory();
+  }
+
+  /**
+   * 저장된 과거 분배 결과의 짝 이력을 불러와 스토어에 반영
+   * (서버에 연결할 수 없으면 이력 없이 동작)
+   */
+  async loadPairHistory() {
+    try {
+      const result = await fetchPairHistory();
+      if (result.success) {
+        store.dispatch(setPairHistory(result.data.pairs, result.data.distributionCount));
+      }
+    } catch (error) {
+      console.warn('짝 이력을 불러오지 못했습니다:', error);
+    }
+  }
+  
+  /**
+   * 저장된 과거 분배 결과의 PM 이력을 불러와 스토어에 반영
+   * (서버에 연결할 수 없으면 이력 없이 동작)
+   */
+  async loadPMHistory() {
+    try {
+      const result = await fetchPMHistory();
+      if (result.success) {
+        store.dispatch(setPMHistory(result.data.pmHistory));
+      }
+    } catch (error) {
+      console.warn('PM 이력을 불러오지 못했습니다:', error);
+    }
   }
   
   disconnectedCallback() {
@@ -186,6 +291,69 @@ export class TeamResult extends BaseComponent {
           font-weight: normal;
         }
         
+        .team-rating {
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.5);
+          margin-bottom: 8px;
+        }
+        
+        .rating-gap {
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.6);
+          margin-bottom: 12px;
+        }
+        
+        .constraint-violations {
+          margin: 0 0 12px 0;
+          padding: 10px 12px;
+          list-style: none;
+          font-size: 13px;
+          color: #fbbf24;
+          background-color: rgba(251, 191, 36, 0.08);
+          border-left: 3px solid #fbbf24;
+          border-radius: 4px;
+        }
+        
+        .constraint-violations li + li {
+          margin-top: 4px;
+        }
+        
+        .team-item.role-short {
+          border-color: rgba(251, 191, 36, 0.6);
+        }
+        
+        .role-shortfalls {
+          margin: 0 0 8px 0;
+          padding: 6px 8px;
+          list-style: none;
+          font-size: 12px;
+          color: #fbbf24;
+          background-color: rgba(251, 191, 36, 0.08);
+          border-radius: 4px;
+        }
+        
+        .role-shortfalls li + li {
+          margin-top: 4px;
+        }
+        
+        .strategy-select {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 12px;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.7);
+        }
+        
+        .strategy-select select {
+          padding: 6px 8px;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+          background-color: #1e1e1e;
+          color: #ffffff;
+          font-size: 13px;
+        }
+        
         .team-item__members {
           display: flex;
           flex-direction: column;
@@ -201,10 +369,99 @@ export class TeamResult extends BaseComponent {
           transition: background-color 0.2s ease;
         }
         
+        .pm-badge {
+          margin-left: 6px;
+          padding: 1px 6px;
+          font-size: 11px;
+          font-weight: 600;
+          color: #121212;
+          background-color: #fbbf24;
+          border-radius: 10px;
+        }
+        
         .team-item__member:hover {
           background-color: rgba(255, 255, 255, 0.08);
         }
         
+        .team-item__member[draggable="true"] {
+          display: flex;
+          align-items: center;
+          cursor: grab;
+        }
+        
+        .team-item__member:focus-visible {
+          outline: 2px solid #4a6e5a;
+          outline-offset: 1px;
+        }
+        
+        .team-item__member.dragging,
+        .team-item__member.picked {
+          opacity: 0.5;
+          outline: 1px dashed rgba(255, 255, 255, 0.5);
+        }
+        
+        .team-item.locked {
+          border-color: rgba(147, 197, 253, 0.5);
+        }
+        
+        .team-lock-toggle {
+          margin-left: auto;
+          margin-right: 8px;
+        }
+        
+        .reshuffle-hint {
+          font-size: 12px;
+          color: rgba(255, 255, 255, 0.5);
+          margin: 8px 0 0 0;
+        }
+        
+        .team-item.drop-target {
+          border-color: #4a6e5a;
+          background-color: rgba(74, 110, 90, 0.15);
+        }
+        
+        .member-name {
+          flex: 1;
+        }
+        
+        .lock-toggle {
+          margin-left: 6px;
+          padding: 0 6px;
+          font-size: 11px;
+          color: rgba(255, 255, 255, 0.4);
+          background: none;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 10px;
+          cursor: pointer;
+        }
+        
+        .lock-toggle[aria-pressed="true"] {
+          color: #121212;
+          background-color: #93c5fd;
+          border-color: #93c5fd;
+        }
+        
+        .balance-indicator {
+          font-size: 13px;
+          margin-bottom: 12px;
+          padding-left: 8px;
+          border-left: 3px solid #10b981;
+          color: rgba(255, 255, 255, 0.7);
+        }
+        
+        .balance-indicator.unbalanced {
+          border-left-color: #fbbf24;
+        }
+        
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+        
         .button-group {
           display: flex;
           gap: 8px;
@@ -250,15 +507,76 @@ export class TeamResult extends BaseComponent {
           margin-top: 16px;
         }
         
+        .export-menu {
+          position: relative;
+          margin-top: 8px;
+        }
+        
+        .export-menu summary {
+          list-style: none;
+          text-align: center;
+          box-sizing: border-box;
+        }
+        
+        .export-menu summary::-webkit-details-marker {
+          display: none;
+        }
+        
+        .export-menu__items {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));
+          gap: 6px;
+          margin-top: 8px;
+        }
+        
+        .export-format {
+          padding: 8px;
+          font-size: 13px;
+          color: rgba(255, 255, 255, 0.8);
+          background-color: rgba(255, 255, 255, 0.04);
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        
+        .export-format:hover {
+          background-color: rgba(255, 255, 255, 0.1);
+        }
+        
+        .card.reveal .team-item__member {
+          animation: revealIn 0.45s ease-out both;
+          animation-delay: calc(var(--reveal-index, 0) * 150ms);
+        }
+        
+        @keyframes revealIn {
+          from { opacity: 0; transform: rotateX(90deg) scale(0.8); }
+          to { opacity: 1; transform: none; }
+        }
+        
+        @media (prefers-reduced-motion: reduce) {
+          .card.reveal .team-item__member {
+            animation: none;
+          }
+        }
+        
         @keyframes fadeIn {
           from { opacity: 0; transform: translateY(4px); }
           to { opacity: 1; transform: translateY(0); }
         }
       </style>
+      <history-controls></history-controls>
       <div class="team-result-container"></div>
+      <p id="move-help" class="sr-only">Space나 Enter로 멤버를 집고, 화살표 키로 팀을 고른 뒤 다시 Space나 Enter로 놓습니다. Esc로 취소합니다.</p>
+      <div class="move-status sr-only" aria-live="assertive"></div>
+      <team-reveal hidden></team-reveal>
     `;
     
     this.addEventListeners();
+    
+    // 발표 모드를 닫으면 발표 버튼으로 포커스를 돌려줌
+    this.shadowRoot.addEventListener('reveal-close', () => {
+      this.shadowRoot.querySelector('.open-reveal')?.focus();
+    });
   }
 
   addEventListeners() {
@@ -272,6 +590,75 @@ export class TeamResult extends BaseComponent {
         this.decideTeams();
       } else if (target.classList.contains('save-teams')) {
         this.handleSaveTeams();
+      } else if (target.classList.contains('open-reveal')) {
+        this.shadowRoot.querySelector('team-reveal').open();
+      } else if (target.classList.contains('export-format')) {
+        this.handleExport(target.dataset.format);
+        target.closest('details')?.removeAttribute('open');
+      } else if (target.classList.contains('team-lock-toggle')) {
+        this.toggleTeamLock(Number(target.dataset.team));
+      } else if (target.classList.contains('lock-toggle')) {
+        this.toggleLock(target.dataset.member, Number(target.dataset.team));
+      }
+    });
+    
+    // 드래그 앤 드롭으로 멤버를 다른 팀으로 옮기기
+    this.shadowRoot.addEventListener('dragstart', (e) => {
+      const memberEl = e.target.closest?.('.team-item__member');
+      if (!memberEl) return;
+      
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', memberEl.dataset.member);
+      memberEl.classList.add('dragging');
+      this.cancelPick();
+    });
+    
+    this.shadowRoot.addEventListener('dragend', (e) => {
+      e.target.closest?.('.team-item__member')?.classList.remove('dragging');
+      this.highlightDropTarget(null);
+    });
+    
+    this.shadowRoot.addEventListener('dragover', (e) => {
+      const teamEl = e.target.closest?.('.team-item');
+      if (!teamEl || this.isReadOnly()) return;
+      
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this.highlightDropTarget(Number(teamEl.dataset.team));
+    });
+    
+    this.shadowRoot.addEventListener('drop', (e) => {
+      const teamEl = e.target.closest?.('.team-item');
+      const memberId = e.dataTransfer.getData('text/plain');
+      this.highlightDropTarget(null);
+      if (!teamEl || !memberId) return;
+      
+      e.preventDefault();
+      // 다른 멤버 위에 놓으면 그 멤버 앞에, 빈 곳에 놓으면 팀 맨 뒤에 넣음
+      const beforeEl = e.target.closest('.team-item__member');
+      if (beforeEl?.dataset.member === memberId) return;
+      
+      const position = beforeEl
+        ? [...teamEl.querySelectorAll('.team-item__member')]
+          .filter(el => el.dataset.member !== memberId)
+          .indexOf(beforeEl)
+        : null;
+      this.handleMoveMember(memberId, Number(teamEl.dataset.team), position);
+    });
+    
+    // 키보드로 멤버 집기 → 화살표로 팀 고르기 → 놓기
+    this.shadowRoot.addEventListener('keydown', (e) => {
+      const memberEl = e.target.closest?.('.team-item__member');
+      if (!memberEl || e.target !== memberEl) return;
+      
+      this.handleMemberKeydown(e, memberEl);
+    });
+    
+    this.shadowRoot.addEventListener('change', (e) => {
+      if (e.target.classList.contains('strategy')) {
+        store.dispatch(setDistributionStrategy(e.target.value));
+      } else if (e.target.classList.contains('pm-policy')) {
+        store.dispatch(setPMPolicy(e.target.value));
       }
     });
   }
@@ -283,17 +670,37 @@ export class TeamResult extends BaseComponent {
     this._state.teamCount = state.teamCount;
     this._state.isTeamCountConfirmed = state.isTeamCountConfirmed;
     this._state.teams = state.teams || [];
+    this._state.memberLocks = state.memberLocks || {};
+    this._state.teamLocks = state.teamLocks || [];
+    this._state.constraintViolations = state.constraintViolations || [];
+    this._state.roleRequirements = state.roleRequirements || [];
+    this._state.strategy = state.strategy || 'random';
+    this._state.pairHistory = state.pairHistory || { pairs: [], distributionCount: 0 };
+    this._state.pmPolicy = state.pmPolicy || 'random';
+    this._state.pms = state.pms || [];
+    this._state.seed = state.seed ?? null;
+    this._state.distributionId = state.distributionId ?? null;
     this._state.isDistributed = state.isDistributed;
     this._state.members = state.members || [];
+    this._state.liveRole = state.liveSession?.role ?? null;
+  }
+
+  /**
+   * 실시간 세션 참가자 화면인지 확인합니다. 참가자는 진행자가 정한 결과를 보기만 합니다.
+   * @returns {boolean} 읽기 전용 여부
+   */
+  isReadOnly() {
+    return this._state.liveRole === 'participant';
   }
 
-  shuffleTeams() {
+  async shuffleTeams() {
     if (!this._state.members.length) {
       return;
     }
     
     try {
-      const distributedTeams = distributeTeams();
+      // 서버가 발급한 시드로 분배 (분쟁 시 재현할 수 있도록 시드와 서버 분배 결과 ID를 함께 기록)
+      const { teams: distributedTeams, violations, pms, seed, distributionId } = await distributeTeamsWithServer();
       
       if (distributedTeams && distributedTeams.length > 0) {
         // store 상태 업데이트
@@ -301,12 +708,16 @@ export class TeamResult extends BaseComponent {
           type: 'SET_TEAMS',
           payload: {
             teams: distributedTeams,
+            seed,
+            distributionId,
+            violations,
+            pms,
             isDistributed: true
           }
         });
       } else {
         // 대체 로직 - 멤버를 랜덤하게 팀에 분배
-        const shuffled = [...this._state.members].sort(() => Math.random() - 0.5);
+        const shuffled = this._state.members.map(({ id }) => id).sort(() => Math.random() - 0.5);
         const teamSize = Math.ceil(shuffled.length / this._state.teamCount);
         const teams = Array.from({ length: this._state.teamCount }, (_, i) => 
           shuffled.slice(i * teamSize, (i + 1) * teamSize)
@@ -325,6 +736,57 @@ export class TeamResult extends BaseComponent {
     }
   }
 
+  /**
+   * 분배 전략 선택 마크업을 생성합니다.
+   * @returns {string} HTML 마크업
+   */
+  renderStrategySelect() {
+    const options = STRATEGY_OPTIONS.map(({ value, label }) => `
+      <option value="${value}" ${this._state.strategy === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    
+    return `
+      <label class="strategy-select">
+        분배 방식
+        <select class="strategy">${options}</select>
+      </label>
+    `;
+  }
+
+  /**
+   * PM 선출 방식 선택 마크업을 생성합니다.
+   * @returns {string} HTML 마크업
+   */
+  renderPMPolicySelect() {
+    const options = PM_POLICY_OPTIONS.map(({ value, label }) => `
+      <option value="${value}" ${this._state.pmPolicy === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    
+    return `
+      <label class="strategy-select">
+        PM 선출
+        <select class="pm-policy">${options}</select>
+      </label>
+    `;
+  }
+
+  /**
+   * 내보내기 메뉴 마크업을 생성합니다.
+   * @returns {string} HTML 마크업
+   */
+  renderExportMenu() {
+    const items = Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `
+      <button class="export-format" data-format="${format}">${label}</button>
+    `).join('');
+    
+    return `
+      <details class="export-menu">
+        <summary class="btn btn--secondary">내보내기</summary>
+        <div class="export-menu__items">${items}</div>
+      </details>
+    `;
+  }
+
   decideTeams() {
     if (!this._state.members.length) {
       return;
@@ -366,6 +828,13 @@ export class TeamResult extends BaseComponent {
         buttonDisabled = false; // 버튼 활성화
       }
       
+      // 참가자는 진행자가 팀을 구성하기를 기다림
+      if (this.isReadOnly()) {
+        message = "진행자가 팀을 구성하면 여기에 표시됩니다.";
+        statusClass = "info";
+        showDecideButton = false;
+      }
+      
       // 카드 활성화 상태는 팀 구성이 가능한지 여부에 따라 결정
       const isTeamReady = this._state.isTotalConfirmed && 
                           this._state.isTeamCountConfirmed && 
@@ -382,6 +851,8 @@ export class TeamResult extends BaseComponent {
             <div class="status-message ${statusClass}">
               ${message}
             </div>
+            ${showDecideButton ? this.renderStrategySelect() : ''}
+            ${showDecideButton ? this.renderPMPolicySelect() : ''}
             ${showDecideButton ? 
               `<div class="button-group mt-4">
                 <button class="btn btn--primary decide-teams">팀 결정하기!</button>
@@ -401,33 +872,89 @@ export class TeamResult extends BaseComponent {
       return;
     }
     
-    // 팀별 인원 수 계산
-    const teamSizes = this._state.teams.map(team => team.length);
-    const totalMembers = teamSizes.reduce((sum, size) => sum + size, 0);
+    // 팀별 인원과 실력 점수 (점수는 입력된 멤버가 있을 때만 표시)
+    const { sizes, sizeGap, isSizeBalanced, ratingStats, hasRatings, ratingGap } = store.getTeamBalance();
+    const totalMembers = sizes.reduce((sum, size) => sum + size, 0);
+    const balanceHtml = `
+      <div class="balance-indicator ${isSizeBalanced ? 'balanced' : 'unbalanced'}" aria-live="polite">
+        팀별 인원 ${sizes.join(' · ')}명${isSizeBalanced ? '' : ` (최대 ${sizeGap}명 차이)`}
+        ${hasRatings ? ` · 팀 간 점수 합계 차이: ${formatRating(ratingGap)}` : ''}
+      </div>
+    `;
+    
+    // 과거에 같은 팀이었던 짝의 반복 점수 (이력이 있을 때만 표시)
+    const hasPairHistory = this._state.pairHistory.distributionCount > 0;
+    const pairCounts = fromPairList(this._state.pairHistory.pairs);
+    // 짝 이력은 저장된 팀 구성의 멤버 이름 기준
+    const repeatScores = this._state.teams.map(team => getRepeatScore(getMemberNames(team, this._state.members), pairCounts));
+    const repeatScoreHtml = hasPairHistory
+      ? `<div class="rating-gap">반복 짝 점수: ${repeatScores.reduce((sum, score) => sum + score, 0)} (과거 ${this._state.pairHistory.distributionCount}회 기준, 낮을수록 새로운 조합)</div>`
+      : '';
+    
+    // 지키지 못한 배정 규칙 안내
+    const violationsHtml = this._state.constraintViolations.length
+      ? `<ul class="constraint-violations" role="alert">
+          ${this._state.constraintViolations.map(({ message }) => `<li>${escapeHtml(message)}</li>`).join('')}
+        </ul>`
+      : '';
     
-    // 팀 구성 결과 표시
-    const teamsHtml = this._state.teams.map((team, index) => `
-      <div class="team-item">
-        <h3 class="team-item__title">Team ${index + 1} <span class="team-size">(${team.length}명)</span></h3>
+    // 역할 조건을 지키지 못한 팀 (멤버 역할을 바꾸거나 직접 옮긴 경우도 지금 구성 기준으로 확인)
+    const roleShortfalls = store.getRoleShortfalls();
+    
+    // 팀 구성 결과 표시 (참가자 화면에는 고정, 재구성, 저장 같은 편집 기능을 표시하지 않음)
+    const isReadOnly = this.isReadOnly();
+    const teamsHtml = this._state.teams.map((team, index) => {
+      const isTeamLocked = this._state.teamLocks.includes(index);
+      const teamShortfalls = roleShortfalls.filter(({ teamIndex }) => teamIndex === index);
+      return `
+      <div class="team-item ${isTeamLocked ? 'locked' : ''} ${teamShortfalls.length ? 'role-short' : ''}" data-team="${index}">
+        <h3 class="team-item__title">
+          Team ${index + 1}
+          ${isReadOnly ? '' : `<button class="lock-toggle team-lock-toggle" data-team="${index}" aria-pressed="${isTeamLocked}"
+            aria-label="Team ${index + 1} 고정" title="재구성해도 이 팀의 멤버를 그대로 두기">팀 고정</button>`}
+          <span class="team-size">(${team.length}명)</span>
+        </h3>
+        ${hasRatings ? `
+          <div class="team-rating">합계 ${formatRating(ratingStats[index].total)} · 평균 ${formatRating(ratingStats[index].average)}</div>
+        ` : ''}
+        ${hasPairHistory ? `
+          <div class="team-rating">반복 짝 점수 ${repeatScores[index]}</div>
+        ` : ''}
+        ${teamShortfalls.length ? `
+          <ul class="role-shortfalls" aria-label="Team ${index + 1} 역할 조건 미달">
+            ${teamShortfalls.map(({ detail }) => `<li>${escapeHtml(detail)}</li>`).join('')}
+          </ul>
+        ` : ''}
         <div class="team-item__members">
-          ${team.map(member => `
-            <span class="team-item__member">${member}</span>
-          `).join('')}
+          ${team.map((member, position) => this.renderMember(member, index, position)).join('')}
         </div>
       </div>
-    `).join('');
+    `;
+    }).join('');
+    
+    const hasLocks = this._state.teamLocks.length > 0 || Object.keys(this._state.memberLocks).length > 0;
     
     const newHTML = `
-      <div class="card ${this._isFirstRender ? 'animate' : ''}">
+      <div class="card ${this._isFirstRender ? 'animate' : ''} ${this._reveal ? 'reveal' : ''}">
         <div class="card__content">
           <h3 class="card__title">팀 구성 결과 <span class="team-info">(${this._state.teamCount}팀, 총 ${totalMembers}명)</span></h3>
+          ${violationsHtml}
+          ${balanceHtml}
+          ${repeatScoreHtml}
           <div class="team-list">
             ${teamsHtml}
           </div>
-          <div class="button-group mt-4">
-            <button class="btn btn--secondary shuffle-teams">팀 재구성</button>
-            <button class="btn save-teams">저장하기</button>
-          </div>
+          ${isReadOnly ? '' : `
+            ${this.renderStrategySelect()}
+            ${this.renderPMPolicySelect()}
+            <div class="button-group mt-4">
+              <button class="btn btn--secondary shuffle-teams">${hasLocks ? '나머지 재구성' : '팀 재구성'}</button>
+              <button class="btn save-teams">저장하기</button>
+            </div>
+            ${hasLocks ? '<p class="reshuffle-hint">고정한 팀과 멤버는 그대로 두고 나머지 멤버만 다시 섞습니다.</p>' : ''}
+          `}
+          <button class="btn btn--secondary mt-4 open-reveal" title="멤버를 한 명씩 공개하는 전체 화면 발표">발표 모드</button>
+          ${this.renderExportMenu()}
         </div>
       </div>
     `;
@@ -435,25 +962,250 @@ export class TeamResult extends BaseComponent {
     // 내용이 변경된 경우에만 DOM 업데이트
     if (oldHTML !== newHTML) {
       container.innerHTML = newHTML;
+      this._picked = null;
+    }
+    this._reveal = false;
+    
+    // 키보드로 옮긴 멤버에 포커스 유지
+    if (this._focusMember !== null) {
+      [...container.querySelectorAll('.team-item__member')]
+        .find(el => el.dataset.member === this._focusMember)
+        ?.focus();
+      this._focusMember = null;
     }
     
     this._isFirstRender = false;
   }
 
+  /**
+   * 팀 결과의 멤버 한 명 마크업을 생성합니다. (드래그, 키보드 이동, 팀 고정 버튼 포함)
+   * 참가자 화면에서는 이름과 PM 표시만 하며, 카드를 나눠 주듯 팀을 번갈아 한 명씩 나타나도록 순서를 매깁니다.
+   * @param {string} memberId - 멤버 ID
+   * @param {number} teamIndex - 멤버가 속한 팀 인덱스
+   * @param {number} [position=0] - 팀 안에서의 순서
+   * @returns {string} HTML 마크업
+   */
+  renderMember(memberId, teamIndex, position = 0) {
+    const name = escapeHtml(this.getMemberName(memberId));
+    const id = escapeHtml(memberId);
+    const nameHtml = `<span class="member-name">${name}${this._state.pms[teamIndex] === memberId ? '<span class="pm-badge">PM</span>' : ''}</span>`;
+    
+    if (this.isReadOnly()) {
+      return `
+        <span class="team-item__member" style="--reveal-index: ${position * this._state.teams.length + teamIndex}">
+          ${nameHtml}
+        </span>
+      `;
+    }
+    
+    const isLocked = this._state.memberLocks[memberId] === teamIndex;
+    
+    return `
+      <span class="team-item__member" draggable="true" tabindex="0"
+        data-member="${id}" data-team="${teamIndex}" aria-describedby="move-help">
+        ${nameHtml}
+        <button class="lock-toggle" data-member="${id}" data-team="${teamIndex}" aria-pressed="${isLocked}"
+          aria-label="${name} Team ${teamIndex + 1}에 고정" title="재구성해도 이 팀에 남기기">고정</button>
+      </span>
+    `;
+  }
+
+  /**
+   * @param {string} memberId - 멤버 ID
+   * @returns {string} 멤버 이름 (명단에 없으면 ID)
+   */
+  getMemberName(memberId) {
+    return createMemberNameResolver(this._state.members)(memberId);
+  }
+
+  /**
+   * 멤버를 옮기고 결과를 알립니다.
+   * @param {string} memberId - 옮길 멤버 ID
+   * @param {number} toTeamIndex - 옮길 팀 인덱스
+   * @param {number|null} [toPosition=null] - 옮길 팀 안에서의 위치 (null이면 맨 뒤)
+   */
+  handleMoveMember(memberId, toTeamIndex, toPosition = null) {
+    store.dispatch(moveMember(memberId, toTeamIndex, toPosition));
+    this.announce(`${this.getMemberName(memberId)}을(를) Team ${toTeamIndex + 1}(으)로 옮겼습니다.`);
+  }
+
+  /**
+   * 멤버의 팀 고정을 켜고 끕니다.
+   * @param {string} memberId - 멤버 ID
+   * @param {number} teamIndex - 멤버가 지금 속한 팀 인덱스
+   */
+  toggleLock(memberId, teamIndex) {
+    const isLocked = this._state.memberLocks[memberId] === teamIndex;
+    const name = this.getMemberName(memberId);
+    store.dispatch(setMemberLock(memberId, isLocked ? null : teamIndex));
+    this.announce(isLocked
+      ? `${name}의 팀 고정을 해제했습니다.`
+      : `${name}을(를) Team ${teamIndex + 1}에 고정했습니다. 재구성해도 이 팀에 남습니다.`);
+  }
+
+  /**
+   * 팀 고정을 켜고 끕니다. 고정한 팀은 재구성해도 멤버와 PM이 그대로 남습니다.
+   * @param {number} teamIndex - 팀 인덱스
+   */
+  toggleTeamLock(teamIndex) {
+    const isLocked = this._state.teamLocks.includes(teamIndex);
+    store.dispatch(setTeamLock(teamIndex, !isLocked));
+    this.announce(isLocked
+      ? `Team ${teamIndex + 1}의 고정을 해제했습니다.`
+      : `Team ${teamIndex + 1}을(를) 고정했습니다. 재구성해도 이 팀은 그대로 남습니다.`);
+  }
+
+  /**
+   * 멤버에 포커스가 있을 때의 키보드 이동 처리
+   * Space/Enter: 집기 또는 놓기, 화살표: 놓을 팀 고르기, Esc: 취소
+   * @param {KeyboardEvent} e - 키보드 이벤트
+   * @param {HTMLElement} memberEl - 포커스된 멤버 요소
+   */
+  handleMemberKeydown(e, memberEl) {
+    const teamCount = this._state.teams.length;
+    
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      
+      if (!this._picked) {
+        this._picked = { member: memberEl.dataset.member, fromTeam: Number(memberEl.dataset.team), targetTeam: Number(memberEl.dataset.team) };
+        memberEl.classList.add('picked');
+        this.highlightDropTarget(this._picked.targetTeam);
+        this.announce(`${this.getMemberName(this._picked.member)}을(를) 집었습니다. 화살표 키로 팀을 고르세요. 지금 Team ${this._picked.targetTeam + 1}`);
+        return;
+      }
+      
+      const { member, fromTeam, targetTeam } = this._picked;
+      this.cancelPick();
+      if (targetTeam !== fromTeam) {
+        this._focusMember = member;
+        this.handleMoveMember(member, targetTeam);
+      }
+      return;
+    }
+    
+    if (!this._picked) return;
+    
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.cancelPick();
+      this.announce('이동을 취소했습니다.');
+    } else if (['ArrowLeft', 'ArrowUp', 'ArrowRight', 'ArrowDown'].includes(e.key)) {
+      e.preventDefault();
+      const step = e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1;
+      this._picked.targetTeam = (this._picked.targetTeam + step + teamCount) % teamCount;
+      this.highlightDropTarget(this._picked.targetTeam);
+      this.announce(`Team ${this._picked.targetTeam + 1}`);
+    }
+  }
+
+  /**
+   * 키보드로 집은 멤버를 내려놓지 않고 취소합니다.
+   */
+  cancelPick() {
+    this._picked = null;
+    this.shadowRoot.querySelectorAll('.team-item__member.picked').forEach(el => el.classList.remove('picked'));
+    this.highlightDropTarget(null);
+  }
+
+  /**
+   * 놓을 팀을 강조합니다.
+   * @param {number|null} teamIndex - 강조할 팀 인덱스 (null이면 강조 해제)
+   */
+  highlightDropTarget(teamIndex) {
+    this.shadowRoot.querySelectorAll('.team-item').forEach(el => {
+      el.classList.toggle('drop-target', Number(el.dataset.team) === teamIndex);
+    });
+  }
+
+  /**
+   * 화면 낭독기에 이동 결과를 알립니다.
+   * @param {string} message - 알릴 문장
+   */
+  announce(message) {
+    const status = this.shadowRoot.querySelector('.move-status');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * 현재 팀 구성을 지정한 형식의 파일로 내려받습니다.
+   * 서버에 저장된 결과를 GET /api/teams/:id/export로 받은 것과 같은 형식입니다.
+   * @param {string} format - 내보내기 형식 (EXPORT_FORMATS의 키)
+   */
+  handleExport(format) {
+    if (!EXPORT_FORMATS[format] || !this._state.teams.length) return;
+    
+    const teamDocument = createTeamDocument({
+      teams: toTeamRoster(this._state.teams, this._state.members),
+      pms: this._state.pms,
+      strategy: this._state.strategy,
+      seed: this._state.seed,
+      metadata: { createdAt: new Date().toISOString() }
+    });
+    downloadExport(exportTeamDocument(teamDocument, format), format);
+  }
+
   // 팀 데이터 저장 처리
   async handleSaveTeams() {
     try {
-      const result = await saveTeamData({ teams: this._state.teams });
+      // 멤버 ID를 함께 저장해 이름이 같은 멤버도 구분되도록 함
+      // (서버에서 분배받은 결과면 distributionId로 서버가 분배한 구성과 같은지 확인)
+      const result = await saveTeamData({
+        teams: toTeamRoster(this._state.teams, this._state.members),
+        seed: this._state.seed,
+        strategy: this._state.strategy,
+        pms: this._state.pms,
+        ...(this._state.distributionId && { distributionId: this._state.distributionId })
+      });
       if (result.success) {
-        alert('팀 구성 정보가 성공적으로 저장되었습니다.');
+        alert(result.verified
+          ? '팀 구성 정보가 성공적으로 저장되었습니다.'
+          : '팀 구성 정보가 저장되었습니다. (서버가 분배한 구성과 달라 확인되지 않은 결과로 기록됩니다)');
+        // 방금 저장한 구성과 PM도 다음 분배의 이력에 포함
+        this.loadPairHistory();
+        this.loadPMHistory();
       } else {
         showUIError('팀 구성 정보 저장에 실패했습니다.');
       }
     } catch (error) {
       console.error('팀 저장 중 오류 발생:', error);
+      
+      if (error instanceof ValidationError) {
+        this.showValidationErrors(error.details.errors);
+        return;
+      }
+      
       showUIError('팀 구성 정보 저장 중 오류가 발생했습니다.');
     }
   }
+
+  /**
+   * 서버 검증 오류를 해당 팀 / 멤버 위치에 표시합니다.
+   * 위치를 찾을 수 없는 오류는 알림으로 표시합니다.
+   * @param {Array<{pointer: string, code: string, message: string}>} errors - 서버 검증 오류 목록
+   */
+  showValidationErrors(errors) {
+    const teamItems = this.shadowRoot.querySelectorAll('.team-item');
+    // '/teams/0/1' → 0번 팀의 1번 멤버, '/pms/0' → 0번 팀
+    const findTeamElement = (pointer) => {
+      const [, , teamIndex, memberIndex] = pointer.split('/');
+      const teamItem = teamItems[teamIndex];
+      if (!teamItem) return null;
+      return memberIndex === undefined
+        ? teamItem.querySelector('.team-item__title')
+        : teamItem.querySelectorAll('.team-item__member')[memberIndex] || null;
+    };
+    
+    const { matched, unmatched } = mapErrorsToFields(errors, {
+      '/teams': findTeamElement,
+      '/pms': findTeamElement
+    });
+    
+    matched.forEach(({ element, error }) => showUIError(element, error.message));
+    if (unmatched.length) {
+      showUIError(unmatched.map(({ message }) => message).join('\n'));
+    }
+  }
 }
 
 customElements.define('team-result', TeamResult); 
\ No newline at end of file
@@ -0,0 +1,495 @@
+/**
+ * @file TeamReveal.js
+ * @description 팀 구성 결과를 멤버 한 명씩 공개하는 발표 모드 (프로젝터용 전체 화면)
+ */
+
+import store from '../../store/index.js';
+import { getRevealOrder } from '../../utils/teamUtils.js';
+import { createMemberNameResolver } from '../../utils/memberUtils.js';
+import { escapeHtml } from '../../utils/stringUtils.js';
+
+/**
+ * 공개 간격 선택지 (한 명을 공개하고 다음 멤버를 공개할 때까지의 시간)
+ * @constant {Object<string, {label: string, delay: number}>}
+ */
+const REVEAL_PACES = {
+  slow: { label: '느리게', delay: 3000 },
+  normal: { label: '보통', delay: 1800 },
+  fast: { label: '빠르게', delay: 900 }
+};
+
+/**
+ * 공개 애니메이션 선택지
+ * - slot: 이름이 슬롯머신처럼 돌다가 멈춤
+ * - flip: 뒤집힌 카드가 앞면으로 돌아감
+ * @constant {Object<string, string>}
+ */
+const REVEAL_ANIMATIONS = {
+  slot: '슬롯머신',
+  flip: '카드 뒤집기'
+};
+
+/**
+ * 슬롯머신 애니메이션에서 이름을 바꾸는 간격(ms)과 최대 회전 시간(ms)
+ * @constant {{interval: number, maxDuration: number}}
+ */
+const SLOT_SPIN = { interval: 70, maxDuration: 1200 };
+
+/**
+ * 발표를 시작한 뒤 첫 멤버를 공개하기 전까지의 시간(ms)
+ * @constant {number}
+ */
+const START_DELAY = 600;
+
+/**
+ * 움직임 줄이기 설정을 켰는지 확인합니다.
+ * @returns {boolean} prefers-reduced-motion: reduce이면 true
+ */
+const prefersReducedMotion = () => Boolean(globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+
+/**
+ * 팀 발표 모드 컴포넌트
+ * 스토어의 teams를 getRevealOrder 순서(팀을 번갈아 한 명씩)로 공개하므로 분배 전략과 상관없이 동작합니다.
+ * 발표 중에 팀 구성이 바뀌면(진행자의 재구성, 참가자 화면의 새 결과) 처음부터 다시 공개합니다.
+ * 움직임 줄이기 설정이면 애니메이션 없이 이름만 차례로 나타납니다.
+ *
+ * 키보드: →, PageDown, Space로 다음 멤버를 바로 공개하고 Esc로 닫습니다. (발표용 리모컨 사용 가능)
+ */
+export class TeamReveal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.unsubscribe = null;
+    this.initialized = false;
+    this._settings = { pace: 'normal', animation: 'slot' };
+    this._steps = [];
+    this._revealed = 0;
+    this._getName = (id) => id;
+    this._timer = null;
+    this._spinTimer = null;
+  }
+
+  connectedCallback() {
+    if (!this.initialized) {
+      this.renderShell();
+      this.addEventListeners();
+      this.initialized = true;
+    }
+
+    this.dataset.animation = this._settings.animation;
+    this.unsubscribe = store.subscribe(() => {
+      if (!this.hidden) this.start();
+    }, state => ({ teams: state.teams, pms: state.pms, members: state.members }));
+  }
+
+  disconnectedCallback() {
+    this.stop();
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * 발표 화면을 열고 처음부터 공개합니다. (브라우저가 허용하면 전체 화면으로 전환)
+   */
+  open() {
+    this.hidden = false;
+    this.requestFullscreen?.()?.catch(() => {
+      // 전체 화면을 쓸 수 없어도 화면을 덮는 레이아웃으로 발표
+    });
+    this.shadowRoot.querySelector('.reveal').focus();
+    this.start();
+  }
+
+  close() {
+    this.stop();
+    this.hidden = true;
+    if (document.fullscreenElement === this) {
+      document.exitFullscreen().catch(() => {});
+    }
+    this.dispatchEvent(new CustomEvent('reveal-close', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * 지금 팀 구성으로 처음부터 다시 공개합니다.
+   */
+  start() {
+    this.stop();
+    const { teams, pms, members } = store.getState();
+    this._getName = createMemberNameResolver(members);
+    this._steps = getRevealOrder(teams);
+    this._revealed = 0;
+    this.renderBoard(teams, pms);
+    this.schedule(START_DELAY);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    clearInterval(this._spinTimer);
+    this._timer = null;
+    this._spinTimer = null;
+  }
+
+  /**
+   * @param {number} delay - 다음 멤버를 공개할 때까지의 시간(ms)
+   */
+  schedule(delay) {
+    if (this._revealed >= this._steps.length) {
+      this.finish();
+      return;
+    }
+    this._timer = setTimeout(() => this.revealNext(), delay);
+  }
+
+  /**
+   * 다음 멤버를 공개합니다. 슬롯머신 애니메이션이면 이름을 잠시 돌린 뒤 멈춥니다.
+   */
+  revealNext() {
+    if (this._revealed >= this._steps.length) return;
+
+    // 리모컨으로 넘기면 돌고 있던 슬롯은 바로 멈춤
+    this.stop();
+    this.shadowRoot.querySelector('.reveal-slot.spinning')?.classList.replace('spinning', 'revealed');
+
+    const index = this._revealed;
+    const step = this._steps[index];
+    const slot = this.shadowRoot.querySelector(`.reveal-slot[data-step="${index}"]`);
+    const delay = REVEAL_PACES[this._settings.pace].delay;
+    this._revealed += 1;
+    this.announce(step);
+
+    if (this._settings.animation === 'slot' && !prefersReducedMotion()) {
+      const names = this._steps.map(({ member }) => this._getName(member));
+      const front = slot.querySelector('.reveal-card__front');
+      const endAt = Date.now() + Math.min(delay * 0.6, SLOT_SPIN.maxDuration);
+      slot.classList.add('spinning');
+      this._spinTimer = setInterval(() => {
+        if (Date.now() < endAt) {
+          front.textContent = names[Math.floor(Math.random() * names.length)];
+          return;
+        }
+        clearInterval(this._spinTimer);
+        this._spinTimer = null;
+        slot.classList.replace('spinning', 'revealed');
+      }, SLOT_SPIN.interval);
+    } else {
+      slot.classList.add('revealed');
+    }
+
+    this.updateProgress();
+    this.schedule(delay);
+  }
+
+  /**
+   * 남은 멤버를 애니메이션 없이 모두 공개합니다.
+   */
+  skip() {
+    this.stop();
+    this.shadowRoot.querySelectorAll('.reveal-slot:not(.revealed)').forEach(slot => {
+      slot.classList.remove('spinning');
+      slot.classList.add('revealed', 'skipped');
+    });
+    this._revealed = this._steps.length;
+    this.updateProgress();
+    this.finish();
+  }
+
+  finish() {
+    this.shadowRoot.querySelector('.restart-reveal').textContent = '다시 보기';
+    this.shadowRoot.querySelector('.skip-reveal').disabled = true;
+  }
+
+  /**
+   * @param {{teamIndex: number, member: string}} step - 공개한 멤버 (멤버 ID)
+   */
+  announce({ teamIndex, member }) {
+    this.shadowRoot.querySelector('.reveal-status').textContent = `Team ${teamIndex + 1}: ${this._getName(member)}`;
+  }
+
+  updateProgress() {
+    this.shadowRoot.querySelector('.reveal-progress').textContent = `${this._revealed} / ${this._steps.length}명`;
+  }
+
+  /**
+   * 팀별 빈 자리를 그립니다. 자리마다 공개 순서(data-step)를 매깁니다.
+   * @param {Array<Array<string>>} teams - 팀별 멤버 ID 배열
+   * @param {Array<string|null>} pms - 팀별 PM 멤버 ID
+   */
+  renderBoard(teams, pms) {
+    const stepOf = new Map(this._steps.map(({ teamIndex, position }, index) => [`${teamIndex}:${position}`, index]));
+    const board = this.shadowRoot.querySelector('.reveal-board');
+
+    board.innerHTML = teams.length ? teams.map((team, teamIndex) => `
+      <section class="reveal-team" aria-label="Team ${teamIndex + 1}">
+        <h3 class="reveal-team__title">Team ${teamIndex + 1}</h3>
+        ${team.map((member, position) => `
+          <div class="reveal-slot" data-step="${stepOf.get(`${teamIndex}:${position}`)}">
+            <div class="reveal-card">
+              <span class="reveal-card__front" aria-hidden="true">?</span>
+              <span class="reveal-card__back">
+                ${escapeHtml(this._getName(member))}${pms[teamIndex] === member ? '<span class="pm-badge">PM</span>' : ''}
+              </span>
+            </div>
+          </div>
+        `).join('')}
+      </section>
+    `).join('') : '<p class="reveal-empty">공개할 팀 구성이 없습니다.</p>';
+
+    this.shadowRoot.querySelector('.restart-reveal').textContent = '처음부터';
+    this.shadowRoot.querySelector('.skip-reveal').disabled = this._steps.length === 0;
+    this.shadowRoot.querySelector('.reveal-status').textContent = '';
+    this.updateProgress();
+  }
+
+  renderShell() {
+    const paceOptions = Object.entries(REVEAL_PACES).map(([value, { label }]) => `
+      <option value="${value}" ${this._settings.pace === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const animationOptions = Object.entries(REVEAL_ANIMATIONS).map(([value, label]) => `
+      <option value="${value}" ${this._settings.animation === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          inset: 0;
+          z-index: 1000;
+          display: block;
+          color: #ffffff;
+          background-color: #0b0b0b;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        .reveal {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          box-sizing: border-box;
+          padding: clamp(16px, 3vw, 40px);
+          outline: none;
+        }
+
+        .reveal-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: clamp(16px, 3vh, 32px);
+          font-size: 14px;
+          color: rgba(255, 255, 255, 0.7);
+        }
+
+        .reveal-toolbar h2 {
+          flex: 1;
+          margin: 0;
+          font-size: clamp(20px, 3vw, 36px);
+          color: #ffffff;
+        }
+
+        .reveal-toolbar select,
+        .reveal-toolbar button {
+          padding: 6px 12px;
+          font-size: 14px;
+          color: #ffffff;
+          background-color: rgba(255, 255, 255, 0.08);
+          border: 1px solid rgba(255, 255, 255, 0.15);
+          border-radius: 4px;
+        }
+
+        .reveal-toolbar button {
+          cursor: pointer;
+        }
+
+        .reveal-toolbar button:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+
+        .reveal-board {
+          flex: 1;
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+          align-content: start;
+          gap: clamp(12px, 2vw, 32px);
+          overflow-y: auto;
+        }
+
+        .reveal-team__title {
+          margin: 0 0 12px 0;
+          padding-bottom: 8px;
+          font-size: clamp(20px, 2.5vw, 34px);
+          border-bottom: 2px solid #4a6e5a;
+        }
+
+        .reveal-slot {
+          height: clamp(44px, 6vh, 72px);
+          margin-bottom: 10px;
+          perspective: 800px;
+        }
+
+        .reveal-card {
+          position: relative;
+          height: 100%;
+          transform-style: preserve-3d;
+        }
+
+        .reveal-card__front,
+        .reveal-card__back {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          overflow: hidden;
+          font-size: clamp(18px, 2.2vw, 32px);
+          font-weight: 600;
+          border-radius: 8px;
+          backface-visibility: hidden;
+        }
+
+        .reveal-card__front {
+          color: rgba(255, 255, 255, 0.35);
+          background-color: rgba(255, 255, 255, 0.06);
+          border: 1px dashed rgba(255, 255, 255, 0.2);
+        }
+
+        .reveal-card__back {
+          background-color: #4a6e5a;
+        }
+
+        .pm-badge {
+          margin-left: 8px;
+          padding: 2px 8px;
+          font-size: 0.5em;
+          color: #121212;
+          background-color: #fbbf24;
+          border-radius: 10px;
+        }
+
+        /* 카드 뒤집기: 뒷면(이름)이 앞으로 돌아옴 */
+        :host([data-animation="flip"]) .reveal-card {
+          transition: transform 0.6s ease;
+        }
+
+        :host([data-animation="flip"]) .reveal-card__back {
+          transform: rotateY(180deg);
+        }
+
+        :host([data-animation="flip"]) .revealed .reveal-card {
+          transform: rotateY(180deg);
+        }
+
+        /* 슬롯머신: 이름이 돌다가(spinning) 멈추면서 내려앉음 */
+        :host([data-animation="slot"]) .reveal-card__back {
+          visibility: hidden;
+        }
+
+        :host([data-animation="slot"]) .spinning .reveal-card__front {
+          color: rgba(255, 255, 255, 0.8);
+          animation: slotSpin 0.14s linear infinite;
+        }
+
+        :host([data-animation="slot"]) .revealed .reveal-card__front {
+          visibility: hidden;
+        }
+
+        :host([data-animation="slot"]) .revealed .reveal-card__back {
+          visibility: visible;
+          animation: slotLand 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
+        }
+
+        .skipped .reveal-card,
+        .skipped .reveal-card__back {
+          transition: none;
+          animation: none !important;
+        }
+
+        @keyframes slotSpin {
+          from { transform: translateY(-40%); filter: blur(1px); }
+          to { transform: translateY(40%); filter: blur(1px); }
+        }
+
+        @keyframes slotLand {
+          from { transform: translateY(-60%); opacity: 0; }
+          to { transform: none; opacity: 1; }
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .reveal-card,
+          .reveal-card__front,
+          .reveal-card__back {
+            transition: none !important;
+            animation: none !important;
+          }
+        }
+
+        .reveal-empty {
+          font-size: 20px;
+          color: rgba(255, 255, 255, 0.6);
+        }
+
+        .reveal-status {
+          min-height: 1.5em;
+          margin: 16px 0 0 0;
+          font-size: clamp(16px, 2vw, 24px);
+          text-align: center;
+          color: rgba(255, 255, 255, 0.8);
+        }
+      </style>
+      <div class="reveal" role="dialog" aria-modal="true" aria-labelledby="reveal-title" tabindex="-1">
+        <div class="reveal-toolbar">
+          <h2 id="reveal-title">팀 발표</h2>
+          <span class="reveal-progress"></span>
+          <label>
+            속도
+            <select class="reveal-pace">${paceOptions}</select>
+          </label>
+          <label>
+            애니메이션
+            <select class="reveal-animation">${animationOptions}</select>
+          </label>
+          <button class="restart-reveal">처음부터</button>
+          <button class="skip-reveal">건너뛰기</button>
+          <button class="close-reveal" aria-label="발표 모드 닫기">닫기</button>
+        </div>
+        <div class="reveal-board"></div>
+        <p class="reveal-status" aria-live="assertive"></p>
+      </div>
+    `;
+  }
+
+  addEventListeners() {
+    this.shadowRoot.addEventListener('click', (e) => {
+      if (e.target.classList.contains('restart-reveal')) {
+        this.start();
+      } else if (e.target.classList.contains('skip-reveal')) {
+        this.skip();
+      } else if (e.target.classList.contains('close-reveal')) {
+        this.close();
+      }
+    });
+
+    this.shadowRoot.addEventListener('change', (e) => {
+      if (e.target.classList.contains('reveal-pace')) {
+        this._settings.pace = e.target.value;
+      } else if (e.target.classList.contains('reveal-animation')) {
+        this._settings.animation = e.target.value;
+        this.dataset.animation = e.target.value;
+      }
+    });
+
+    this.shadowRoot.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.close();
+      } else if (['ArrowRight', 'PageDown', ' '].includes(e.key) && !e.target.matches('select, button')) {
+        e.preventDefault();
+        this.revealNext();
+      }
+    });
+  }
+}
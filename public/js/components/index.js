@@ -14,8 +14,15 @@ import eventBus from '../utils/EventBus.js';
 // 폼 컴포넌트 임포트
 import { TeamConfig } from './form/TeamConfig.js';
 import { TotalMembersConfig } from './form/TotalMembersConfig.js';
+import { ConstraintConfig } from './form/ConstraintConfig.js';
+import { RoleRequirementsConfig } from './form/RoleRequirementsConfig.js';
 import { MemberInput } from './form/MemberInput.js';
+import { MemberImport } from './form/MemberImport.js';
+import { HistoryControls } from './form/HistoryControls.js';
+import { LiveSessionControls } from './form/LiveSessionControls.js';
+import { MemberJoinForm } from './form/MemberJoinForm.js';
 import { TeamResult } from './form/TeamResult.js';
+import { TeamReveal } from './form/TeamReveal.js';
 import { FormPanel } from './form/FormPanel.js';
 import { MainPanel } from './form/MainPanel.js';
 
@@ -33,8 +40,15 @@ const COMPONENTS = [
   { name: "team-distributor", constructor: TeamDistributor },
   { name: "team-config", constructor: TeamConfig },
   { name: "total-members-config", constructor: TotalMembersConfig },
+  { name: "constraint-config", constructor: ConstraintConfig },
+  { name: "role-requirements-config", constructor: RoleRequirementsConfig },
   { name: "member-input", constructor: MemberInput },
+  { name: "member-import", constructor: MemberImport },
+  { name: "history-controls", constructor: HistoryControls },
+  { name: "live-session-controls", constructor: LiveSessionControls },
+  { name: "member-join-form", constructor: MemberJoinForm },
   { name: "team-result", constructor: TeamResult },
+  { name: "team-reveal", constructor: TeamReveal },
   { name: "form-panel", constructor: FormPanel },
   { name: "main-panel", constructor: MainPanel },
   { name: "store-demo", constructor: StoreDemo }
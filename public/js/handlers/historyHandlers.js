@@ -0,0 +1,54 @@
+/**
+ * @file historyHandlers.js
+ * @description 실행 취소/다시 실행 단축키 처리를 담당하는 모듈
+ */
+
+import store from '../store/index.js';
+import { undo, redo } from '../store/middleware.js';
+
+/**
+ * 텍스트 편집 중이 아닌 input 타입 (이 경우에는 단축키를 앱 실행 취소로 처리)
+ * @constant {Array<string>}
+ */
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'];
+
+/**
+ * 이벤트가 텍스트 입력 요소에서 발생했는지 확인합니다.
+ * Shadow DOM 안의 입력 요소도 찾기 위해 composedPath의 첫 요소를 확인합니다.
+ * @param {KeyboardEvent} event - 키보드 이벤트
+ * @returns {boolean} 브라우저 기본 실행 취소를 써야 하는 요소인지 여부
+ */
+const isTextEditingTarget = (event) => {
+  const target = event.composedPath?.()[0] ?? event.target;
+  if (!target || !target.tagName) return false;
+  
+  if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+  return target.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(target.type);
+};
+
+/**
+ * Ctrl+Z(실행 취소), Ctrl+Shift+Z / Ctrl+Y(다시 실행) 단축키를 처리합니다. (macOS는 Cmd)
+ * 입력란에서 글자를 고치는 중에는 브라우저 기본 동작을 그대로 둡니다.
+ * @param {KeyboardEvent} event - 키보드 이벤트
+ */
+export const handleUndoRedoShortcut = (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextEditingTarget(event)) return;
+  
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    store.dispatch(undo());
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    store.dispatch(redo());
+  }
+};
+
+/**
+ * 문서 전체에 실행 취소/다시 실행 단축키를 등록합니다.
+ * @returns {Function} 등록 해제 함수
+ */
+export const registerUndoRedoShortcuts = () => {
+  document.addEventListener('keydown', handleUndoRedoShortcut);
+  return () => document.removeEventListener('keydown', handleUndoRedoShortcut);
+};
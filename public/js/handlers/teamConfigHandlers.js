@@ -7,6 +7,15 @@ import store from '../store/index.js';
 import { validateNumber } from '../utils/validation.js';
 import { showUIError } from '../utils/errorHandler.js';
 import { shuffleArray } from '../utils/shuffleArray.js';
+import { applyMemberLocks, distributeTeamsBalanced, redistributeUnlocked } from '../utils/teamUtils.js';
+import { applyTeamConstraints, findUnsatisfiedConstraints } from '../utils/teamConstraints.js';
+import { fromPairList, minimizeRepeatPairs } from '../utils/pairHistory.js';
+import { electPMs } from '../utils/pmElection.js';
+import { createMemberNameResolver, createMemberRoleResolver, getMemberRatings } from '../utils/memberUtils.js';
+import { distributeTeamsByRole, findRoleShortfalls } from '../utils/roleRequirements.js';
+import { splitIntoTeams } from '../utils/teamSplit.js';
+import { generateSeed } from '../utils/seededRandom.js';
+import { requestTeamDistribution } from '../utils/api.js';
 import { debounce } from '../utils/performance.js';
 import { setTeamCount, confirmTeamCount as confirmTeamCountAction, resetTeamCount } from '../store/actions.js';
 
@@ -97,74 +106,269 @@ export const editTeamCount = () => {
 };
 
 /**
- * 팀 구성하기 - 멤버 배분 알고리즘
- * @returns {Array<Array<string>>} 팀별 멤버 배열
+ * 이름별 멤버 ID 목록 (같은 이름의 멤버가 여럿일 수 있음)
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Map<string, Array<string>>} 이름별 멤버 ID 목록
  */
-export const distributeTeams = () => {
-  const state = store.getState();
-  const { members, teamCount } = state;
+const groupIdsByName = (members) => members.reduce((idsByName, { id, name }) =>
+  idsByName.set(name, [...(idsByName.get(name) ?? []), id]), new Map());
+
+/**
+ * 멤버 ID를 이름순으로 정렬 (이름이 같으면 추가한 순서)
+ * 멤버 ID가 바뀌어도 같은 이름과 시드로 같은 팀이 나오도록 모든 배분에서 이 순서를 사용합니다.
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Array<string>} 정렬한 멤버 ID 배열
+ */
+const sortIdsByName = (members) => [...members]
+  .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+  .map(({ id }) => id);
+
+/**
+ * 서버의 짝 이력(저장된 팀 구성의 멤버 이름 기준)을 멤버 ID 기준 짝별 횟수로 바꿉니다.
+ * 같은 이름의 멤버가 여럿이면 그 이름의 이력은 모두에게 적용합니다.
+ * @param {Array<{members: Array<string>, count: number}>} pairs - 짝 목록
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Map<string, number>} 멤버 ID 짝 키별 횟수
+ */
+const toMemberPairCounts = (pairs, members) => {
+  const idsByName = groupIdsByName(members);
+  return fromPairList(pairs.flatMap(({ members: [a, b], count }) =>
+    (idsByName.get(a) ?? []).flatMap(idA =>
+      (idsByName.get(b) ?? []).map(idB => ({ members: [idA, idB], count })))));
+};
+
+/**
+ * 서버의 PM 이력(멤버 이름 기준)을 멤버 ID 기준으로 바꿉니다.
+ * @param {Array<Array<string>>} pmHistory - 과거 분배별 PM 이름 목록
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Array<Array<string>>} 과거 분배별 PM 멤버 ID 목록
+ */
+const toMemberPMHistory = (pmHistory, members) => {
+  const idsByName = groupIdsByName(members);
+  return pmHistory.map(names => names.flatMap(name => idsByName.get(name) ?? []));
+};
+
+/**
+ * 팀 구성하기 - 멤버 배분 후 배정 규칙(같은 팀 / 다른 팀) 적용, 팀별 PM 선출
+ * 분배 전략이 'freshness'이면 배정 규칙 적용 전에 과거 짝 이력으로 반복 짝을 줄입니다.
+ * (역할 조건이 있으면 역할 조건을 더 많이 어기게 되는 교환 결과는 쓰지 않음)
+ * 규칙을 모두 지킬 수 없으면 최대한 배치하고 지키지 못한 규칙을 이유와 함께 반환합니다.
+ * 팀에 고정한 멤버(memberLocks)는 규칙보다 우선하여 고정한 팀에 남습니다.
+ * 배정 규칙과 고정은 역할 조건보다 우선하며, 그 때문에 지키지 못한 역할 조건은 store.getRoleShortfalls()로 확인합니다.
+ * 고정한 팀(teamLocks)이 있으면 지금 결과에서 나머지 팀만 다시 구성합니다. (reshuffleUnlockedTeams)
+ * @param {Object} [options] - 분배 옵션
+ * @param {string|number} [options.seed] - 셔플 시드
+ * @returns {{teams: Array<Array<string>>, violations: Array<Object>, pms: Array<string|null>}}
+ *   팀별 멤버 ID 배열, 지키지 못한 규칙, 팀 순서대로 선출된 PM의 멤버 ID
+ */
+export const distributeTeams = ({ seed } = {}) => {
+  const { members, strategy, pairHistory, constraints, roleRequirements, pmPolicy, pmHistory, pmVolunteers, memberLocks, teamLocks, teams: currentTeams, teamCount } = store.getState();
+  const getName = createMemberNameResolver(members);
+  const getRole = createMemberRoleResolver(members);
   
-  console.log('팀 분배 시작:', { members, teamCount });
+  if (teamLocks.length && currentTeams.length === teamCount) {
+    return reshuffleUnlockedTeams({ seed });
+  }
   
-  if (!members.length || teamCount <= 0) {
-    console.warn('팀 분배 불가: 멤버가 없거나 팀 개수가 0 이하');
-    return [];
+  let teams = distributeMembers({ seed });
+  
+  if (!teams.length) {
+    return { teams, violations: [], pms: [] };
   }
   
-  try {
-    // 멤버 목록 복사 및 섞기
-    const shuffledMembers = shuffleArray([...members]);
-    console.log('섞인 멤버 목록:', shuffledMembers);
-    
-    // 팀 구성 (균등 분배)
-    const teams = Array.from({ length: teamCount }, () => []);
-    const membersPerTeam = Math.floor(members.length / teamCount);
-    const remainingMembers = members.length % teamCount;
-    
-    console.log('팀 분배 정보:', { 
-      총멤버수: members.length, 
-      팀개수: teamCount, 
-      팀당멤버수: membersPerTeam, 
-      나머지멤버: remainingMembers 
-    });
-    
-    let memberIndex = 0;
-    
-    // 기본 배분 (균등하게)
-    for (let i = 0; i < teamCount; i++) {
-      for (let j = 0; j < membersPerTeam; j++) {
-        if (memberIndex < shuffledMembers.length) {
-          teams[i].push(shuffledMembers[memberIndex++]);
-        }
-      }
-    }
-    
-    // 남은 멤버들 분배 (앞쪽 팀부터 한 명씩)
-    for (let i = 0; i < remainingMembers; i++) {
-      if (memberIndex < shuffledMembers.length) {
-        teams[i].push(shuffledMembers[memberIndex++]);
-      }
+  // freshness 전략: 과거에 같은 팀이었던 짝이 반복되지 않도록 멤버 교환
+  if (strategy === 'freshness') {
+    const freshTeams = minimizeRepeatPairs(teams, toMemberPairCounts(pairHistory.pairs, members));
+    const countShortfalls = (candidate) => findRoleShortfalls(candidate, roleRequirements, { getRole }).length;
+    if (countShortfalls(freshTeams) <= countShortfalls(teams)) {
+      teams = freshTeams;
     }
+  }
+  
+  const result = applyTeamConstraints(teams, constraints, { getName });
+  
+  // 고정한 멤버를 고정한 팀으로 되돌린 뒤 규칙 위반을 다시 확인
+  // (형식 오류 등 배치와 무관한 위반은 유지, 배치 때문에 생긴 위반은 최종 배치 기준으로 보고)
+  if (Object.keys(memberLocks).length) {
+    const lockedTeams = applyMemberLocks(result.teams, memberLocks);
+    const unsatisfied = findUnsatisfiedConstraints(lockedTeams, constraints, { getName });
+    const broken = new Set(unsatisfied.map(({ constraint }) => constraint));
+    const kept = result.violations.filter(({ constraint, reason }) =>
+      reason === 'invalid-constraint' || reason === 'unknown-member' || broken.has(constraint));
+    const keptConstraints = new Set(kept.map(({ constraint }) => constraint));
     
-    console.log('팀 구성 결과:', teams);
-    return teams;
+    result.teams = lockedTeams;
+    result.violations = [...kept, ...unsatisfied.filter(({ constraint }) => !keptConstraints.has(constraint))];
+  }
+  
+  if (result.violations.length) {
+    console.warn('지키지 못한 배정 규칙:', result.violations);
+  }
+  
+  // 서버와 같은 시드를 쓰므로 같은 팀 구성이면 같은 PM이 선출됨
+  const pms = electPMs(result.teams, {
+    policy: pmPolicy,
+    seed,
+    pmHistory: toMemberPMHistory(pmHistory, members),
+    volunteers: pmVolunteers
+  });
+  
+  return { ...result, pms };
+};
+
+/**
+ * 서버(POST /api/teams/distribute)에서 분배를 받아, 서버가 발급한 시드로 팀을 구성합니다.
+ * random 전략은 서버와 같은 팀이 만들어지므로, 저장할 때 distributionId로 서버가 분배한 결과인지 확인됩니다.
+ * 서버에 연결할 수 없으면 브라우저에서 만든 시드로 구성하며, 이때 distributionId는 null(확인되지 않는 결과)입니다.
+ * @returns {Promise<{teams: Array<Array<string>>, violations: Array<Object>, pms: Array<string|null>, seed: string|number, distributionId: string|null}>}
+ *   distributeTeams 결과와 사용한 시드, 서버 분배 결과 ID
+ */
+export const distributeTeamsWithServer = async () => {
+  const { members, teamCount, strategy } = store.getState();
+  let seed = generateSeed();
+  let distributionId = null;
+  
+  try {
+    // 서버는 random, freshness 전략만 지원 (균형 전략 등은 서버의 시드로 브라우저에서 분배)
+    ({ seed, distributionId } = await requestTeamDistribution({
+      members: members.map(({ name }) => name),
+      teamCount,
+      strategy: strategy === 'freshness' ? 'freshness' : 'random'
+    }));
   } catch (error) {
-    console.error('팀 분배 중 오류 발생:', error);
-    // 오류 발생 시 안전한 대체 로직
-    const shuffled = shuffleArray([...members]);
-    const teams = [];
-    
-    // 간단한 분배 로직 (오류 복구용)
-    for (let i = 0; i < teamCount; i++) {
-      teams.push([]);
+    console.warn('서버 분배를 받지 못해 브라우저에서 만든 시드로 분배합니다:', error);
+  }
+  
+  return { ...distributeTeams({ seed }), seed, distributionId };
+};
+
+/**
+ * 고정한 팀은 그대로 두고 나머지 팀만 다시 구성합니다.
+ * 역할 조건, 짝 이력(freshness)과 배정 규칙은 고정하지 않은 팀 안에서만 적용하고,
+ * 고정한 팀의 PM은 그대로 유지합니다. 규칙 위반은 전체 팀 기준으로 보고합니다.
+ * (역할 조건이 있으면 distributeTeams와 같이 역할 조건을 더 많이 어기게 되는 freshness 교환 결과는 쓰지 않음)
+ * @param {Object} [options] - 분배 옵션
+ * @param {string|number} [options.seed] - 셔플 시드
+ * @returns {{teams: Array<Array<string>>, violations: Array<Object>, pms: Array<string|null>}}
+ *   팀별 멤버 ID 배열, 지키지 못한 규칙, 팀 순서대로 선출된 PM의 멤버 ID
+ */
+const reshuffleUnlockedTeams = ({ seed } = {}) => {
+  const {
+    members, teams: currentTeams, pms: currentPMs, teamLocks, memberLocks,
+    strategy, pairHistory, constraints, roleRequirements, pmPolicy, pmHistory, pmVolunteers
+  } = store.getState();
+  const getName = createMemberNameResolver(members);
+  const getRole = createMemberRoleResolver(members);
+  
+  const teams = redistributeUnlocked(sortIdsByName(members), currentTeams, {
+    teamLocks,
+    memberLocks,
+    ratings: getMemberRatings(members),
+    seed,
+    balanced: strategy === 'balanced'
+  });
+  
+  const unlockedIndexes = teams.map((_, index) => index).filter(index => !teamLocks.includes(index));
+  let unlockedTeams = unlockedIndexes.map(index => teams[index]);
+  // 고정하지 않은 팀 자리에 넣은 전체 팀 구성 기준으로 역할 조건 미달 수를 셈
+  const countShortfalls = (candidate) => findRoleShortfalls(
+    teams.map((team, index) => (unlockedIndexes.includes(index) ? candidate[unlockedIndexes.indexOf(index)] : team)),
+    roleRequirements,
+    { getRole }
+  ).length;
+  
+  // 역할 조건: 고정하지 않은 팀의 멤버를 역할별 최소/최대 인원에 맞춰 다시 배분
+  if (roleRequirements.length && unlockedTeams.length) {
+    const reshuffled = new Set(unlockedTeams.flat());
+    // 팀 조건의 팀 인덱스는 고정하지 않은 팀 기준으로 변환 (고정한 팀의 조건은 제외)
+    const unlockedRequirements = roleRequirements
+      .filter(({ team = null }) => team === null || unlockedIndexes.includes(team))
+      .map(requirement => ((requirement.team ?? null) === null
+        ? requirement
+        : { ...requirement, team: unlockedIndexes.indexOf(requirement.team) }));
+    unlockedTeams = distributeTeamsByRole(sortIdsByName(members).filter(id => reshuffled.has(id)), unlockedTeams.length, {
+      requirements: unlockedRequirements,
+      getRole,
+      seed
+    });
+  }
+  
+  if (strategy === 'freshness') {
+    const freshTeams = minimizeRepeatPairs(unlockedTeams, toMemberPairCounts(pairHistory.pairs, members));
+    if (countShortfalls(freshTeams) <= countShortfalls(unlockedTeams)) {
+      unlockedTeams = freshTeams;
     }
-    
-    shuffled.forEach((member, index) => {
-      const teamIndex = index % teamCount;
-      teams[teamIndex].push(member);
+  }
+  
+  // 두 멤버가 모두 고정하지 않은 팀에 있는 규칙만 재배치에 사용
+  const unlockedMembers = new Set(unlockedTeams.flat());
+  const applicable = constraints.filter(({ members: pair }) => pair.every(member => unlockedMembers.has(member)));
+  unlockedTeams = applyTeamConstraints(unlockedTeams, applicable, { getName }).teams;
+  
+  // 교환 과정에서 움직인 고정 멤버를 고정한 팀으로 되돌림 (고정하지 않은 팀 기준 인덱스로 변환)
+  const unlockedMemberLocks = Object.fromEntries(Object.entries(memberLocks)
+    .filter(([, teamIndex]) => unlockedIndexes.includes(teamIndex))
+    .map(([member, teamIndex]) => [member, unlockedIndexes.indexOf(teamIndex)]));
+  unlockedTeams = applyMemberLocks(unlockedTeams, unlockedMemberLocks);
+  unlockedIndexes.forEach((teamIndex, i) => {
+    teams[teamIndex] = unlockedTeams[i];
+  });
+  
+  const violations = findUnsatisfiedConstraints(teams, constraints, { getName });
+  if (violations.length) {
+    console.warn('지키지 못한 배정 규칙:', violations);
+  }
+  
+  const electedPMs = electPMs(teams, {
+    policy: pmPolicy,
+    seed,
+    pmHistory: toMemberPMHistory(pmHistory, members),
+    volunteers: pmVolunteers
+  });
+  const pms = electedPMs.map((pm, teamIndex) => {
+    const currentPM = currentPMs[teamIndex];
+    return teamLocks.includes(teamIndex) && currentPM && teams[teamIndex].includes(currentPM) ? currentPM : pm;
+  });
+  
+  return { teams, violations, pms };
+};
+
+/**
+ * 멤버 배분 알고리즘
+ * 시드를 지정하면 같은 시드와 멤버 구성으로 항상 같은 팀이 만들어집니다.
+ * (서버의 TeamDistributor와 동일한 이름 정렬 → 셔플 → splitIntoTeams 분할 순서, 이름이 같은 멤버는 추가한 순서)
+ * 스토어의 분배 전략이 'balanced'이면 멤버 실력 점수 합계가 비슷해지도록 배분합니다.
+ * 역할 조건(roleRequirements)이 있으면 전략과 관계없이 역할별 최소 인원을 먼저 채우고 나머지를 무작위로 배분합니다.
+ * @param {Object} [options] - 분배 옵션
+ * @param {string|number} [options.seed] - 셔플 시드
+ * @returns {Array<Array<string>>} 팀별 멤버 ID 배열
+ */
+const distributeMembers = ({ seed } = {}) => {
+  const state = store.getState();
+  const { teamCount, strategy } = state;
+  const members = sortIdsByName(state.members);
+  
+  console.log('팀 분배 시작:', { members, teamCount, strategy, seed });
+  
+  if (!members.length || teamCount <= 0) {
+    console.warn('팀 분배 불가: 멤버가 없거나 팀 개수가 0 이하');
+    return [];
+  }
+  
+  if (state.roleRequirements.length) {
+    return distributeTeamsByRole(members, teamCount, {
+      requirements: state.roleRequirements,
+      getRole: createMemberRoleResolver(state.members),
+      seed
     });
-    
-    console.log('오류 복구 팀 구성 결과:', teams);
-    return teams;
   }
+  
+  if (strategy === 'balanced') {
+    return distributeTeamsBalanced(members, teamCount, { ratings: getMemberRatings(state.members), seed });
+  }
+  
+  // 입력 순서와 무관하게 재현되도록 이름순으로 정렬한 뒤 섞고, 서버와 같은 방식으로 분할
+  const teams = splitIntoTeams(shuffleArray(members, { seed }), teamCount);
+  console.log('팀 구성 결과:', teams);
+  return teams;
 }; 
\ No newline at end of file
@@ -86,7 +86,9 @@ export class MemberListController {
     // 멤버 항목 이벤트 바인딩
     this.view.bindMemberEvents({
       onDelete: this.handleDeleteMember.bind(this),
-      onEdit: this.handleEditMember.bind(this)
+      onEdit: this.handleEditMember.bind(this),
+      onRatingChange: this.handleRatingChange.bind(this),
+      onVolunteerChange: this.handleVolunteerChange.bind(this)
     });
     
     // 편집 모드 이벤트 바인딩 (편집 중인 경우)
@@ -211,7 +213,7 @@ export class MemberListController {
     console.log(`멤버 삭제 (인덱스: ${index})`);
     
     const members = this.model.getMembers();
-    const memberName = members[index];
+    const memberName = members[index]?.name;
     
     if (this.model.deleteMember(index)) {
       this.view.updateStatusMessage(`"${memberName}" 멤버가 삭제되었습니다`, 'info');
@@ -238,20 +240,42 @@ export class MemberListController {
     this.model.setEditingIndex(index);
   }
   
+  /**
+   * 멤버 실력 점수 변경 처리
+   * @param {number} index - 점수를 변경할 멤버 인덱스
+   * @param {number|null} rating - 새 실력 점수 (null이면 점수 삭제)
+   */
+  handleRatingChange(index, rating) {
+    if (!this.model.setMemberRating(index, rating)) {
+      this.view.updateStatusMessage('실력 점수는 0 이상의 숫자여야 합니다', 'error');
+    }
+  }
+  
+  /**
+   * 멤버 PM 지원 여부 변경 처리
+   * @param {number} index - 지원 여부를 변경할 멤버 인덱스
+   * @param {boolean} isVolunteer - PM 지원 여부
+   */
+  handleVolunteerChange(index, isVolunteer) {
+    if (!this.model.setPMVolunteer(index, isVolunteer)) {
+      this.view.updateStatusMessage('PM 지원 여부를 변경하지 못했습니다', 'error');
+    }
+  }
+  
   /**
    * 편집 확인 처리
-   * @param {string} newSuffix - 새 접미사
+   * @param {{name: string, role: string, notes: string}} changes - 입력한 프로필 값
    */
-  handleConfirmEdit(newSuffix) {
+  handleConfirmEdit(changes) {
     const index = this.model.getEditingIndex();
     
     if (index !== -1) {
-      const success = this.model.updateMemberName(index, newSuffix);
+      const success = this.model.updateMemberProfile(index, changes);
       
       if (success) {
-        this.view.updateStatusMessage('멤버 이름이 업데이트되었습니다', 'success');
+        this.view.updateStatusMessage('멤버 프로필이 업데이트되었습니다', 'success');
       } else {
-        this.view.updateStatusMessage('멤버 이름 업데이트에 실패했습니다', 'error');
+        this.view.updateStatusMessage('멤버 이름은 비워 둘 수 없습니다', 'error');
       }
       
       // 편집 완료 후 입력창에 포커스
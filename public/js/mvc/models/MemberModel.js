@@ -4,7 +4,7 @@
  */
 
 import store from '../../store/index.js';
-import { ACTION_TYPES } from '../../store/actions.js';
+import { ACTION_TYPES, addMember as addMemberAction } from '../../store/actions.js';
 import { EventEmitter } from '../../utils/EventEmitter.js';
 
 /**
@@ -15,6 +15,7 @@ export class MemberModel extends EventEmitter {
   constructor() {
     super();
     this._members = [];
+    this._pmVolunteers = [];
     this._totalMembers = 0;
     this._isTotalConfirmed = false;
     this._isTeamCountConfirmed = false;
@@ -32,6 +33,7 @@ export class MemberModel extends EventEmitter {
         model: this, 
         changes: {
           members: true,
+          pmVolunteers: true,
           totalMembers: true,
           isTotalConfirmed: true,
           isTeamCountConfirmed: true
@@ -49,6 +51,7 @@ export class MemberModel extends EventEmitter {
   _handleStoreChange(state) {
     const prevState = {
       members: this._members,
+      pmVolunteers: this._pmVolunteers,
       totalMembers: this._totalMembers,
       isTotalConfirmed: this._isTotalConfirmed,
       isTeamCountConfirmed: this._isTeamCountConfirmed
@@ -56,6 +59,7 @@ export class MemberModel extends EventEmitter {
     
     // 상태 업데이트
     this._members = [...state.members];
+    this._pmVolunteers = state.pmVolunteers;
     this._totalMembers = state.totalMembers;
     this._isTotalConfirmed = state.isTotalConfirmed;
     this._isTeamCountConfirmed = state.isTeamCountConfirmed;
@@ -63,6 +67,7 @@ export class MemberModel extends EventEmitter {
     // 변경된 속성들 추적
     const changes = {
       members: prevState.members !== this._members,
+      pmVolunteers: prevState.pmVolunteers !== this._pmVolunteers,
       totalMembers: prevState.totalMembers !== this._totalMembers,
       isTotalConfirmed: prevState.isTotalConfirmed !== this._isTotalConfirmed,
       isTeamCountConfirmed: prevState.isTeamCountConfirmed !== this._isTeamCountConfirmed
@@ -85,6 +90,7 @@ export class MemberModel extends EventEmitter {
   _syncWithStore() {
     const state = store.getState();
     this._members = [...state.members];
+    this._pmVolunteers = state.pmVolunteers;
     this._totalMembers = state.totalMembers;
     this._isTotalConfirmed = state.isTotalConfirmed;
     this._isTeamCountConfirmed = state.isTeamCountConfirmed;
@@ -109,6 +115,7 @@ export class MemberModel extends EventEmitter {
   getState() {
     return {
       members: [...this._members],
+      pmVolunteers: [...this._pmVolunteers],
       totalMembers: this._totalMembers,
       isTotalConfirmed: this._isTotalConfirmed,
       isTeamCountConfirmed: this._isTeamCountConfirmed,
@@ -124,6 +131,14 @@ export class MemberModel extends EventEmitter {
     return [...this._members];
   }
   
+  /**
+   * PM 지원자 목록 반환
+   * @returns {Array<string>} PM 지원자 멤버 ID 목록
+   */
+  getPMVolunteers() {
+    return [...this._pmVolunteers];
+  }
+  
   /**
    * 총원수 반환
    * @returns {number} 총원수
@@ -221,10 +236,7 @@ export class MemberModel extends EventEmitter {
       return false;
     }
     
-    store.dispatch({
-      type: ACTION_TYPES.ADD_MEMBER,
-      payload: { memberName: name.trim() }
-    });
+    store.dispatch(addMemberAction(name));
     
     // 상태 변경 확인
     return store.getState().members.length > this._members.length;
@@ -244,7 +256,7 @@ export class MemberModel extends EventEmitter {
     
     store.dispatch({
       type: ACTION_TYPES.DELETE_MEMBER,
-      payload: { index }
+      payload: { memberId: this._members[index].id }
     });
     
     // 상태 변경 확인
@@ -252,33 +264,23 @@ export class MemberModel extends EventEmitter {
   }
   
   /**
-   * 멤버 이름 업데이트
+   * 멤버 프로필 수정
    * @param {number} index - 수정할 멤버 인덱스
-   * @param {string} newSuffix - 새 접미사
+   * @param {{name?: string, role?: string, notes?: string}} changes - 바꿀 프로필 항목 (빈 값이면 항목 삭제)
    * @returns {boolean} 성공 여부
    */
-  updateMemberName(index, newSuffix) {
+  updateMemberProfile(index, changes) {
     if (index < 0 || index >= this._members.length) {
       return false;
     }
     
-    const member = this._members[index];
-    let baseName = member;
-    
-    // 기존에 접미사가 있는지 확인
-    if (typeof member === 'string' && member.includes('-')) {
-      baseName = member.split('-')[0];
-    }
-    
-    // 새 이름 생성
-    let newName = baseName;
-    if (newSuffix && newSuffix.trim() !== '') {
-      newName = `${baseName}-${newSuffix.trim()}`;
+    if (changes.name !== undefined && changes.name.trim() === '') {
+      return false;
     }
     
     store.dispatch({
       type: ACTION_TYPES.EDIT_MEMBER,
-      payload: { index, newName }
+      payload: { memberId: this._members[index].id, changes }
     });
     
     // 편집 모드 종료
@@ -286,4 +288,46 @@ export class MemberModel extends EventEmitter {
     
     return true;
   }
+  
+  /**
+   * 멤버 실력 점수 설정
+   * @param {number} index - 점수를 설정할 멤버 인덱스
+   * @param {number|null} rating - 실력 점수 (null이면 점수 삭제)
+   * @returns {boolean} 성공 여부
+   */
+  setMemberRating(index, rating) {
+    if (index < 0 || index >= this._members.length) {
+      return false;
+    }
+    
+    if (rating !== null && (!Number.isFinite(rating) || rating < 0)) {
+      return false;
+    }
+    
+    store.dispatch({
+      type: ACTION_TYPES.SET_MEMBER_RATING,
+      payload: { memberId: this._members[index].id, rating }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * 멤버 PM 지원 여부 설정
+   * @param {number} index - 멤버 인덱스
+   * @param {boolean} isVolunteer - PM 지원 여부
+   * @returns {boolean} 성공 여부
+   */
+  setPMVolunteer(index, isVolunteer) {
+    if (index < 0 || index >= this._members.length) {
+      return false;
+    }
+    
+    store.dispatch({
+      type: ACTION_TYPES.TOGGLE_PM_VOLUNTEER,
+      payload: { memberId: this._members[index].id, isVolunteer: Boolean(isVolunteer) }
+    });
+    
+    return true;
+  }
 } 
\ No newline at end of file
@@ -39,6 +39,7 @@ export class MemberListView {
       
       const {
         members = [],
+        pmVolunteers = [],
         editingIndex = -1,
         totalMembers = 0,
         isTotalConfirmed = false,
@@ -59,7 +60,7 @@ export class MemberListView {
         memberListHtml = this._renderEmptyState(isInputActive);
       } else {
         try {
-          memberListHtml = this.memoizedRenderMemberList(members, editingIndex);
+          memberListHtml = this.memoizedRenderMemberList(members, editingIndex, pmVolunteers);
         } catch (error) {
           console.error('MemberListView: 멤버 렌더링 실패', error);
           memberListHtml = `<div class="error-message">멤버 목록을 표시하는 중 오류가 발생했습니다.</div>`;
@@ -240,13 +241,8 @@ export class MemberListView {
             font-weight: 500;
           }
           
-          .member-suffix-numeric {
-            color: #4a6e5a;
-            font-weight: 400;
-            opacity: 0.9;
-          }
-          
-          .member-suffix-text {
+          .member-role,
+          .member-tag {
             color: rgba(255, 255, 255, 0.6);
             font-weight: 400;
             background-color: rgba(255, 255, 255, 0.08);
@@ -255,6 +251,20 @@ export class MemberListView {
             font-size: 13px;
           }
           
+          .member-role {
+            color: #8fbf9f;
+          }
+          
+          .member-notes {
+            max-width: 160px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            color: rgba(255, 255, 255, 0.5);
+            font-weight: 400;
+            font-size: 13px;
+          }
+          
           .member-item__actions {
             display: flex;
             gap: 8px;
@@ -305,8 +315,8 @@ export class MemberListView {
             width: 100%;
           }
           
-          .suffix-input {
-            margin: 0 8px;
+          .profile-input {
+            margin: 0 8px 0 0;
             padding: 8px 12px;
             border: 1px solid rgba(255, 255, 255, 0.1);
             border-radius: 4px;
@@ -316,7 +326,7 @@ export class MemberListView {
             transition: all 0.2s ease;
           }
           
-          .suffix-input:focus {
+          .profile-input:focus {
             outline: none;
             border-color: #4a6e5a;
             box-shadow: 0 0 0 2px rgba(74, 110, 90, 0.25);
@@ -358,7 +368,7 @@ export class MemberListView {
             background-color: rgba(255, 255, 255, 0.1);
           }
           
-          .suffix-help {
+          .profile-help {
             font-size: 12px;
             color: rgba(255, 255, 255, 0.5);
             margin-top: 8px;
@@ -399,6 +409,30 @@ export class MemberListView {
             background-color: rgba(255, 255, 255, 0.1);
           }
           
+          .rating-input {
+            width: 56px;
+            padding: 4px 6px;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 4px;
+            background-color: rgba(255, 255, 255, 0.06);
+            color: #ffffff;
+            font-size: 12px;
+          }
+          
+          .rating-input:focus {
+            outline: none;
+            border-color: #4a6e5a;
+          }
+          
+          .volunteer-toggle {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.7);
+            cursor: pointer;
+          }
+          
           .delete-button {
             color: #fff;
             background-color: rgba(239, 68, 68, 0.2);
@@ -528,7 +562,7 @@ export class MemberListView {
     // 편집 모드 요소
     if (this.container.querySelector('.edit-container')) {
       this.elements.editContainer = this.container.querySelector('.edit-container');
-      this.elements.suffixInput = this.container.querySelector('.suffix-input');
+      this.elements.profileInputs = Array.from(this.container.querySelectorAll('.profile-input'));
       this.elements.confirmButton = this.container.querySelector('.confirm-button');
       this.elements.cancelButton = this.container.querySelector('.cancel-button');
     }
@@ -723,9 +757,11 @@ export class MemberListView {
    * @param {Object} handlers - 이벤트 핸들러 객체
    * @param {Function} handlers.onDelete - 삭제 버튼 클릭 핸들러
    * @param {Function} handlers.onEdit - 편집 버튼 클릭 핸들러
+   * @param {Function} [handlers.onRatingChange] - 실력 점수 변경 핸들러
+   * @param {Function} [handlers.onVolunteerChange] - PM 지원 여부 변경 핸들러
    */
   bindMemberEvents(handlers) {
-    const { onDelete, onEdit } = handlers;
+    const { onDelete, onEdit, onRatingChange, onVolunteerChange } = handlers;
     
     // 이벤트 위임 패턴 사용
     if (onDelete) {
@@ -745,12 +781,40 @@ export class MemberListView {
         }
       });
     }
+    
+    if (onRatingChange) {
+      this.on('change', '.rating-input', (e, target) => {
+        const index = parseInt(target.dataset.index, 10);
+        if (!isNaN(index)) {
+          const value = target.value.trim();
+          onRatingChange(index, value === '' ? null : Number(value), e);
+        }
+      });
+    }
+    
+    if (onVolunteerChange) {
+      this.on('change', '.volunteer-input', (e, target) => {
+        const index = parseInt(target.dataset.index, 10);
+        if (!isNaN(index)) {
+          onVolunteerChange(index, target.checked, e);
+        }
+      });
+    }
+  }
+  
+  /**
+   * 편집 폼에 입력한 프로필 값 가져오기
+   * @returns {{name: string, role: string, notes: string}} 입력 필드별 값
+   */
+  getProfileInputValues() {
+    return Object.fromEntries((this.elements.profileInputs || [])
+      .map(input => [input.dataset.field, input.value.trim()]));
   }
   
   /**
    * 편집 모드 이벤트 리스너 등록
    * @param {Object} handlers - 이벤트 핸들러 객체
-   * @param {Function} handlers.onConfirm - 확인 버튼 클릭 핸들러
+   * @param {Function} handlers.onConfirm - 확인 버튼 클릭 핸들러 (입력한 프로필 값을 받음)
    * @param {Function} handlers.onCancel - 취소 버튼 클릭 핸들러
    */
   bindEditModeEvents(handlers) {
@@ -759,7 +823,7 @@ export class MemberListView {
     if (this.elements.confirmButton && onConfirm) {
       this.on('click', '.confirm-button', (e) => {
         e.preventDefault();
-        onConfirm(this.elements.suffixInput ? this.elements.suffixInput.value : '');
+        onConfirm(this.getProfileInputValues());
       });
     }
     
@@ -771,20 +835,20 @@ export class MemberListView {
     }
     
     // 편집 모드에서 키보드 이벤트
-    if (this.elements.suffixInput) {
-      this.elements.suffixInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && onConfirm) {
+    (this.elements.profileInputs || []).forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.isComposing && onConfirm) {
           e.preventDefault();
-          onConfirm(this.elements.suffixInput.value);
+          onConfirm(this.getProfileInputValues());
         } else if (e.key === 'Escape' && onCancel) {
           e.preventDefault();
           onCancel();
         }
       });
-      
-      // 자동 포커스
-      this.elements.suffixInput.focus();
-    }
+    });
+    
+    // 이름 입력 필드에 자동 포커스
+    this.elements.profileInputs?.[0]?.focus();
   }
   
   /**
@@ -3,66 +3,35 @@
  * @description 멤버 목록 렌더링을 담당하는 모듈
  */
 
+import { escapeHtml } from '../utils/stringUtils.js';
+
 /**
- * 멤버 이름 파싱 및 표시
- * @param {Object|string} member - 멤버 객체 또는 문자열
+ * 멤버 이름과 역할, 태그, 메모 표시
+ * @param {Object} member - 멤버 프로필
  * @returns {string} HTML 마크업
  */
-const renderMemberName = (member) => {
-  // 객체 형태로 변환된 구조 지원
-  if (typeof member === 'object' && member !== null) {
-    const baseName = member.name || "";
-    const suffix = member.suffix || "";
-    
-    if (!suffix) {
-      return `<span class="member-name">${baseName}</span>`;
-    }
-    
-    // 접미사가 숫자인지 문자열인지 확인
-    const isSuffixNumeric = !isNaN(suffix);
-    const suffixClass = isSuffixNumeric ? "member-suffix-numeric" : "member-suffix-text";
-    
-    return `<span class="member-name">${baseName}</span><span class="${suffixClass}">-${suffix}</span>`;
-  }
-  
-  // 기존 문자열 형태 지원 (하위 호환성)
-  const name = String(member || "");
-  
-  // 이름과 접미사 분리 (접미사가 있는 경우)
-  if (!name.includes("-")) {
-    return `<span class="member-name">${name}</span>`;
-  }
-  
-  const parts = name.split("-");
-  const baseName = parts[0];
-  const suffix = parts[1] || "";
-  
-  // 접미사가 숫자인지 문자열인지 확인
-  const isSuffixNumeric = !isNaN(suffix);
-  
-  // 시각적 구분을 위해 접미사 표시 방식 변경
-  const suffixClass = isSuffixNumeric ? "member-suffix-numeric" : "member-suffix-text";
-  
-  return `<span class="member-name">${baseName}</span><span class="${suffixClass}">-${suffix}</span>`;
-};
+const renderMemberProfile = ({ name, role, tags = [], notes }) => `
+  <span class="member-name">${escapeHtml(name)}</span>
+  ${role ? `<span class="member-role">${escapeHtml(role)}</span>` : ''}
+  ${tags.map(tag => `<span class="member-tag">${escapeHtml(tag)}</span>`).join('')}
+  ${notes ? `<span class="member-notes" title="${escapeHtml(notes)}">${escapeHtml(notes)}</span>` : ''}
+`;
 
 /**
  * 멤버 항목 렌더링
- * @param {Object|string} member - 멤버 객체 또는 문자열
+ * @param {Object} member - 멤버 프로필 ({ id, name, rating?, role?, tags?, notes? })
  * @param {number} index - 멤버 인덱스
  * @param {number} editingIndex - 현재 편집 중인 멤버 인덱스
+ * @param {Array<string>} [volunteers=[]] - PM 지원자 멤버 ID 목록
  * @returns {string} HTML 마크업
  */
-const renderMemberItem = (member, index, editingIndex) => {
-  if (member === null || member === undefined) {
+const renderMemberItem = (member, index, editingIndex, volunteers = []) => {
+  if (!member || typeof member !== 'object') {
     console.error('유효하지 않은 멤버 데이터:', member, 'index:', index);
     return '';
   }
 
-  // 멤버 데이터 추출
-  const isObject = typeof member === 'object' && member !== null;
-  const memberName = isObject ? member.name : member;
-  const memberSuffix = isObject ? member.suffix || "" : "";
+  const name = escapeHtml(member.name);
   
   // 편집 중인 상태인지 확인
   const isEditing = index === editingIndex;
@@ -72,30 +41,49 @@ const renderMemberItem = (member, index, editingIndex) => {
     return `
       <li class="member-item editing" data-index="${index}">
         <div class="edit-container">
-          <span class="member-name">${memberName}-</span>
-          <input type="text" class="suffix-input" value="${memberSuffix}" placeholder="특징 또는 숫자">
+          <input type="text" class="profile-input" data-field="name" value="${name}" placeholder="이름" aria-label="이름">
+          <input type="text" class="profile-input" data-field="role" value="${escapeHtml(member.role ?? '')}" placeholder="역할 (예: 프론트엔드)" aria-label="역할">
+          <input type="text" class="profile-input" data-field="notes" value="${escapeHtml(member.notes ?? '')}" placeholder="메모" aria-label="메모">
           <div class="edit-actions">
             <button class="btn btn--small confirm-button">확인</button>
             <button class="btn btn--small btn--secondary cancel-button">취소</button>
           </div>
-          <div class="suffix-help">숫자 또는 특징(예: 안경쓴, 키큰)을 입력하세요</div>
+          <div class="profile-help">이름이 같은 멤버는 역할이나 메모로 구분할 수 있습니다. 비운 항목은 지워집니다.</div>
         </div>
       </li>
     `;
   }
   
   // 일반 모드
-  const displayName = isObject 
-    ? `${memberName}${memberSuffix ? `-${memberSuffix}` : ""}` 
-    : memberName;
+  const isVolunteer = volunteers.includes(member.id);
   
   return `
     <li class="member-item" data-index="${index}">
       <span class="member-item__name">
-        ${renderMemberName(member)}
+        ${renderMemberProfile(member)}
         <button class="btn btn--small edit-button" data-index="${index}">수정</button>
       </span>
       <div class="member-item__actions">
+        <input
+          type="number"
+          class="rating-input"
+          data-index="${index}"
+          min="0"
+          step="1"
+          value="${member.rating ?? ''}"
+          placeholder="점수"
+          aria-label="${name} 실력 점수"
+        >
+        <label class="volunteer-toggle">
+          <input
+            type="checkbox"
+            class="volunteer-input"
+            data-index="${index}"
+            ${isVolunteer ? 'checked' : ''}
+            aria-label="${name} PM 지원"
+          >
+          PM 지원
+        </label>
         <button class="btn btn--small btn--danger delete-button" data-index="${index}">삭제</button>
       </div>
     </li>
@@ -121,11 +109,12 @@ const renderEmptyMemberList = () => {
 /**
  * @function renderMemberList
  * @description 멤버 목록(가운데 영역)의 innerHTML 템플릿을 반환합니다.
- * @param {Array} members - 멤버 배열 (객체 또는 문자열 형태)
+ * @param {Array<Object>} members - 멤버 프로필 배열
  * @param {number} editingIndex - 현재 편집 중인 멤버 인덱스 (-1이면 편집 중이 아님)
+ * @param {Array<string>} [volunteers=[]] - PM 지원자 멤버 ID 목록
  * @returns {string} HTML
  */
-export const renderMemberList = (members = [], editingIndex = -1) => {
+export const renderMemberList = (members = [], editingIndex = -1, volunteers = []) => {
   // 멤버 배열 확인
   if (!Array.isArray(members)) {
     console.error("renderMemberList: members가 배열이 아닙니다.", members);
@@ -140,7 +129,7 @@ export const renderMemberList = (members = [], editingIndex = -1) => {
   // 멤버 목록 항목 생성 - 유효하지 않은 항목 필터링
   const listItems = members
     .map((member, index) => 
-      renderMemberItem(member, index, editingIndex)
+      renderMemberItem(member, index, editingIndex, volunteers)
     )
     .filter(item => item) // 빈 문자열 필터링
     .join("");
@@ -1,14 +1,30 @@
 /**
  * @file actions.js
  * @description 애플리케이션의 액션 타입과 액션 생성자 함수를 정의합니다.
+ *
+ * 멤버는 { id, name, ...프로필 } 객체이며, 멤버를 가리키는 액션은 이름 대신 멤버 ID를 받습니다.
+ * 멤버 ID는 리듀서가 같은 액션으로 언제나 같은 상태를 만들도록(실행 취소/다시 실행) 액션 생성자에서 만듭니다.
  */
 
+import { createMember } from '../utils/memberUtils.js';
+
 // 액션 타입 상수
 export const ACTION_TYPES = {
   // 멤버 관련 액션
   ADD_MEMBER: 'ADD_MEMBER',
+  IMPORT_MEMBERS: 'IMPORT_MEMBERS',
   DELETE_MEMBER: 'DELETE_MEMBER',
   EDIT_MEMBER: 'EDIT_MEMBER',
+  SET_MEMBER_RATING: 'SET_MEMBER_RATING',
+  TOGGLE_PM_VOLUNTEER: 'TOGGLE_PM_VOLUNTEER',
+  
+  // 배정 규칙 관련 액션
+  ADD_CONSTRAINT: 'ADD_CONSTRAINT',
+  REMOVE_CONSTRAINT: 'REMOVE_CONSTRAINT',
+  
+  // 역할 조건 관련 액션
+  SET_ROLE_REQUIREMENT: 'SET_ROLE_REQUIREMENT',
+  REMOVE_ROLE_REQUIREMENT: 'REMOVE_ROLE_REQUIREMENT',
   
   // 총원 설정 관련 액션
   SET_TOTAL_MEMBERS: 'SET_TOTAL_MEMBERS',
@@ -19,9 +35,23 @@ export const ACTION_TYPES = {
   SET_TEAM_COUNT: 'SET_TEAM_COUNT',
   CONFIRM_TEAM_COUNT: 'CONFIRM_TEAM_COUNT',
   RESET_TEAM_COUNT: 'RESET_TEAM_COUNT',
+  SET_DISTRIBUTION_STRATEGY: 'SET_DISTRIBUTION_STRATEGY',
+  SET_PAIR_HISTORY: 'SET_PAIR_HISTORY',
+  SET_PM_POLICY: 'SET_PM_POLICY',
+  SET_PM_HISTORY: 'SET_PM_HISTORY',
+  
+  // 팀 결과 수동 조정 관련 액션
+  MOVE_MEMBER: 'MOVE_MEMBER',
+  SET_MEMBER_LOCK: 'SET_MEMBER_LOCK',
+  SET_TEAM_LOCK: 'SET_TEAM_LOCK',
+  
+  // 실시간 공유 세션 관련 액션
+  SET_LIVE_SESSION: 'SET_LIVE_SESSION',
+  SYNC_LIVE_STATE: 'SYNC_LIVE_STATE',
   
   // 기타 액션
   RESET_STATE: 'RESET_STATE',
+  RESTORE_SESSION: 'RESTORE_SESSION',
   SET_MEMBERS: 'SET_MEMBERS',
   DISTRIBUTE_TEAMS: 'DISTRIBUTE_TEAMS',
   RESET: 'RESET',
@@ -33,34 +63,115 @@ export const ACTION_TYPES = {
 /**
  * 멤버 추가 액션 생성자
  * @param {string} memberName - 추가할 멤버 이름
- * @returns {Object} 액션 객체
+ * @param {Object} [profile={}] - 선택 속성 (rating, role, gender, tags, notes)
+ * @returns {Object} 액션 객체 (payload.member에 새 ID가 붙은 멤버)
  */
-export const addMember = (memberName) => ({
+export const addMember = (memberName, profile = {}) => ({
   type: ACTION_TYPES.ADD_MEMBER,
   payload: { 
-    memberName
+    member: createMember(memberName ?? '', profile)
+  }
+});
+
+/**
+ * 멤버 일괄 추가 액션 생성자
+ * @param {Array<{name: string, rating?: number, role?: string, gender?: string, tags?: Array<string>, notes?: string}>} entries - 가져올 멤버 목록
+ * @returns {Object} 액션 객체 (payload.members에 새 ID가 붙은 멤버 목록)
+ */
+export const importMembers = (entries) => ({
+  type: ACTION_TYPES.IMPORT_MEMBERS,
+  payload: {
+    members: entries
+      .filter(entry => typeof entry?.name === 'string')
+      .map(({ id, ...entry }) => createMember(entry.name, entry))
   }
 });
 
 /**
  * 멤버 삭제 액션 생성자
- * @param {number} index - 삭제할 멤버의 인덱스
+ * @param {string} memberId - 삭제할 멤버 ID
  * @returns {Object} 액션 객체
  */
-export const deleteMember = (index) => ({
+export const deleteMember = (memberId) => ({
   type: ACTION_TYPES.DELETE_MEMBER,
-  payload: { index }
+  payload: { memberId }
 });
 
 /**
- * 멤버 이름 수정 액션 생성자
- * @param {number} index - 수정할 멤버의 인덱스
- * @param {string} newName - 새로운 멤버 이름
+ * 멤버 이름과 프로필 수정 액션 생성자
+ * @param {string} memberId - 수정할 멤버 ID
+ * @param {Object} changes - 바꿀 값 (name, rating, role, gender, tags, notes / 빈 값이면 속성 삭제)
  * @returns {Object} 액션 객체
  */
-export const editMember = (index, newName) => ({
+export const editMember = (memberId, changes) => ({
   type: ACTION_TYPES.EDIT_MEMBER,
-  payload: { index, newName }
+  payload: { memberId, changes }
+});
+
+/**
+ * 멤버 실력 점수 설정 액션 생성자
+ * @param {string} memberId - 점수를 설정할 멤버 ID
+ * @param {number|null} rating - 실력 점수 (null이면 점수 삭제)
+ * @returns {Object} 액션 객체
+ */
+export const setMemberRating = (memberId, rating) => ({
+  type: ACTION_TYPES.SET_MEMBER_RATING,
+  payload: { memberId, rating }
+});
+
+/**
+ * PM 지원 여부 전환 액션 생성자
+ * @param {string} memberId - 지원 여부를 바꿀 멤버 ID
+ * @param {boolean} isVolunteer - PM 지원 여부
+ * @returns {Object} 액션 객체
+ */
+export const togglePMVolunteer = (memberId, isVolunteer) => ({
+  type: ACTION_TYPES.TOGGLE_PM_VOLUNTEER,
+  payload: { memberId, isVolunteer }
+});
+
+/**
+ * 배정 규칙 추가 액션 생성자
+ * @param {string} type - 규칙 종류 ('together': 같은 팀, 'apart': 다른 팀)
+ * @param {Array<string>} members - 규칙을 적용할 두 멤버 ID
+ * @returns {Object} 액션 객체
+ */
+export const addConstraint = (type, members) => ({
+  type: ACTION_TYPES.ADD_CONSTRAINT,
+  payload: { type, members }
+});
+
+/**
+ * 배정 규칙 삭제 액션 생성자
+ * @param {number} index - 삭제할 규칙의 인덱스
+ * @returns {Object} 액션 객체
+ */
+export const removeConstraint = (index) => ({
+  type: ACTION_TYPES.REMOVE_CONSTRAINT,
+  payload: { index }
+});
+
+/**
+ * 역할 조건 설정 액션 생성자 (같은 팀에 같은 역할의 조건이 있으면 대체)
+ * @param {string} role - 역할
+ * @param {number} min - 팀마다 필요한 최소 인원
+ * @param {number|null} [max=null] - 팀마다 허용하는 최대 인원 (null이면 제한 없음)
+ * @param {number|null} [team=null] - 조건을 적용할 팀 인덱스 (null이면 모든 팀)
+ * @returns {Object} 액션 객체
+ */
+export const setRoleRequirement = (role, min, max = null, team = null) => ({
+  type: ACTION_TYPES.SET_ROLE_REQUIREMENT,
+  payload: { role, min, max, team }
+});
+
+/**
+ * 역할 조건 삭제 액션 생성자
+ * @param {number} index - 삭제할 역할 조건의 인덱스
+ * @returns {Object} 액션 객체
+ */
+export const removeRoleRequirement = (index) => ({
+  type: ACTION_TYPES.REMOVE_ROLE_REQUIREMENT,
+  payload: { index }
 });
 
 /**
@@ -123,6 +234,16 @@ export const resetState = () => ({
   type: ACTION_TYPES.RESET_STATE
 });
 
+/**
+ * 저장된 이전 세션 복원 액션 생성자
+ * @param {Object} state - 복원할 상태 (store/persistence.js에서 저장하는 값만 포함)
+ * @returns {Object} 액션 객체
+ */
+export const restoreSession = (state) => ({
+  type: ACTION_TYPES.RESTORE_SESSION,
+  payload: { state }
+});
+
 /**
  * 팀 분배 액션
  */
@@ -139,12 +260,115 @@ export const reset = () => ({
 
 /**
  * 팀 설정 액션 생성
- * @param {Array} teams - 팀 배열
+ * @param {Array<Array<string>>} teams - 팀별 멤버 ID 배열
  * @param {boolean} isDistributed - 분배 완료 여부
+ * @param {string|number|null} [seed=null] - 분배에 사용한 셔플 시드
+ * @param {Array<Object>} [violations=[]] - 지키지 못한 배정 규칙
+ * @param {Array<string|null>} [pms=[]] - 팀 순서대로 선출된 PM의 멤버 ID
+ * @param {string|null} [distributionId=null] - 서버에서 분배받은 결과 ID
  */
-export const setTeams = (teams, isDistributed = true) => ({
+export const setTeams = (teams, isDistributed = true, seed = null, violations = [], pms = [], distributionId = null) => ({
   type: ACTION_TYPES.SET_TEAMS,
-  payload: { teams, isDistributed }
+  payload: { teams, isDistributed, seed, violations, pms, distributionId }
+});
+
+/**
+ * 팀 분배 전략 설정 액션 생성자
+ * @param {string} strategy - 분배 전략 ('random', 'balanced')
+ * @returns {Object} 액션 객체
+ */
+export const setDistributionStrategy = (strategy) => ({
+  type: ACTION_TYPES.SET_DISTRIBUTION_STRATEGY,
+  payload: { strategy }
+});
+
+/**
+ * 과거 짝 이력 설정 액션 생성자
+ * @param {Array<{members: Array<string>, count: number}>} pairs - 짝별로 같은 팀이었던 횟수 목록
+ * @param {number} distributionCount - 이력에 포함된 과거 분배 수
+ * @returns {Object} 액션 객체
+ */
+export const setPairHistory = (pairs, distributionCount) => ({
+  type: ACTION_TYPES.SET_PAIR_HISTORY,
+  payload: { pairs, distributionCount }
+});
+
+/**
+ * PM 선출 방식 설정 액션 생성자
+ * @param {string} policy - PM 선출 방식 ('random', 'least-recent', 'volunteer')
+ * @returns {Object} 액션 객체
+ */
+export const setPMPolicy = (policy) => ({
+  type: ACTION_TYPES.SET_PM_POLICY,
+  payload: { policy }
+});
+
+/**
+ * 과거 PM 이력 설정 액션 생성자
+ * @param {Array<Array<string>>} pmHistory - 과거 분배별 PM 이름 목록 (오래된 순)
+ * @returns {Object} 액션 객체
+ */
+export const setPMHistory = (pmHistory) => ({
+  type: ACTION_TYPES.SET_PM_HISTORY,
+  payload: { pmHistory }
+});
+
+/**
+ * 분배된 팀 사이에서 멤버를 옮기는 액션 생성자
+ * @param {string} memberId - 옮길 멤버 ID
+ * @param {number} toTeamIndex - 옮길 팀 인덱스
+ * @param {number|null} [toPosition=null] - 옮길 팀 안에서의 위치 (null이면 맨 뒤)
+ * @returns {Object} 액션 객체
+ */
+export const moveMember = (memberId, toTeamIndex, toPosition = null) => ({
+  type: ACTION_TYPES.MOVE_MEMBER,
+  payload: { memberId, toTeamIndex, toPosition }
+});
+
+/**
+ * 멤버를 팀에 고정(재구성해도 같은 팀에 남음)하거나 고정을 해제하는 액션 생성자
+ * @param {string} memberId - 멤버 ID
+ * @param {number|null} teamIndex - 고정할 팀 인덱스 (null이면 고정 해제)
+ * @returns {Object} 액션 객체
+ */
+export const setMemberLock = (memberId, teamIndex) => ({
+  type: ACTION_TYPES.SET_MEMBER_LOCK,
+  payload: { memberId, teamIndex }
+});
+
+/**
+ * 팀을 고정(재구성해도 멤버가 그대로 남음)하거나 고정을 해제하는 액션 생성자
+ * @param {number} teamIndex - 팀 인덱스
+ * @param {boolean} isLocked - 고정 여부
+ * @returns {Object} 액션 객체
+ */
+export const setTeamLock = (teamIndex, isLocked) => ({
+  type: ACTION_TYPES.SET_TEAM_LOCK,
+  payload: { teamIndex, isLocked }
+});
+
+/**
+ * 실시간 공유 세션 연결 정보 설정 액션 생성자
+ * @param {Object|null} liveSession - 세션 정보 (null이면 세션에서 나감)
+ * @param {string} liveSession.id - 세션 코드
+ * @param {string} liveSession.role - 'host'(진행자) 또는 'participant'(참가자)
+ * @param {string} liveSession.status - 'connecting', 'open', 'reconnecting', 'ended'
+ * @param {number} [liveSession.participantCount=0] - 연결한 참가자 수
+ * @returns {Object} 액션 객체
+ */
+export const setLiveSession = (liveSession) => ({
+  type: ACTION_TYPES.SET_LIVE_SESSION,
+  payload: { liveSession }
+});
+
+/**
+ * 진행자가 공유한 상태를 참가자 화면에 반영하는 액션 생성자
+ * @param {Object} state - 공유된 상태 (store/liveSession.js의 LIVE_SHARED_KEYS 값)
+ * @returns {Object} 액션 객체
+ */
+export const syncLiveState = (state) => ({
+  type: ACTION_TYPES.SYNC_LIVE_STATE,
+  payload: { state }
 });
 
 // 액션 생성자 객체
@@ -154,12 +378,29 @@ export const actionCreators = {
   setTotalMembers,
   confirmTotalMembers,
   addMember,
+  importMembers,
   deleteMember,
   editMember,
+  setMemberRating,
+  togglePMVolunteer,
+  addConstraint,
+  removeConstraint,
+  setRoleRequirement,
+  removeRoleRequirement,
   resetTotalMembers,
   resetTeamCount,
   resetState,
+  restoreSession,
   distributeTeams,
   reset,
-  setTeams
+  setTeams,
+  setDistributionStrategy,
+  setPairHistory,
+  setPMPolicy,
+  setPMHistory,
+  moveMember,
+  setMemberLock,
+  setTeamLock,
+  setLiveSession,
+  syncLiveState
 }; 
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 import store from './index.js';
+import { shallowEqual } from './createStore.js';
 
 /**
  * 컴포넌트와 스토어를 연결하는 고차 함수
@@ -50,7 +51,7 @@ export const connect = (options = {}) => {
       // 초기 상태 설정
       this._updateStateProps();
       
-      // 스토어 구독
+      // 스토어 구독 (매핑한 props가 바뀔 때만 알림)
       this._unsubscribeStore = store.subscribe(
         this._handleStateChange.bind(this),
         this._createSelector()
@@ -210,38 +211,6 @@ function defaultMergeProps(stateProps, dispatchProps, ownProps) {
   };
 }
 
-/**
- * 얕은 비교 함수
- * @private
- */
-function shallowEqual(objA, objB) {
-  if (objA === objB) {
-    return true;
-  }
-  
-  if (typeof objA !== 'object' || objA === null ||
-      typeof objB !== 'object' || objB === null) {
-    return false;
-  }
-  
-  const keysA = Object.keys(objA);
-  const keysB = Object.keys(objB);
-  
-  if (keysA.length !== keysB.length) {
-    return false;
-  }
-  
-  for (let i = 0; i < keysA.length; i++) {
-    const key = keysA[i];
-    
-    if (!objB.hasOwnProperty(key) || objA[key] !== objB[key]) {
-      return false;
-    }
-  }
-  
-  return true;
-}
-
 /**
  * 경로로 객체의 중첩된 값 가져오기
  * @private
@@ -0,0 +1,220 @@
+/**
+ * @file createStore.js
+ * @description 리듀서 하나로 상태를 관리하는 스토어 생성 함수와 미들웨어 적용 인핸서
+ *
+ * 구독자는 dispatch 한 번에 한 번만 알림을 받습니다.
+ * 미들웨어가 액션 처리 앞뒤로 상태를 바꾸더라도(이력 이동 등) 모든 미들웨어가 끝난 뒤에 알립니다.
+ */
+
+/**
+ * 스토어를 만들 때 초기 상태를 계산하기 위해 디스패치하는 내부 액션
+ * @constant {string}
+ */
+export const INIT_ACTION_TYPE = '@@INIT';
+
+/**
+ * 얕은 비교 (객체는 1단계 값까지 비교)
+ * @param {*} objA - 비교할 값
+ * @param {*} objB - 비교할 값
+ * @returns {boolean} 같으면 true
+ */
+export const shallowEqual = (objA, objB) => {
+  if (Object.is(objA, objB)) {
+    return true;
+  }
+
+  if (typeof objA !== 'object' || objA === null ||
+      typeof objB !== 'object' || objB === null) {
+    return false;
+  }
+
+  const keysA = Object.keys(objA);
+  const keysB = Object.keys(objB);
+
+  return keysA.length === keysB.length &&
+    keysA.every(key => Object.prototype.hasOwnProperty.call(objB, key) && Object.is(objA[key], objB[key]));
+};
+
+/**
+ * 함수들을 오른쪽부터 차례로 적용하는 함수로 합칩니다.
+ * @param {...Function} funcs - 합칠 함수
+ * @returns {Function} compose(f, g)(x) === f(g(x))
+ */
+export const compose = (...funcs) => {
+  if (funcs.length === 0) {
+    return arg => arg;
+  }
+  return funcs.reduce((a, b) => (...args) => a(b(...args)));
+};
+
+/**
+ * 스토어를 생성합니다.
+ * @param {Function} reducer - (state, action) => nextState
+ * @param {Object|Function|Array<Function>} [preloadedState] - 초기 상태 (생략하면 리듀서의 기본 상태)
+ * @param {Function|Array<Function>} [enhancers] - 스토어 인핸서 (applyMiddleware 등, 배열이면 앞에서부터 바깥쪽)
+ * @returns {Object} 스토어 (getState, setState, dispatch, subscribe, select, registerSelector, batch)
+ *
+ * @example
+ * const store = createStore(rootReducer, applyMiddleware(loggerMiddleware));
+ * store.subscribe(members => render(members), state => state.members);
+ * store.dispatch(addMember('피카츄'));
+ */
+export const createStore = (reducer, preloadedState, enhancers) => {
+  if (enhancers === undefined && (typeof preloadedState === 'function' || Array.isArray(preloadedState))) {
+    enhancers = preloadedState;
+    preloadedState = undefined;
+  }
+
+  if (enhancers !== undefined) {
+    const enhancer = Array.isArray(enhancers) ? compose(...enhancers) : enhancers;
+    return enhancer(createStore)(reducer, preloadedState);
+  }
+
+  let state = preloadedState;
+  let subscriptions = [];
+  let batchDepth = 0;
+  let hasPendingNotification = false;
+  const selectors = new Map();
+
+  const notifyListeners = () => {
+    if (batchDepth > 0) {
+      hasPendingNotification = true;
+      return;
+    }
+
+    // 알림 도중 구독/해지되어도 이번 알림 대상은 바뀌지 않도록 복사본으로 순회
+    subscriptions.slice().forEach(subscription => {
+      if (!subscription.selector) {
+        subscription.listener(state);
+        return;
+      }
+
+      const selected = subscription.selector(state);
+      if (!shallowEqual(selected, subscription.selected)) {
+        subscription.selected = selected;
+        subscription.listener(state, selected);
+      }
+    });
+  };
+
+  const store = {
+    getState: () => state,
+
+    /**
+     * 상태를 통째로 바꾸고 구독자에게 알립니다. (이력 이동 등 리듀서를 거치지 않는 변경용)
+     * @param {Object} nextState - 새 상태
+     */
+    setState: (nextState) => {
+      state = nextState;
+      notifyListeners();
+    },
+
+    /**
+     * 액션을 리듀서로 처리하고 구독자에게 알립니다.
+     * @param {Object} action - type이 문자열인 액션 객체
+     * @returns {Object} 처리한 액션
+     * @throws {Error} 액션 형식이 잘못된 경우
+     */
+    dispatch: (action) => {
+      if (!action || typeof action.type !== 'string') {
+        throw new Error(`액션에는 문자열 type이 있어야 합니다: ${JSON.stringify(action)}`);
+      }
+
+      state = reducer(state, action);
+      notifyListeners();
+      return action;
+    },
+
+    /**
+     * 상태 변경을 구독합니다.
+     * 선택자를 함께 넘기면 선택한 값이 (얕은 비교로) 바뀔 때만 listener(state, selected)를 호출합니다.
+     * @param {Function} listener - 상태 변경 시 호출할 함수
+     * @param {Function} [selector] - 관심 있는 값을 고르는 함수
+     * @returns {Function} 구독 해지 함수
+     */
+    subscribe: (listener, selector) => {
+      const subscription = { listener, selector, selected: selector ? selector(state) : undefined };
+      subscriptions.push(subscription);
+
+      return () => {
+        subscriptions = subscriptions.filter(s => s !== subscription);
+      };
+    },
+
+    /**
+     * 현재 상태에 선택자를 적용합니다.
+     * @param {Function|string} selector - 선택자 함수 또는 registerSelector로 등록한 이름
+     * @param {...*} args - 선택자에 넘길 추가 인수
+     * @returns {*} 선택한 값
+     * @throws {Error} 등록되지 않은 이름인 경우
+     */
+    select: (selector, ...args) => {
+      const selectorFn = typeof selector === 'string' ? selectors.get(selector) : selector;
+      if (typeof selectorFn !== 'function') {
+        throw new Error(`등록되지 않은 선택자입니다: ${selector}`);
+      }
+      return selectorFn(state, ...args);
+    },
+
+    /**
+     * 이름으로 선택자를 등록합니다. store[name]()과 store.select(name)으로 사용할 수 있습니다.
+     * @param {string} name - 선택자 이름
+     * @param {Function} selector - (state, ...args) => 값
+     */
+    registerSelector: (name, selector) => {
+      selectors.set(name, selector);
+      store[name] = (...args) => store.select(name, ...args);
+    },
+
+    /**
+     * 콜백 안에서 일어난 상태 변경의 알림을 모아 콜백이 끝난 뒤 한 번만 보냅니다.
+     * @param {Function} callback - 실행할 함수
+     * @returns {*} 콜백 반환값
+     */
+    batch: (callback) => {
+      batchDepth++;
+      try {
+        return callback();
+      } finally {
+        batchDepth--;
+        if (batchDepth === 0 && hasPendingNotification) {
+          hasPendingNotification = false;
+          notifyListeners();
+        }
+      }
+    }
+  };
+
+  // 초기 상태가 없으면 리듀서의 기본 상태 사용
+  state = reducer(state, { type: INIT_ACTION_TYPE });
+
+  return store;
+};
+
+/**
+ * 미들웨어를 적용하는 스토어 인핸서를 만듭니다.
+ * 미들웨어는 store => next => action 형식이며 store로 { getState, setState, dispatch }를 받습니다.
+ * 미들웨어 안의 dispatch는 미들웨어 체인 처음부터 다시 처리합니다.
+ * @param {...Function} middlewares - 앞에서부터 바깥쪽에 놓이는 미들웨어
+ * @returns {Function} 스토어 인핸서
+ */
+export const applyMiddleware = (...middlewares) => (createStoreFn) => (reducer, preloadedState) => {
+  const store = createStoreFn(reducer, preloadedState);
+  let dispatch = () => {
+    throw new Error('미들웨어를 구성하는 중에는 액션을 디스패치할 수 없습니다.');
+  };
+
+  const middlewareAPI = {
+    getState: store.getState,
+    setState: store.setState,
+    dispatch: (action) => dispatch(action)
+  };
+  const chain = middlewares.map(middleware => middleware(middlewareAPI));
+  const dispatchThroughChain = compose(...chain)(store.dispatch);
+
+  // 구독자 알림은 모든 미들웨어가 끝난 뒤 한 번만
+  dispatch = (action) => store.batch(() => dispatchThroughChain(action));
+
+  store.dispatch = dispatch;
+  return store;
+};
@@ -0,0 +1,377 @@
+/**
+ * @file liveSession.js
+ * @description 진행자 화면의 멤버 목록과 팀 구성을 참가자 화면에 실시간으로 보여주는 공유 세션
+ *
+ * - 진행자: host()로 세션을 열면 공유할 값(LIVE_SHARED_KEYS)이 바뀔 때마다 POST /api/sessions/:id/state로 보냅니다.
+ * - 참가자: join(id)로 GET /api/sessions/:id/events 이벤트 스트림(Server-Sent Events)에 연결해
+ *   받은 상태를 스토어에 반영합니다. 연결이 끊기면 브라우저가 다시 연결하고 마지막 상태를 다시 받습니다.
+ * 참가 링크는 현재 주소에 ?session=<세션 코드>를 붙인 주소입니다.
+ *
+ * 참가 신청: 진행자가 setRegistrationOpen(true)로 신청을 열면 참가자가 신청 링크(?join=<세션 코드>)에서
+ * 자기 이름을 신청하고, 진행자는 대기 중인 신청을 주기적으로 받아 승인하거나 거절합니다.
+ * 승인한 신청은 진행자 화면의 명단에 추가되며, 명단이 총원을 채우면 서버가 신청을 마감합니다.
+ */
+
+import store from './index.js';
+import { setLiveSession, syncLiveState, importMembers } from './actions.js';
+import {
+  createLiveSession,
+  publishLiveState,
+  closeLiveSession,
+  updateLiveSession,
+  fetchJoinRequests,
+  reviewJoinRequest
+} from '../utils/api.js';
+
+/**
+ * 참가 링크에서 세션 코드를 담는 쿼리 파라미터
+ * @constant {string}
+ */
+export const LIVE_SESSION_PARAM = 'session';
+
+/**
+ * 신청 링크에서 세션 코드를 담는 쿼리 파라미터
+ * @constant {string}
+ */
+export const REGISTRATION_PARAM = 'join';
+
+/**
+ * 대기 중인 참가 신청을 다시 받아오는 간격(ms)
+ * @constant {number}
+ */
+const JOIN_REQUEST_POLL_INTERVAL = 3000;
+
+/**
+ * 참가자에게 공유하는 상태 키 (멤버 목록과 팀 구성)
+ * @constant {Array<string>}
+ */
+export const LIVE_SHARED_KEYS = [
+  'members',
+  'totalMembers',
+  'isTotalConfirmed',
+  'teamCount',
+  'isTeamCountConfirmed',
+  'teams',
+  'pms',
+  'isDistributed'
+];
+
+/**
+ * 마지막으로 만든 공유용 멤버 배열
+ * (멤버 ID와 이름이 그대로면 같은 배열을 돌려줘, 실력 점수나 메모만 바뀌었을 때 다시 보내지 않도록 함)
+ * @type {Array<{id: string, name: string}>}
+ */
+let lastSharedMembers = [];
+
+/**
+ * @param {Array<Object>} members - 멤버 프로필 배열
+ * @returns {Array<{id: string, name: string}>} 공유할 멤버 ID와 이름
+ */
+const toSharedMembers = (members) => {
+  const isUnchanged = members.length === lastSharedMembers.length &&
+    members.every(({ id, name }, index) => lastSharedMembers[index].id === id && lastSharedMembers[index].name === name);
+  if (!isUnchanged) {
+    lastSharedMembers = members.map(({ id, name }) => ({ id, name }));
+  }
+  return lastSharedMembers;
+};
+
+/**
+ * 상태에서 공유할 값만 골라냅니다.
+ * 멤버는 팀 구성을 표시할 ID와 이름만 공유합니다. (실력 점수, 메모 같은 프로필은 공유하지 않음)
+ * @param {Object} state - 스토어 상태
+ * @returns {Object} LIVE_SHARED_KEYS의 값만 담은 상태
+ */
+export const pickSharedState = (state) => {
+  return {
+    ...Object.fromEntries(LIVE_SHARED_KEYS.map(key => [key, state[key]])),
+    members: toSharedMembers(state.members)
+  };
+};
+
+/**
+ * 세션 참가 링크를 만듭니다.
+ * @param {string} id - 세션 코드
+ * @param {Location|URL} [location=globalThis.location] - 현재 주소
+ * @param {string} [param=LIVE_SESSION_PARAM] - 세션 코드를 담을 쿼리 파라미터
+ * @returns {string} 참가 링크
+ *
+ * @example
+ * getJoinUrl('K7QF2M', new URL('http://localhost:3030/?x=1#top'));
+ * // 'http://localhost:3030/?session=K7QF2M'
+ */
+export const getJoinUrl = (id, location = globalThis.location, param = LIVE_SESSION_PARAM) => {
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(param, id);
+  return url.toString();
+};
+
+/**
+ * 참가 신청 링크를 만듭니다.
+ * @param {string} id - 세션 코드
+ * @param {Location|URL} [location=globalThis.location] - 현재 주소
+ * @returns {string} 신청 링크
+ *
+ * @example
+ * getRegistrationUrl('K7QF2M', new URL('http://localhost:3030/'));
+ * // 'http://localhost:3030/?join=K7QF2M'
+ */
+export const getRegistrationUrl = (id, location = globalThis.location) => getJoinUrl(id, location, REGISTRATION_PARAM);
+
+/**
+ * 세션 코드 형식 (서버가 발급하는 영문 대문자와 숫자)
+ * @constant {RegExp}
+ */
+const SESSION_ID_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+/**
+ * 현재 주소에서 참가할 세션 코드를 읽습니다.
+ * @param {Location|URL} [location=globalThis.location] - 현재 주소
+ * @param {string} [param=LIVE_SESSION_PARAM] - 세션 코드를 담은 쿼리 파라미터 (신청 링크는 REGISTRATION_PARAM)
+ * @returns {string|null} 대문자 세션 코드 (참가 링크가 아니거나 형식이 맞지 않으면 null)
+ */
+export const getSessionIdFromUrl = (location = globalThis.location, param = LIVE_SESSION_PARAM) => {
+  const id = new URL(location.href).searchParams.get(param)?.trim().toUpperCase();
+  return id && SESSION_ID_PATTERN.test(id) ? id : null;
+};
+
+/**
+ * 세션 코드 형식이 맞는지 확인합니다. (직접 입력한 코드 확인용)
+ * @param {string} id - 대문자 세션 코드
+ * @returns {boolean} 형식이 맞으면 true
+ */
+export const isValidSessionId = (id) => SESSION_ID_PATTERN.test(id);
+
+/**
+ * 실시간 공유 세션 관리자를 만듭니다.
+ * 세션 연결 정보는 스토어의 liveSession({ id, role, status, participantCount })에 두고,
+ * 진행자는 참가 신청 상태(registration: { isOpen, remaining })와 대기 중인 신청(joinRequests)도 함께 둡니다.
+ * @param {Object} [options] - 옵션
+ * @param {Object} [options.store] - 스토어 (기본값: 앱 스토어)
+ * @param {Object} [options.api] - 서버 요청 함수
+ *   ({ create, publish, close, update, listJoinRequests, reviewJoinRequest }, 기본값: utils/api.js)
+ * @param {Function} [options.EventSourceImpl=globalThis.EventSource] - 이벤트 스트림 생성자
+ * @param {number} [options.pollInterval=JOIN_REQUEST_POLL_INTERVAL] - 참가 신청을 다시 받아오는 간격(ms)
+ * @returns {Object} 실시간 공유 세션 관리자
+ *
+ * @example
+ * // 진행자
+ * const id = await liveSession.host();
+ * showJoinLink(getJoinUrl(id));
+ * // 참가자 (참가 링크로 연 화면)
+ * liveSession.join(getSessionIdFromUrl());
+ */
+export const createLiveSessionClient = ({
+  store: targetStore = store,
+  api = {
+    create: createLiveSession,
+    publish: publishLiveState,
+    close: closeLiveSession,
+    update: updateLiveSession,
+    listJoinRequests: fetchJoinRequests,
+    reviewJoinRequest
+  },
+  EventSourceImpl = globalThis.EventSource,
+  pollInterval = JOIN_REQUEST_POLL_INTERVAL
+} = {}) => {
+  let sessionId = null;
+  let hostToken = null;
+  let unsubscribe = null;
+  let eventSource = null;
+  let pendingState = null;
+  let sending = null;
+  let pollTimer = null;
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const updateSession = (changes) => {
+    const current = targetStore.getState().liveSession;
+    if (current) {
+      targetStore.dispatch(setLiveSession({ ...current, ...changes }));
+    }
+  };
+
+  // 보내는 중에 바뀐 값은 기다렸다가 마지막 값만 보냄 (참가자가 순서가 뒤바뀐 상태를 받지 않도록)
+  const flush = async () => {
+    while (pendingState && hostToken) {
+      const state = pendingState;
+      pendingState = null;
+      try {
+        const result = await api.publish(sessionId, hostToken, state);
+        updateSession({ status: 'open', participantCount: result.data.participantCount });
+      } catch (error) {
+        console.warn('세션 참가자에게 상태를 보내지 못했습니다:', error);
+        updateSession({ status: 'reconnecting' });
+      }
+    }
+    sending = null;
+  };
+
+  const client = {
+    /**
+     * 세션을 열고 공유할 값이 바뀔 때마다 참가자에게 보냅니다.
+     * @returns {Promise<string>} 세션 코드
+     */
+    async host() {
+      if (sessionId) return sessionId;
+
+      const { data } = await api.create();
+      sessionId = data.id;
+      hostToken = data.hostToken;
+      targetStore.dispatch(setLiveSession({
+        id: sessionId,
+        role: 'host',
+        status: 'open',
+        participantCount: 0,
+        registration: { isOpen: false, remaining: null },
+        joinRequests: []
+      }));
+
+      unsubscribe = targetStore.subscribe((state, shared) => client.publish(shared), pickSharedState);
+      client.publish(pickSharedState(targetStore.getState()));
+      return sessionId;
+    },
+
+    /**
+     * 공유할 상태를 보냅니다. (진행자만)
+     * @param {Object} shared - pickSharedState 결과
+     * @returns {Promise<void>} 보내기가 끝나면 완료
+     */
+    publish(shared) {
+      if (!hostToken) return Promise.resolve();
+
+      pendingState = shared;
+      sending ??= flush();
+      return sending;
+    },
+
+    /**
+     * 참가 신청을 열거나 마감합니다. (진행자만, 세션이 없으면 먼저 엽니다)
+     * 여는 동안 대기 중인 신청을 pollInterval마다 받아옵니다.
+     * @param {boolean} isOpen - 신청을 받을지 여부
+     * @returns {Promise<Object>} 참가 신청 상태 ({ isOpen, remaining })
+     */
+    async setRegistrationOpen(isOpen) {
+      await client.host();
+
+      const { data } = await api.update(sessionId, hostToken, { registrationOpen: isOpen });
+      updateSession({ registration: data.registration });
+
+      if (isOpen && !pollTimer) {
+        pollTimer = setInterval(() => client.refreshJoinRequests(), pollInterval);
+      }
+      await client.refreshJoinRequests();
+      return data.registration;
+    },
+
+    /**
+     * 대기 중인 참가 신청과 참가 신청 상태를 받아옵니다. (진행자만)
+     * 신청이 마감되고 대기 중인 신청이 없으면 더 받아오지 않습니다.
+     * @returns {Promise<void>} 받아오기가 끝나면 완료
+     */
+    async refreshJoinRequests() {
+      if (!hostToken) return;
+
+      try {
+        const { data } = await api.listJoinRequests(sessionId, hostToken);
+        const joinRequests = data.requests.filter(request => request.status === 'pending');
+        const { registration: currentRegistration, joinRequests: currentRequests } = targetStore.getState().liveSession ?? {};
+
+        // 바뀐 것이 없으면 화면을 다시 그리지 않도록 스토어를 그대로 둠
+        if (JSON.stringify([currentRegistration, currentRequests]) !== JSON.stringify([data.registration, joinRequests])) {
+          updateSession({ registration: data.registration, joinRequests });
+        }
+
+        if (!data.registration.isOpen && joinRequests.length === 0) {
+          stopPolling();
+        }
+      } catch (error) {
+        console.warn('참가 신청 목록을 받아오지 못했습니다:', error);
+      }
+    },
+
+    /**
+     * 참가 신청을 승인하거나 거절합니다. 승인한 멤버는 명단에 추가합니다. (진행자만)
+     * @param {string} requestId - 신청 id
+     * @param {string} status - 'approved' 또는 'rejected'
+     * @returns {Promise<Object>} 바뀐 신청
+     */
+    async reviewJoinRequest(requestId, status) {
+      const { data: request } = await api.reviewJoinRequest(sessionId, hostToken, requestId, status);
+
+      if (request.status === 'approved') {
+        const { name, gender, tags } = request;
+        targetStore.dispatch(importMembers([{ name, gender, tags }]));
+      }
+      await client.refreshJoinRequests();
+      return request;
+    },
+
+    /**
+     * 세션에 참가해 진행자가 공유하는 상태를 받습니다.
+     * @param {string} id - 세션 코드
+     */
+    join(id) {
+      if (sessionId) return;
+
+      sessionId = id;
+      targetStore.dispatch(setLiveSession({ id, role: 'participant', status: 'connecting', participantCount: 0 }));
+
+      eventSource = new EventSourceImpl(`/api/sessions/${encodeURIComponent(id)}/events`);
+      eventSource.addEventListener('open', () => updateSession({ status: 'open' }));
+      eventSource.addEventListener('state', (event) => {
+        targetStore.dispatch(syncLiveState(JSON.parse(event.data).state));
+      });
+      eventSource.addEventListener('presence', (event) => {
+        updateSession({ participantCount: JSON.parse(event.data).participantCount });
+      });
+      eventSource.addEventListener('end', () => {
+        eventSource.close();
+        updateSession({ status: 'ended' });
+      });
+      eventSource.addEventListener('error', () => {
+        // 없는 세션(404)이면 브라우저가 다시 연결하지 않고 스트림을 닫음
+        updateSession({ status: eventSource.readyState === EventSourceImpl.CLOSED ? 'ended' : 'reconnecting' });
+      });
+    },
+
+    /**
+     * 세션에서 나갑니다. 진행자가 나가면 세션이 종료됩니다.
+     * @returns {Promise<void>} 나가기가 끝나면 완료
+     */
+    async leave() {
+      unsubscribe?.();
+      eventSource?.close();
+      stopPolling();
+
+      if (hostToken) {
+        const token = hostToken;
+        hostToken = null;
+        pendingState = null;
+        try {
+          await api.close(sessionId, token);
+        } catch (error) {
+          console.warn('세션을 종료하지 못했습니다:', error);
+        }
+      }
+
+      sessionId = null;
+      unsubscribe = null;
+      eventSource = null;
+      targetStore.dispatch(setLiveSession(null));
+    }
+  };
+
+  return client;
+};
+
+/**
+ * 앱 스토어의 실시간 공유 세션 관리자
+ * @type {Object}
+ */
+export const liveSession = createLiveSessionClient();
@@ -20,68 +20,136 @@ export const loggerMiddleware = store => next => action => {
   return result;
 };
 
+/**
+ * 이력 미들웨어가 처리하는 액션 타입
+ * @constant {Object<string, string>}
+ */
+export const HISTORY_ACTION_TYPES = {
+  UNDO: '@@HISTORY/UNDO',
+  REDO: '@@HISTORY/REDO',
+  TIME_TRAVEL: '@@HISTORY/TIME_TRAVEL'
+};
+
 /**
  * 이력 추적 미들웨어
- * 상태 변경 이력을 저장하고 시간 여행 디버깅을 지원합니다.
+ * 상태 변경 이력을 저장하고 실행 취소/다시 실행과 시간 여행 디버깅을 지원합니다.
+ * 이력 이동은 store.setState로 상태를 바꾸므로 스토어가 setState를 제공해야 합니다.
+ * @param {number} [maxHistoryLength=50] - 되돌릴 수 있는 최대 단계 수
+ * @param {Object} [options] - 옵션
+ * @param {Array<string>|null} [options.actionTypes=null] - 이력으로 남길 액션 타입 (null이면 모든 액션)
+ * @param {Array<string>} [options.preserveKeys=[]] - 이력을 이동해도 현재 값을 유지할 상태 키 (서버에서 불러온 값 등)
+ * @returns {Function} 미들웨어 (canUndo(), canRedo(), getHistory() 메서드 포함)
+ *
+ * @example
+ * const history = historyMiddleware(50, { actionTypes: ['ADD_MEMBER'] });
+ * store.dispatch(undo());
+ * history.canRedo(); // true
  */
-export const historyMiddleware = (maxHistoryLength = 50) => {
+export const historyMiddleware = (maxHistoryLength = 50, { actionTypes = null, preserveKeys = [] } = {}) => {
+  // history[currentIndex]가 현재 상태
   let history = [];
   let currentIndex = -1;
   
-  return store => next => action => {
-    // 시간 여행 액션인 경우 별도로 처리
-    if (action.type === '@@HISTORY/TIME_TRAVEL') {
-      const { index } = action.payload;
-      
-      if (index >= 0 && index < history.length) {
-        currentIndex = index;
-        return store.setState(history[index].state);
-      }
-      
-      return;
+  const isTracked = (action) => actionTypes === null || actionTypes.includes(action.type);
+  
+  // 지정한 이력 위치의 상태로 이동 (이동했으면 true)
+  const moveTo = (store, index) => {
+    if (index < 0 || index >= history.length || index === currentIndex) {
+      return false;
+    }
+    
+    const currentState = store.getState();
+    const preserved = Object.fromEntries(preserveKeys.map(key => [key, currentState[key]]));
+    currentIndex = index;
+    store.setState({ ...history[index].state, ...preserved });
+    return true;
+  };
+  
+  const middleware = store => next => action => {
+    switch (action.type) {
+      case HISTORY_ACTION_TYPES.UNDO:
+        return moveTo(store, currentIndex - 1);
+      case HISTORY_ACTION_TYPES.REDO:
+        return moveTo(store, currentIndex + 1);
+      case HISTORY_ACTION_TYPES.TIME_TRAVEL:
+        return moveTo(store, action.payload.index);
+      default:
+        break;
     }
     
-    // 일반 액션 처리
     const prevState = store.getState();
     const result = next(action);
     const newState = store.getState();
     
-    // 실제 상태 변경이 있는 경우에만 이력 추가
-    if (JSON.stringify(prevState) !== JSON.stringify(newState)) {
-      // 시간 여행 중인 경우 현재 지점 이후의 이력은 삭제
-      if (currentIndex !== history.length - 1) {
-        history = history.slice(0, currentIndex + 1);
-      }
-      
-      // 새 이력 항목 생성
-      history.push({
-        action,
-        state: { ...newState },
-        timestamp: Date.now()
-      });
-      
-      // 최대 이력 길이 유지
-      if (history.length > maxHistoryLength) {
-        history = history.slice(history.length - maxHistoryLength);
-      }
-      
-      currentIndex = history.length - 1;
+    // 이력 대상이 아니거나 실제 상태 변경이 없으면 이력을 남기지 않음
+    if (!isTracked(action) || JSON.stringify(prevState) === JSON.stringify(newState)) {
+      return result;
     }
     
+    // 이력 대상이 아닌 액션으로 바뀐 값도 되돌린 뒤에 남도록 현재 위치를 직전 상태로 갱신
+    if (currentIndex === -1) {
+      history = [{ action: null, state: prevState, timestamp: Date.now() }];
+      currentIndex = 0;
+    } else {
+      history[currentIndex] = { ...history[currentIndex], state: prevState };
+    }
+    
+    // 되돌린 상태에서 새 변경이 생기면 이후 이력은 삭제
+    history = history.slice(0, currentIndex + 1);
+    history.push({ action, state: newState, timestamp: Date.now() });
+    
+    // 최대 이력 길이 유지 (시작 상태 1개 + 변경 maxHistoryLength개)
+    if (history.length > maxHistoryLength + 1) {
+      history = history.slice(history.length - maxHistoryLength - 1);
+    }
+    
+    currentIndex = history.length - 1;
     return result;
   };
+  
+  middleware.canUndo = () => currentIndex > 0;
+  middleware.canRedo = () => currentIndex !== -1 && currentIndex < history.length - 1;
+  middleware.getHistory = () => history.map(({ action, timestamp }, index) => ({
+    type: action?.type ?? null,
+    timestamp,
+    isCurrent: index === currentIndex
+  }));
+  
+  return middleware;
 };
 
+/**
+ * 실행 취소 액션 생성자
+ * @returns {Object} 실행 취소 액션
+ */
+export const undo = () => ({
+  type: HISTORY_ACTION_TYPES.UNDO
+});
+
+/**
+ * 다시 실행 액션 생성자
+ * @returns {Object} 다시 실행 액션
+ */
+export const redo = () => ({
+  type: HISTORY_ACTION_TYPES.REDO
+});
+
 /**
  * 지정된 인덱스로 시간 여행하는 액션 생성자
  * @param {number} index - 이동할 이력 인덱스
  * @returns {Object} 시간 여행 액션
  */
 export const timeTravel = (index) => ({
-  type: '@@HISTORY/TIME_TRAVEL',
+  type: HISTORY_ACTION_TYPES.TIME_TRAVEL,
   payload: { index }
 });
 
+/**
+ * 오류 보고 액션 타입 (리듀서는 상태를 바꾸지 않고, 구독자나 로거가 확인하는 용도)
+ * @constant {string}
+ */
+export const ERROR_ACTION_TYPE = '@@ERROR';
+
 /**
  * 에러 핸들링 미들웨어
  * 액션 처리 중 발생하는 오류를 잡아서 처리합니다.
@@ -93,9 +161,14 @@ export const errorMiddleware = store => next => action => {
     console.error('액션 처리 중 오류 발생:', error);
     console.error('문제가 발생한 액션:', action);
     
+    // 오류 보고 액션 처리 중 난 오류를 다시 보고하면 끝없이 반복되므로 여기서 멈춤
+    if (action?.type === ERROR_ACTION_TYPE) {
+      return action;
+    }
+    
     // 오류 보고 액션 디스패치
     store.dispatch({
-      type: '@@ERROR',
+      type: ERROR_ACTION_TYPE,
       payload: { 
         error: error.toString(),
         originalAction: action,
@@ -147,50 +220,52 @@ export const validationMiddleware = store => next => action => {
 
 /**
  * 메모이제이션 미들웨어
- * 선택자 함수 호출 결과를 캐싱하여 불필요한 재계산을 방지합니다.
+ * 선택자 결과를 상태가 바뀔 때까지 캐싱하여 불필요한 재계산을 방지합니다.
+ * 미들웨어의 memoize(selector)로 캐싱되는 선택자를 만들고, 액션으로 상태가 바뀌면 캐시를 비웁니다.
+ * @param {number} [maxCacheSize=100] - 선택자별로 보관할 최대 결과 수 (인수 조합별)
+ * @returns {Function} 미들웨어 (memoize(selector) 메서드 포함)
+ *
+ * @example
+ * const memo = memoMiddleware();
+ * const getBalance = memo.memoize((state) => calculateBalance(state.teams));
+ * getBalance(store.getState()); // 같은 상태에서는 다시 계산하지 않음
  */
-export const memoMiddleware = () => {
-  const cache = new Map();
+export const memoMiddleware = (maxCacheSize = 100) => {
+  // 선택자 => { state, results: Map<인수 JSON, 결과> }
+  let cache = new Map();
   
-  return store => next => action => {
-    // 기존 선택자 함수를 저장
-    const originalGetState = store.getState;
+  const middleware = store => next => action => {
+    const prevState = store.getState();
+    const result = next(action);
     
-    // 메모이제이션된 선택자 함수로 교체
-    store.getState = function() {
-      return originalGetState();
-    };
+    if (store.getState() !== prevState) {
+      cache = new Map();
+    }
     
-    // 메모이제이션된 select 메서드 추가
-    store.select = function(selector, ...args) {
-      const state = originalGetState();
-      const cacheKey = JSON.stringify({ 
-        selector: selector.toString(), 
-        args,
-        stateChecksum: JSON.stringify(state)
-      });
-      
-      if (cache.has(cacheKey)) {
-        return cache.get(cacheKey);
-      }
-      
-      const result = selector(state, ...args);
-      cache.set(cacheKey, result);
-      
-      // 캐시 크기 제한 (100개 항목으로 제한)
-      if (cache.size > 100) {
-        const firstKey = cache.keys().next().value;
-        cache.delete(firstKey);
-      }
-      
-      return result;
-    };
+    return result;
+  };
+  
+  middleware.memoize = (selector) => (state, ...args) => {
+    let entry = cache.get(selector);
     
-    const result = next(action);
+    // 미들웨어를 거치지 않고 상태가 바뀐 경우도 다시 계산
+    if (!entry || entry.state !== state) {
+      entry = { state, results: new Map() };
+      cache.set(selector, entry);
+    }
     
-    // 액션 처리 후 캐시 초기화
-    cache.clear();
+    const key = JSON.stringify(args);
+    if (!entry.results.has(key)) {
+      entry.results.set(key, selector(state, ...args));
+      
+      // 캐시 크기 제한
+      if (entry.results.size > maxCacheSize) {
+        entry.results.delete(entry.results.keys().next().value);
+      }
+    }
     
-    return result;
+    return entry.results.get(key);
   };
-}; 
\ No newline at end of file
+  
+  return middleware;
+};
@@ -0,0 +1,402 @@
+/**
+ * @file persistence.js
+ * @description 새로고침해도 작업 중인 세션(멤버, 총원, 팀 개수 등)이 남도록 스토어 상태를 브라우저에 저장합니다.
+ *
+ * 저장 형식: { version, savedAt, state }
+ * - version이 SESSION_STATE_VERSION보다 낮으면 MIGRATIONS로 올린 뒤 사용합니다.
+ * - state에는 PERSISTED_KEYS의 값만 저장합니다. (서버에서 불러오는 이력은 제외)
+ * 저장소는 localStorage를 기본으로 사용하고, 사용할 수 없으면 IndexedDB를 사용합니다.
+ */
+
+import store, { initialState } from './index.js';
+import { restoreSession } from './actions.js';
+import { debounce } from '../utils/performance.js';
+import { createMember } from '../utils/memberUtils.js';
+
+/**
+ * 저장 키 (localStorage 키, IndexedDB 레코드 키)
+ * @constant {string}
+ */
+export const SESSION_STORAGE_KEY = 'team_session_state';
+
+/**
+ * 현재 저장 형식 버전
+ * @constant {number}
+ */
+export const SESSION_STATE_VERSION = 2;
+
+/**
+ * 세션으로 저장하는 상태 키
+ * @constant {Array<string>}
+ */
+export const PERSISTED_KEYS = [
+  'members',
+  'totalMembers',
+  'isTotalConfirmed',
+  'teamCount',
+  'isTeamCountConfirmed',
+  'memberLocks',
+  'constraints',
+  'roleRequirements',
+  'strategy',
+  'pmPolicy',
+  'pmVolunteers',
+  'teams',
+  'teamLocks',
+  'pms',
+  'seed',
+  'distributionId',
+  'constraintViolations',
+  'isDistributed'
+];
+
+/**
+ * 변경 후 저장까지 기다리는 시간(ms)
+ * @constant {number}
+ */
+const SAVE_DELAY = 300;
+
+/**
+ * 멤버를 이름 문자열로 저장한 상태(버전 1)를 멤버 프로필과 멤버 ID 참조로 바꿉니다.
+ * 버전 1의 중복 이름은 접미사로 이미 구분되어 있으므로 이름마다 멤버 하나가 됩니다.
+ * 실력 점수(memberRatings)와 속성(memberAttributes)은 멤버 프로필로 옮기고,
+ * 팀 구성, PM, 고정, 배정 규칙, PM 지원자의 이름은 멤버 ID로 바꿉니다. (멤버 목록에 없는 이름은 버림)
+ * @param {Object} state - 버전 1 상태
+ * @returns {Object} 버전 2 상태
+ */
+const migrateMemberNamesToProfiles = ({ memberRatings = {}, memberAttributes = {}, ...state }) => {
+  if (!Array.isArray(state.members)) {
+    return state;
+  }
+
+  const members = state.members
+    .filter(name => typeof name === 'string' && name.trim() !== '')
+    .map(name => createMember(name, { ...memberAttributes[name], rating: memberRatings[name] }));
+  const idByName = new Map(members.map(({ id, name }) => [name, id]));
+  const toIds = (names) => names.map(name => idByName.get(name)).filter(Boolean);
+
+  return {
+    ...state,
+    members,
+    ...(Array.isArray(state.teams) && { teams: state.teams.map(toIds) }),
+    ...(Array.isArray(state.pms) && { pms: state.pms.map(name => idByName.get(name) ?? null) }),
+    ...(Array.isArray(state.pmVolunteers) && { pmVolunteers: toIds(state.pmVolunteers) }),
+    ...(state.memberLocks && typeof state.memberLocks === 'object' && {
+      memberLocks: Object.fromEntries(Object.entries(state.memberLocks)
+        .filter(([name]) => idByName.has(name))
+        .map(([name, teamIndex]) => [idByName.get(name), teamIndex]))
+    }),
+    ...(Array.isArray(state.constraints) && {
+      constraints: state.constraints
+        .filter(({ members: pair }) => Array.isArray(pair) && pair.every(name => idByName.has(name)))
+        .map(constraint => ({ ...constraint, members: toIds(constraint.members) }))
+    }),
+    // 규칙 위반 안내는 다음 분배나 조정 때 다시 계산
+    ...(Array.isArray(state.constraintViolations) && { constraintViolations: [] })
+  };
+};
+
+/**
+ * 버전별 마이그레이션 (from 버전 저장 값을 from + 1 버전으로 바꿈)
+ * @constant {Object<number, Function>}
+ */
+const MIGRATIONS = {
+  // 버전 0: 버전 정보 없이 상태만 저장한 값 (app:beforeUnload 이벤트의 { state } 또는 상태 객체)
+  0: (saved) => ({
+    version: 1,
+    savedAt: null,
+    state: saved.state && typeof saved.state === 'object' ? saved.state : saved
+  }),
+  // 버전 1: 멤버가 이름 문자열인 값
+  1: (saved) => ({
+    ...saved,
+    version: 2,
+    state: migrateMemberNamesToProfiles(saved.state && typeof saved.state === 'object' ? saved.state : {})
+  })
+};
+
+/**
+ * 값이 초기 상태의 값과 같은 종류인지 확인합니다. (배열, 객체, 숫자, 문자열, 불리언)
+ * seed처럼 초기값이 null이면 null, 문자열, 숫자를 허용합니다.
+ * @param {*} value - 확인할 값
+ * @param {*} initialValue - 초기 상태의 값
+ * @returns {boolean} 같은 종류인지 여부
+ */
+const isSameKind = (value, initialValue) => {
+  if (initialValue === null) {
+    return value === null || typeof value === 'string' || typeof value === 'number';
+  }
+  if (Array.isArray(initialValue)) {
+    return Array.isArray(value);
+  }
+  if (typeof initialValue === 'object') {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  return typeof value === typeof initialValue;
+};
+
+/**
+ * 상태에서 저장할 값만 골라냅니다. 종류가 맞지 않는 값은 버립니다.
+ * @param {Object} state - 스토어 상태 또는 저장된 상태
+ * @returns {Object} PERSISTED_KEYS의 값만 담은 상태
+ */
+export const pickPersistedState = (state) => Object.fromEntries(
+  PERSISTED_KEYS
+    .filter(key => state[key] !== undefined && isSameKind(state[key], initialState[key]))
+    .map(key => [key, state[key]])
+);
+
+/**
+ * 복원할 만한 내용이 있는지 확인합니다.
+ * @param {Object} state - 상태
+ * @returns {boolean} 멤버가 있거나 총원, 팀 개수를 정했으면 true
+ */
+export const hasSessionContent = (state) =>
+  (state.members?.length ?? 0) > 0 || Boolean(state.isTotalConfirmed) || Boolean(state.isTeamCountConfirmed);
+
+/**
+ * 저장할 값을 만듭니다.
+ * @param {Object} state - 스토어 상태
+ * @param {Date} [now=new Date()] - 저장 시각
+ * @returns {{version: number, savedAt: string, state: Object}} 저장 값
+ */
+export const createSessionSnapshot = (state, now = new Date()) => ({
+  version: SESSION_STATE_VERSION,
+  savedAt: now.toISOString(),
+  state: pickPersistedState(state)
+});
+
+/**
+ * 저장된 값을 현재 버전으로 올립니다.
+ * @param {*} saved - 저장소에서 읽은 값
+ * @returns {{version: number, savedAt: string|null, state: Object}|null} 현재 버전 값 (사용할 수 없으면 null)
+ *
+ * @example
+ * migrateSessionSnapshot({ members: ['피카츄'], totalMembers: 1 });
+ * // { version: 2, savedAt: null, state: { members: [{ id: '...', name: '피카츄' }], totalMembers: 1 } }
+ */
+export const migrateSessionSnapshot = (saved) => {
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+    return null;
+  }
+
+  let snapshot = saved;
+  let version = Number.isInteger(saved.version) ? saved.version : 0;
+
+  // 더 새 버전에서 저장한 값은 해석할 수 없으므로 사용하지 않음
+  if (version > SESSION_STATE_VERSION) {
+    return null;
+  }
+
+  while (version < SESSION_STATE_VERSION) {
+    snapshot = MIGRATIONS[version](snapshot);
+    version = snapshot.version;
+  }
+
+  return { ...snapshot, state: pickPersistedState(snapshot.state ?? {}) };
+};
+
+/**
+ * localStorage 저장소를 만듭니다.
+ * @param {Storage} [storage=globalThis.localStorage] - Web Storage 객체
+ * @param {string} [key=SESSION_STORAGE_KEY] - 저장 키
+ * @returns {{read: Function, write: Function, remove: Function}} 비동기 저장소
+ */
+export const createLocalStorageAdapter = (storage = globalThis.localStorage, key = SESSION_STORAGE_KEY) => ({
+  async read() {
+    const raw = storage.getItem(key);
+    return raw === null ? null : JSON.parse(raw);
+  },
+  async write(value) {
+    storage.setItem(key, JSON.stringify(value));
+  },
+  async remove() {
+    storage.removeItem(key);
+  }
+});
+
+/**
+ * IndexedDB 저장소를 만듭니다. (데이터베이스는 처음 사용할 때 엽니다)
+ * @param {Object} [options] - 저장소 옵션
+ * @param {IDBFactory} [options.factory=globalThis.indexedDB] - IndexedDB 팩토리
+ * @param {string} [options.dbName='team-distributor'] - 데이터베이스 이름
+ * @param {string} [options.storeName='session'] - 오브젝트 스토어 이름
+ * @param {string} [options.key=SESSION_STORAGE_KEY] - 레코드 키
+ * @returns {{read: Function, write: Function, remove: Function}} 비동기 저장소
+ */
+export const createIndexedDBAdapter = ({
+  factory = globalThis.indexedDB,
+  dbName = 'team-distributor',
+  storeName = 'session',
+  key = SESSION_STORAGE_KEY
+} = {}) => {
+  let opening = null;
+
+  const open = () => {
+    opening ??= new Promise((resolve, reject) => {
+      const request = factory.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return opening;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    async read() {
+      return (await run('readonly', objectStore => objectStore.get(key))) ?? null;
+    },
+    async write(value) {
+      await run('readwrite', objectStore => objectStore.put(value, key));
+    },
+    async remove() {
+      await run('readwrite', objectStore => objectStore.delete(key));
+    }
+  };
+};
+
+/**
+ * 브라우저에서 사용할 수 있는 저장소를 고릅니다.
+ * @returns {{read: Function, write: Function, remove: Function}|null} 저장소 (둘 다 사용할 수 없으면 null)
+ */
+export const createDefaultAdapter = () => {
+  try {
+    // 사생활 보호 모드 등에서는 localStorage 접근 자체가 오류를 낼 수 있음
+    const storage = globalThis.localStorage;
+    if (storage) {
+      storage.setItem(`${SESSION_STORAGE_KEY}__test`, '1');
+      storage.removeItem(`${SESSION_STORAGE_KEY}__test`);
+      return createLocalStorageAdapter(storage);
+    }
+  } catch (error) {
+    console.warn('localStorage를 사용할 수 없어 IndexedDB에 세션을 저장합니다:', error);
+  }
+
+  return globalThis.indexedDB ? createIndexedDBAdapter() : null;
+};
+
+/**
+ * 스토어 세션 저장 관리자를 만듭니다.
+ * start()를 호출하기 전에는 저장하지 않으므로, 복원 여부를 묻는 동안 빈 상태가 이전 세션을 덮어쓰지 않습니다.
+ * @param {Object} [options] - 옵션
+ * @param {Object} [options.store] - 스토어 (기본값: 앱 스토어)
+ * @param {Object} [options.adapter] - 저장소 (기본값: createDefaultAdapter()를 처음 사용할 때 생성)
+ * @param {number} [options.delay=SAVE_DELAY] - 변경 후 저장까지 기다리는 시간(ms)
+ * @returns {Object} 세션 저장 관리자
+ *
+ * @example
+ * const saved = await sessionPersistence.loadSaved();
+ * if (saved && confirm('이전 세션을 복원할까요?')) sessionPersistence.restore(saved);
+ * else await sessionPersistence.clear();
+ * sessionPersistence.start();
+ */
+export const createSessionPersistence = ({ store: targetStore = store, adapter, delay = SAVE_DELAY } = {}) => {
+  let resolvedAdapter = adapter;
+  let unsubscribe = null;
+
+  const getAdapter = () => {
+    if (resolvedAdapter === undefined) {
+      resolvedAdapter = createDefaultAdapter();
+    }
+    return resolvedAdapter;
+  };
+
+  const persistence = {
+    /**
+     * 저장된 이전 세션을 읽습니다. 읽을 수 없는 값은 지웁니다.
+     * @returns {Promise<Object|null>} 현재 버전 저장 값 (복원할 내용이 없으면 null)
+     */
+    async loadSaved() {
+      const storage = getAdapter();
+      if (!storage) return null;
+
+      try {
+        const snapshot = migrateSessionSnapshot(await storage.read());
+        if (snapshot && hasSessionContent(snapshot.state)) {
+          return snapshot;
+        }
+      } catch (error) {
+        console.warn('저장된 세션을 읽지 못했습니다:', error);
+      }
+
+      await persistence.clear();
+      return null;
+    },
+
+    /**
+     * 저장 값을 스토어에 반영합니다.
+     * @param {Object} snapshot - loadSaved() 결과
+     */
+    restore(snapshot) {
+      targetStore.dispatch(restoreSession(snapshot.state));
+    },
+
+    /**
+     * 상태를 바로 저장합니다. (start() 전에는 무시, 복원할 내용이 없으면 저장 값 삭제)
+     * @param {Object} [state] - 저장할 상태 (기본값: 현재 스토어 상태)
+     */
+    async save(state = targetStore.getState()) {
+      const storage = getAdapter();
+      if (!storage || !persistence.isActive()) return;
+
+      try {
+        if (hasSessionContent(state)) {
+          await storage.write(createSessionSnapshot(state));
+        } else {
+          await storage.remove();
+        }
+      } catch (error) {
+        console.warn('세션을 저장하지 못했습니다:', error);
+      }
+    },
+
+    /**
+     * 저장된 세션을 지웁니다.
+     */
+    async clear() {
+      try {
+        await getAdapter()?.remove();
+      } catch (error) {
+        console.warn('저장된 세션을 지우지 못했습니다:', error);
+      }
+    },
+
+    /**
+     * 상태가 바뀔 때마다 저장하기 시작합니다.
+     * @returns {Function} 저장 중지 함수
+     */
+    start() {
+      if (!unsubscribe) {
+        const debouncedSave = debounce(state => persistence.save(state), delay);
+        unsubscribe = targetStore.subscribe(debouncedSave);
+      }
+      return persistence.stop;
+    },
+
+    stop() {
+      unsubscribe?.();
+      unsubscribe = null;
+    },
+
+    isActive() {
+      return unsubscribe !== null;
+    }
+  };
+
+  return persistence;
+};
+
+/**
+ * 앱 스토어의 세션 저장 관리자
+ * @type {Object}
+ */
+export const sessionPersistence = createSessionPersistence();
@@ -1,372 +1,414 @@
 /**
  * @file reducers.js
  * @description 액션에 따른 상태 변경 로직을 담당하는 리듀서 함수들을 정의합니다.
+ * 스토어(index.js)는 이 파일의 rootReducer 하나로 상태를 바꿉니다.
  */
 
 import { ACTION_TYPES } from './actions.js';
-import utils from '../utils/index.js';
+import { CONSTRAINT_TYPES, findUnsatisfiedConstraints } from '../utils/teamConstraints.js';
+import { PM_POLICIES } from '../utils/pmElection.js';
+import { moveMemberBetweenTeams } from '../utils/teamUtils.js';
+import { createMemberNameResolver, updateMemberProfile } from '../utils/memberUtils.js';
+import { isValidRoleRequirement, normalizeRole } from '../utils/roleRequirements.js';
 
-// 초기 상태
+/**
+ * 초기 상태
+ * @constant {Object}
+ */
 export const initialState = {
-  members: [],
+  teamCount: 0,
   totalMembers: 0,
+  // 멤버 프로필 배열 ({ id, name, rating?, role?, gender?, tags?, notes? })
+  // 팀 구성, PM, 고정, 배정 규칙, PM 지원자는 모두 멤버 ID로 멤버를 가리킴
+  members: [],
+  teams: [],
+  memberLocks: {},
+  teamLocks: [],
+  constraints: [],
+  constraintViolations: [],
+  // 역할별 최소/최대 인원 ({ role, min, max, team }, max가 null이면 제한 없음, team이 null이면 모든 팀에 적용)
+  roleRequirements: [],
+  strategy: 'random',
+  pairHistory: { pairs: [], distributionCount: 0 },
+  pmPolicy: 'random',
+  pmVolunteers: [],
+  pmHistory: [],
+  pms: [],
+  seed: null,
+  // 서버에서 분배받은 결과 ID (저장할 때 서버가 분배한 구성인지 확인, 브라우저에서만 분배했으면 null)
+  distributionId: null,
+  isTeamCountConfirmed: false,
   isTotalConfirmed: false,
-  teamCount: 0,
-  isTeamCountConfirmed: false
+  isDistributed: false,
+  // 실시간 공유 세션 연결 정보 ({ id, role, status, participantCount }, 세션에 없으면 null)
+  liveSession: null
 };
 
 /**
- * 루트 리듀서 함수
+ * 멤버 ID로 멤버가 있는지 확인합니다.
  * @param {Object} state - 현재 상태
+ * @param {string} memberId - 멤버 ID
+ * @returns {boolean} 멤버가 있는지 여부
+ */
+const hasMember = (state, memberId) => state.members.some(({ id }) => id === memberId);
+
+/**
+ * 멤버 하나의 프로필을 바꾼 상태를 반환합니다.
+ * @param {Object} state - 현재 상태
+ * @param {string} memberId - 멤버 ID
+ * @param {Object} changes - 바꿀 값 (memberUtils.updateMemberProfile 참고)
+ * @returns {Object} 새 상태 (바뀐 값이 없으면 받은 상태)
+ */
+const updateMemberInState = (state, memberId, changes) => {
+  let isChanged = false;
+  const members = state.members.map(member => {
+    if (member.id !== memberId) return member;
+    const updated = updateMemberProfile(member, changes);
+    isChanged = updated !== member;
+    return updated;
+  });
+  
+  return isChanged ? { ...state, members } : state;
+};
+
+/**
+ * 실력 점수가 0 이상의 숫자인지 확인합니다. (없으면 유효)
+ * @param {*} rating - 실력 점수
+ * @returns {boolean} 유효 여부
+ */
+const isValidRating = (rating) =>
+  rating === null || rating === undefined || (Number.isFinite(rating) && rating >= 0);
+
+/**
+ * 루트 리듀서 함수 (상태가 바뀌지 않으면 받은 상태를 그대로 반환)
+ * @param {Object} [state=initialState] - 현재 상태
  * @param {Object} action - 디스패치된 액션
  * @returns {Object} 새로운 상태
  */
 export const rootReducer = (state = initialState, action) => {
-  console.info('액션 디스패치:', action.type, action.payload);
-  
   switch (action.type) {
-    case ACTION_TYPES.ADD_MEMBER:
-      return memberReducer(state, action);
-      
-    case ACTION_TYPES.DELETE_MEMBER:
-    case ACTION_TYPES.EDIT_MEMBER:
-      return memberReducer(state, action);
-      
-    case ACTION_TYPES.SET_TOTAL_MEMBERS:
-    case ACTION_TYPES.CONFIRM_TOTAL_MEMBERS:
-    case ACTION_TYPES.RESET_TOTAL_MEMBERS:
-      return totalMembersReducer(state, action);
-      
     case ACTION_TYPES.SET_TEAM_COUNT:
+      return {
+        ...state,
+        teamCount: action.payload.count || action.payload.teamCount,
+        isTeamCountConfirmed: action.payload.isConfirmed || false
+      };
+      
     case ACTION_TYPES.CONFIRM_TEAM_COUNT:
+      return {
+        ...state,
+        isTeamCountConfirmed: true
+      };
+      
     case ACTION_TYPES.RESET_TEAM_COUNT:
-      return teamCountReducer(state, action);
+      return {
+        ...state,
+        teamCount: 0,
+        isTeamCountConfirmed: false
+      };
       
-    case ACTION_TYPES.RESET_STATE:
-      return { ...initialState };
+    case ACTION_TYPES.SET_TOTAL_MEMBERS:
+      return {
+        ...state,
+        totalMembers: action.payload.count || action.payload.totalMembers,
+        isTotalConfirmed: action.payload.isConfirmed || false
+      };
       
-    default:
-      return state;
-  }
-};
-
-/**
- * 멤버 관련 리듀서
- * @param {Object} state - 현재 상태
- * @param {Object} action - 디스패치된 액션
- * @returns {Object} 새로운 상태
- */
-const memberReducer = (state, action) => {
-  switch (action.type) {
-    case ACTION_TYPES.ADD_MEMBER: {
-      const { memberName } = action.payload;
+    case ACTION_TYPES.CONFIRM_TOTAL_MEMBERS:
+      return {
+        ...state,
+        isTotalConfirmed: true
+      };
       
-      console.log('멤버 추가 요청:', memberName);
+    case ACTION_TYPES.RESET_TOTAL_MEMBERS:
+      return {
+        ...state,
+        totalMembers: 0,
+        isTotalConfirmed: false
+      };
       
-      if (!memberName || memberName.trim() === '') {
+    case ACTION_TYPES.ADD_MEMBER:
+      // 액션 생성자가 ID를 붙인 멤버 (이름이 같은 멤버도 ID로 구분)
+      const addedMember = action.payload.member;
+      
+      // 이름이 공백이거나 없는 경우 처리하지 않음
+      if (!addedMember?.name || addedMember.name.trim() === '' || !isValidRating(addedMember.rating)) {
         console.warn('빈 멤버 이름 추가 시도');
         return state;
       }
       
-      // 총원 초과 체크
-      if (state.isTotalConfirmed && state.members.length >= state.totalMembers) {
-        console.warn('총원 초과 멤버 추가 시도:', state.members.length, '>=', state.totalMembers);
+      if (hasMember(state, addedMember.id)) {
+        console.warn('이미 있는 멤버 ID 추가 시도:', addedMember.id);
         return state;
       }
       
-      const trimmedName = memberName.trim();
-      const members = [...state.members];
-      
-      console.log('------------ 멤버 추가 로직 시작 ------------');
-      console.log('추가할 이름:', trimmedName);
-      console.log('현재 멤버 목록:', members);
+      return {
+        ...state,
+        members: [...state.members, addedMember]
+      };
       
-      // 완전히 동일한 이름이 있는지 확인
-      const exactDuplicate = members.some(name => name === trimmedName);
+    case ACTION_TYPES.IMPORT_MEMBERS:
+      // 가져온 멤버를 한 번에 추가 (이름이 비었거나 실력 점수가 잘못된 멤버는 제외)
+      const importedMembers = action.payload.members.filter(member =>
+        member.name.trim() !== '' && isValidRating(member.rating) && !hasMember(state, member.id));
       
-      // 같은 기본 이름을 가진 항목들 찾기 (접미사 유무 모두 고려)
-      const sameBaseNames = members.filter(name => {
-        if (name === trimmedName) return true;
-        if (name.includes('-')) {
-          const baseName = name.split('-')[0];
-          return baseName === trimmedName;
-        }
-        return false;
-      });
-      
-      const hasSameBaseName = sameBaseNames.length > 0;
-      
-      if (exactDuplicate || hasSameBaseName) {
-        // -----------------------------------------------
-        // 중복 이름 처리 로직
-        // 1. 기존에 "공욱재"가 있을 경우, "공욱재"를 "공욱재-1"로 변경
-        // 2. 새로 추가되는 "공욱재"는 접미사 숫자를 1 증가시켜 "공욱재-2"로 추가
-        // 3. 이미 "공욱재-1", "공욱재-2"가 있을 경우 "공욱재-3"으로 추가
-        // -----------------------------------------------
-        console.log('동일/유사한 이름 존재, 접미사 처리 시작:', trimmedName);
-        console.log('동일 기본 이름 항목들:', sameBaseNames);
-        
-        // 새 배열 생성 - 수정된 멤버 목록
-        let newMembers = [...members];
-        
-        // 접미사가 없는 원본 이름이 있는 경우 -1 접미사를 추가
-        const originalNameIndex = newMembers.findIndex(name => name === trimmedName);
-        if (originalNameIndex !== -1) {
-          // 기존 이름에 -1 접미사 추가
-          newMembers[originalNameIndex] = `${trimmedName}-1`;
-          console.log('원본 이름에 접미사 추가:', newMembers[originalNameIndex]);
-        }
-        
-        // 접미사가 있는 기존 멤버들 중 가장 큰 번호 찾기
-        let maxSuffix = 1; // 기본값 (원본 이름이 있어서 -1로 변경된 경우)
-        sameBaseNames.forEach(name => {
-          if (name.includes('-')) {
-            const parts = name.split('-');
-            const suffix = parseInt(parts[1], 10);
-            if (!isNaN(suffix)) {
-              maxSuffix = Math.max(maxSuffix, suffix);
-            }
-          }
-        });
-        
-        // 새 멤버에 다음 번호 부여하기 (최대값 + 1)
-        const newMemberName = `${trimmedName}-${maxSuffix + 1}`;
-        console.log('새 멤버에 부여된 이름:', newMemberName);
-        
-        const result = {
-          ...state,
-          members: [...newMembers, newMemberName]
-        };
-        
-        console.log('멤버 추가 후 상태:', result.members);
-        console.log('------------ 멤버 추가 로직 완료 ------------');
-        
-        return result;
-      } 
-      // 중복이 없는 완전히 새로운 이름
-      else {
-        console.log('새 멤버 추가 (중복 없음):', trimmedName);
-        const result = {
-          ...state,
-          members: [...members, trimmedName]
-        };
-        
-        console.log('멤버 추가 후 상태:', result.members);
-        console.log('------------ 멤버 추가 로직 완료 ------------');
-        
-        return result;
-      }
-    }
-    
-    case ACTION_TYPES.DELETE_MEMBER: {
-      const { index } = action.payload;
-      
-      if (index < 0 || index >= state.members.length) {
+      if (importedMembers.length === 0) {
+        console.warn('가져올 멤버가 없습니다.');
         return state;
       }
       
-      const members = [...state.members];
+      const membersAfterImport = [...state.members, ...importedMembers];
       
-      // 삭제할 멤버 정보 저장
-      const memberToDelete = members[index];
-      
-      // 멤버 삭제
-      members.splice(index, 1);
+      return {
+        ...state,
+        members: membersAfterImport,
+        // 총원을 따로 정하지 않아도 되도록 멤버 수에 맞춰 확정 (이미 정한 총원이 더 크면 유지)
+        totalMembers: Math.max(state.isTotalConfirmed ? state.totalMembers : 0, membersAfterImport.length),
+        isTotalConfirmed: true
+      };
       
-      // 동일한 기본 이름을 가진 멤버 접미사 처리
-      let baseName = memberToDelete;
+    case ACTION_TYPES.DELETE_MEMBER:
+      const deletedId = action.payload.memberId;
       
-      // 삭제된 멤버의 기본 이름 추출
-      if (memberToDelete.includes('-')) {
-        baseName = memberToDelete.split('-')[0];
+      if (!hasMember(state, deletedId)) {
+        console.warn('존재하지 않는 멤버 삭제 시도:', deletedId);
+        return state;
       }
       
-      // 같은 기본 이름을 가진 멤버 찾기 (정확히 일치하거나 접미사가 있는 경우 모두 포함)
-      const sameBaseMembers = members.filter(member => {
-        return member === baseName || (member.includes('-') && member.split('-')[0] === baseName);
-      });
-      
-      // 접미사가 있는 멤버들 찾기
-      const membersWithSuffix = sameBaseMembers.filter(member => member.includes('-'));
-      
-      // 접미사가 -1인 멤버만 남았고 다른 중복된 멤버가 없다면
-      if (membersWithSuffix.length === 1 && sameBaseMembers.length === 1) {
-        const remainingMemberIndex = members.findIndex(member => 
-          member.includes('-') && member.split('-')[0] === baseName
-        );
-        
-        if (remainingMemberIndex !== -1) {
-          const remainingMember = members[remainingMemberIndex];
-          const suffix = remainingMember.split('-')[1];
-          
-          // 접미사가 1인 경우, 접미사 제거
-          if (suffix === '1') {
-            members[remainingMemberIndex] = baseName;
-          }
-        }
-      }
+      // 삭제한 멤버는 팀 구성, PM, 고정, 배정 규칙, PM 지원자에서도 빠짐
+      const { [deletedId]: deletedLock, ...locksAfterDelete } = state.memberLocks;
       
       return {
         ...state,
-        members
+        members: state.members.filter(({ id }) => id !== deletedId),
+        teams: state.teams.map(team => team.filter(id => id !== deletedId)),
+        pms: state.pms.map(pm => (pm === deletedId ? null : pm)),
+        memberLocks: locksAfterDelete,
+        constraints: state.constraints.filter(({ members }) => !members.includes(deletedId)),
+        pmVolunteers: state.pmVolunteers.filter(id => id !== deletedId)
       };
-    }
-    
-    case ACTION_TYPES.EDIT_MEMBER: {
-      const { index, newName } = action.payload;
       
-      console.log('멤버 수정 요청:', index, newName);
-      console.log('수정 전 멤버 목록:', state.members);
+    case ACTION_TYPES.EDIT_MEMBER:
+      const { memberId: editedId, changes } = action.payload;
       
-      if (index < 0 || index >= state.members.length || !newName || newName.trim() === '') {
-        console.warn('유효하지 않은 수정 요청:', index, newName);
+      if (!hasMember(state, editedId) || !changes || !isValidRating(changes.rating)) {
+        console.warn('유효하지 않은 수정 요청:', editedId, changes);
         return state;
       }
       
-      const trimmedNewName = newName.trim();
-      const oldName = state.members[index];
+      // 멤버를 ID로 가리키므로 이름을 바꿔도 팀 구성, 고정, 규칙은 그대로 따라감
+      return updateMemberInState(state, editedId, changes);
       
-      console.log('멤버 이름 수정:', oldName, '→', trimmedNewName);
+    case ACTION_TYPES.SET_MEMBER_RATING:
+      const { memberId: ratedId, rating } = action.payload;
       
-      // 변경 사항이 없는 경우 무시
-      if (oldName === trimmedNewName) {
-        console.warn('변경 사항 없음:', oldName, '===', trimmedNewName);
+      if (!hasMember(state, ratedId) || !isValidRating(rating)) {
+        console.warn('존재하지 않는 멤버의 점수 설정 시도:', ratedId);
         return state;
       }
       
-      // 문자열 접미사(-xxx)가 있는지 확인
-      const hasCustomSuffix = trimmedNewName.includes('-');
+      // 빈 값이면 점수 삭제 (미평가 멤버)
+      return updateMemberInState(state, ratedId, { rating });
       
-      // 기본 이름 추출 (접미사가 있다면 제외)
-      let baseName = trimmedNewName;
-      let suffix = '';
+    case ACTION_TYPES.TOGGLE_PM_VOLUNTEER:
+      const { memberId: volunteerId, isVolunteer } = action.payload;
       
-      if (hasCustomSuffix) {
-        const parts = trimmedNewName.split('-');
-        baseName = parts[0];
-        suffix = parts.slice(1).join('-'); // 하이픈이 여러 개일 경우 모두 포함
-      }
-      
-      // 중복 검사
-      const isDuplicate = state.members.some((m, i) => {
-        // 자기 자신은 제외
-        if (i === index) return false;
-        
-        // 정확히 일치하는 경우
-        return m === trimmedNewName;
-      });
-
-      if (isDuplicate) {
-        console.warn("이미 사용 중인 이름입니다:", trimmedNewName);
+      if (!hasMember(state, volunteerId)) {
+        console.warn('존재하지 않는 멤버의 PM 지원 설정 시도:', volunteerId);
         return state;
       }
-
-      const newMembers = [...state.members];
-      newMembers[index] = trimmedNewName;
       
-      console.log('멤버 이름 수정 완료:', oldName, '→', trimmedNewName);
-      console.log('수정 후 멤버 목록:', newMembers);
+      const otherVolunteers = state.pmVolunteers.filter(id => id !== volunteerId);
       
       return {
         ...state,
-        members: newMembers
+        pmVolunteers: isVolunteer ? [...otherVolunteers, volunteerId] : otherVolunteers
       };
-    }
-    
-    default:
-      return state;
-  }
-};
-
-/**
- * 총원 관련 리듀서
- * @param {Object} state - 현재 상태
- * @param {Object} action - 디스패치된 액션
- * @returns {Object} 새로운 상태
- */
-const totalMembersReducer = (state, action) => {
-  switch (action.type) {
-    case ACTION_TYPES.SET_TOTAL_MEMBERS: {
-      const { count } = action.payload;
       
-      if (!utils.validateNumber(count) || count < 1) {
+    case ACTION_TYPES.ADD_CONSTRAINT:
+      const { type: constraintType, members: pair } = action.payload;
+      
+      if (!CONSTRAINT_TYPES.includes(constraintType) ||
+          !Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1] ||
+          !pair.every(id => hasMember(state, id))) {
+        console.warn('유효하지 않은 배정 규칙:', action.payload);
         return state;
       }
       
+      // 같은 두 멤버에 대한 기존 규칙은 새 규칙으로 대체
+      const otherConstraints = state.constraints.filter(({ members: existing }) =>
+        !(existing.includes(pair[0]) && existing.includes(pair[1]))
+      );
+      
+      return {
+        ...state,
+        constraints: [...otherConstraints, { type: constraintType, members: [...pair] }]
+      };
+      
+    case ACTION_TYPES.REMOVE_CONSTRAINT:
       return {
         ...state,
-        totalMembers: count
+        constraints: state.constraints.filter((_, i) => i !== action.payload.index)
       };
-    }
-    
-    case ACTION_TYPES.CONFIRM_TOTAL_MEMBERS: {
-      if (!utils.validateTotalMembers(state.totalMembers)) {
+      
+    case ACTION_TYPES.SET_ROLE_REQUIREMENT:
+      const requirement = {
+        ...action.payload,
+        role: action.payload.role?.trim(),
+        max: action.payload.max ?? null,
+        team: action.payload.team ?? null
+      };
+      
+      if (!isValidRoleRequirement(requirement)) {
+        console.warn('유효하지 않은 역할 조건:', action.payload);
         return state;
       }
       
+      // 같은 팀(모든 팀이면 null)과 같은 역할(대소문자, 앞뒤 공백 무시)의 기존 조건은 같은 자리에서 대체
+      const requirementIndex = state.roleRequirements.findIndex(({ role, team = null }) =>
+        team === requirement.team && normalizeRole(role) === normalizeRole(requirement.role));
+      
       return {
         ...state,
-        isTotalConfirmed: true
+        roleRequirements: requirementIndex === -1
+          ? [...state.roleRequirements, requirement]
+          : state.roleRequirements.map((existing, i) => (i === requirementIndex ? requirement : existing))
       };
-    }
-    
-    case ACTION_TYPES.RESET_TOTAL_MEMBERS: {
+      
+    case ACTION_TYPES.REMOVE_ROLE_REQUIREMENT:
       return {
         ...state,
-        members: [],
-        isTotalConfirmed: false,
-        totalMembers: 0,
-        teamCount: 0,
-        isTeamCountConfirmed: false
+        roleRequirements: state.roleRequirements.filter((_, i) => i !== action.payload.index)
       };
-    }
-    
-    default:
-      return state;
-  }
-};
-
-/**
- * 팀 개수 관련 리듀서
- * @param {Object} state - 현재 상태
- * @param {Object} action - 디스패치된 액션
- * @returns {Object} 새로운 상태
- */
-const teamCountReducer = (state, action) => {
-  switch (action.type) {
-    case ACTION_TYPES.SET_TEAM_COUNT: {
-      const { count } = action.payload;
       
-      if (!utils.validateNumber(count) || count < 1) {
+    case ACTION_TYPES.SET_PAIR_HISTORY:
+      return {
+        ...state,
+        pairHistory: {
+          pairs: action.payload.pairs || [],
+          distributionCount: action.payload.distributionCount || 0
+        }
+      };
+      
+    case ACTION_TYPES.SET_PM_HISTORY:
+      return {
+        ...state,
+        pmHistory: action.payload.pmHistory || []
+      };
+      
+    case ACTION_TYPES.SET_PM_POLICY:
+      return {
+        ...state,
+        pmPolicy: PM_POLICIES.includes(action.payload.policy) ? action.payload.policy : 'random'
+      };
+      
+    case ACTION_TYPES.SET_DISTRIBUTION_STRATEGY:
+      return {
+        ...state,
+        strategy: action.payload.strategy || 'random'
+      };
+      
+    case ACTION_TYPES.DISTRIBUTE_TEAMS:
+    case ACTION_TYPES.SET_TEAMS:
+      return {
+        ...state,
+        teams: action.payload.teams || [],
+        seed: action.payload.seed ?? null,
+        distributionId: action.payload.distributionId ?? null,
+        constraintViolations: action.payload.violations || [],
+        pms: action.payload.pms || [],
+        isDistributed: action.payload.isDistributed || true,
+        // 팀 개수가 줄어 없어진 팀의 고정은 해제
+        teamLocks: state.teamLocks.filter(teamIndex => teamIndex < (action.payload.teams || []).length)
+      };
+      
+    case ACTION_TYPES.MOVE_MEMBER:
+      const { memberId: movedId, toTeamIndex, toPosition } = action.payload;
+      const movedTeams = moveMemberBetweenTeams(state.teams, movedId, toTeamIndex, toPosition);
+      
+      if (movedTeams === state.teams) {
         return state;
       }
       
       return {
         ...state,
-        teamCount: count
+        teams: movedTeams,
+        // 다른 팀으로 옮긴 PM은 원래 팀의 PM에서 빠짐
+        pms: state.pms.map((pm, teamIndex) => (pm === movedId && teamIndex !== toTeamIndex ? null : pm)),
+        // 고정한 멤버를 직접 옮기면 옮긴 팀에 고정
+        memberLocks: state.memberLocks[movedId] === undefined
+          ? state.memberLocks
+          : { ...state.memberLocks, [movedId]: toTeamIndex },
+        constraintViolations: findUnsatisfiedConstraints(movedTeams, state.constraints, {
+          getName: createMemberNameResolver(state.members)
+        })
       };
-    }
-    
-    case ACTION_TYPES.CONFIRM_TEAM_COUNT: {
-      if (state.teamCount < 1 || state.teamCount > state.totalMembers) {
+      
+    case ACTION_TYPES.SET_MEMBER_LOCK:
+      const { memberId: lockedId, teamIndex: lockedTeamIndex } = action.payload;
+      
+      if (!hasMember(state, lockedId)) {
+        console.warn('존재하지 않는 멤버의 팀 고정 시도:', lockedId);
         return state;
       }
       
+      const nextLocks = { ...state.memberLocks };
+      
+      if (lockedTeamIndex === null || lockedTeamIndex === undefined) {
+        delete nextLocks[lockedId];
+      } else {
+        nextLocks[lockedId] = lockedTeamIndex;
+      }
+      
       return {
         ...state,
-        isTeamCountConfirmed: true
+        memberLocks: nextLocks
       };
-    }
-    
-    case ACTION_TYPES.RESET_TEAM_COUNT: {
+      
+    case ACTION_TYPES.SET_TEAM_LOCK:
+      const { teamIndex: teamLockIndex, isLocked: isTeamLocked } = action.payload;
+      
+      if (!Number.isInteger(teamLockIndex) || teamLockIndex < 0 || teamLockIndex >= state.teams.length) {
+        console.warn('존재하지 않는 팀의 고정 시도:', teamLockIndex);
+        return state;
+      }
+      
+      const otherTeamLocks = state.teamLocks.filter(teamIndex => teamIndex !== teamLockIndex);
+      
       return {
         ...state,
-        teamCount: 0,
-        isTeamCountConfirmed: false
+        teamLocks: isTeamLocked ? [...otherTeamLocks, teamLockIndex].sort((a, b) => a - b) : otherTeamLocks
+      };
+      
+    case ACTION_TYPES.RESET_STATE:
+      // 초기화해도 열어 둔 실시간 세션은 유지
+      return { ...initialState, liveSession: state.liveSession };
+      
+    case ACTION_TYPES.RESTORE_SESSION:
+      // 저장된 세션 값만 덮어쓰고 서버에서 불러오는 이력(pairHistory, pmHistory)은 유지
+      return {
+        ...state,
+        ...action.payload.state
       };
-    }
-    
+      
+    case ACTION_TYPES.SET_LIVE_SESSION:
+      return {
+        ...state,
+        liveSession: action.payload.liveSession
+      };
+      
+    case ACTION_TYPES.SYNC_LIVE_STATE:
+      // 참가자 화면: 진행자가 공유한 값만 덮어씀 (공유하지 않는 실력 점수, 규칙 등은 그대로)
+      return {
+        ...state,
+        ...action.payload.state
+      };
+      
     default:
+      // 스토어 초기화(@@INIT), 오류 보고(@@ERROR) 같은 내부 액션은 상태를 바꾸지 않음
+      if (!action.type.startsWith('@@')) {
+        console.warn('알 수 없는 액션 타입:', action.type);
+      }
       return state;
   }
-}; 
\ No newline at end of file
+};
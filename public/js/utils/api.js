@@ -3,8 +3,12 @@
  * @description API 통신을 위한 유틸리티 함수
  */
 
+import { AppError, ValidationError, ErrorType, Severity } from './errorHandler.js';
+
 /**
  * API 요청을 보내는 함수
+ * 서버가 검증 오류({ errors: [{ pointer, code, message }] })로 응답하면 ValidationError를 던지며,
+ * 오류 목록은 error.details.errors에 담깁니다. (mapErrorsToFields로 폼 필드에 연결)
  * @param {string} url - API 엔드포인트 URL
  * @param {Object} options - 요청 옵션
  * @returns {Promise} API 응답
@@ -20,7 +24,16 @@ export async function apiRequest(url, options = {}) {
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      const body = await response.json().catch(() => null);
+
+      if (Array.isArray(body?.errors)) {
+        throw new ValidationError(body.message, { status: response.status, errors: body.errors });
+      }
+
+      throw new AppError(`HTTP error! status: ${response.status}`, ErrorType.NETWORK, Severity.ERROR, {
+        status: response.status,
+        body
+      });
     }
 
     return await response.json();
@@ -30,10 +43,47 @@ export async function apiRequest(url, options = {}) {
   }
 }
 
+/**
+ * 서버 검증 오류를 JSON 포인터 기준으로 폼 필드에 연결
+ * 필드 키는 JSON 포인터이며, 오류 포인터와 같거나 그 상위 경로인 키 중 가장 긴 키에 연결됩니다.
+ * (예: '/members' 키는 '/members/3' 오류도 받음)
+ * @param {Array<{pointer: string, code: string, message: string}>} errors - 서버 검증 오류 목록
+ * @param {Object<string, HTMLElement|Function>} fields - 포인터별 폼 요소 또는 (pointer) => 요소 함수
+ * @returns {{matched: Array<{element: HTMLElement, error: Object}>, unmatched: Array<Object>}}
+ *   필드에 연결된 오류와 연결할 필드가 없는 오류
+ *
+ * @example
+ * const { matched, unmatched } = mapErrorsToFields(error.details.errors, {
+ *   '/teamCount': teamCountInput,
+ *   '/members': (pointer) => memberInputs[pointer.split('/')[2]]
+ * });
+ */
+export function mapErrorsToFields(errors = [], fields = {}) {
+  const keys = Object.keys(fields).sort((a, b) => b.length - a.length);
+  const matched = [];
+  const unmatched = [];
+
+  errors.forEach(error => {
+    const key = keys.find(candidate =>
+      error.pointer === candidate || error.pointer?.startsWith(`${candidate}/`));
+    const field = key === undefined ? null : fields[key];
+    const element = typeof field === 'function' ? field(error.pointer) : field;
+
+    if (element) {
+      matched.push({ element, error });
+    } else {
+      unmatched.push(error);
+    }
+  });
+
+  return { matched, unmatched };
+}
+
 /**
  * 팀 데이터를 서버에 저장
- * @param {Object} teamData - 팀 구성 정보
- * @returns {Promise} 저장 결과
+ * distributionId를 담으면 서버가 분배한 구성과 같은지 확인해 함께 기록합니다.
+ * @param {Object} teamData - 팀 구성 정보 (teams, pms, seed, strategy, distributionId?)
+ * @returns {Promise} 저장 결과 (success, id, 서버가 분배한 구성인지 여부 verified)
  */
 export async function saveTeamData(teamData) {
   return apiRequest('/api/teams', {
@@ -50,4 +100,223 @@ export async function getCurrentTeamData() {
   return apiRequest('/api/teams', {
     method: 'GET'
   });
-} 
\ No newline at end of file
+} 
+
+/**
+ * 저장된 과거 분배 결과의 짝 이력 조회
+ * @returns {Promise} 분배 횟수와 짝별로 같은 팀이었던 횟수 목록
+ */
+export async function fetchPairHistory() {
+  return apiRequest('/api/teams/pair-history', {
+    method: 'GET'
+  });
+}
+
+/**
+ * 저장된 과거 분배 결과의 PM 이력 조회
+ * @returns {Promise} 과거 분배별 PM 이름 목록 (오래된 순)
+ */
+export async function fetchPMHistory() {
+  return apiRequest('/api/teams/pm-history', {
+    method: 'GET'
+  });
+}
+
+/**
+ * 서버에 팀 분배를 요청 (서버는 random, freshness 전략만 지원하며 역할 조건은 적용하지 않음)
+ * 화면의 분배는 teamConfigHandlers.distributeTeamsWithServer로 이 요청의 시드를 사용합니다.
+ * @param {Object} options - 분배 옵션
+ * @param {Array<string>} options.members - 분배할 멤버 이름 배열
+ * @param {number} options.teamCount - 팀 개수
+ * @param {Array<string>} [options.teamNames] - 팀 이름 배열
+ * @param {string} [options.strategy='random'] - 분배 전략
+ * @param {string|number} [options.seed] - 셔플 시드 (재현이 필요한 경우)
+ * @param {Array<Object>} [options.constraints] - 같은 팀 / 다른 팀 배정 규칙
+ * @param {string} [options.pmPolicy='random'] - PM 선출 방식 ('random', 'least-recent', 'volunteer')
+ * @param {Array<string>} [options.volunteers] - PM 지원자 이름 배열
+ * @returns {Promise} distributionId, 시드, 팀별 멤버 정보, 팀별 PM과 지키지 못한 규칙 목록
+ */
+export async function requestTeamDistribution({
+  members,
+  teamCount,
+  teamNames,
+  strategy = 'random',
+  seed,
+  constraints,
+  pmPolicy = 'random',
+  volunteers
+}) {
+  return apiRequest('/api/teams/distribute', {
+    method: 'POST',
+    body: JSON.stringify({ members, teamCount, teamNames, strategy, seed, constraints, pmPolicy, volunteers })
+  });
+}
+
+/**
+ * 저장된 팀 구성 목록을 최신순으로 조회
+ * @param {Object} [options] - 조회 옵션
+ * @param {number} [options.page=1] - 페이지 번호 (1부터 시작)
+ * @param {number} [options.limit=20] - 페이지 크기 (최대 100)
+ * @returns {Promise} 요약 정보 목록(items)과 페이지 정보(page, limit, total, totalPages)
+ */
+export async function fetchTeamHistory({ page = 1, limit = 20 } = {}) {
+  return apiRequest(`/api/teams/history?page=${page}&limit=${limit}`, {
+    method: 'GET'
+  });
+}
+
+/**
+ * ID로 저장된 팀 구성 조회
+ * @param {string} id - 팀 데이터 ID
+ * @returns {Promise} 저장된 팀 문서 (schemaVersion, teams[{ name, members[{ id, name, role, isPM }] }], strategy, seed, metadata)
+ */
+export async function fetchTeamData(id) {
+  return apiRequest(`/api/teams/${encodeURIComponent(id)}`, {
+    method: 'GET'
+  });
+}
+
+/**
+ * 저장된 팀 구성 수정
+ * @param {string} id - 팀 데이터 ID
+ * @param {Object} changes - 변경 내용
+ * @param {string} [changes.name] - 결과 이름
+ * @param {string} [changes.notes] - 메모
+ * @param {Array<Array<string>>} [changes.swaps] - 서로 팀을 바꿀 두 멤버 ID 목록 (이름 목록으로 저장한 이전 형식 데이터는 이름)
+ * @returns {Promise} 수정된 팀 구성
+ */
+export async function updateTeamData(id, changes) {
+  return apiRequest(`/api/teams/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  });
+}
+
+/**
+ * 저장된 팀 구성 삭제
+ * @param {string} id - 팀 데이터 ID
+ * @returns {Promise} 삭제 결과
+ */
+export async function deleteTeamData(id) {
+  return apiRequest(`/api/teams/${encodeURIComponent(id)}`, {
+    method: 'DELETE'
+  });
+}
+
+/**
+ * 실시간 공유 세션 열기
+ * @returns {Promise} 세션 코드(id)와 진행자 토큰(hostToken)
+ */
+export async function createLiveSession() {
+  return apiRequest('/api/sessions', {
+    method: 'POST'
+  });
+}
+
+/**
+ * 진행자 화면의 상태를 세션 참가자에게 공유
+ * @param {string} id - 세션 코드
+ * @param {string} hostToken - 진행자 토큰
+ * @param {Object} state - 공유할 상태 (멤버 목록, 팀 구성 등)
+ * @returns {Promise} 상태 버전(version)과 참가자 수(participantCount)
+ */
+export async function publishLiveState(id, hostToken, state) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}/state`, {
+    method: 'POST',
+    headers: { 'X-Session-Token': hostToken },
+    body: JSON.stringify({ state })
+  });
+}
+
+/**
+ * 실시간 공유 세션 종료
+ * @param {string} id - 세션 코드
+ * @param {string} hostToken - 진행자 토큰
+ * @returns {Promise} 종료 결과
+ */
+export async function closeLiveSession(id, hostToken) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: { 'X-Session-Token': hostToken }
+  });
+}
+
+/**
+ * 실시간 공유 세션 정보 조회 (참가 신청 상태 registration 포함)
+ * @param {string} id - 세션 코드
+ * @returns {Promise} 세션 정보
+ */
+export async function fetchLiveSession(id) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}`, {
+    method: 'GET'
+  });
+}
+
+/**
+ * 실시간 공유 세션 설정 변경
+ * @param {string} id - 세션 코드
+ * @param {string} hostToken - 진행자 토큰
+ * @param {Object} changes - 바꿀 설정 ({ registrationOpen })
+ * @returns {Promise} 참가 신청 상태(registration)
+ */
+export async function updateLiveSession(id, hostToken, changes) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'X-Session-Token': hostToken },
+    body: JSON.stringify(changes)
+  });
+}
+
+/**
+ * 세션에 참가 신청
+ * @param {string} id - 세션 코드
+ * @param {Object} entry - 신청 내용 ({ name, gender?, tags? })
+ * @returns {Promise} 신청 id, 이름, 상태
+ */
+export async function submitJoinRequest(id, entry) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}/members`, {
+    method: 'POST',
+    body: JSON.stringify(entry)
+  });
+}
+
+/**
+ * 내 참가 신청 상태 조회
+ * @param {string} id - 세션 코드
+ * @param {string} requestId - 신청 id
+ * @returns {Promise} 신청 id, 이름, 상태
+ */
+export async function fetchJoinRequest(id, requestId) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}/members/${encodeURIComponent(requestId)}`, {
+    method: 'GET'
+  });
+}
+
+/**
+ * 참가 신청 목록 조회 (진행자)
+ * @param {string} id - 세션 코드
+ * @param {string} hostToken - 진행자 토큰
+ * @returns {Promise} 신청 목록(requests)과 참가 신청 상태(registration)
+ */
+export async function fetchJoinRequests(id, hostToken) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}/members`, {
+    method: 'GET',
+    headers: { 'X-Session-Token': hostToken }
+  });
+}
+
+/**
+ * 참가 신청 승인/거절 (진행자)
+ * @param {string} id - 세션 코드
+ * @param {string} hostToken - 진행자 토큰
+ * @param {string} requestId - 신청 id
+ * @param {string} status - 'approved' 또는 'rejected'
+ * @returns {Promise} 바뀐 신청
+ */
+export async function reviewJoinRequest(id, hostToken, requestId, status) {
+  return apiRequest(`/api/sessions/${encodeURIComponent(id)}/members/${encodeURIComponent(requestId)}`, {
+    method: 'PATCH',
+    headers: { 'X-Session-Token': hostToken },
+    body: JSON.stringify({ status })
+  });
+}
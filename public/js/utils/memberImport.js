@@ -0,0 +1,168 @@
+/**
+ * @file utils/memberImport.js
+ * @description 붙여넣은 목록이나 CSV/TSV 파일에서 멤버를 한 번에 읽어오는 유틸리티
+ *
+ * 지원 형식:
+ * - 이름 목록: 줄바꿈, 쉼표, 탭으로 구분된 이름 (예: "피카츄, 라이츄\n파이리")
+ * - 표 형식: 첫 줄이 머리글이고 이름 열이 있는 CSV(쉼표) 또는 TSV(탭)
+ *   선택 열: 실력 점수(rating), 역할(role), 성별(gender), 태그(tags, 세미콜론이나 | 로 구분), 메모(notes)
+ *   큰따옴표로 감싼 값 안의 구분자와 "" (따옴표 이스케이프)를 지원합니다.
+ */
+
+/**
+ * 열 이름별 머리글 별칭 (소문자로 비교)
+ * @constant {Object<string, Array<string>>}
+ */
+export const IMPORT_COLUMNS = {
+  name: ['name', '이름', '멤버'],
+  rating: ['rating', '실력', '점수'],
+  role: ['role', '역할'],
+  gender: ['gender', '성별'],
+  tags: ['tags', 'tag', '태그'],
+  notes: ['notes', 'note', '메모']
+};
+
+/**
+ * 구분자 하나로 나뉜 텍스트를 행 배열로 나눕니다. (큰따옴표 값 지원)
+ * @param {string} text - 원본 텍스트
+ * @param {string} delimiter - 열 구분자 (',' 또는 '\t')
+ * @returns {Array<Array<string>>} 행별 값 배열 (빈 줄 제외)
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      inQuotes = true;
+      value = '';
+    } else if (char === delimiter) {
+      row.push(value.trim());
+      value = '';
+    } else if (char === '\n') {
+      row.push(value.trim());
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  row.push(value.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * 머리글 행에서 열 이름별 위치를 찾습니다.
+ * @param {Array<string>} header - 머리글 행
+ * @returns {Object<string, number>|null} 열 이름별 위치 (이름 열이 없으면 null)
+ */
+function findColumns(header) {
+  const columns = {};
+
+  Object.entries(IMPORT_COLUMNS).forEach(([column, aliases]) => {
+    const index = header.findIndex(cell => aliases.includes(cell.toLowerCase()));
+    if (index !== -1) columns[column] = index;
+  });
+
+  return columns.name === undefined ? null : columns;
+}
+
+/**
+ * 붙여넣은 텍스트나 파일 내용을 멤버 목록으로 읽습니다.
+ * @param {string} text - 붙여넣은 텍스트 또는 CSV/TSV 파일 내용
+ * @returns {{entries: Array<{name: string, rating?: number, role?: string, gender?: string, tags?: Array<string>, notes?: string}>, errors: Array<{line: number, message: string}>}}
+ *   읽은 멤버 목록과 건너뛴 행의 오류 (line은 1부터 시작)
+ *
+ * @example
+ * parseMemberImport('name,rating,tags\n피카츄,3,FE;리더\n라이츄,,BE');
+ * // { entries: [{ name: '피카츄', rating: 3, tags: ['FE', '리더'] }, { name: '라이츄', tags: ['BE'] }], errors: [] }
+ */
+export function parseMemberImport(text) {
+  const normalized = String(text ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const delimiter = normalized.includes('\t') ? '\t' : ',';
+  const rows = parseDelimited(normalized, delimiter);
+  const columns = rows.length ? findColumns(rows[0]) : null;
+
+  // 머리글이 없으면 줄바꿈, 쉼표, 탭으로 나눈 모든 값을 이름으로 취급
+  if (!columns) {
+    return {
+      entries: normalized.split(/[\n,\t]/).map(name => name.trim()).filter(Boolean).map(name => ({ name })),
+      errors: []
+    };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const cell = (column) => (columns[column] === undefined ? '' : cells[columns[column]] ?? '');
+    const name = cell('name');
+
+    if (!name) {
+      errors.push({ line, message: '이름이 비어 있습니다.' });
+      return;
+    }
+
+    const entry = { name };
+    const rating = cell('rating');
+    if (rating !== '') {
+      const value = Number(rating);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push({ line, message: `실력 점수는 0 이상의 숫자여야 합니다: ${rating}` });
+        return;
+      }
+      entry.rating = value;
+    }
+
+    if (cell('role')) entry.role = cell('role');
+    if (cell('gender')) entry.gender = cell('gender');
+
+    const tags = cell('tags').split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+    if (tags.length) entry.tags = tags;
+
+    if (cell('notes')) entry.notes = cell('notes');
+
+    entries.push(entry);
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * 가져올 멤버를 기존 멤버 목록에 추가했을 때의 결과를 미리 보여줍니다.
+ * 멤버는 ID로 구분하므로 같은 이름도 그대로 추가되며, 이름이 겹치는 행은 확인할 수 있도록 표시합니다.
+ * @param {Array<{name: string}>} entries - 가져올 멤버 목록
+ * @param {Array<{name: string}>} existingMembers - 기존 멤버 배열
+ * @returns {{rows: Array<{input: string, name: string, isDuplicate: boolean}>}}
+ *   행별 원래 이름, 추가될 이름, 기존 멤버나 앞 행과 이름이 같은지 여부
+ */
+export function previewMemberImport(entries, existingMembers) {
+  const names = new Set(existingMembers.map(({ name }) => name));
+
+  const rows = entries.map(({ name: input }) => {
+    const name = input.trim();
+    const isDuplicate = names.has(name);
+    names.add(name);
+    return { input, name, isDuplicate };
+  });
+
+  return { rows };
+}
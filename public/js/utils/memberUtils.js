@@ -5,6 +5,162 @@
 
 import * as stringUtils from './stringUtils.js';
 
+/**
+ * 멤버 프로필의 선택 속성 (이름과 ID 외에 멤버 객체가 가질 수 있는 값)
+ * - rating: 실력 점수 (0 이상의 숫자)
+ * - role: 역할 (예: '프론트엔드', '디자인')
+ * - gender: 성별
+ * - tags: 태그 목록
+ * - notes: 메모
+ * @constant {Array<string>}
+ */
+export const MEMBER_PROFILE_FIELDS = ['rating', 'role', 'gender', 'tags', 'notes'];
+
+/**
+ * 멤버 ID 순번 (같은 밀리초에 만든 ID도 겹치지 않게 함)
+ * @type {number}
+ */
+let memberIdSequence = 0;
+
+/**
+ * 멤버 ID를 만듭니다. 이름이 같은 멤버도 ID로 구분합니다.
+ * @returns {string} 멤버 ID
+ */
+export const createMemberId = () => {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  memberIdSequence += 1;
+  return `m-${Date.now().toString(36)}-${memberIdSequence.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * 멤버 프로필 값 하나가 비어 있는지 확인합니다. (빈 값은 속성을 지움)
+ * @param {*} value - 속성 값
+ * @returns {boolean} 비어 있는지 여부
+ */
+const isEmptyProfileValue = (value) =>
+  value === null || value === undefined ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * 멤버 객체를 만듭니다.
+ * @param {string} name - 표시 이름
+ * @param {Object} [profile={}] - 선택 속성 (MEMBER_PROFILE_FIELDS, id를 주면 그 ID 사용)
+ * @returns {{id: string, name: string, rating?: number, role?: string, gender?: string, tags?: Array<string>, notes?: string}} 멤버
+ *
+ * @example
+ * createMember(' 피카츄 ', { role: '프론트엔드', notes: '' });
+ * // { id: '...', name: '피카츄', role: '프론트엔드' }
+ */
+export const createMember = (name, profile = {}) => updateMemberProfile(
+  { id: profile.id ?? createMemberId(), name: String(name).trim() },
+  profile
+);
+
+/**
+ * 멤버 객체에 바뀐 속성을 반영한 새 객체를 반환합니다.
+ * 빈 값(null, 빈 문자열, 빈 배열)을 주면 그 속성을 지우고, 이름은 비어 있으면 바꾸지 않습니다.
+ * @param {Object} member - 멤버
+ * @param {Object} changes - 바꿀 값 (name과 MEMBER_PROFILE_FIELDS만 반영)
+ * @returns {Object} 바뀐 멤버 (바뀐 값이 없으면 받은 객체)
+ */
+export const updateMemberProfile = (member, changes) => {
+  const next = { ...member };
+  let isChanged = false;
+
+  if (typeof changes.name === 'string' && changes.name.trim() !== '' && changes.name.trim() !== member.name) {
+    next.name = changes.name.trim();
+    isChanged = true;
+  }
+
+  MEMBER_PROFILE_FIELDS
+    .filter(field => field in changes)
+    .forEach(field => {
+      const value = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+      if (isEmptyProfileValue(value)) {
+        if (field in next) {
+          delete next[field];
+          isChanged = true;
+        }
+      } else if (JSON.stringify(next[field]) !== JSON.stringify(value)) {
+        next[field] = Array.isArray(value) ? [...value] : value;
+        isChanged = true;
+      }
+    });
+
+  return isChanged ? next : member;
+};
+
+/**
+ * ID로 멤버를 찾습니다.
+ * @param {Array<Object>} members - 멤버 배열
+ * @param {string} id - 멤버 ID
+ * @returns {Object|undefined} 멤버 (없으면 undefined)
+ */
+export const findMember = (members, id) => members.find(member => member.id === id);
+
+/**
+ * 실력 점수가 있는 멤버의 ID별 실력 점수를 모읍니다. (균형 분배, 균형 표시용)
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Object<string, number>} 멤버 ID별 실력 점수
+ */
+export const getMemberRatings = (members) => Object.fromEntries(
+  members.filter(({ rating }) => rating !== undefined).map(({ id, rating }) => [id, rating])
+);
+
+/**
+ * 멤버 ID를 표시 이름으로 바꾸는 함수를 만듭니다. (배정 규칙 안내 문구 등)
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Function} 멤버 ID를 받아 이름을 반환하는 함수 (없는 멤버는 ID를 그대로 반환)
+ */
+export const createMemberNameResolver = (members) => {
+  const names = new Map(members.map(({ id, name }) => [id, name]));
+  return (id) => names.get(id) ?? id;
+};
+
+/**
+ * 멤버 ID로 역할을 찾는 함수를 만듭니다. (역할 조건 배분, 확인용)
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Function} 멤버 ID를 받아 역할을 반환하는 함수 (역할이 없거나 없는 멤버면 undefined)
+ */
+export const createMemberRoleResolver = (members) => {
+  const roles = new Map(members.map(({ id, role }) => [id, role]));
+  return (id) => roles.get(id);
+};
+
+/**
+ * 멤버 ID 목록을 이름 목록으로 바꿉니다. (팀 구성 표시, 저장, 내보내기용)
+ * @param {Array<string|null>} ids - 멤버 ID 목록 (null은 그대로 둠)
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Array<string|null>} 멤버 이름 목록 (없는 멤버는 ID를 그대로 표시)
+ */
+export const getMemberNames = (ids, members) => {
+  const getName = createMemberNameResolver(members);
+  return ids.map(id => (id === null ? null : getName(id)));
+};
+
+/**
+ * 멤버 ID로 된 팀 구성을 저장, 내보내기용 멤버 목록({ id, name, profile })으로 바꿉니다.
+ * profile에는 MEMBER_PROFILE_FIELDS 중 값이 있는 속성만 담고, 프로필 값이 없는 멤버는 profile이 없습니다.
+ * @param {Array<Array<string>>} teams - 팀별 멤버 ID 배열
+ * @param {Array<Object>} members - 멤버 배열
+ * @returns {Array<Array<{id: string, name: string, profile?: Object}>>} 팀별 멤버 ID, 이름과 프로필
+ */
+export const toTeamRoster = (teams, members) => {
+  const getName = createMemberNameResolver(members);
+  const membersById = new Map(members.map(member => [member.id, member]));
+  const getProfile = (id) => Object.fromEntries(MEMBER_PROFILE_FIELDS
+    .filter(field => membersById.get(id)?.[field] !== undefined)
+    .map(field => [field, membersById.get(id)[field]]));
+
+  return teams.map(team => team.map(id => {
+    const profile = getProfile(id);
+    return Object.keys(profile).length ? { id, name: getName(id), profile } : { id, name: getName(id) };
+  }));
+};
+
 /**
  * 더 많은 멤버를 추가할 수 있는지 확인합니다.
  * @param {object} state - 애플리케이션 상태
@@ -44,9 +200,9 @@ export const getRemainingMembersCount = (state) => {
 
 /**
  * 특정 인덱스의 멤버를 제외한 모든 멤버 배열을 반환합니다.
- * @param {Array<string>} members - 전체 멤버 배열
+ * @param {Array<Object>} members - 전체 멤버 배열
  * @param {number} excludeIndex - 제외할 멤버 인덱스
- * @returns {Array<string>} 필터링된 멤버 배열
+ * @returns {Array<Object>} 필터링된 멤버 배열
  */
 export const getMembersExcept = (members, excludeIndex) => {
   if (!members || !Array.isArray(members)) return [];
@@ -56,15 +212,15 @@ export const getMembersExcept = (members, excludeIndex) => {
 
 /**
  * 멤버 이름을 기준으로 정렬합니다.
- * @param {Array<string>} members - 멤버 배열
+ * @param {Array<Object>} members - 멤버 배열
  * @param {boolean} ascending - 오름차순 정렬 여부 (기본값: true)
- * @returns {Array<string>} 정렬된 멤버 배열
+ * @returns {Array<Object>} 정렬된 멤버 배열 (이름이 같으면 원래 순서 유지)
  */
 export const sortMembersByName = (members, ascending = true) => {
   if (!members || !Array.isArray(members)) return [];
   
   return [...members].sort((a, b) => {
-    const comparison = a.localeCompare(b, 'ko');
+    const comparison = a.name.localeCompare(b.name, 'ko');
     return ascending ? comparison : -comparison;
   });
 }; 
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * @file utils/pairHistory.js
+ * @description 과거 팀 구성 기반 짝 반복 점수 계산
+ * 서버의 src/utils/pairHistory.js와 동일한 알고리즘을 사용하며,
+ * 짝 이력은 서버의 GET /api/teams/pair-history 응답(짝 목록)으로 받아옵니다.
+ */
+
+/**
+ * 점수를 줄이는 교환(swap)을 시도할 최대 횟수
+ * @constant {number}
+ */
+const MAX_FRESHNESS_SWAPS = 200;
+
+/**
+ * 순서와 무관한 짝 키 생성
+ * @param {string} a - 멤버 이름
+ * @param {string} b - 멤버 이름
+ * @returns {string} 순서와 무관한 짝 키
+ */
+export function pairKey(a, b) {
+  return JSON.stringify(a < b ? [a, b] : [b, a]);
+}
+
+/**
+ * 과거 분배 결과에서 짝별로 같은 팀이었던 횟수 계산
+ * @param {Array<Array<Array<string>>>} distributions - 과거 분배 결과 목록 (분배별 팀 배열)
+ * @returns {Map<string, number>} 짝 키별 같은 팀이었던 횟수
+ *
+ * @example
+ * countPairs([[['a', 'b'], ['c']], [['a', 'b', 'c']]]).get(pairKey('a', 'b')); // 2
+ */
+export function countPairs(distributions) {
+  const pairCounts = new Map();
+
+  distributions.forEach(teams => teams.forEach(team => {
+    const members = [...new Set(team)];
+    members.forEach((a, i) => members.slice(i + 1).forEach(b => {
+      const key = pairKey(a, b);
+      pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+    }));
+  }));
+
+  return pairCounts;
+}
+
+/**
+ * 짝 목록(API 응답)을 짝 키별 횟수로 변환
+ * @param {Array<{members: Array<string>, count: number}>} [pairs=[]] - 짝 목록
+ * @returns {Map<string, number>} 짝 키별 횟수
+ */
+export function fromPairList(pairs = []) {
+  return new Map(pairs.map(({ members: [a, b], count }) => [pairKey(a, b), count]));
+}
+
+/**
+ * 팀의 반복 짝 점수 계산
+ * @param {Array<string>} team - 팀 멤버 배열
+ * @param {Map<string, number>} pairCounts - 짝 키별 횟수
+ * @returns {number} 팀 안의 모든 짝이 과거에 같은 팀이었던 횟수의 합
+ */
+export function getRepeatScore(team, pairCounts) {
+  return team.reduce((score, a, i) =>
+    score + team.slice(i + 1).reduce((sum, b) => sum + (pairCounts.get(pairKey(a, b)) || 0), 0), 0);
+}
+
+/**
+ * 팀 간 멤버 교환으로 반복 짝 점수 최소화
+ * @param {Array<Array<string>>} teams - 처음 분배된 팀 배열 (팀 인원은 그대로 유지됨)
+ * @param {Map<string, number>} pairCounts - 짝 키별 횟수
+ * @returns {Array<Array<string>>} 반복 짝 점수를 줄인 팀 배열
+ *
+ * 두 팀 간 멤버 교환 중 전체 반복 짝 점수를 가장 많이 줄이는 교환을 반복 적용합니다.
+ * 처음 분배가 시드로 정해지므로 같은 시드와 같은 이력이면 같은 결과가 나옵니다.
+ */
+export function minimizeRepeatPairs(teams, pairCounts) {
+  const result = teams.map(team => [...team]);
+  if (!pairCounts.size) {
+    return result;
+  }
+
+  const count = (a, b) => pairCounts.get(pairKey(a, b)) || 0;
+  // member가 team(except 제외)의 멤버들과 같은 팀이었던 횟수 합
+  const affinity = (member, team, except) =>
+    team.reduce((sum, other) => (other === except ? sum : sum + count(member, other)), 0);
+
+  for (let swap = 0; swap < MAX_FRESHNESS_SWAPS; swap++) {
+    let best = null;
+
+    for (let a = 0; a < result.length; a++) {
+      for (let b = a + 1; b < result.length; b++) {
+        result[a].forEach((x, i) => {
+          result[b].forEach((y, j) => {
+            const gain =
+              affinity(x, result[a], x) + affinity(y, result[b], y) -
+              affinity(y, result[a], x) - affinity(x, result[b], y);
+            if (gain > 0 && (!best || gain > best.gain)) {
+              best = { a, b, i, j, gain };
+            }
+          });
+        });
+      }
+    }
+
+    if (!best) break;
+
+    const { a, b, i, j } = best;
+    [result[a][i], result[b][j]] = [result[b][j], result[a][i]];
+  }
+
+  return result;
+}
@@ -0,0 +1,54 @@
+/**
+ * @file utils/pmElection.js
+ * @description 팀별 PM(팀장) 선출
+ * 서버의 src/utils/pmElection.js와 동일한 알고리즘을 사용하므로
+ * 같은 팀 구성, 시드, 이력이면 브라우저와 서버에서 같은 PM이 선출됩니다.
+ */
+
+import { createSeededRandom } from './seededRandom.js';
+
+/**
+ * 지원하는 PM 선출 방식
+ * @constant {Array<string>}
+ */
+export const PM_POLICIES = ['random', 'least-recent', 'volunteer'];
+
+/**
+ * 팀별 PM 선출
+ * - random: 팀원 중 무작위
+ * - least-recent: 가장 오래전에 PM을 맡았던(또는 맡은 적 없는) 팀원
+ * - volunteer: PM 지원자 중 무작위 (팀에 지원자가 없으면 팀원 중 무작위)
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @param {Object} [options] - 선출 옵션
+ * @param {string} [options.policy='random'] - 선출 방식
+ * @param {string|number} [options.seed] - 시드 (팀 분배 시드와 같은 값을 쓰면 분배와 함께 재현됨)
+ * @param {Array<Array<string>>} [options.pmHistory=[]] - 과거 분배별 PM 이름 목록 (오래된 순)
+ * @param {Array<string>} [options.volunteers=[]] - PM 지원자 이름 목록
+ * @returns {Array<string|null>} 팀 순서대로 선출된 PM 이름 (빈 팀은 null)
+ */
+export function electPMs(teams, { policy = 'random', seed, pmHistory = [], volunteers = [] } = {}) {
+  // 분배 셔플과 다른 난수열을 쓰도록 시드에 접미사를 붙임
+  const random = seed === undefined || seed === null ? Math.random : createSeededRandom(`${seed}:pm`);
+  const pickRandom = (candidates) => candidates[Math.floor(random() * candidates.length)];
+
+  // 멤버별 마지막으로 PM을 맡은 분배 순번 (맡은 적 없으면 -1)
+  const lastTerm = new Map();
+  pmHistory.forEach((pms, index) => pms.forEach(name => lastTerm.set(name, index)));
+  const volunteerSet = new Set(volunteers);
+
+  return teams.map(team => {
+    if (!team.length) return null;
+
+    if (policy === 'least-recent') {
+      const oldest = Math.min(...team.map(member => lastTerm.get(member) ?? -1));
+      return pickRandom(team.filter(member => (lastTerm.get(member) ?? -1) === oldest));
+    }
+
+    if (policy === 'volunteer') {
+      const candidates = team.filter(member => volunteerSet.has(member));
+      return pickRandom(candidates.length ? candidates : team);
+    }
+
+    return pickRandom(team);
+  });
+}
@@ -0,0 +1,240 @@
+/**
+ * @file utils/roleRequirements.js
+ * @description 팀별 역할 조건(역할별 최소/최대 인원)에 맞춘 팀 배분과 조건 확인
+ * 역할 조건의 team이 null(또는 없음)이면 모든 팀에, 팀 인덱스(0부터)면 그 팀에만 적용합니다.
+ * 같은 역할에 모든 팀 조건과 팀 조건이 함께 있으면 그 팀에는 팀 조건을 씁니다.
+ * 예: [{ role: '프론트엔드', min: 1, max: null, team: null }, { role: '디자이너', min: 2, max: 2, team: 0 }]
+ * 역할은 앞뒤 공백과 대소문자를 무시하고 비교합니다. ('Frontend'와 'frontend '는 같은 역할)
+ */
+
+import { shuffleArray } from './shuffleArray.js';
+
+/**
+ * 역할이 없는 멤버 (getRole을 주지 않았을 때)
+ * @returns {undefined}
+ */
+const noRole = () => undefined;
+
+/**
+ * 비교에 쓰는 역할 값으로 바꿉니다.
+ * @param {*} role - 역할
+ * @returns {string} 앞뒤 공백을 없애고 소문자로 바꾼 역할 (역할이 없으면 빈 문자열)
+ */
+export function normalizeRole(role) {
+  return typeof role === 'string' ? role.trim().toLowerCase() : '';
+}
+
+/**
+ * 역할 조건 형식 확인
+ * 역할은 비어 있지 않은 문자열, 최소 인원은 0 이상의 정수, 최대 인원은 없거나(null) 최소 인원 이상의 정수이며
+ * 최소 인원과 최대 인원 중 하나는 조건이 있어야 합니다. 팀은 없거나(null) 0 이상의 정수입니다.
+ * @param {Object} requirement - 역할 조건
+ * @returns {boolean} 올바른 역할 조건인지 여부
+ */
+export function isValidRoleRequirement(requirement) {
+  if (!requirement || normalizeRole(requirement.role) === '') return false;
+
+  const { min, max, team = null } = requirement;
+  if (team !== null && (!Number.isInteger(team) || team < 0)) return false;
+  if (!Number.isInteger(min) || min < 0) return false;
+  if (max === null || max === undefined) return min > 0;
+  return Number.isInteger(max) && max >= min && max >= 1;
+}
+
+/**
+ * 역할 조건을 사람이 읽을 수 있는 문장으로 변환
+ * @param {Object} requirement - 역할 조건
+ * @returns {string} 예: '디자이너 1명', '백엔드 1~2명', '프론트엔드 1명 이상'
+ */
+export function describeRoleRequirement({ role, min, max }) {
+  if (max === null || max === undefined) return `${role} ${min}명 이상`;
+  if (min === 0) return `${role} ${max}명 이하`;
+  return min === max ? `${role} ${min}명` : `${role} ${min}~${max}명`;
+}
+
+/**
+ * 한 팀에 적용할 올바른 역할 조건만 역할별로 모읍니다.
+ * 모든 팀 조건 다음에 그 팀의 조건을 넣으므로 같은 역할이면 팀 조건을 씁니다. (같은 범위에서는 마지막 조건)
+ * @param {Array<Object>} requirements - 역할 조건 목록
+ * @param {number} teamIndex - 팀 인덱스
+ * @returns {Map<string, Object>} 비교용 역할별 역할 조건
+ */
+const mapRequirements = (requirements, teamIndex) => {
+  const valid = requirements.filter(isValidRoleRequirement);
+  const toEntry = (requirement) => [normalizeRole(requirement.role), { ...requirement, max: requirement.max ?? null, team: requirement.team ?? null }];
+  return new Map([
+    ...valid.filter(({ team = null }) => team === null).map(toEntry),
+    ...valid.filter(({ team }) => team === teamIndex).map(toEntry)
+  ]);
+};
+
+/**
+ * 역할별로 모든 팀의 최소 인원을 더합니다. (그 역할 멤버가 몇 명 있어야 모든 팀의 최소 인원을 채우는지)
+ * @param {Array<Object>} requirements - 역할 조건 목록
+ * @param {number} teamCount - 팀 수
+ * @returns {Map<string, number>} 비교용 역할별 필요 인원
+ *
+ * @example
+ * getRequiredRoleCounts([{ role: '디자이너', min: 1, max: null }, { role: '디자이너', min: 2, max: null, team: 0 }], 3);
+ * // Map { '디자이너' => 4 } (team1 2명, team2와 team3 1명씩)
+ */
+export function getRequiredRoleCounts(requirements, teamCount) {
+  const required = new Map();
+  for (let teamIndex = 0; teamIndex < teamCount; teamIndex++) {
+    mapRequirements(requirements, teamIndex).forEach(({ min }, role) => required.set(role, (required.get(role) || 0) + min));
+  }
+  return required;
+}
+
+/**
+ * 역할 조건을 먼저 맞춘 뒤 나머지 자리를 무작위로 채워 배분합니다.
+ * 1. 멤버를 시드로 섞고, 팀 인원은 균등 분할과 같게 정함 (남는 인원은 앞쪽 팀부터 한 명씩)
+ * 2. 역할별 최소 인원: 라운드마다 (시드로 섞은) 팀 순서대로, 그 팀의 최소 인원이 남은 팀에 그 역할 멤버를 한 명씩 배치
+ *    (역할 멤버가 부족해도 한 팀에 몰리지 않고, 어느 팀이 모자랄지는 시드에 따라 달라짐)
+ * 3. 남은 멤버: 그 팀의 최대 인원을 넘지 않는 팀 중 그 역할 멤버가 가장 적은 팀에 배치
+ *    (최대 인원이 있는 역할의 멤버를 먼저 배치하고, 자리가 없으면 최대 인원을 넘더라도 빈자리에 배치)
+ * 같은 시드와 멤버 순서면 같은 결과가 나옵니다. 지키지 못한 조건은 findRoleShortfalls로 확인합니다.
+ * @param {Array<string>} members - 멤버 배열
+ * @param {number} teamCount - 팀 수
+ * @param {Object} [options] - 배분 옵션
+ * @param {Array<Object>} [options.requirements=[]] - 역할 조건 목록 (팀 조건의 team은 이 배분의 팀 인덱스)
+ * @param {Function} [options.getRole] - 멤버의 역할을 찾는 함수
+ * @param {string|number} [options.seed] - 셔플 시드
+ * @returns {Array<Array<string>>} 팀 배열 (팀 안의 멤버 순서는 섞인 순서)
+ *
+ * @example
+ * distributeTeamsByRole(['a', 'b', 'c', 'd'], 2, {
+ *   requirements: [{ role: 'design', min: 1, max: 1 }],
+ *   getRole: member => ({ a: 'design', b: 'design' })[member]
+ * });
+ * // a와 b가 서로 다른 팀에 배치됨
+ */
+export function distributeTeamsByRole(members, teamCount, { requirements = [], getRole = noRole, seed } = {}) {
+  if (!Array.isArray(members) || members.length === 0 || !Number.isInteger(teamCount) || teamCount < 1) {
+    return [];
+  }
+
+  const rulesByTeam = Array.from({ length: teamCount }, (_, teamIndex) => mapRequirements(requirements, teamIndex));
+  const minOf = (teamIndex, role) => rulesByTeam[teamIndex].get(role)?.min ?? 0;
+  const maxOf = (teamIndex, role) => rulesByTeam[teamIndex].get(role)?.max ?? null;
+  const roles = [...new Set(rulesByTeam.flatMap(rules => [...rules.keys()]))];
+  const roleOf = (member) => normalizeRole(getRole(member));
+  const countRole = (team, role) => team.filter(member => roleOf(member) === role).length;
+
+  const shuffled = shuffleArray(members, { seed });
+  const position = new Map(shuffled.map((member, index) => [member, index]));
+  // 분배 셔플과 다른 난수열을 쓰도록 시드에 접미사를 붙임
+  const teamOrder = shuffleArray(Array.from({ length: teamCount }, (_, index) => index), {
+    seed: seed === undefined || seed === null ? seed : `${seed}:roles`
+  });
+
+  const baseSize = Math.floor(members.length / teamCount);
+  const capacity = Array.from({ length: teamCount }, (_, index) => baseSize + (index < members.length % teamCount ? 1 : 0));
+  const teams = Array.from({ length: teamCount }, () => []);
+  const remaining = [...shuffled];
+
+  // 역할별 최소 인원 (팀마다 최소 인원이 다를 수 있으므로 가장 큰 최소 인원만큼 라운드 반복)
+  roles.forEach(role => {
+    const rounds = Math.max(...rulesByTeam.map((_, teamIndex) => minOf(teamIndex, role)));
+    for (let round = 0; round < rounds; round++) {
+      teamOrder.forEach(teamIndex => {
+        const team = teams[teamIndex];
+        if (round >= minOf(teamIndex, role) || team.length >= capacity[teamIndex] || countRole(team, role) > round) return;
+
+        const index = remaining.findIndex(member => roleOf(member) === role);
+        if (index !== -1) {
+          team.push(...remaining.splice(index, 1));
+        }
+      });
+    }
+  });
+
+  // 남은 멤버 (어느 팀에서든 최대 인원이 있는 역할 먼저)
+  const isLimited = (member) => rulesByTeam.some((_, teamIndex) => maxOf(teamIndex, roleOf(member)) !== null);
+  [...remaining.filter(isLimited), ...remaining.filter(member => !isLimited(member))].forEach(member => {
+    const role = roleOf(member);
+    const open = teamOrder.filter(teamIndex => teams[teamIndex].length < capacity[teamIndex]);
+    const allowed = open.filter(teamIndex => maxOf(teamIndex, role) === null || countRole(teams[teamIndex], role) < maxOf(teamIndex, role));
+    const candidates = allowed.length ? allowed : open;
+    const target = candidates.reduce((best, teamIndex) =>
+      (countRole(teams[teamIndex], role) < countRole(teams[best], role) ? teamIndex : best));
+    teams[target].push(member);
+  });
+
+  return teams.map(team => team.sort((a, b) => position.get(a) - position.get(b)));
+}
+
+/**
+ * 역할 조건 미달 정보 생성
+ * @param {number} teamIndex - 팀 인덱스
+ * @param {Object} requirement - 지키지 못한 역할 조건
+ * @param {string} reason - 이유 코드
+ * @param {number} count - 팀에 있는 그 역할 멤버 수
+ * @param {string} explanation - 이유 설명
+ * @returns {Object} 역할 조건 미달 정보 (detail은 팀 이름을 뺀 안내 문구)
+ */
+const createShortfall = (teamIndex, requirement, reason, count, explanation) => {
+  const detail = `${describeRoleRequirement(requirement)} (현재 ${count}명): ${explanation}`;
+  return { teamIndex, requirement, reason, count, detail, message: `Team ${teamIndex + 1} ${detail}` };
+};
+
+/**
+ * 팀 구성에서 역할 조건을 지키지 못한 팀을 이유와 함께 찾습니다. (팀마다 그 팀에 적용하는 조건으로 확인)
+ * - not-enough-members: 그 역할 멤버가 전체에서 모자라 모든 팀의 최소 인원을 채울 수 없음
+ * - team-too-small: 팀 인원이 그 팀의 역할별 최소 인원 합계보다 적음
+ * - unsatisfied: 멤버는 충분하지만 다른 팀에 몰려 있음 (고정, 배정 규칙, 직접 이동 등)
+ * - over-max: 최대 인원보다 많이 배정됨
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @param {Array<Object>} [requirements=[]] - 역할 조건 목록 (형식이 올바르지 않은 조건은 건너뜀)
+ * @param {Object} [options] - 옵션
+ * @param {Function} [options.getRole] - 멤버의 역할을 찾는 함수
+ * @returns {Array<Object>} 팀 순서대로 역할 조건 미달 정보 ({ teamIndex, requirement, reason, count, detail, message })
+ *
+ * @example
+ * findRoleShortfalls([['a'], ['b']], [{ role: 'design', min: 1, max: null }], { getRole: m => (m === 'a' ? 'design' : undefined) });
+ * // [{ teamIndex: 1, reason: 'not-enough-members', count: 0, message: 'Team 2 design 1명 이상 (현재 0명): ...' }]
+ */
+export function findRoleShortfalls(teams, requirements = [], { getRole = noRole } = {}) {
+  const rulesByTeam = teams.map((_, teamIndex) => mapRequirements(requirements, teamIndex));
+  if (rulesByTeam.every(rules => !rules.size)) return [];
+
+  const roleOf = (member) => normalizeRole(getRole(member));
+  const totals = new Map();
+  teams.flat().forEach(member => totals.set(roleOf(member), (totals.get(roleOf(member)) || 0) + 1));
+  const required = getRequiredRoleCounts(requirements, teams.length);
+
+  return teams.flatMap((team, teamIndex) => {
+    const rules = rulesByTeam[teamIndex];
+    const minimumTotal = [...rules.values()].reduce((sum, { min }) => sum + min, 0);
+
+    return [...rules].flatMap(([role, requirement]) => {
+      const count = team.filter(member => roleOf(member) === role).length;
+      const available = totals.get(role) || 0;
+      const needed = required.get(role) || 0;
+
+      if (requirement.max !== null && count > requirement.max) {
+        return [createShortfall(teamIndex, requirement, 'over-max', count,
+          '최대 인원보다 많이 배정되었습니다.')];
+      }
+
+      if (count >= requirement.min) return [];
+
+      if (available < needed) {
+        // 모든 팀의 최소 인원이 같으면 팀당 인원으로, 다르면 합계로 설명
+        const shortage = needed === requirement.min * teams.length
+          ? `${teams.length}개 팀에 ${requirement.min}명씩 배정할 수 없습니다.`
+          : `팀별 최소 인원 합계(${needed}명)를 채울 수 없습니다.`;
+        return [createShortfall(teamIndex, requirement, 'not-enough-members', count,
+          `역할이 ${requirement.role}인 멤버가 ${available}명뿐이라 ${shortage}`)];
+      }
+
+      if (team.length < minimumTotal) {
+        return [createShortfall(teamIndex, requirement, 'team-too-small', count,
+          `팀 인원(${team.length}명)이 역할별 최소 인원 합계(${minimumTotal}명)보다 적습니다.`)];
+      }
+
+      return [createShortfall(teamIndex, requirement, 'unsatisfied', count,
+        '이 역할의 멤버가 다른 팀에 몰려 있습니다. (고정, 배정 규칙 또는 직접 이동 때문일 수 있습니다)')];
+    });
+  });
+}
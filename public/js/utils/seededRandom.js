@@ -0,0 +1,48 @@
+/**
+ * @file utils/seededRandom.js
+ * @description 시드 기반 난수 생성기 (mulberry32)
+ * 서버의 src/utils/seededRandom.js와 동일한 알고리즘을 사용하므로
+ * 같은 시드와 멤버로 브라우저와 서버에서 같은 팀 구성을 재현할 수 있습니다.
+ */
+
+/**
+ * 시드를 FNV-1a 알고리즘으로 32비트 정수로 변환
+ * @param {string|number} seed - 시드 값
+ * @returns {number} 32비트 부호 없는 정수 해시
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * 시드 기반 난수 생성 함수 생성
+ * @param {string|number} seed - 시드 값
+ * @returns {Function} Math.random처럼 [0, 1) 범위의 실수를 반환하는 함수
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 새 시드 생성 (분배 결과에 기록할 용도)
+ * @returns {string} base36 시드 문자열
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36).padStart(7, '0');
+}
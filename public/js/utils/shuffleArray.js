@@ -1,16 +1,21 @@
+import { createSeededRandom } from './seededRandom.js';
+
 /**
  * 배열 요소를 무작위로 섞는 함수 (Fisher-Yates 알고리즘)
  * @param {Array} array - 섞을 배열
+ * @param {Object} [options] - 섞기 옵션
+ * @param {string|number} [options.seed] - 시드 값 (지정하면 항상 같은 순서로 섞임)
  * @returns {Array} 섞인 새 배열 (원본 배열은 변경하지 않음)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, { seed } = {}) {
   const shuffled = [...array]; // 원본 배열을 복사
+  const random = seed === undefined || seed === null ? Math.random : createSeededRandom(seed);
   
   // Fisher-Yates 셔플 알고리즘
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]; // 요소 위치 스왑
   }
   
   return shuffled;
-} 
\ No newline at end of file
+}
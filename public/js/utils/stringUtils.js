@@ -29,6 +29,18 @@ export const escapeRegExp = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * innerHTML에 넣을 값의 HTML 특수문자를 바꿉니다. (멤버 이름, 역할 등 사용자가 입력한 값)
+ * @param {*} value - 표시할 값
+ * @returns {string} 이스케이프된 문자열
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * 이름으로부터 접미사 번호를 추출합니다.
  * @param {string} name - 접미사가 있는 이름 (예: "홍길동-1")
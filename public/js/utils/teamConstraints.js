@@ -0,0 +1,284 @@
+/**
+ * @file utils/teamConstraints.js
+ * @description 팀 배정 규칙(같은 팀 / 다른 팀) 적용
+ * 서버의 src/utils/teamConstraints.js와 동일한 알고리즘을 사용하므로
+ * 같은 분배 결과와 규칙이면 브라우저와 서버에서 같은 팀 구성을 만듭니다.
+ * 브라우저에서는 멤버를 ID로 다루므로, 안내 문구에 쓸 이름은 options.getName으로 받습니다.
+ */
+
+/**
+ * 지원하는 규칙 종류
+ * @constant {Array<string>}
+ */
+export const CONSTRAINT_TYPES = ['together', 'apart'];
+
+/**
+ * 재배치 탐색 단계 상한 (규칙이 많을 때 탐색 시간이 무한정 늘어나지 않도록 제한)
+ * @constant {number}
+ */
+const MAX_SEARCH_STEPS = 20000;
+
+/**
+ * 멤버 값을 그대로 표시 이름으로 사용 (getName을 주지 않았을 때)
+ * @param {string} member - 멤버
+ * @returns {string} 표시 이름
+ */
+const identity = (member) => member;
+
+/**
+ * 규칙을 사람이 읽을 수 있는 문장으로 변환
+ * @param {Object} constraint - 규칙
+ * @param {Function} [getName] - 멤버 ID를 표시 이름으로 바꾸는 함수
+ * @returns {string} 사람이 읽을 수 있는 규칙 설명
+ */
+export function describeConstraint({ type, members }, getName = identity) {
+  return `${members.map(getName).join('·')} ${type === 'together' ? '같은 팀' : '다른 팀'}`;
+}
+
+/**
+ * 규칙 위반 정보 생성
+ * @param {Object} constraint - 지키지 못한 규칙
+ * @param {string} reason - 이유 코드
+ * @param {string} detail - 이유 설명
+ * @param {Function} [getName] - 멤버 ID를 표시 이름으로 바꾸는 함수
+ * @returns {Object} 규칙 위반 정보
+ */
+const createViolation = (constraint, reason, detail, getName = identity) => ({
+  constraint,
+  reason,
+  message: `${describeConstraint(constraint, getName)}: ${detail}`
+});
+
+/**
+ * 규칙 만족 여부 확인
+ * @param {Object} constraint - 규칙
+ * @param {Map<string, number>} teamOf - 멤버별 팀 인덱스
+ * @returns {boolean} 규칙을 만족하는지 여부
+ */
+const isSatisfied = ({ type, members: [a, b] }, teamOf) =>
+  type === 'together' ? teamOf.get(a) === teamOf.get(b) : teamOf.get(a) !== teamOf.get(b);
+
+/**
+ * 멤버별 팀 인덱스 계산
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @returns {Map<string, number>} 멤버별 팀 인덱스
+ */
+const mapTeamIndexes = (teams) => {
+  const teamOf = new Map();
+  teams.forEach((team, index) => team.forEach(member => teamOf.set(member, index)));
+  return teamOf;
+};
+
+/**
+ * 분배된 팀에 같은 팀 / 다른 팀 규칙 적용
+ * @param {Array<Array<string>>} teams - 처음 분배된 팀 배열 (팀 인원은 그대로 유지됨)
+ * @param {Array<Object>} [constraints=[]] - 규칙 목록 ({ type: 'together'|'apart', members: [a, b] })
+ * @param {Object} [options] - 옵션
+ * @param {Function} [options.getName] - 안내 문구에 쓸 멤버 표시 이름 (없으면 멤버 값 그대로)
+ * @returns {{teams: Array<Array<string>>, violations: Array<Object>}} 규칙을 적용한 팀 배열과 지키지 못한 규칙 목록
+ *
+ * 이유 코드:
+ * - invalid-constraint: 규칙 형식이 올바르지 않음
+ * - unknown-member: 분배 대상에 없는 멤버가 포함됨
+ * - group-too-large: 같은 팀 규칙으로 묶인 인원이 팀 최대 인원보다 많음
+ * - contradiction: 같은 팀 규칙으로 묶인 멤버끼리 다른 팀 규칙이 있음
+ * - unsatisfiable: 팀 인원 안에서 모든 규칙을 동시에 만족하는 배치가 없음
+ *
+ * @example
+ * applyTeamConstraints([['a', 'b'], ['c', 'd']], [{ type: 'apart', members: ['a', 'b'] }]);
+ * // { teams: [['a', 'd'], ['b', 'c']], violations: [] }
+ */
+export function applyTeamConstraints(teams, constraints = [], { getName = identity } = {}) {
+  if (!constraints.length) {
+    return { teams, violations: [] };
+  }
+
+  const initialOrder = teams.flat();
+  const position = new Map(initialOrder.map((member, index) => [member, index]));
+  const initialTeamOf = mapTeamIndexes(teams);
+  const violations = [];
+  // 재배치 대상에서 빠진 규칙 (최종 배치에서도 지켜지지 않은 경우에만 보고)
+  const dropped = [];
+
+  // 1. 형식과 멤버 존재 여부 확인
+  const active = constraints.filter(constraint => {
+    const { type, members } = constraint || {};
+    if (!CONSTRAINT_TYPES.includes(type) || !Array.isArray(members) ||
+      members.length !== 2 || members[0] === members[1]) {
+      violations.push({
+        constraint,
+        reason: 'invalid-constraint',
+        message: '규칙은 서로 다른 두 멤버와 together 또는 apart 종류로 지정해야 합니다.'
+      });
+      return false;
+    }
+
+    const missing = members.filter(member => !position.has(member));
+    if (missing.length) {
+      violations.push(createViolation(constraint, 'unknown-member',
+        `${missing.map(getName).join(', ')}은(는) 분배 대상 멤버가 아닙니다.`, getName));
+      return false;
+    }
+
+    return true;
+  });
+
+  // 2. 같은 팀 규칙을 묶음으로 합침 (union-find)
+  const parent = new Map(initialOrder.map(member => [member, member]));
+  const find = (member) => {
+    while (parent.get(member) !== member) {
+      member = parent.get(member);
+    }
+    return member;
+  };
+  const buildGroups = (togetherRules) => {
+    initialOrder.forEach(member => parent.set(member, member));
+    togetherRules.forEach(({ members: [a, b] }) => parent.set(find(a), find(b)));
+
+    const groups = new Map();
+    initialOrder.forEach(member => {
+      const root = find(member);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(member);
+    });
+    return groups;
+  };
+
+  const maxTeamSize = Math.max(...teams.map(team => team.length));
+  let together = active.filter(({ type }) => type === 'together');
+  let apart = active.filter(({ type }) => type === 'apart');
+  let groups = buildGroups(together);
+
+  // 3. 팀 최대 인원보다 큰 묶음은 풀어서 개별 멤버로 배치
+  const oversized = [...groups.values()].filter(group => group.length > maxTeamSize);
+  if (oversized.length) {
+    const oversizedMembers = new Set(oversized.flat());
+    together = together.filter(constraint => {
+      if (!oversizedMembers.has(constraint.members[0])) return true;
+      const size = groups.get(find(constraint.members[0])).length;
+      dropped.push(createViolation(constraint, 'group-too-large',
+        `같은 팀으로 묶인 인원(${size}명)이 팀 최대 인원(${maxTeamSize}명)보다 많습니다.`, getName));
+      return false;
+    });
+    groups = buildGroups(together);
+  }
+
+  // 4. 같은 묶음 안의 다른 팀 규칙은 만족할 수 없음
+  apart = apart.filter(constraint => {
+    const [a, b] = constraint.members;
+    if (find(a) !== find(b)) return true;
+    dropped.push(createViolation(constraint, 'contradiction',
+      '같은 팀 규칙으로 묶인 멤버끼리는 다른 팀으로 나눌 수 없습니다.', getName));
+    return false;
+  });
+
+  const rules = [...together, ...apart];
+
+  // 최종 배치에서 지켜지지 않은 규칙을 이유와 함께 보고
+  const report = (finalTeams, unsatisfied = []) => {
+    const teamOf = mapTeamIndexes(finalTeams);
+    dropped
+      .filter(({ constraint }) => !isSatisfied(constraint, teamOf))
+      .forEach(violation => violations.push(violation));
+    unsatisfied.forEach(rule => violations.push(createViolation(rule, 'unsatisfiable',
+      '팀 인원 안에서 다른 규칙과 동시에 만족하는 배치를 찾지 못했습니다.', getName)));
+    return { teams: finalTeams, violations };
+  };
+
+  // 처음 분배가 이미 모든 규칙을 만족하면 그대로 사용
+  if (rules.every(rule => isSatisfied(rule, initialTeamOf))) {
+    return report(teams);
+  }
+
+  // 5. 묶음 단위로 재배치 (큰 묶음 먼저, 원래 팀을 우선 시도)
+  const avoid = new Map(initialOrder.map(member => [member, new Set()]));
+  apart.forEach(({ members: [a, b] }) => {
+    avoid.get(a).add(b);
+    avoid.get(b).add(a);
+  });
+
+  const units = [...groups.values()].sort((x, y) =>
+    y.length - x.length || position.get(x[0]) - position.get(y[0]));
+  const preferences = units.map(unit => {
+    const counts = teams.map((_, index) =>
+      unit.filter(member => initialTeamOf.get(member) === index).length);
+    return teams
+      .map((_, index) => index)
+      .sort((x, y) => counts[y] - counts[x] || x - y);
+  });
+
+  const capacity = teams.map(team => team.length);
+  const assignment = teams.map(() => []);
+  const conflicts = (unit, team) =>
+    unit.some(member => team.some(other => avoid.get(member).has(other)));
+
+  let steps = 0;
+  const place = (unitIndex) => {
+    if (unitIndex === units.length) return true;
+    if (++steps > MAX_SEARCH_STEPS) return false;
+
+    const unit = units[unitIndex];
+    for (const teamIndex of preferences[unitIndex]) {
+      const team = assignment[teamIndex];
+      if (team.length + unit.length > capacity[teamIndex] || conflicts(unit, team)) continue;
+
+      team.push(...unit);
+      if (place(unitIndex + 1)) return true;
+      team.splice(team.length - unit.length, unit.length);
+    }
+    return false;
+  };
+
+  if (!place(0)) {
+    // 모든 규칙을 만족하는 배치가 없으면 충돌이 가장 적은 팀부터 채움
+    assignment.forEach(team => team.splice(0));
+    units.forEach((unit, unitIndex) => {
+      const fits = preferences[unitIndex]
+        .filter(teamIndex => assignment[teamIndex].length + unit.length <= capacity[teamIndex]);
+      const target = fits.find(teamIndex => !conflicts(unit, assignment[teamIndex])) ?? fits[0];
+
+      if (target !== undefined) {
+        assignment[target].push(...unit);
+        return;
+      }
+
+      // 묶음이 통째로 들어갈 팀이 없으면 멤버별로 나눠 배치
+      unit.forEach(member => {
+        const open = preferences[unitIndex]
+          .filter(teamIndex => assignment[teamIndex].length < capacity[teamIndex]);
+        const teamIndex = open.find(index => !conflicts([member], assignment[index])) ?? open[0];
+        assignment[teamIndex].push(member);
+      });
+    });
+  }
+
+  // 팀 안의 멤버 순서는 처음 분배 순서를 따름
+  const result = assignment.map(team => [...team].sort((a, b) => position.get(a) - position.get(b)));
+  const teamOf = mapTeamIndexes(result);
+
+  return report(result, rules.filter(rule => !isSatisfied(rule, teamOf)));
+}
+
+/**
+ * 직접 조정한 팀 배치에서 지켜지지 않는 규칙을 찾습니다. (재배치는 하지 않음)
+ * 분배 대상에 없는 멤버가 포함된 규칙이나 형식이 올바르지 않은 규칙은 건너뜁니다.
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @param {Array<Object>} [constraints=[]] - 규칙 목록
+ * @param {Object} [options] - 옵션
+ * @param {Function} [options.getName] - 안내 문구에 쓸 멤버 표시 이름 (없으면 멤버 값 그대로)
+ * @returns {Array<Object>} 지켜지지 않은 규칙 (이유 코드: unsatisfied)
+ *
+ * @example
+ * findUnsatisfiedConstraints([['a', 'b'], ['c']], [{ type: 'apart', members: ['a', 'b'] }]);
+ * // [{ constraint, reason: 'unsatisfied', message: 'a·b 다른 팀: 지금 팀 배치에서 지켜지지 않습니다.' }]
+ */
+export function findUnsatisfiedConstraints(teams, constraints = [], { getName = identity } = {}) {
+  const teamOf = mapTeamIndexes(teams);
+
+  return constraints
+    .filter(constraint => CONSTRAINT_TYPES.includes(constraint?.type) &&
+      Array.isArray(constraint.members) && constraint.members.length === 2 &&
+      constraint.members.every(member => teamOf.has(member)) &&
+      !isSatisfied(constraint, teamOf))
+    .map(constraint => createViolation(constraint, 'unsatisfied', '지금 팀 배치에서 지켜지지 않습니다.', getName));
+}
@@ -0,0 +1,208 @@
+/**
+ * @file utils/teamExport.js
+ * @description 현재 팀 구성을 CSV, Markdown, JSON, 인쇄용 HTML로 내보내는 유틸리티
+ *
+ * 서버의 팀 문서(schemaVersion 1)와 같은 형식으로 바꾼 뒤 내보내므로
+ * 저장된 결과를 GET /api/teams/:id/export?format= 으로 받은 것과 같은 내용이 됩니다.
+ * (src/utils/teamExport.js와 같은 변환)
+ */
+
+import { escapeHtml } from './stringUtils.js';
+
+/**
+ * 내보내기 형식별 MIME 타입, 확장자, 메뉴 이름
+ * @constant {Object<string, {contentType: string, extension: string, label: string}>}
+ */
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', label: 'CSV' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', label: 'Markdown' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', label: 'JSON' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', label: '인쇄용 HTML' }
+};
+
+/**
+ * 내보내기 문서의 기본 제목
+ * @constant {string}
+ */
+const DEFAULT_TITLE = '팀 구성 결과';
+
+/**
+ * 화면의 팀 구성을 서버와 같은 팀 문서 형식으로 바꿉니다.
+ * 팀 이름이 없으면 서버와 같이 team1, team2, ... 를 사용하고, 멤버 프로필이 있으면 서버와 같이 profile에 담습니다.
+ * @param {Object} options - 팀 구성
+ * @param {Array<Array<string|{id: string, name: string, profile?: Object}>>} options.teams - 팀별 멤버 이름 또는 멤버 ID, 이름과 프로필
+ * @param {Array<string|null>} [options.pms=[]] - 팀 순서대로 PM 이름 (멤버가 { id, name }이면 PM 멤버 ID)
+ * @param {Array<string>} [options.teamNames=[]] - 팀 순서대로 팀 이름
+ * @param {string|null} [options.strategy=null] - 분배 전략
+ * @param {string|number|null} [options.seed=null] - 셔플 시드
+ * @param {Object} [options.metadata={}] - 함께 담을 메타데이터 (createdAt, name 등)
+ * @returns {Object} 팀 문서
+ */
+export function createTeamDocument({ teams, pms = [], teamNames = [], strategy = null, seed = null, metadata = {} }) {
+  return {
+    schemaVersion: 1,
+    teams: teams.map((members, teamIndex) => {
+      const teamName = teamNames[teamIndex] ?? `team${teamIndex + 1}`;
+      return {
+        name: teamName,
+        members: members.map((member, index) => {
+          const { id = `${teamName}-${index + 1}`, name, profile } = typeof member === 'string' ? { name: member } : member;
+          const isPM = pms[teamIndex] === (typeof member === 'string' ? member : id);
+          return {
+            id, name, role: isPM ? 'pm' : 'member', isPM,
+            ...(profile && Object.keys(profile).length > 0 && { profile })
+          };
+        })
+      };
+    }),
+    strategy,
+    seed,
+    metadata: { createdAt: null, ...metadata }
+  };
+}
+
+/**
+ * @param {string} value - CSV 값
+ * @returns {string} 쉼표, 따옴표, 줄바꿈이 있으면 큰따옴표로 감싼 값
+ * (=, +, -, @로 시작하면 스프레드시트가 수식으로 실행하지 않도록 앞에 '를 붙임)
+ */
+function escapeCsv(value) {
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string} value - 표 칸에 넣을 값
+ * @returns {string} 표 구분자(|)와 줄바꿈을 이스케이프한 값
+ */
+function escapeMarkdown(value) {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * @param {Object} document - 팀 문서
+ * @returns {string} team,member,role 열의 CSV (엑셀에서 한글이 깨지지 않도록 UTF-8 BOM 포함)
+ */
+function toCsv(document) {
+  return '\uFEFF' + [
+    'team,member,role',
+    ...document.teams.flatMap(team => team.members.map(member =>
+      [team.name, member.name, member.role].map(escapeCsv).join(',')))
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {Object} document - 팀 문서
+ * @returns {string} 채팅에 붙여넣기 좋은 팀별 한 줄의 Markdown 표
+ */
+function toMarkdown(document) {
+  return [
+    `### ${escapeMarkdown(document.metadata?.name ?? DEFAULT_TITLE)}`,
+    '',
+    '| 팀 | 멤버 | PM |',
+    '| --- | --- | --- |',
+    ...document.teams.map(team => {
+      const members = team.members.map(member => escapeMarkdown(member.name)).join(', ');
+      const pms = team.members.filter(member => member.isPM).map(member => escapeMarkdown(member.name)).join(', ');
+      return `| ${escapeMarkdown(team.name)} | ${members} | ${pms} |`;
+    })
+  ].join('\n') + '\n';
+}
+
+/**
+ * @param {Object} document - 팀 문서
+ * @returns {string} 문서의 JSON (들여쓰기 2칸)
+ */
+function toJson(document) {
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * @param {Object} document - 팀 문서
+ * @returns {string} 팀마다 카드 하나인 인쇄용 HTML 페이지
+ */
+function toHtml(document) {
+  const title = escapeHtml(document.metadata?.name ?? DEFAULT_TITLE);
+  const details = [
+    document.metadata?.createdAt && `생성: ${escapeHtml(document.metadata.createdAt)}`,
+    document.seed !== null && document.seed !== undefined && `시드: ${escapeHtml(String(document.seed))}`
+  ].filter(Boolean).join(' · ');
+  const cards = document.teams.map(team => `
+      <section class="team">
+        <h2>${escapeHtml(team.name)} <small>(${team.members.length}명)</small></h2>
+        <ol>
+          ${team.members.map(member => `<li>${escapeHtml(member.name)}${member.isPM ? ' <span class="pm">PM</span>' : ''}</li>`).join('\n          ')}
+        </ol>
+      </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #111; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .details { color: #555; font-size: 13px; margin: 0 0 16px; }
+    .teams { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; }
+    .team { border: 1px solid #ccc; border-radius: 8px; padding: 12px; break-inside: avoid; page-break-inside: avoid; }
+    .team h2 { font-size: 16px; margin: 0 0 8px; }
+    .team small { color: #666; font-weight: normal; }
+    .team ol { margin: 0; padding-left: 20px; }
+    .pm { font-size: 11px; font-weight: 600; padding: 0 6px; border: 1px solid #111; border-radius: 10px; }
+    @page { margin: 12mm; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${details ? `<p class="details">${details}</p>` : ''}
+  <main class="teams">${cards}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * 형식별 변환 함수
+ * @constant {Object<string, Function>}
+ */
+const EXPORTERS = { csv: toCsv, md: toMarkdown, json: toJson, html: toHtml };
+
+/**
+ * 팀 문서를 지정한 형식의 문자열로 내보냅니다.
+ * @param {Object} document - 팀 문서 (createTeamDocument 결과 또는 서버에서 받은 문서)
+ * @param {string} format - 내보내기 형식 (EXPORT_FORMATS의 키)
+ * @returns {string} 내보낸 내용
+ * @throws {Error} 지원하지 않는 형식인 경우
+ *
+ * @example
+ * exportTeamDocument(createTeamDocument({ teams: [['a', 'b']], pms: ['b'] }), 'md');
+ * // '### 팀 구성 결과\n\n| 팀 | 멤버 | PM |\n| --- | --- | --- |\n| team1 | a, b | b |\n'
+ */
+export function exportTeamDocument(document, format) {
+  if (!EXPORTERS[format]) {
+    throw new Error(`지원하지 않는 내보내기 형식입니다: ${format} (${Object.keys(EXPORT_FORMATS).join(', ')} 중 하나)`);
+  }
+  return EXPORTERS[format](document);
+}
+
+/**
+ * 내보낸 내용을 파일로 내려받습니다.
+ * @param {string} content - 파일 내용
+ * @param {string} format - 내보내기 형식 (EXPORT_FORMATS의 키)
+ * @param {string} [baseName='teams'] - 확장자를 뺀 파일 이름
+ */
+export function downloadExport(content, format, baseName = 'teams') {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([content], { type: contentType }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = `${baseName}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,28 @@
+/**
+ * @file utils/teamSplit.js
+ * @description 섞인 멤버 목록을 팀으로 나누기
+ * 서버의 src/utils/teamSplit.js와 동일한 알고리즘을 사용하므로
+ * 같은 시드로 섞은 목록이면 브라우저와 서버에서 같은 팀 구성을 만듭니다.
+ */
+
+/**
+ * 섞인 순서대로 앞쪽 팀부터 연속된 구간으로 잘라 배정합니다.
+ * 나머지 인원이 있으면 앞쪽 팀이 한 명씩 더 가집니다. (10명, 3팀 → 4·3·3명)
+ * @param {Array<string>} members - 섞인 멤버 배열
+ * @param {number} teamCount - 팀 개수
+ * @returns {Array<Array<string>>} 팀 배열
+ *
+ * @example
+ * splitIntoTeams(['a', 'b', 'c', 'd', 'e'], 2); // [['a', 'b', 'c'], ['d', 'e']]
+ */
+export function splitIntoTeams(members, teamCount) {
+  const baseSize = Math.floor(members.length / teamCount);
+  const remainder = members.length % teamCount;
+
+  let memberIndex = 0;
+  return Array.from({ length: teamCount }, (_, teamIndex) => {
+    const teamSize = baseSize + (teamIndex < remainder ? 1 : 0);
+    memberIndex += teamSize;
+    return members.slice(memberIndex - teamSize, memberIndex);
+  });
+}
@@ -4,9 +4,16 @@
  */
 
 import { createErrorLogger } from './errorHandler.js';
+import { shuffleArray } from './shuffleArray.js';
 
 const logger = createErrorLogger('teamUtils');
 
+/**
+ * 균형 배분에서 국소 교환(swap)을 시도할 최대 횟수
+ * @constant {number}
+ */
+const MAX_BALANCE_SWAPS = 200;
+
 /**
  * 팀을 공평하게 배분합니다.
  * @param {Array<string>} members - 멤버 배열
@@ -64,14 +71,17 @@ export const distributeTeams = (members, teamCount) => {
  * @param {Array<string>} members - 멤버 배열
  * @param {number} teamCount - 팀 수
  * @param {string} strategy - 배분 전략 ('random', 'balanced', 'sequential')
+ * @param {Object} [options] - 전략별 옵션
+ * @param {Object<string, number>} [options.ratings] - 멤버 ID별 실력 점수 (balanced 전략)
+ * @param {string|number} [options.seed] - 셔플 시드 (balanced 전략의 동점자 순서)
  * @returns {Array<Array<string>>} 팀 배열
  */
-export const distributeTeamsWithStrategy = (members, teamCount, strategy = 'random') => {
+export const distributeTeamsWithStrategy = (members, teamCount, strategy = 'random', options = {}) => {
   if (!members || !teamCount) return [];
   
   switch(strategy) {
     case 'balanced':
-      return distributeTeamsBalanced(members, teamCount);
+      return distributeTeamsBalanced(members, teamCount, options);
     case 'sequential':
       return distributeTeamsSequential(members, teamCount);
     case 'random':
@@ -100,14 +110,116 @@ export const distributeTeamsSequential = (members, teamCount) => {
 };
 
 /**
- * 팀원 수를 최대한 균등하게 맞추는 방식으로 배분합니다.
+ * 멤버의 실력 점수를 조회합니다.
+ * 점수가 없는 멤버는 점수가 있는 멤버들의 평균으로 취급합니다.
+ * @param {Array<string>} members - 멤버 배열
+ * @param {Object<string, number>} [ratings={}] - 멤버 ID별 실력 점수
+ * @returns {Function} 멤버 ID를 받아 점수를 반환하는 함수
+ */
+const createRatingResolver = (members, ratings = {}) => {
+  const rated = members
+    .map(member => ratings[member])
+    .filter(rating => Number.isFinite(rating));
+  const fallback = rated.length
+    ? rated.reduce((sum, rating) => sum + rating, 0) / rated.length
+    : 0;
+  
+  return (member) => (Number.isFinite(ratings[member]) ? ratings[member] : fallback);
+};
+
+/**
+ * 팀의 실력 점수 합계와 평균을 계산합니다.
+ * @param {Array<string>} team - 팀 멤버 배열
+ * @param {Object<string, number>} [ratings={}] - 멤버 ID별 실력 점수
+ * @returns {{total: number, average: number, ratedCount: number}} 점수가 있는 멤버만 집계한 결과
+ */
+export const getTeamRatingStats = (team, ratings = {}) => {
+  const rated = team
+    .map(member => ratings[member])
+    .filter(rating => Number.isFinite(rating));
+  const total = rated.reduce((sum, rating) => sum + rating, 0);
+  
+  return {
+    total,
+    average: rated.length ? total / rated.length : 0,
+    ratedCount: rated.length
+  };
+};
+
+/**
+ * 실력 점수 합계가 팀 간에 최대한 비슷하도록 배분합니다.
+ * 1. 점수 내림차순으로 스네이크 드래프트 (1→N, N→1 순서로 한 명씩 선택)
+ * 2. 두 팀 간 멤버 교환으로 점수 합계의 편차가 줄어들면 교환을 반복
+ * 팀 인원은 스네이크 드래프트 단계에서 정해지며 교환해도 바뀌지 않습니다.
+ * 같은 점수의 멤버는 시드로 섞인 순서를 따르므로, 같은 시드와 멤버 순서면 같은 결과가 나옵니다.
+ * (다른 배분과 같도록 멤버는 이름순, 이름이 같으면 추가한 순서로 넘기세요)
+ *
  * @param {Array<string>} members - 멤버 배열
  * @param {number} teamCount - 팀 수
+ * @param {Object} [options] - 배분 옵션
+ * @param {Object<string, number>} [options.ratings={}] - 멤버 ID별 실력 점수
+ * @param {string|number} [options.seed] - 셔플 시드
  * @returns {Array<Array<string>>} 팀 배열
  */
-export const distributeTeamsBalanced = (members, teamCount) => {
-  // 랜덤 배분과 동일하지만, 멤버를 섞은 후 균등하게 배분
-  return distributeTeams([...members], teamCount);
+export const distributeTeamsBalanced = (members, teamCount, { ratings = {}, seed } = {}) => {
+  if (!members || !Array.isArray(members) || members.length === 0 || !teamCount || teamCount < 1) {
+    logger.warn("균형 배분에 필요한 데이터가 부족합니다.", { members: members?.length, teamCount });
+    return [];
+  }
+
+  try {
+    const ratingOf = createRatingResolver(members, ratings);
+    
+    // 받은 순서대로 섞고, 점수 내림차순으로 안정 정렬
+    const ordered = shuffleArray(members, { seed })
+      .sort((a, b) => ratingOf(b) - ratingOf(a));
+    
+    // 스네이크 드래프트
+    const teams = Array.from({ length: teamCount }, () => []);
+    ordered.forEach((member, index) => {
+      const round = Math.floor(index / teamCount);
+      const position = index % teamCount;
+      const teamIndex = round % 2 === 0 ? position : teamCount - 1 - position;
+      teams[teamIndex].push(member);
+    });
+    
+    // 국소 교환: 편차 제곱합이 가장 많이 줄어드는 교환을 반복 적용
+    const sums = teams.map(team => team.reduce((sum, member) => sum + ratingOf(member), 0));
+    
+    for (let swap = 0; swap < MAX_BALANCE_SWAPS; swap++) {
+      let best = null;
+      
+      for (let a = 0; a < teamCount; a++) {
+        for (let b = a + 1; b < teamCount; b++) {
+          teams[a].forEach((memberA, i) => {
+            teams[b].forEach((memberB, j) => {
+              const delta = ratingOf(memberA) - ratingOf(memberB);
+              if (delta === 0) return;
+              
+              // (sa - d)² + (sb + d)² - sa² - sb² = 2d(d - sa + sb)
+              const gain = -2 * delta * (delta - sums[a] + sums[b]);
+              if (gain > 1e-9 && (!best || gain > best.gain)) {
+                best = { a, b, i, j, delta, gain };
+              }
+            });
+          });
+        }
+      }
+      
+      if (!best) break;
+      
+      const { a, b, i, j, delta } = best;
+      [teams[a][i], teams[b][j]] = [teams[b][j], teams[a][i]];
+      sums[a] -= delta;
+      sums[b] += delta;
+    }
+    
+    logger.info("균형 배분 완료", { sums });
+    return teams;
+  } catch (error) {
+    logger.error("균형 배분 중 오류 발생", { error });
+    return [];
+  }
 };
 
 /**
@@ -143,4 +255,179 @@ export const findOptimalTeamDistribution = (members, teamCount) => {
   }
   
   return bestDistribution;
-}; 
\ No newline at end of file
+};
+
+/**
+ * 팀 인원과 실력 점수 합계가 얼마나 고른지 계산합니다.
+ * 팀 인원 차이가 1명 이하이면 인원이 고른 것으로 봅니다. (균등 분할에서 생기는 나머지 인원)
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @param {Object<string, number>} [ratings={}] - 멤버 ID별 실력 점수
+ * @returns {{sizes: Array<number>, sizeGap: number, isSizeBalanced: boolean, ratingStats: Array<Object>, hasRatings: boolean, ratingGap: number}}
+ *   팀별 인원, 최대·최소 인원 차이, 인원이 고른지 여부, 팀별 점수 통계, 점수가 입력된 멤버가 있는지 여부, 점수 합계의 최대·최소 차이
+ */
+export const getTeamBalance = (teams, ratings = {}) => {
+  const sizes = teams.map(team => team.length);
+  const sizeGap = sizes.length ? Math.max(...sizes) - Math.min(...sizes) : 0;
+  const ratingStats = teams.map(team => getTeamRatingStats(team, ratings));
+  const hasRatings = ratingStats.some(stats => stats.ratedCount > 0);
+  const totals = ratingStats.map(stats => stats.total);
+  
+  return {
+    sizes,
+    sizeGap,
+    isSizeBalanced: sizeGap <= 1,
+    ratingStats,
+    hasRatings,
+    ratingGap: hasRatings ? Math.max(...totals) - Math.min(...totals) : 0
+  };
+};
+
+/**
+ * 멤버를 다른 팀(또는 같은 팀의 다른 위치)으로 옮긴 팀 배열을 만듭니다.
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @param {string} memberId - 옮길 멤버 ID
+ * @param {number} toTeamIndex - 옮길 팀 인덱스
+ * @param {number|null} [toPosition=null] - 옮길 팀 안에서의 위치 (null이면 맨 뒤)
+ * @returns {Array<Array<string>>} 새 팀 배열 (멤버나 팀이 없으면 받은 배열 그대로)
+ *
+ * @example
+ * moveMemberBetweenTeams([['a', 'b'], ['c']], 'b', 1, 0); // [['a'], ['b', 'c']]
+ */
+export const moveMemberBetweenTeams = (teams, memberId, toTeamIndex, toPosition = null) => {
+  const fromTeamIndex = teams.findIndex(team => team.includes(memberId));
+  
+  if (fromTeamIndex === -1 || !Number.isInteger(toTeamIndex) || toTeamIndex < 0 || toTeamIndex >= teams.length) {
+    logger.warn("옮길 멤버나 팀을 찾을 수 없습니다.", { memberId, toTeamIndex });
+    return teams;
+  }
+  
+  const result = teams.map(team => team.filter(member => member !== memberId));
+  const target = result[toTeamIndex];
+  const position = Number.isInteger(toPosition) ? Math.min(Math.max(toPosition, 0), target.length) : target.length;
+  target.splice(position, 0, memberId);
+  
+  return result;
+};
+
+/**
+ * 팀에 고정한 멤버가 고정한 팀에 들어가도록 멤버를 교환합니다.
+ * 고정한 팀에서 고정되지 않은 멤버 한 명과 자리를 바꾸므로 팀 인원은 바뀌지 않습니다.
+ * (원래 팀에 고정된 멤버를 먼저, 없으면 고정되지 않은 멤버를 교환 상대로 고름)
+ * @param {Array<Array<string>>} teams - 분배된 팀 배열
+ * @param {Object<string, number>} [locks={}] - 멤버 ID별 고정한 팀 인덱스
+ * @returns {Array<Array<string>>} 고정을 반영한 새 팀 배열 (팀 개수 밖의 고정은 무시)
+ *
+ * @example
+ * applyMemberLocks([['a', 'b'], ['c', 'd']], { c: 0 }); // [['a', 'c'], ['b', 'd']]
+ */
+export const applyMemberLocks = (teams, locks = {}) => {
+  const result = teams.map(team => [...team]);
+  
+  Object.entries(locks)
+    .filter(([, teamIndex]) => Number.isInteger(teamIndex) && teamIndex >= 0 && teamIndex < result.length)
+    .forEach(([memberId, targetIndex]) => {
+      const fromIndex = result.findIndex(team => team.includes(memberId));
+      if (fromIndex === -1 || fromIndex === targetIndex) return;
+      
+      const target = result[targetIndex];
+      const candidates = target.filter(member => locks[member] !== targetIndex);
+      const partner = [...candidates].reverse().find(member => locks[member] === fromIndex)
+        ?? [...candidates].reverse().find(member => locks[member] === undefined)
+        ?? candidates[candidates.length - 1];
+      
+      if (partner === undefined) {
+        logger.warn("고정한 팀에 자리를 바꿀 멤버가 없습니다.", { memberId, targetIndex });
+        return;
+      }
+      
+      const from = result[fromIndex];
+      from[from.indexOf(memberId)] = partner;
+      target[target.indexOf(partner)] = memberId;
+    });
+  
+  return result;
+};
+
+/**
+ * 고정한 팀과 멤버는 그대로 두고 나머지 멤버만 다시 배분합니다.
+ * 1. 고정한 팀은 지금 멤버를 그대로 유지
+ * 2. 팀에 고정한 멤버는 고정한 팀에 먼저 배치 (지금 팀 안의 순서 유지)
+ * 3. 남은 멤버는 시드로 섞은 뒤, 고정하지 않은 팀 중 인원이 가장 적은 팀에 한 명씩 배치
+ *    (balanced이면 점수 내림차순으로, 인원이 같은 팀 중 점수 합계가 가장 낮은 팀에 배치)
+ * 모든 팀을 고정했는데 남은 멤버(새로 추가된 멤버 등)가 있으면 인원이 적은 팀부터 채웁니다.
+ * 같은 시드와 멤버 순서면 같은 결과가 나옵니다. (멤버는 이름순, 이름이 같으면 추가한 순서로 넘기세요)
+ * @param {Array<string>} members - 전체 멤버 배열
+ * @param {Array<Array<string>>} teams - 지금 팀 배열
+ * @param {Object} [options] - 배분 옵션
+ * @param {Array<number>} [options.teamLocks=[]] - 고정한 팀 인덱스
+ * @param {Object<string, number>} [options.memberLocks={}] - 멤버 ID별 고정한 팀 인덱스
+ * @param {Object<string, number>} [options.ratings={}] - 멤버 ID별 실력 점수
+ * @param {string|number} [options.seed] - 셔플 시드
+ * @param {boolean} [options.balanced=false] - 실력 점수 합계를 맞출지 여부
+ * @returns {Array<Array<string>>} 새 팀 배열 (팀 개수는 그대로)
+ *
+ * @example
+ * redistributeUnlocked(['a', 'b', 'c', 'd', 'e', 'f'], [['a', 'b'], ['c', 'd'], ['e', 'f']], { teamLocks: [0], memberLocks: { c: 2 } });
+ * // [['a', 'b'], [x, y], ['c', z]] (d, e, f는 시드에 따라 x, y, z 자리에 배치)
+ */
+export const redistributeUnlocked = (members, teams, { teamLocks = [], memberLocks = {}, ratings = {}, seed, balanced = false } = {}) => {
+  const memberSet = new Set(members);
+  const isTeamIndex = (index) => Number.isInteger(index) && index >= 0 && index < teams.length;
+  const lockedTeams = new Set(teamLocks.filter(isTeamIndex));
+  const result = teams.map((team, index) => (lockedTeams.has(index) ? team.filter(member => memberSet.has(member)) : []));
+  const placed = new Set(result.flat());
+  
+  // 팀에 고정한 멤버를 먼저 배치 (지금 배치 순서, 그다음 새 멤버 순서)
+  const currentOrder = [...new Set([...teams.flat().filter(member => memberSet.has(member)), ...members])];
+  currentOrder.forEach(member => {
+    const teamIndex = memberLocks[member];
+    if (placed.has(member) || !isTeamIndex(teamIndex) || lockedTeams.has(teamIndex)) return;
+    
+    result[teamIndex].push(member);
+    placed.add(member);
+  });
+  
+  const unlockedIndexes = result.map((_, index) => index).filter(index => !lockedTeams.has(index));
+  const targets = unlockedIndexes.length ? unlockedIndexes : result.map((_, index) => index);
+  const ratingOf = createRatingResolver(members, ratings);
+  const totals = result.map(team => team.reduce((sum, member) => sum + ratingOf(member), 0));
+  
+  // 받은 순서대로 섞음
+  const free = shuffleArray(members.filter(member => !placed.has(member)), { seed });
+  if (balanced) {
+    free.sort((a, b) => ratingOf(b) - ratingOf(a));
+  }
+  
+  free.forEach(member => {
+    const minSize = Math.min(...targets.map(index => result[index].length));
+    const candidates = targets.filter(index => result[index].length === minSize);
+    const teamIndex = balanced
+      ? candidates.reduce((best, index) => (totals[index] < totals[best] ? index : best))
+      : candidates[0];
+    
+    result[teamIndex].push(member);
+    totals[teamIndex] += ratingOf(member);
+  });
+  
+  return result;
+};
+
+/**
+ * 팀 발표에서 멤버를 한 명씩 공개할 순서를 만듭니다.
+ * 카드를 나눠 주듯 팀을 번갈아 팀 안의 순서대로 공개하며, 인원이 적은 팀은 차례를 건너뜁니다.
+ * 팀 배열만 보므로 어떤 분배 전략으로 만든 결과든 같은 방식으로 공개합니다.
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @returns {Array<{teamIndex: number, position: number, member: string}>} 공개 순서
+ *
+ * @example
+ * getRevealOrder([['a', 'b'], ['c']]);
+ * // [{ teamIndex: 0, position: 0, member: 'a' }, { teamIndex: 1, position: 0, member: 'c' }, { teamIndex: 0, position: 1, member: 'b' }]
+ */
+export const getRevealOrder = (teams) => {
+  const maxSize = Math.max(0, ...teams.map(team => team.length));
+  
+  return Array.from({ length: maxSize }, (_, position) => teams
+    .map((team, teamIndex) => ({ teamIndex, position, member: team[position] }))
+    .filter(({ member }) => member !== undefined)
+  ).flat();
+};
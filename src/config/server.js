@@ -9,10 +9,13 @@ export const SERVER_CONFIG = {
   DEFAULT_CHARSET: process.env.DEFAULT_CHARSET || 'utf-8',
   CORS: {
     ALLOW_ORIGIN: process.env.CORS_ALLOW_ORIGIN || '*',
-    ALLOW_HEADERS: process.env.CORS_ALLOW_HEADERS || 'Origin, X-Requested-With, Content-Type, Accept',
-    ALLOW_METHODS: process.env.CORS_ALLOW_METHODS || 'GET, POST, PUT, DELETE, OPTIONS'
+    ALLOW_HEADERS: process.env.CORS_ALLOW_HEADERS || 'Origin, X-Requested-With, Content-Type, Accept, X-Session-Token',
+    ALLOW_METHODS: process.env.CORS_ALLOW_METHODS || 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
   },
   DATA: {
+    // 팀 데이터 저장소: 'fs'(파일), 'sqlite'(Node.js 22.5 이상), 'memory'(재시작하면 사라짐)
+    STORE: process.env.DATA_STORE || 'fs',
+    SQLITE_FILE: process.env.DATA_SQLITE_FILE || 'teams.sqlite',
     ROOT_DIR: process.env.DATA_ROOT_DIR || 'data',
     CURRENT_DIR: process.env.DATA_CURRENT_DIR || 'current',
     ARCHIVING_DIR: process.env.DATA_ARCHIVING_DIR || 'archiving',
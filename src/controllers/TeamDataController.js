@@ -1,98 +1,438 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { SERVER_CONFIG } from '../config/server.js';
+import { createTeamRepository } from '../models/createTeamRepository.js';
+import { savedAtFromId } from '../models/TeamRepository.js';
+import { countPairs, toPairList } from '../utils/pairHistory.js';
+import { migrateTeamDocument, toPMNames, toTeamArrays } from '../utils/teamDocument.js';
+import { EXPORT_FORMATS, exportTeamDocument } from '../utils/teamExport.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// 저장 결과 목록 페이지 크기
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
 
-const DATA_DIR = path.join(process.cwd(), SERVER_CONFIG.DATA.ROOT_DIR);
-const CURRENT_DIR = path.join(DATA_DIR, SERVER_CONFIG.DATA.CURRENT_DIR);
-const ARCHIVING_DIR = path.join(DATA_DIR, SERVER_CONFIG.DATA.ARCHIVING_DIR);
-const HISTORY_DIR = path.join(DATA_DIR, SERVER_CONFIG.DATA.HISTORY_DIR);
+/**
+ * 저장된 팀 데이터의 목록용 요약 정보를 만듭니다.
+ * @param {string} id - 팀 데이터 ID
+ * @param {string} location - 저장 위치 ('current' 또는 'archiving')
+ * @param {Object} document - 현재 버전 팀 문서
+ * @returns {Object} 요약 정보
+ */
+const summarizeDocument = (id, location, document) => ({
+  id,
+  location,
+  savedAt: savedAtFromId(id) ?? document.metadata.createdAt ?? null,
+  updatedAt: document.metadata.updatedAt ?? null,
+  name: document.metadata.name ?? null,
+  strategy: document.strategy,
+  seed: document.seed,
+  teamCount: document.teams.length,
+  memberCount: document.teams.reduce((sum, team) => sum + team.members.length, 0),
+  verified: document.metadata.distribution?.verified === true
+});
 
-export class TeamDataController {
-  constructor() {
-    this.initializeDirectories();
-  }
+/**
+ * 두 멤버의 팀을 서로 바꿉니다. PM 역할은 팀 자리에 남으므로 PM과 바뀐 멤버가 PM을 이어받습니다.
+ * 멤버는 멤버 ID로 찾고, 그 ID의 멤버가 없으면 이름으로 찾습니다. (이름 목록으로 저장한 이전 형식 데이터용)
+ * 이름이 같은 멤버가 여러 명이면 이름으로는 고를 수 없으므로 멤버 ID로 지정해야 합니다.
+ * @param {Array<Object>} teams - 문서의 팀 목록
+ * @param {Array<Array<string>>} swaps - 서로 팀을 바꿀 두 멤버 ID(또는 이름) 목록
+ * @returns {{teams: Array<Object>, error: string|null}} 교환 결과
+ */
+const applySwaps = (teams, swaps) => {
+  const nextTeams = teams.map(team => ({ ...team, members: [...team.members] }));
+  const findAll = (matches) => nextTeams.flatMap((team, teamIndex) => team.members
+    .map((member, position) => ({ teamIndex, position, member }))
+    .filter(({ member }) => matches(member)));
+  const locate = (key) => {
+    const [byId] = findAll(member => member.id === key);
+    if (byId) return byId;
+    const byName = findAll(member => member.name === key);
+    return byName.length > 1 ? { ambiguous: true } : byName[0] ?? null;
+  };
 
-  async initializeDirectories() {
-    try {
-      await fs.mkdir(CURRENT_DIR, { recursive: true });
-      await fs.mkdir(ARCHIVING_DIR, { recursive: true });
-      await fs.mkdir(HISTORY_DIR, { recursive: true });
-    } catch (error) {
-      console.error('디렉토리 초기화 중 오류 발생:', error);
+  for (const [a, b] of swaps) {
+    const from = locate(a);
+    const to = locate(b);
+
+    if (!from || !to) {
+      return { teams, error: `${!from ? a : b}은(는) 저장된 팀 구성에 없는 멤버입니다.` };
+    }
+    if (from.ambiguous || to.ambiguous) {
+      return { teams, error: `이름이 ${from.ambiguous ? a : b}인 멤버가 여러 명이므로 멤버 ID로 지정하세요.` };
+    }
+    if (from.teamIndex === to.teamIndex) {
+      return { teams, error: `${a}와(과) ${b}은(는) 이미 같은 팀입니다.` };
     }
+
+    const memberA = nextTeams[from.teamIndex].members[from.position];
+    const memberB = nextTeams[to.teamIndex].members[to.position];
+    nextTeams[from.teamIndex].members[from.position] = { ...memberB, role: memberA.role, isPM: memberA.isPM };
+    nextTeams[to.teamIndex].members[to.position] = { ...memberA, role: memberB.role, isPM: memberB.isPM };
+  }
+
+  return { teams: nextTeams, error: null };
+};
+
+export class TeamDataController {
+  /**
+   * @param {Object} [options] - 컨트롤러 옵션
+   * @param {import('../models/TeamRepository.js').TeamRepository} [options.repository] - 팀 데이터 저장소 (기본값: 설정의 저장소)
+   * @param {import('../services/TeamDistributionService.js').TeamDistributionService} [options.distributionService] - 저장할 팀 구성을 확인할 분배 서비스 (없으면 모든 결과가 확인되지 않은 결과)
+   */
+  constructor({ repository = createTeamRepository(), distributionService = null } = {}) {
+    this.repository = repository;
+    this.distributionService = distributionService;
+    this.ready = repository.init();
+    this.ready.catch(error => console.error('저장소 초기화 중 오류 발생:', error));
   }
 
-  async saveTeamData(teamData) {
+  /**
+   * 새 팀 데이터를 현재 버전 문서로 바꿔 현재 결과로 저장하고 기존 현재 결과를 보관합니다.
+   * distributionId가 있으면 서버가 분배한 팀과 같은지 확인해 metadata.distribution({ id, verified })에 기록합니다.
+   * (요청에 담긴 metadata.distribution은 무시하므로 distributionId 없이 저장한 결과는 확인되지 않은 결과)
+   * 동시에 들어온 저장 요청은 저장소에서 한 번에 하나씩 처리됩니다.
+   * @param {Object} teamData - 저장할 팀 데이터 (팀 구성 저장 형식 { teams: [[이름]], pms, distributionId?, ... } 또는 현재 버전 문서)
+   *   (현재 버전 문서는 서버 안에서만 넘기며, API 요청의 schemaVersion은 validateTeamData에서 거부함)
+   * @returns {Promise<Object>} 저장 결과 (성공 시 id와 확인 여부(verified) 포함)
+   */
+  async saveTeamData({ distributionId, ...teamData }) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `team-${timestamp}.json`;
-      const filePath = path.join(CURRENT_DIR, fileName);
-
-      // 현재 디렉토리의 기존 파일을 아카이빙으로 이동
-      const currentFiles = await fs.readdir(CURRENT_DIR);
-      for (const file of currentFiles) {
-        const oldPath = path.join(CURRENT_DIR, file);
-        const newPath = path.join(ARCHIVING_DIR, file);
-        await fs.rename(oldPath, newPath);
-      }
+      await this.ready;
 
-      // 새로운 팀 데이터 저장
-      await fs.writeFile(filePath, JSON.stringify(teamData, null, 2));
+      // 새로운 팀 데이터 저장 (재현을 위해 셔플 시드를 항상 기록)
+      const document = migrateTeamDocument(teamData);
+      const { distribution, ...metadata } = document.metadata ?? {};
+      const verified = distributionId !== undefined &&
+        Boolean(this.distributionService?.matchesDistribution(distributionId, toTeamArrays(document)));
+      document.metadata = {
+        ...metadata,
+        createdAt: metadata.createdAt ?? new Date().toISOString(),
+        ...(distributionId !== undefined && { distribution: { id: distributionId, verified } })
+      };
+      const { id } = await this.repository.create(document);
 
       // 히스토리 기록
       const historyEntry = {
         timestamp: new Date().toISOString(),
         action: 'SAVE_TEAM_DATA',
-        fileName: fileName,
+        id,
         details: '새로운 팀 구성 정보가 저장되었습니다.'
       };
       await this.appendHistory(historyEntry);
 
-      return { success: true, message: '팀 데이터가 성공적으로 저장되었습니다.' };
+      return {
+        success: true,
+        id,
+        verified,
+        message: '팀 데이터가 성공적으로 저장되었습니다.'
+      };
     } catch (error) {
       console.error('팀 데이터 저장 중 오류 발생:', error);
       return { success: false, message: '팀 데이터 저장 중 오류가 발생했습니다.' };
     }
   }
 
+  /**
+   * TeamDistributor의 분배 결과를 팀 데이터 형식으로 바꿔 저장합니다.
+   * @param {Object<string, Array<Object>>} teamStatus - distributor.getTeamStatus() 결과
+   * @param {Object} [extra] - 함께 저장할 값 (seed, strategy 등)
+   * @returns {Promise<Object>} 저장 결과 (saveTeamData와 같음)
+   *
+   * @example
+   * distributor.distribute(members, { seed: 'sprint-12' });
+   * await controller.saveDistribution(distributor.getTeamStatus(), { seed: 'sprint-12' });
+   */
+  async saveDistribution(teamStatus, extra = {}) {
+    return this.saveTeamData({ ...extra, teamData: teamStatus });
+  }
+
+  /**
+   * 히스토리 항목을 덧붙입니다. 기록에 실패해도 요청 처리는 계속합니다.
+   * @param {Object} entry - 히스토리 항목
+   */
   async appendHistory(entry) {
     try {
-      const historyFile = path.join(HISTORY_DIR, 'history.json');
-      let history = [];
-      
+      await this.ready;
+      await this.repository.appendHistory(entry);
+    } catch (error) {
+      console.error('히스토리 기록 중 오류 발생:', error);
+    }
+  }
+
+  /**
+   * 히스토리 항목을 기록된 순서대로 읽습니다.
+   * @returns {Promise<Array<Object>>} 히스토리 항목 목록
+   */
+  async readHistory() {
+    await this.ready;
+    return this.repository.readHistory();
+  }
+
+  async getCurrentTeamData() {
+    try {
+      await this.ready;
+
+      const current = (await this.repository.list()).filter(({ location }) => location === 'current');
+      if (current.length === 0) {
+        return { success: false, message: '현재 저장된 팀 데이터가 없습니다.' };
+      }
+
+      const latest = await this.repository.get(current[current.length - 1].id);
+      return { success: true, data: migrateTeamDocument(latest.record) };
+    } catch (error) {
+      console.error('팀 데이터 조회 중 오류 발생:', error);
+      return { success: false, message: '팀 데이터 조회 중 오류가 발생했습니다.' };
+    }
+  }
+
+  /**
+   * 저장소의 모든 팀 데이터를 저장 시각 순으로 읽어 현재 버전 문서로 바꿉니다.
+   * 읽을 수 없거나 형식을 알 수 없는 데이터는 건너뜁니다.
+   * @returns {Promise<Array<Object>>} 오래된 순으로 정렬된 팀 문서 목록
+   */
+  async readSavedDocuments() {
+    await this.ready;
+    const documents = [];
+
+    for (const { id } of await this.repository.list()) {
       try {
-        const existingData = await fs.readFile(historyFile, 'utf-8');
-        history = JSON.parse(existingData);
+        documents.push(migrateTeamDocument((await this.repository.get(id)).record));
       } catch (error) {
-        // 파일이 없거나 읽기 실패 시 빈 배열로 시작
+        console.warn(`과거 팀 데이터를 읽을 수 없습니다: ${id}`, error.message);
       }
+    }
 
-      history.push(entry);
-      await fs.writeFile(historyFile, JSON.stringify(history, null, 2));
+    return documents;
+  }
+
+  /**
+   * 저장된 모든 과거 분배 결과의 팀 구성을 읽습니다. (형식을 알 수 없는 데이터는 제외)
+   * @returns {Promise<Array<Array<Array<string>>>>} 오래된 순 분배별 팀 배열 목록
+   */
+  async loadPastTeams() {
+    const documents = await this.readSavedDocuments();
+    return documents.map(toTeamArrays);
+  }
+
+  /**
+   * 저장된 모든 과거 분배 결과의 PM 목록을 읽습니다.
+   * @returns {Promise<Array<Array<string>>>} 오래된 순 분배별 PM 이름 목록
+   */
+  async loadPastPMs() {
+    const documents = await this.readSavedDocuments();
+    return documents.map(toPMNames);
+  }
+
+  async getPairHistory() {
+    try {
+      const distributions = await this.loadPastTeams();
+
+      return {
+        success: true,
+        data: {
+          distributionCount: distributions.length,
+          pairs: toPairList(countPairs(distributions))
+        }
+      };
     } catch (error) {
-      console.error('히스토리 기록 중 오류 발생:', error);
+      console.error('짝 이력 조회 중 오류 발생:', error);
+      return { success: false, message: '짝 이력 조회 중 오류가 발생했습니다.' };
     }
   }
 
-  async getCurrentTeamData() {
+  async getPMHistory() {
     try {
-      const files = await fs.readdir(CURRENT_DIR);
-      if (files.length === 0) {
-        return { success: false, message: '현재 저장된 팀 데이터가 없습니다.' };
+      return { success: true, data: { pmHistory: await this.loadPastPMs() } };
+    } catch (error) {
+      console.error('PM 이력 조회 중 오류 발생:', error);
+      return { success: false, message: 'PM 이력 조회 중 오류가 발생했습니다.' };
+    }
+  }
+
+  /**
+   * 저장된 팀 데이터 목록을 최신순으로 페이지 단위로 반환합니다.
+   * @param {Object} [options] - 조회 옵션
+   * @param {number} [options.page=1] - 페이지 번호 (1부터 시작)
+   * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - 페이지 크기
+   * @returns {Promise<Object>} 요약 정보 목록과 페이지 정보
+   */
+  async listTeamData({ page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    try {
+      await this.ready;
+
+      const entries = (await this.repository.list()).reverse();
+      const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+      const pageEntries = entries.slice((page - 1) * pageSize, page * pageSize);
+      const items = [];
+
+      for (const { id } of pageEntries) {
+        try {
+          const entry = await this.repository.get(id);
+          if (entry) items.push(summarizeDocument(id, entry.location, migrateTeamDocument(entry.record)));
+        } catch (error) {
+          console.warn(`저장된 팀 데이터를 읽을 수 없습니다: ${id}`, error.message);
+        }
       }
 
-      const latestFile = files[files.length - 1];
-      const filePath = path.join(CURRENT_DIR, latestFile);
-      const data = await fs.readFile(filePath, 'utf-8');
-      
-      return { success: true, data: JSON.parse(data) };
+      return {
+        success: true,
+        data: {
+          items,
+          page,
+          limit: pageSize,
+          total: entries.length,
+          totalPages: Math.ceil(entries.length / pageSize)
+        }
+      };
+    } catch (error) {
+      console.error('팀 데이터 목록 조회 중 오류 발생:', error);
+      return { success: false, message: '팀 데이터 목록 조회 중 오류가 발생했습니다.' };
+    }
+  }
+
+  /**
+   * ID로 저장된 팀 데이터를 조회합니다.
+   * @param {string} id - 팀 데이터 ID
+   * @returns {Promise<Object>} 조회 결과 (없으면 code: 'NOT_FOUND')
+   */
+  async getTeamDataById(id) {
+    try {
+      await this.ready;
+
+      const entry = await this.repository.get(id);
+      if (!entry) {
+        return { success: false, code: 'NOT_FOUND', message: '해당 ID의 팀 데이터가 없습니다.' };
+      }
+
+      return {
+        success: true,
+        data: { ...migrateTeamDocument(entry.record), id, location: entry.location, savedAt: savedAtFromId(id) }
+      };
     } catch (error) {
       console.error('팀 데이터 조회 중 오류 발생:', error);
       return { success: false, message: '팀 데이터 조회 중 오류가 발생했습니다.' };
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * 저장된 팀 데이터를 파일로 내보낼 내용을 만듭니다.
+   * @param {string} id - 팀 데이터 ID
+   * @param {string} format - 내보내기 형식 ('csv', 'md', 'json', 'html')
+   * @returns {Promise<Object>} 내보내기 결과 (성공 시 data: { content, contentType, fileName }, 없으면 code: 'NOT_FOUND')
+   */
+  async exportTeamData(id, format) {
+    try {
+      await this.ready;
+
+      const entry = await this.repository.get(id);
+      if (!entry) {
+        return { success: false, code: 'NOT_FOUND', message: '해당 ID의 팀 데이터가 없습니다.' };
+      }
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      return {
+        success: true,
+        data: {
+          content: exportTeamDocument(migrateTeamDocument(entry.record), format),
+          contentType,
+          fileName: `${id}.${extension}`
+        }
+      };
+    } catch (error) {
+      console.error('팀 데이터 내보내기 중 오류 발생:', error);
+      return { success: false, message: '팀 데이터 내보내기 중 오류가 발생했습니다.' };
+    }
+  }
+
+  /**
+   * 저장된 팀 데이터의 이름, 메모를 바꾸거나 멤버의 팀을 서로 교환합니다.
+   * 읽기부터 쓰기까지 저장소에서 한 번에 처리되므로 동시에 수정해도 변경이 섞이지 않습니다.
+   * @param {string} id - 팀 데이터 ID
+   * @param {Object} changes - 변경 내용
+   * @param {string} [changes.name] - 결과 이름
+   * @param {string} [changes.notes] - 메모
+   * @param {Array<Array<string>>} [changes.swaps] - 서로 팀을 바꿀 두 멤버 ID 목록 (순서대로 적용, 이전 형식 데이터는 이름도 가능)
+   * @returns {Promise<Object>} 변경 결과 (없으면 code: 'NOT_FOUND', 교환할 수 없으면 code: 'INVALID_SWAP')
+   */
+  async updateTeamData(id, { name, notes, swaps } = {}) {
+    try {
+      await this.ready;
+
+      let failure = null;
+      // 이전 형식으로 저장된 데이터는 수정하면서 현재 버전 문서로 바뀜
+      const entry = await this.repository.update(id, (record) => {
+        const document = migrateTeamDocument(record);
+        const metadata = { ...document.metadata };
+
+        if (name !== undefined) metadata.name = name;
+        if (notes !== undefined) metadata.notes = notes;
+
+        let { teams } = document;
+        if (swaps?.length) {
+          const result = applySwaps(teams, swaps);
+          if (result.error) {
+            failure = { success: false, code: 'INVALID_SWAP', message: result.error };
+            return null;
+          }
+          teams = result.teams;
+          // 바꾼 구성은 서버가 분배한 구성과 다름
+          if (metadata.distribution) {
+            metadata.distribution = { ...metadata.distribution, verified: false };
+          }
+        }
+
+        metadata.updatedAt = new Date().toISOString();
+        return { ...document, teams, metadata };
+      });
+
+      if (!entry) {
+        return { success: false, code: 'NOT_FOUND', message: '해당 ID의 팀 데이터가 없습니다.' };
+      }
+      if (failure) {
+        return failure;
+      }
+
+      await this.appendHistory({
+        timestamp: entry.record.metadata.updatedAt,
+        action: 'UPDATE_TEAM_DATA',
+        id,
+        details: '저장된 팀 구성 정보가 수정되었습니다.'
+      });
+
+      return {
+        success: true,
+        data: { ...entry.record, id, location: entry.location, savedAt: savedAtFromId(id) }
+      };
+    } catch (error) {
+      console.error('팀 데이터 수정 중 오류 발생:', error);
+      return { success: false, message: '팀 데이터 수정 중 오류가 발생했습니다.' };
+    }
+  }
+
+  /**
+   * 저장된 팀 데이터를 삭제합니다.
+   * 현재 결과를 삭제하면 가장 최근에 보관된 결과를 현재 결과로 되돌립니다.
+   * @param {string} id - 팀 데이터 ID
+   * @returns {Promise<Object>} 삭제 결과 (없으면 code: 'NOT_FOUND')
+   */
+  async deleteTeamData(id) {
+    try {
+      await this.ready;
+
+      const removed = await this.repository.remove(id);
+      if (!removed) {
+        return { success: false, code: 'NOT_FOUND', message: '해당 ID의 팀 데이터가 없습니다.' };
+      }
+
+      await this.appendHistory({
+        timestamp: new Date().toISOString(),
+        action: 'DELETE_TEAM_DATA',
+        id,
+        details: '저장된 팀 구성 정보가 삭제되었습니다.'
+      });
+
+      return { success: true, message: '팀 데이터가 삭제되었습니다.' };
+    } catch (error) {
+      console.error('팀 데이터 삭제 중 오류 발생:', error);
+      return { success: false, message: '팀 데이터 삭제 중 오류가 발생했습니다.' };
+    }
+  }
+}
@@ -1,30 +1,56 @@
 /**
  * @fileoverview 팀 분배 핵심 로직
  * @author Kongukjae
- * @version 1.0.0
- * 
+ * @version 1.1.0
+ *
  * @description
- * 이 모듈은 주어진 멤버 목록을 무작위로 섞어 홀수/짝수 팀으로 나누는 핵심 로직을 제공합니다.
- * Fisher-Yates 알고리즘을 사용하여 멤버를 섞고, 인덱스의 홀짝 여부에 따라 팀을 배정합니다.
- * 
+ * 이 모듈은 주어진 멤버 목록을 무작위로 섞어 N개의 이름 있는 팀으로 나누는 핵심 로직을 제공합니다.
+ * Fisher-Yates 알고리즘을 사용하여 멤버를 섞고, 브라우저와 같은 splitIntoTeams(utils/teamSplit.js)로
+ * 앞쪽 팀부터 연속된 구간으로 잘라 배정합니다. (나머지 인원이 있으면 앞쪽 팀이 한 명씩 더 가짐)
+ * 모든 분배는 시드 기반으로 섞이며, 같은 시드와 멤버 구성이면 입력 순서와 관계없이 같은 결과를 만듭니다.
+ * 과거 짝 이력(pairCounts)이 주어지면 이미 같은 팀이었던 짝이 반복되지 않도록 멤버를 교환하고,
+ * 같은 팀 / 다른 팀 규칙이 있으면 팀 인원을 유지한 채 규칙에 맞게 다시 배치하고,
+ * 지키지 못한 규칙은 이유와 함께 결과에 포함합니다.
+ * 분배가 끝나면 선택한 방식(random, least-recent, volunteer)으로 팀마다 PM을 한 명씩 지정합니다.
+ *
  * @module TeamDistributor
  * @requires shuffleArray
- * @requires isOdd
+ * @requires seededRandom
+ * @requires teamSplit
+ * @requires teamConstraints
+ * @requires pairHistory
+ * @requires pmElection
  * @requires TeamMember
  */
 
 import shuffleArray from "../utils/shuffleArray.js";
-import { isOdd } from "../utils/odd-or-even-decision.js";
+import { generateSeed } from "../utils/seededRandom.js";
+import { splitIntoTeams } from "../utils/teamSplit.js";
+import { applyTeamConstraints } from "../utils/teamConstraints.js";
+import { minimizeRepeatPairs } from "../utils/pairHistory.js";
+import { electPMs } from "../utils/pmElection.js";
 import TeamMember from "../models/TeamMember.js";
 
+/**
+ * 기본 팀 개수
+ * @constant {number}
+ */
+const DEFAULT_TEAM_COUNT = 2;
+
+/**
+ * 팀 이름이 지정되지 않은 경우 사용할 기본 팀 이름을 생성합니다.
+ * @param {number} teamCount - 팀 개수
+ * @returns {Array<string>} team1, team2, ... 형식의 팀 이름 배열
+ */
+const createDefaultTeamNames = (teamCount) =>
+    Array.from({ length: teamCount }, (_, index) => `team${index + 1}`);
+
 /**
  * @class TeamDistributor
  * @classdesc 팀 분배를 담당하는 핵심 클래스입니다.
- * 멤버들을 홀수/짝수 팀으로 나누고 관리하는 기능을 제공합니다.
- * 
- * @property {Object} teams - 팀 멤버들을 저장하는 객체
- * @property {Array<TeamMember>} teams.odd - 홀수 팀 멤버 목록
- * @property {Array<TeamMember>} teams.even - 짝수 팀 멤버 목록
+ * 멤버들을 지정된 개수의 이름 있는 팀으로 나누고 관리하는 기능을 제공합니다.
+ *
+ * @property {Object<string, Array<TeamMember>>} teams - 팀 이름을 키로 하는 팀 멤버 목록
  */
 class TeamDistributor {
     /**
@@ -34,81 +60,190 @@ class TeamDistributor {
     constructor() {
         /**
          * @private
-         * @type {Object}
+         * @type {Object<string, Array<TeamMember>>}
          */
-        this.teams = {
-            odd: [],
-            even: []
-        };
+        this.teams = {};
+
+        /**
+         * 마지막 분배에 사용한 시드
+         * @type {string|number|null}
+         */
+        this.seed = null;
+
+        /**
+         * 마지막 분배에서 지키지 못한 규칙 목록
+         * @type {Array<Object>}
+         */
+        this.violations = [];
     }
 
     /**
      * 주어진 멤버 배열을 섞어서 팀으로 분배합니다.
+     * 호출할 때마다 이전 분배 결과는 초기화됩니다.
      * @method distribute
      * @param {Array<string>} members - 분배할 멤버들의 이름 배열
+     * @param {Object} [options] - 분배 옵션
+     * @param {number} [options.teamCount] - 팀 개수 (기본값: teamNames 길이 또는 2)
+     * @param {Array<string>} [options.teamNames] - 팀 이름 배열 (기본값: team1, team2, ...)
+     * @param {string|number} [options.seed] - 셔플 시드 (없으면 새로 생성)
+     * @param {Array<Object>} [options.constraints] - 배정 규칙 ({ type: 'together'|'apart', members: [a, b] })
+     * @param {Map<string, number>} [options.pairCounts] - 과거에 같은 팀이었던 짝별 횟수 (freshness 전략)
+     * @param {string} [options.pmPolicy='random'] - PM 선출 방식 ('random', 'least-recent', 'volunteer')
+     * @param {Array<Array<string>>} [options.pmHistory] - 과거 분배별 PM 이름 목록 (least-recent 방식)
+     * @param {Array<string>} [options.volunteers] - PM 지원자 이름 목록 (volunteer 방식)
      * @returns {Object} 분배 결과
-     * @returns {Object} result.teams - odd와 even 팀으로 분배된 TeamMember 인스턴스들
+     * @returns {Object<string, Array<TeamMember>>} result.teams - 팀 이름별로 분배된 TeamMember 인스턴스들
      * @returns {Array<string>} result.shuffledMembers - 섞인 순서의 멤버 배열
-     * 
+     * @returns {string|number} result.seed - 분배에 사용한 시드 (재현용)
+     * @returns {Array<Object>} result.violations - 지키지 못한 규칙과 이유 ({ constraint, reason, message })
+     * @returns {Object<string, string|null>} result.pms - 팀 이름별 PM 이름
+     * @throws {Error} 팀 개수나 팀 이름이 올바르지 않은 경우
+     *
      * @example
      * const distributor = new TeamDistributor();
-     * const members = ["멤버1", "멤버2", "멤버3", "멤버4"];
-     * const { teams, shuffledMembers } = distributor.distribute(members);
-     * console.log(teams.odd);  // 홀수 팀 멤버 목록
-     * console.log(teams.even); // 짝수 팀 멤버 목록
+     * const members = ["멤버1", "멤버2", "멤버3", "멤버4", "멤버5"];
+     * const { teams } = distributor.distribute(members, {
+     *   teamCount: 3,
+     *   teamNames: ["alpha", "beta", "gamma"]
+     * });
+     * console.log(teams.alpha[0].id); // "alpha-1"
      */
-    distribute(members) {
-        const shuffledResult = shuffleArray([...members]);
+    distribute(members, {
+        teamCount,
+        teamNames,
+        seed,
+        constraints = [],
+        pairCounts,
+        pmPolicy = 'random',
+        pmHistory,
+        volunteers
+    } = {}) {
+        const names = this.#resolveTeamNames(teamCount, teamNames);
+
+        if (!Array.isArray(members)) {
+            throw new Error('members는 배열이어야 합니다.');
+        }
+
+        this.teams = Object.fromEntries(names.map(name => [name, []]));
+        this.seed = seed ?? generateSeed();
+
+        // 입력 순서와 무관하게 재현되도록 정렬한 뒤 시드로 섞음
+        const shuffledResult = shuffleArray([...members].sort(), { seed: this.seed });
         const shuffledMembers = shuffledResult.shuffledArray;
 
-        shuffledMembers.forEach((member, index) => {
-            if (isOdd(index)) {
-                this.#addToTeam(member, 'odd');
-            } else {
-                this.#addToTeam(member, 'even');
-            }
+        // 앞쪽 팀부터 연속된 구간으로 잘라 배정 (브라우저와 같은 분할)
+        let blocks = splitIntoTeams(shuffledMembers, names.length);
+
+        // 과거 짝 이력이 있으면 반복되는 짝을 최소화
+        if (pairCounts) {
+            blocks = minimizeRepeatPairs(blocks, pairCounts);
+        }
+
+        // 배정 규칙 적용 (규칙이 없거나 이미 만족하면 그대로 유지)
+        const { teams: constrainedTeams, violations } = applyTeamConstraints(blocks, constraints);
+        this.violations = violations;
+
+        names.forEach((name, teamIndex) => {
+            constrainedTeams[teamIndex].forEach(member => this.#addToTeam(member, name));
+        });
+
+        // 팀마다 PM 지정
+        const pmNames = electPMs(constrainedTeams, {
+            policy: pmPolicy,
+            seed: this.seed,
+            pmHistory,
+            volunteers
+        });
+        const pms = Object.fromEntries(names.map((name, teamIndex) => [name, pmNames[teamIndex]]));
+        names.forEach(name => {
+            this.teams[name].find(member => member.memberName === pms[name])?.assignPM();
         });
 
         return {
             teams: this.teams,
-            shuffledMembers
+            shuffledMembers,
+            seed: this.seed,
+            violations,
+            pms
         };
     }
 
+    /**
+     * 팀 개수와 팀 이름 옵션을 검증하고 최종 팀 이름 목록을 결정합니다.
+     * @private
+     * @method #resolveTeamNames
+     * @param {number} [teamCount] - 팀 개수
+     * @param {Array<string>} [teamNames] - 팀 이름 배열
+     * @returns {Array<string>} 팀 이름 배열
+     * @throws {Error} 팀 개수나 팀 이름이 올바르지 않은 경우
+     */
+    #resolveTeamNames(teamCount, teamNames) {
+        const count = teamCount ?? (Array.isArray(teamNames) ? teamNames.length : DEFAULT_TEAM_COUNT);
+
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`팀 개수는 1 이상의 정수여야 합니다: ${teamCount}`);
+        }
+
+        if (teamNames === undefined) {
+            return createDefaultTeamNames(count);
+        }
+
+        if (!Array.isArray(teamNames) || teamNames.length !== count) {
+            throw new Error(`teamNames는 팀 이름 ${count}개의 배열이어야 합니다.`);
+        }
+
+        const names = teamNames.map(name => (typeof name === 'string' ? name.trim() : ''));
+
+        if (names.some(name => !name)) {
+            throw new Error('팀 이름은 비어있지 않은 문자열이어야 합니다.');
+        }
+
+        if (new Set(names).size !== names.length) {
+            throw new Error('팀 이름은 중복될 수 없습니다.');
+        }
+
+        return names;
+    }
+
     /**
      * 멤버를 지정된 팀에 추가합니다.
      * @private
      * @method #addToTeam
      * @param {string} member - 추가할 멤버의 이름
-     * @param {('odd'|'even')} teamType - 추가할 팀 유형
-     * @throws {Error} 잘못된 팀 유형이 지정된 경우
+     * @param {string} teamName - 추가할 팀 이름
+     * @throws {Error} 존재하지 않는 팀이 지정된 경우
      */
-    #addToTeam(member, teamType) {
-        if (!this.teams[teamType]) {
-            throw new Error(`Invalid team type: ${teamType}`);
+    #addToTeam(member, teamName) {
+        if (!this.teams[teamName]) {
+            throw new Error(`존재하지 않는 팀입니다: ${teamName}`);
         }
-        
+
         const memberObj = new TeamMember(
-            member, 
-            teamType, 
-            this.teams[teamType].length
+            member,
+            teamName,
+            this.teams[teamName].length
         );
-        this.teams[teamType].push(memberObj);
+        this.teams[teamName].push(memberObj);
     }
 
     /**
      * 현재 팀 상태를 반환합니다.
      * @method getTeamStatus
-     * @returns {Object} 현재 팀 상태
-     * @returns {Array<TeamMember>} result.odd - 홀수 팀 멤버 목록
-     * @returns {Array<TeamMember>} result.even - 짝수 팀 멤버 목록
+     * @returns {Object<string, Array<Object>>} 팀 이름별 멤버 정보 목록
+     *
+     * @example
+     * distributor.distribute(members, { teamNames: ["alpha", "beta"] });
+     * distributor.getTeamStatus();
+     * // { alpha: [{ id: "alpha-1", ... }], beta: [{ id: "beta-1", ... }] }
      */
     getTeamStatus() {
-        return {
-            odd: this.teams.odd.map(member => member.getInfo()),
-            even: this.teams.even.map(member => member.getInfo())
-        };
+        return Object.fromEntries(
+            Object.entries(this.teams).map(([name, members]) => [
+                name,
+                members.map(member => member.getInfo())
+            ])
+        );
     }
 }
 
-export default TeamDistributor; 
\ No newline at end of file
+export default TeamDistributor;
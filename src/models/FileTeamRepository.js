@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SERVER_CONFIG } from '../config/server.js';
+import { withLock, writeFileAtomic } from '../utils/atomicFile.js';
+import { TeamRepository, TEAM_ID_PATTERN, sortBySavedAt } from './TeamRepository.js';
+
+/**
+ * 파일 시스템 팀 데이터 저장소
+ * @class
+ * @description
+ * 팀 데이터 하나를 JSON 파일 하나로 저장합니다.
+ * - {rootDir}/current: 현재 결과 (새 파일을 먼저 쓴 뒤 이전 파일을 옮기므로 중단되어도 비지 않음)
+ * - {rootDir}/archiving: 보관된 결과
+ * - {rootDir}/teams/current: 이전 버전의 분배 결과 저장 위치 (보관된 결과로 읽기만 하고 새로 저장하지 않음)
+ * - {rootDir}/history/history.jsonl: 한 줄에 항목 하나씩 덧붙이는 히스토리 로그
+ *   (이전 형식인 history.json이 있으면 그 항목을 먼저 읽음)
+ * 같은 rootDir을 쓰는 인스턴스끼리는 프로세스 안에서 변경 작업을 한 번에 하나씩 처리합니다.
+ */
+export class FileTeamRepository extends TeamRepository {
+  /**
+   * @param {Object} [options] - 저장소 옵션
+   * @param {string} [options.rootDir] - 데이터 루트 디렉토리 (기본값: SERVER_CONFIG.DATA.ROOT_DIR)
+   */
+  constructor({ rootDir = path.join(process.cwd(), SERVER_CONFIG.DATA.ROOT_DIR) } = {}) {
+    super();
+    this.currentDir = path.join(rootDir, SERVER_CONFIG.DATA.CURRENT_DIR);
+    this.archivingDir = path.join(rootDir, SERVER_CONFIG.DATA.ARCHIVING_DIR);
+    this.legacyDir = path.join(rootDir, SERVER_CONFIG.DATA.TEAMS_DIR, SERVER_CONFIG.DATA.CURRENT_DIR);
+    this.historyDir = path.join(rootDir, SERVER_CONFIG.DATA.HISTORY_DIR);
+    this.historyFile = path.join(this.historyDir, 'history.jsonl');
+    this.legacyHistoryFile = path.join(this.historyDir, 'history.json');
+    this.lockKey = path.resolve(rootDir);
+  }
+
+  async init() {
+    await fs.mkdir(this.currentDir, { recursive: true });
+    await fs.mkdir(this.archivingDir, { recursive: true });
+    await fs.mkdir(this.historyDir, { recursive: true });
+  }
+
+  /**
+   * 위치별 디렉토리 목록 (ID가 겹치면 앞쪽 디렉토리가 우선)
+   * @returns {Array<[string, string]>} [위치, 디렉토리] 목록
+   */
+  get directories() {
+    return [
+      ['current', this.currentDir],
+      ['archiving', this.archivingDir],
+      ['archiving', this.legacyDir]
+    ];
+  }
+
+  /**
+   * 디렉토리의 팀 데이터 ID 목록을 읽습니다. (쓰는 중인 임시 파일은 .tmp로 끝나므로 제외됨)
+   * @param {string} dir - 디렉토리 경로
+   * @returns {Promise<Array<string>>} ID 목록 (디렉토리가 없으면 빈 배열)
+   */
+  async readIds(dir) {
+    const files = await fs.readdir(dir).catch(() => []);
+    return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+  }
+
+  /**
+   * ID에 해당하는 파일을 찾습니다.
+   * @param {string} id - 팀 데이터 ID
+   * @returns {Promise<{filePath: string, location: string}|null>} 파일 경로와 위치 (없으면 null)
+   */
+  async findFile(id) {
+    if (typeof id !== 'string' || !TEAM_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    for (const [location, dir] of this.directories) {
+      const filePath = path.join(dir, `${id}.json`);
+      try {
+        await fs.access(filePath);
+        return { filePath, location };
+      } catch (error) {
+        // 이 디렉토리에 없으면 다음 디렉토리에서 찾음
+      }
+    }
+
+    return null;
+  }
+
+  async list() {
+    const entries = new Map();
+
+    for (const [location, dir] of this.directories) {
+      for (const id of await this.readIds(dir)) {
+        if (!entries.has(id)) entries.set(id, { id, location });
+      }
+    }
+
+    return sortBySavedAt([...entries.values()]);
+  }
+
+  async get(id) {
+    const found = await this.findFile(id);
+    if (!found) {
+      return null;
+    }
+
+    const record = JSON.parse(await fs.readFile(found.filePath, 'utf-8'));
+    return { id, location: found.location, record };
+  }
+
+  async create(record) {
+    return this.lock(async () => {
+      const existing = new Set((await this.list()).map(({ id }) => id));
+      const id = this.nextId(candidate => existing.has(candidate));
+
+      await writeFileAtomic(path.join(this.currentDir, `${id}.json`), JSON.stringify(record, null, 2));
+
+      // 현재 디렉토리의 이전 파일을 아카이빙으로 이동
+      for (const previousId of await this.readIds(this.currentDir)) {
+        if (previousId !== id) {
+          await fs.rename(
+            path.join(this.currentDir, `${previousId}.json`),
+            path.join(this.archivingDir, `${previousId}.json`)
+          );
+        }
+      }
+
+      return { id };
+    });
+  }
+
+  async update(id, modify) {
+    return this.lock(async () => {
+      const found = await this.findFile(id);
+      if (!found) {
+        return null;
+      }
+
+      const record = JSON.parse(await fs.readFile(found.filePath, 'utf-8'));
+      const updated = modify(record);
+      if (updated) {
+        await writeFileAtomic(found.filePath, JSON.stringify(updated, null, 2));
+      }
+
+      return { id, location: found.location, record: updated ?? record };
+    });
+  }
+
+  async remove(id) {
+    return this.lock(async () => {
+      const found = await this.findFile(id);
+      if (!found) {
+        return null;
+      }
+
+      // 보관된 결과를 먼저 되돌린 뒤 삭제하므로 중간에 중단되어도 current가 비지 않음
+      if (found.location === 'current') {
+        const archived = sortBySavedAt((await this.readIds(this.archivingDir)).map(archivedId => ({ id: archivedId })));
+        const latest = archived[archived.length - 1];
+        if (latest) {
+          await fs.rename(
+            path.join(this.archivingDir, `${latest.id}.json`),
+            path.join(this.currentDir, `${latest.id}.json`)
+          );
+        }
+      }
+
+      await fs.unlink(found.filePath);
+      return { id, location: found.location };
+    });
+  }
+
+  async appendHistory(entry) {
+    await withLock(this.historyFile, () => fs.appendFile(this.historyFile, `${JSON.stringify(entry)}\n`, 'utf8'));
+  }
+
+  /**
+   * 이전 형식(history.json)의 항목을 먼저 읽고, 중단된 쓰기로 깨진 줄은 건너뜁니다.
+   */
+  async readHistory() {
+    const readText = (filePath) => fs.readFile(filePath, 'utf-8').catch(() => null);
+    const entries = [];
+
+    const legacy = await readText(this.legacyHistoryFile);
+    if (legacy) {
+      try {
+        entries.push(...[].concat(JSON.parse(legacy)));
+      } catch (error) {
+        console.warn('이전 형식의 히스토리를 읽을 수 없습니다:', error.message);
+      }
+    }
+
+    const lines = (await readText(this.historyFile) ?? '').split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn('히스토리의 깨진 줄을 건너뜁니다:', line);
+      }
+    }
+
+    return entries;
+  }
+}
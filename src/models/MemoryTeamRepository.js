@@ -0,0 +1,82 @@
+import { TeamRepository, sortBySavedAt } from './TeamRepository.js';
+
+/**
+ * 메모리 팀 데이터 저장소
+ * @class
+ * @description
+ * 프로세스 메모리에만 저장하므로 서버를 다시 시작하면 사라집니다. (테스트, 임시 실행용)
+ * 저장 내용은 복사해서 보관하고 돌려주므로 호출한 쪽에서 객체를 바꿔도 저장소에 영향이 없습니다.
+ */
+export class MemoryTeamRepository extends TeamRepository {
+  constructor() {
+    super();
+    // ID별 { location, record }
+    this.entries = new Map();
+    this.history = [];
+  }
+
+  async list() {
+    return sortBySavedAt([...this.entries].map(([id, { location }]) => ({ id, location })));
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id);
+    return entry ? { id, location: entry.location, record: structuredClone(entry.record) } : null;
+  }
+
+  async create(record) {
+    return this.lock(async () => {
+      const id = this.nextId(candidate => this.entries.has(candidate));
+
+      this.entries.forEach(entry => {
+        if (entry.location === 'current') entry.location = 'archiving';
+      });
+      this.entries.set(id, { location: 'current', record: structuredClone(record) });
+
+      return { id };
+    });
+  }
+
+  async update(id, modify) {
+    return this.lock(async () => {
+      const entry = this.entries.get(id);
+      if (!entry) {
+        return null;
+      }
+
+      const updated = modify(structuredClone(entry.record));
+      if (updated) {
+        entry.record = structuredClone(updated);
+      }
+
+      return { id, location: entry.location, record: structuredClone(entry.record) };
+    });
+  }
+
+  async remove(id) {
+    return this.lock(async () => {
+      const entry = this.entries.get(id);
+      if (!entry) {
+        return null;
+      }
+
+      this.entries.delete(id);
+
+      if (entry.location === 'current') {
+        const archived = sortBySavedAt([...this.entries.keys()].map(archivedId => ({ id: archivedId })));
+        const latest = archived[archived.length - 1];
+        if (latest) this.entries.get(latest.id).location = 'current';
+      }
+
+      return { id, location: entry.location };
+    });
+  }
+
+  async appendHistory(entry) {
+    this.history.push(structuredClone(entry));
+  }
+
+  async readHistory() {
+    return structuredClone(this.history);
+  }
+}
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SERVER_CONFIG } from '../config/server.js';
+import { TeamRepository, sortBySavedAt } from './TeamRepository.js';
+
+/**
+ * SQLite 팀 데이터 저장소
+ * @class
+ * @description
+ * Node.js 내장 SQLite 모듈(node:sqlite, Node.js 22.5 이상)을 사용하므로 별도 패키지가 필요 없습니다.
+ * 저장과 삭제는 트랜잭션 안에서 처리되어 중간에 중단되어도 현재 결과가 비거나 둘이 되지 않습니다.
+ * - team_records: 팀 데이터 (id, location, record JSON)
+ * - team_history: 히스토리 항목 (기록 순번, entry JSON)
+ */
+export class SqliteTeamRepository extends TeamRepository {
+  /**
+   * @param {Object} [options] - 저장소 옵션
+   * @param {string} [options.filePath] - 데이터베이스 파일 경로 (기본값: {DATA.ROOT_DIR}/{DATA.SQLITE_FILE})
+   */
+  constructor({ filePath = path.join(process.cwd(), SERVER_CONFIG.DATA.ROOT_DIR, SERVER_CONFIG.DATA.SQLITE_FILE) } = {}) {
+    super();
+    this.filePath = filePath;
+    this.lockKey = path.resolve(filePath);
+    this.db = null;
+  }
+
+  async init() {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (error) {
+      throw new Error(`SQLite 저장소를 사용하려면 node:sqlite를 지원하는 Node.js 22.5 이상이 필요합니다. (현재 ${process.version})`);
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new DatabaseSync(this.filePath);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS team_records (
+        id TEXT PRIMARY KEY,
+        location TEXT NOT NULL,
+        record TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS team_history (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry TEXT NOT NULL
+      );
+    `);
+  }
+
+  /**
+   * task를 트랜잭션 안에서 실행합니다. 오류가 나면 모든 변경을 되돌립니다.
+   * @param {Function} task - 실행할 동기 함수
+   * @returns {*} task의 결과
+   */
+  transaction(task) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = task();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - 팀 데이터 ID
+   * @returns {{id: string, location: string, record: string}|undefined} 테이블 행
+   */
+  findRow(id) {
+    return this.db.prepare('SELECT id, location, record FROM team_records WHERE id = ?').get(id);
+  }
+
+  async list() {
+    return sortBySavedAt(this.db.prepare('SELECT id, location FROM team_records').all()
+      .map(({ id, location }) => ({ id, location })));
+  }
+
+  async get(id) {
+    const row = this.findRow(id);
+    return row ? { id, location: row.location, record: JSON.parse(row.record) } : null;
+  }
+
+  async create(record) {
+    return this.lock(async () => this.transaction(() => {
+      const id = this.nextId(candidate => Boolean(this.findRow(candidate)));
+
+      this.db.prepare("UPDATE team_records SET location = 'archiving' WHERE location = 'current'").run();
+      this.db.prepare("INSERT INTO team_records (id, location, record) VALUES (?, 'current', ?)")
+        .run(id, JSON.stringify(record));
+
+      return { id };
+    }));
+  }
+
+  async update(id, modify) {
+    return this.lock(async () => this.transaction(() => {
+      const row = this.findRow(id);
+      if (!row) {
+        return null;
+      }
+
+      const record = JSON.parse(row.record);
+      const updated = modify(record);
+      if (updated) {
+        this.db.prepare('UPDATE team_records SET record = ? WHERE id = ?').run(JSON.stringify(updated), id);
+      }
+
+      return { id, location: row.location, record: updated ?? record };
+    }));
+  }
+
+  async remove(id) {
+    return this.lock(async () => this.transaction(() => {
+      const row = this.findRow(id);
+      if (!row) {
+        return null;
+      }
+
+      this.db.prepare('DELETE FROM team_records WHERE id = ?').run(id);
+
+      if (row.location === 'current') {
+        const archived = sortBySavedAt(this.db.prepare('SELECT id FROM team_records').all().map(({ id: archivedId }) => ({ id: archivedId })));
+        const latest = archived[archived.length - 1];
+        if (latest) {
+          this.db.prepare("UPDATE team_records SET location = 'current' WHERE id = ?").run(latest.id);
+        }
+      }
+
+      return { id, location: row.location };
+    }));
+  }
+
+  async appendHistory(entry) {
+    this.db.prepare('INSERT INTO team_history (entry) VALUES (?)').run(JSON.stringify(entry));
+  }
+
+  async readHistory() {
+    return this.db.prepare('SELECT entry FROM team_history ORDER BY seq').all()
+      .map(({ entry }) => JSON.parse(entry));
+  }
+}
@@ -14,7 +14,7 @@
  * 
  * @property {string} #team - 멤버가 속한 팀 (private)
  * @property {number} #idIndex - 멤버의 인덱스 번호 (private)
- * @property {string} #id - 팀-인덱스 형식의 고유 ID (private)
+ * @property {string} #id - 팀-인덱스 형식의 고유 ID (private, 예: alpha-3)
  * @property {string} #memberName - 멤버의 이름 (private)
  * @property {boolean} #isPM - PM 역할 여부 (private)
  * 
@@ -41,7 +41,7 @@ class TeamMember {
      * TeamMember 인스턴스를 생성합니다.
      * @constructor
      * @param {string} member - 멤버의 이름
-     * @param {string} team - 소속될 팀 (odd/even)
+     * @param {string} team - 소속될 팀 이름 (예: odd, alpha)
      * @param {number} index - 멤버의 인덱스 번호
      * 
      * @example
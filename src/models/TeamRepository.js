@@ -0,0 +1,152 @@
+import { withLock } from '../utils/atomicFile.js';
+
+/**
+ * 저장된 팀 데이터 ID 형식 (파일 저장소에서는 확장자를 뺀 파일 이름)
+ * @constant {RegExp}
+ */
+export const TEAM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 저장 시각으로 팀 데이터 ID를 만듭니다. (ISO 형식의 : . 을 - 로 바꿈)
+ * @param {number} time - 저장 시각 (밀리초)
+ * @returns {string} 팀 데이터 ID (예: 'team-2025-03-14T07-41-25-518Z')
+ */
+export const toTeamId = (time) => `team-${new Date(time).toISOString().replace(/[:.]/g, '-')}`;
+
+/**
+ * ID(또는 파일 이름)에 포함된 저장 시각을 정렬 키로 반환합니다.
+ * @param {string} id - 팀 데이터 ID 또는 파일 이름
+ * @returns {string} 정렬 키
+ */
+export const savedAtKey = (id) =>
+  id.match(/\d{4}-\d{2}-\d{2}T[\d-]+Z/)?.[0] ?? id;
+
+/**
+ * ID의 저장 시각을 ISO 문자열로 되돌립니다.
+ * @param {string} id - 팀 데이터 ID
+ * @returns {string|null} ISO 형식 저장 시각 (알 수 없으면 null)
+ */
+export const savedAtFromId = (id) => {
+  const match = id.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+};
+
+/**
+ * 저장 항목을 저장 시각 순(오래된 순)으로 정렬합니다.
+ * @param {Array<{id: string}>} entries - 저장 항목 목록
+ * @returns {Array<{id: string}>} 정렬된 새 배열
+ */
+export const sortBySavedAt = (entries) =>
+  [...entries].sort((a, b) => savedAtKey(a.id).localeCompare(savedAtKey(b.id)));
+
+/**
+ * 팀 데이터 저장소 인터페이스
+ * @class
+ * @description
+ * 팀 데이터는 ID, 위치('current' 또는 'archiving'), 저장 내용(record)으로 구성됩니다.
+ * 현재 결과(current)는 항상 가장 최근에 저장된 하나이며, 새로 저장하면 이전 결과는 archiving으로 옮겨집니다.
+ * 구현체(FileTeamRepository, SqliteTeamRepository, MemoryTeamRepository)는 아래 메서드를 모두 구현해야 하며,
+ * 저장/수정/삭제는 동시에 호출되어도 한 번에 하나씩 처리되어야 합니다.
+ *
+ * @typedef {Object} TeamEntry
+ * @property {string} id - 팀 데이터 ID
+ * @property {string} location - 저장 위치 ('current' 또는 'archiving')
+ * @property {Object} [record] - 저장 내용
+ */
+export class TeamRepository {
+  constructor() {
+    // 마지막으로 발급한 ID의 저장 시각 (같은 밀리초에 저장해도 ID가 겹치지 않도록 함)
+    this.lastSavedAt = 0;
+  }
+
+  /**
+   * 저장소를 사용할 준비를 합니다. (디렉토리, 테이블 생성 등)
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * 저장된 팀 데이터 목록을 오래된 순으로 반환합니다. (저장 내용 제외)
+   * @returns {Promise<Array<TeamEntry>>}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name}.list()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * ID로 팀 데이터를 읽습니다.
+   * @param {string} id - 팀 데이터 ID
+   * @returns {Promise<TeamEntry|null>} 저장 내용을 포함한 항목 (없으면 null)
+   */
+  async get(id) {
+    throw new Error(`${this.constructor.name}.get()이 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 새 팀 데이터를 현재 결과로 저장하고 기존 현재 결과를 archiving으로 옮깁니다.
+   * @param {Object} record - 저장 내용
+   * @returns {Promise<{id: string}>} 발급된 ID
+   */
+  async create(record) {
+    throw new Error(`${this.constructor.name}.create()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 저장된 팀 데이터를 읽어 modify의 결과로 바꿉니다. 읽기부터 쓰기까지 다른 변경과 섞이지 않습니다.
+   * @param {string} id - 팀 데이터 ID
+   * @param {Function} modify - (record) => 새 저장 내용 (동기 함수, null을 반환하면 저장하지 않음)
+   * @returns {Promise<TeamEntry|null>} 변경 후 항목 (없으면 null)
+   */
+  async update(id, modify) {
+    throw new Error(`${this.constructor.name}.update()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 팀 데이터를 삭제합니다. 현재 결과를 삭제하면 가장 최근에 보관된 결과를 현재 결과로 되돌립니다.
+   * @param {string} id - 팀 데이터 ID
+   * @returns {Promise<TeamEntry|null>} 삭제된 항목 (없으면 null)
+   */
+  async remove(id) {
+    throw new Error(`${this.constructor.name}.remove()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 히스토리 항목을 덧붙입니다.
+   * @param {Object} entry - 히스토리 항목
+   * @returns {Promise<void>}
+   */
+  async appendHistory(entry) {
+    throw new Error(`${this.constructor.name}.appendHistory()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 히스토리 항목을 기록된 순서대로 읽습니다.
+   * @returns {Promise<Array<Object>>}
+   */
+  async readHistory() {
+    throw new Error(`${this.constructor.name}.readHistory()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 새 팀 데이터 ID를 발급합니다. 이전에 발급한 ID보다 항상 늦은 저장 시각을 사용합니다.
+   * @param {Function} exists - (id) => 이미 사용 중인 ID인지 여부
+   * @returns {string} 새 ID
+   */
+  nextId(exists) {
+    let savedAt = Math.max(Date.now(), this.lastSavedAt + 1);
+    while (exists(toTeamId(savedAt))) {
+      savedAt += 1;
+    }
+    this.lastSavedAt = savedAt;
+    return toTeamId(savedAt);
+  }
+
+  /**
+   * 같은 저장소(lockKey)에 대한 변경 작업을 한 번에 하나씩 실행합니다.
+   * @param {Function} task - 실행할 비동기 함수
+   * @returns {Promise<*>} task의 결과
+   */
+  lock(task) {
+    return withLock(this.lockKey ?? this, task);
+  }
+}
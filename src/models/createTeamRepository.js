@@ -0,0 +1,36 @@
+import { SERVER_CONFIG } from '../config/server.js';
+import { FileTeamRepository } from './FileTeamRepository.js';
+import { SqliteTeamRepository } from './SqliteTeamRepository.js';
+import { MemoryTeamRepository } from './MemoryTeamRepository.js';
+
+/**
+ * 지원하는 팀 데이터 저장소 종류
+ * @constant {Array<string>}
+ */
+export const TEAM_STORES = ['fs', 'sqlite', 'memory'];
+
+/**
+ * 설정에 맞는 팀 데이터 저장소를 만듭니다.
+ * @param {Object} [options] - 저장소 옵션
+ * @param {string} [options.store=SERVER_CONFIG.DATA.STORE] - 저장소 종류 ('fs', 'sqlite', 'memory')
+ * @param {string} [options.rootDir] - fs 저장소의 데이터 루트 디렉토리
+ * @param {string} [options.filePath] - sqlite 저장소의 데이터베이스 파일 경로
+ * @returns {import('./TeamRepository.js').TeamRepository} 저장소 인스턴스
+ * @throws {Error} 지원하지 않는 저장소 종류인 경우
+ *
+ * @example
+ * const repository = createTeamRepository({ store: 'memory' });
+ * await repository.init();
+ */
+export function createTeamRepository({ store = SERVER_CONFIG.DATA.STORE, ...options } = {}) {
+  switch (store) {
+    case 'fs':
+      return new FileTeamRepository(options);
+    case 'sqlite':
+      return new SqliteTeamRepository(options);
+    case 'memory':
+      return new MemoryTeamRepository();
+    default:
+      throw new Error(`지원하지 않는 저장소입니다: ${store} (${TEAM_STORES.join(', ')} 중 하나)`);
+  }
+}
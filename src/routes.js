@@ -1,14 +1,31 @@
 /**
  * API 라우팅을 담당하는 파일
  */
-import { TeamDataController } from "./controllers/TeamDataController.js";
-import { validateTeamData } from "./utils/validators.js";
+import { TeamDataController, MAX_PAGE_SIZE } from "./controllers/TeamDataController.js";
+import { TeamDistributionService, DISTRIBUTION_STRATEGIES } from "./services/TeamDistributionService.js";
+import { LiveSessionService, JOIN_REQUEST_STATUSES } from "./services/LiveSessionService.js";
+import {
+  validateTeamData,
+  validateDistributeRequest,
+  validateHistoryQuery,
+  validateTeamPatch,
+  validateExportQuery,
+  validateLiveState,
+  validateLiveSessionPatch,
+  validateJoinRequest,
+  validateJoinReview
+} from "./utils/validators.js";
+import { resolveLocale } from "./utils/schema.js";
+import { EXPORT_FORMATS } from "./utils/teamExport.js";
 
 // 상수 정의
 const HTTP_HEADERS = {
   JSON: { "Content-Type": "application/json; charset=utf-8" }
 };
 
+// 실시간 세션 진행자 토큰을 담는 요청 헤더 (Node.js는 헤더 이름을 소문자로 전달)
+const SESSION_TOKEN_HEADER = "x-session-token";
+
 const ERROR_MESSAGES = {
   NOT_FOUND: "API 엔드포인트를 찾을 수 없습니다.",
   INVALID_DATA: "유효하지 않은 데이터 형식입니다.",
@@ -17,12 +34,128 @@ const ERROR_MESSAGES = {
   INTERNAL_ERROR: "서버 내부 오류가 발생했습니다."
 };
 
+// 컨트롤러 결과 코드별 HTTP 상태 코드
+const RESULT_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_SWAP: 400,
+  FORBIDDEN: 403,
+  REGISTRATION_CLOSED: 409,
+  DUPLICATE_NAME: 409,
+  ALREADY_REVIEWED: 409
+};
+
+/**
+ * 경로 패턴을 정규식으로 변환합니다.
+ * @param {string} path - 경로 패턴 (예: "/api/teams/:id")
+ * @returns {{regex: RegExp, keys: Array<string>}} 경로 정규식과 파라미터 이름 목록
+ */
+const compilePath = (path) => {
+  const keys = [];
+  const source = path
+    .split("/")
+    .map(segment => {
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+
+  return { regex: new RegExp(`^${source}$`), keys };
+};
+
+/**
+ * 경로 파라미터 값을 디코딩합니다. (잘못된 인코딩이면 원래 값 사용)
+ * @param {string} value - 경로에서 추출한 값
+ * @returns {string} 디코딩된 값
+ */
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
 export class Router {
-  constructor() {
-    this.teamDataController = new TeamDataController();
-    this.routes = {
-      "/api/teams": this.handleTeamsRoute.bind(this),
-    };
+  /**
+   * @param {Object} [options] - 라우터 옵션
+   * @param {import('./models/TeamRepository.js').TeamRepository} [options.repository] - 팀 데이터 저장소 (기본값: 설정의 저장소)
+   * @param {LiveSessionService} [options.liveSessionService] - 실시간 공유 세션 서비스
+   */
+  constructor({ repository, liveSessionService = new LiveSessionService() } = {}) {
+    this.distributionService = new TeamDistributionService();
+    this.teamDataController = new TeamDataController({ repository, distributionService: this.distributionService });
+    this.liveSessionService = liveSessionService;
+    this.routes = [];
+
+    // 라우트 등록 (등록 순서대로 검사하므로 고정 경로를 파라미터 경로보다 먼저 등록)
+    this.addRoute("GET", "/api/teams", this.handleGetCurrentTeams.bind(this));
+    this.addRoute("POST", "/api/teams", this.handleSaveTeams.bind(this), {
+      middleware: [this.parseJsonBody.bind(this), this.validateBody(validateTeamData)]
+    });
+    this.addRoute("POST", "/api/teams/distribute", this.handleDistributeRoute.bind(this), {
+      middleware: [
+        this.parseJsonBody.bind(this),
+        this.validateBody((data, options) => validateDistributeRequest(data, DISTRIBUTION_STRATEGIES, options))
+      ]
+    });
+    this.addRoute("GET", "/api/teams/pair-history", this.handlePairHistoryRoute.bind(this));
+    this.addRoute("GET", "/api/teams/pm-history", this.handlePMHistoryRoute.bind(this));
+    this.addRoute("GET", "/api/teams/history", this.handleTeamHistoryRoute.bind(this), {
+      middleware: [this.validateQuery((query, options) => validateHistoryQuery(query, MAX_PAGE_SIZE, options))]
+    });
+    this.addRoute("GET", "/api/teams/:id/export", this.handleExportTeam.bind(this), {
+      middleware: [this.validateQuery((query, options) => validateExportQuery(query, Object.keys(EXPORT_FORMATS), options))]
+    });
+    this.addRoute("GET", "/api/teams/:id", this.handleGetTeamById.bind(this));
+    this.addRoute("PATCH", "/api/teams/:id", this.handleUpdateTeam.bind(this), {
+      middleware: [this.parseJsonBody.bind(this), this.validateBody(validateTeamPatch)]
+    });
+    this.addRoute("DELETE", "/api/teams/:id", this.handleDeleteTeam.bind(this));
+
+    // 실시간 공유 세션 (진행자 화면의 멤버 목록과 팀 구성을 참가자에게 Server-Sent Events로 전달)
+    this.addRoute("POST", "/api/sessions", this.handleCreateSession.bind(this));
+    this.addRoute("GET", "/api/sessions/:id", this.handleGetSession.bind(this));
+    this.addRoute("PATCH", "/api/sessions/:id", this.handleUpdateSession.bind(this), {
+      middleware: [this.parseJsonBody.bind(this), this.validateBody(validateLiveSessionPatch)]
+    });
+    this.addRoute("DELETE", "/api/sessions/:id", this.handleCloseSession.bind(this));
+    this.addRoute("GET", "/api/sessions/:id/events", this.handleSessionEvents.bind(this));
+    this.addRoute("POST", "/api/sessions/:id/state", this.handlePublishSessionState.bind(this), {
+      middleware: [this.parseJsonBody.bind(this), this.validateBody(validateLiveState)]
+    });
+
+    // 참가 신청 (참가자가 이름을 신청하고 진행자가 승인/거절)
+    this.addRoute("GET", "/api/sessions/:id/members", this.handleListJoinRequests.bind(this));
+    this.addRoute("POST", "/api/sessions/:id/members", this.handleSubmitJoinRequest.bind(this), {
+      middleware: [this.parseJsonBody.bind(this), this.validateBody(validateJoinRequest)]
+    });
+    this.addRoute("GET", "/api/sessions/:id/members/:requestId", this.handleGetJoinRequest.bind(this));
+    this.addRoute("PATCH", "/api/sessions/:id/members/:requestId", this.handleReviewJoinRequest.bind(this), {
+      middleware: [
+        this.parseJsonBody.bind(this),
+        this.validateBody((data, options) => validateJoinReview(data, JOIN_REQUEST_STATUSES.filter(status => status !== "pending"), options))
+      ]
+    });
+  }
+
+  /**
+   * 라우트를 등록합니다.
+   * 미들웨어는 (req, res, context) 형태로 순서대로 실행되며, true를 반환하면 응답을 끝낸 것으로 보고
+   * 이후 미들웨어와 핸들러를 실행하지 않습니다.
+   * @param {string} method - HTTP 메서드
+   * @param {string} path - 경로 패턴 (":이름"은 경로 파라미터)
+   * @param {Function} handler - (req, res, context) 형태의 요청 핸들러
+   * @param {Object} [options] - 라우트 옵션
+   * @param {Array<Function>} [options.middleware=[]] - 이 라우트에만 적용할 미들웨어
+   *
+   * @example
+   * router.addRoute("GET", "/api/teams/:id", (req, res, { params, query }) => { ... });
+   */
+  addRoute(method, path, handler, { middleware = [] } = {}) {
+    this.routes.push({ method: method.toUpperCase(), path, ...compilePath(path), handler, middleware });
   }
 
   /**
@@ -36,6 +169,58 @@ export class Router {
     res.end(JSON.stringify(data));
   }
 
+  /**
+   * 내려받을 파일로 응답하는 헬퍼 메서드
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} file - 파일 정보
+   * @param {string} file.content - 파일 내용
+   * @param {string} file.contentType - MIME 타입
+   * @param {string} file.fileName - 내려받을 파일 이름
+   */
+  sendFileResponse(res, { content, contentType, fileName }) {
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`
+    });
+    res.end(content);
+  }
+
+  /**
+   * 컨트롤러 결과에 맞는 HTTP 상태 코드로 응답합니다.
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} result - 컨트롤러 결과 ({ success, code?, ... })
+   */
+  sendResult(res, result) {
+    const statusCode = result.success ? 200 : RESULT_STATUS[result.code] ?? 500;
+    this.sendJsonResponse(res, statusCode, result);
+  }
+
+  /**
+   * 요청 경로와 메서드에 맞는 라우트를 찾습니다.
+   * @param {string} method - HTTP 메서드
+   * @param {string} pathname - 쿼리 문자열을 제외한 요청 경로
+   * @returns {{route: Object|null, params: Object, allowedMethods: Array<string>}}
+   *   일치한 라우트와 경로 파라미터, 경로는 같지만 메서드가 다른 라우트의 메서드 목록
+   */
+  matchRoute(method, pathname) {
+    const allowedMethods = [];
+
+    for (const route of this.routes) {
+      const match = pathname.match(route.regex);
+      if (!match) continue;
+
+      if (route.method !== method) {
+        allowedMethods.push(route.method);
+        continue;
+      }
+
+      const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeParam(match[index + 1])]));
+      return { route, params, allowedMethods };
+    }
+
+    return { route: null, params: {}, allowedMethods };
+  }
+
   /**
    * 요청된 경로에 맞는 핸들러를 찾아 실행합니다.
    * @param {Object} req - HTTP 요청 객체
@@ -43,85 +228,378 @@ export class Router {
    * @returns {boolean} 라우팅 처리 여부 (true: 처리됨, false: 처리되지 않음)
    */
   async handleRequest(req, res) {
-    const handler = this.routes[req.url];
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const { route, params, allowedMethods } = this.matchRoute(req.method, pathname);
 
-    if (handler) {
-      await handler(req, res);
-      return true;
+    if (!route) {
+      if (allowedMethods.length) {
+        res.setHeader("Allow", [...new Set(allowedMethods)].join(", "));
+        this.sendJsonResponse(res, 405, { error: ERROR_MESSAGES.METHOD_NOT_ALLOWED });
+        return true;
+      }
+
+      if (pathname.startsWith("/api/")) {
+        this.sendJsonResponse(res, 404, { error: ERROR_MESSAGES.NOT_FOUND });
+        return true;
+      }
+
+      return false;
     }
 
-    if (req.url.startsWith("/api/")) {
-      this.sendJsonResponse(res, 404, { error: ERROR_MESSAGES.NOT_FOUND });
-      return true;
+    const context = {
+      params,
+      query: Object.fromEntries(searchParams),
+      body: undefined,
+      // 검증 오류 메시지 언어
+      locale: resolveLocale(req.headers?.["accept-language"])
+    };
+
+    try {
+      for (const middleware of route.middleware) {
+        if (await middleware(req, res, context)) {
+          return true;
+        }
+      }
+
+      await route.handler(req, res, context);
+    } catch (error) {
+      console.error(`API 요청 처리 중 오류 발생 (${req.method} ${pathname}):`, error);
+      if (!res.headersSent) {
+        this.sendJsonResponse(res, 500, { error: ERROR_MESSAGES.INTERNAL_ERROR });
+      }
     }
 
-    return false;
+    return true;
   }
 
   /**
-   * /api/teams 경로에 대한 요청 처리
+   * 요청 본문을 문자열로 읽습니다.
+   * @param {Object} req - HTTP 요청 객체
+   * @returns {Promise<string>} 요청 본문
+   */
+  readRequestBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = "";
+
+      req.on("data", (chunk) => {
+        body += chunk.toString();
+      });
+      req.on("end", () => resolve(body));
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * 요청 본문을 JSON으로 파싱해 context.body에 담는 미들웨어
+   * 잘못된 JSON이면 400으로 응답합니다.
    * @param {Object} req - HTTP 요청 객체
    * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @returns {Promise<boolean>} 응답을 끝냈는지 여부
    */
-  async handleTeamsRoute(req, res) {
-    let body = "";
+  async parseJsonBody(req, res, context) {
+    try {
+      context.body = JSON.parse(await this.readRequestBody(req));
+      return false;
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        this.sendJsonResponse(res, 400, { error: ERROR_MESSAGES.INVALID_JSON });
+        return true;
+      }
+      throw error;
+    }
+  }
 
-    req.on("data", (chunk) => {
-      body += chunk.toString();
+  /**
+   * context.body를 검사하는 미들웨어를 만듭니다.
+   * @param {Function} validate - (data, { locale }) => { valid, errors } 형태의 검증 함수
+   * @returns {Function} 유효하지 않으면 400으로 응답하는 미들웨어
+   */
+  validateBody(validate) {
+    return (req, res, context) => this.rejectInvalid(res, validate(context.body, { locale: context.locale }));
+  }
+
+  /**
+   * context.query를 검사하는 미들웨어를 만듭니다.
+   * @param {Function} validate - (query, { locale }) => { valid, errors } 형태의 검증 함수
+   * @returns {Function} 유효하지 않으면 400으로 응답하는 미들웨어
+   */
+  validateQuery(validate) {
+    return (req, res, context) => this.rejectInvalid(res, validate(context.query, { locale: context.locale }));
+  }
+
+  /**
+   * 검증 결과가 유효하지 않으면 오류 목록과 함께 400으로 응답합니다.
+   * 오류는 { pointer, code, message } 형태이며 pointer는 요청 데이터의 JSON 포인터입니다.
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} validation - 검증 결과 ({ valid, errors })
+   * @returns {boolean} 응답을 끝냈는지 여부
+   */
+  rejectInvalid(res, validation) {
+    if (validation.valid) {
+      return false;
+    }
+
+    this.sendJsonResponse(res, 400, {
+      success: false,
+      message: ERROR_MESSAGES.INVALID_DATA,
+      errors: validation.errors,
     });
+    return true;
+  }
 
-    req.on("end", async () => {
-      try {
-        let data = {};
-        // 요청 메서드가 "POST"인지 확인합니다. 
-        // POST 요청은 클라이언트가 서버에 데이터를 전송할 때 사용됩니다.
-        if (req.method === "POST") {
-          // 클라이언트로부터 받은 데이터의 본문을 JSON 형식으로 파싱합니다.
-          // 이 데이터는 팀 정보를 포함하고 있습니다.
-          data = JSON.parse(body);
-          console.log("클라이언트에서 받은 데이터:", JSON.stringify(data, null, 2));
-
-          // 파싱된 데이터의 유효성을 검사합니다.
-          // validateTeamData 함수는 데이터가 유효한지 확인하고, 
-          // 유효하지 않은 경우 오류 메시지와 함께 오류 정보를 반환합니다.
-          const validation = validateTeamData(data);
-          // 데이터가 유효하지 않은 경우, 400 상태 코드와 함께 오류 메시지를 응답합니다.
-          if (!validation.valid) {
-            this.sendJsonResponse(res, 400, {
-              success: false,
-              message: ERROR_MESSAGES.INVALID_DATA,
-              errors: validation.errors,
-            });
-            return; // 오류가 발생했으므로 이후 코드를 실행하지 않고 종료합니다.
-          }
-        }
+  /**
+   * GET /api/teams - 현재 저장된 팀 구성 조회
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   */
+  async handleGetCurrentTeams(req, res) {
+    const result = await this.teamDataController.getCurrentTeamData();
+    this.sendJsonResponse(res, 200, result);
+  }
 
-        // 요청 메서드에 따라 다른 처리를 수행합니다.
-        // POST 요청인 경우, 클라이언트에서 보낸 데이터를 저장하고, 성공적인 응답을 반환합니다.
-        // GET 요청인 경우, 현재 팀 데이터를 가져와서 응답합니다.
-        // 그 외의 요청 메서드인 경우, 허용되지 않는 메서드라는 405 상태 코드를 반환합니다.
-        if (req.method === "POST") {
-          const result = await this.teamDataController.saveTeamData(data);
-          this.sendJsonResponse(res, 200, result);
-        } else if (req.method === "GET") {
-          const result = await this.teamDataController.getCurrentTeamData();
-          this.sendJsonResponse(res, 200, result);
-        } else {
-          this.sendJsonResponse(res, 405, { error: ERROR_MESSAGES.METHOD_NOT_ALLOWED });
-        }
-      } catch (error) {
-        console.error("API 요청 처리 중 오류 발생:", error);
-
-        // SyntaxError가 발생하고, 오류 메시지에 "JSON"이 포함되어 있는 경우
-        // 클라이언트가 보낸 JSON 데이터가 잘못된 형식임을 의미합니다.
-        // 이 경우 400 상태 코드와 함께 INVALID_JSON 오류 메시지를 응답합니다.
-        if (error instanceof SyntaxError && error.message.includes("JSON")) {
-          this.sendJsonResponse(res, 400, { error: ERROR_MESSAGES.INVALID_JSON });
-          return;
-        }
+  /**
+   * POST /api/teams - 팀 구성 저장
+   * 본문 파싱과 유효성 검사는 라우트 미들웨어에서 처리됩니다.
+   * distributionId가 있으면 서버가 분배한 팀과 같은지 확인해 함께 기록합니다. (응답의 verified)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.body - 저장할 팀 데이터
+   */
+  async handleSaveTeams(req, res, { body }) {
+    console.log("클라이언트에서 받은 데이터:", JSON.stringify(body, null, 2));
 
-        this.sendJsonResponse(res, 500, { error: ERROR_MESSAGES.INTERNAL_ERROR });
-      }
+    const result = await this.teamDataController.saveTeamData(body);
+    this.sendJsonResponse(res, 200, result);
+  }
+
+  /**
+   * POST /api/teams/distribute - 서버에서 팀을 분배하고 distributionId와 함께 결과를 반환
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.body - 분배 요청 데이터
+   */
+  async handleDistributeRoute(req, res, { body: data }) {
+    // freshness 전략은 저장된 과거 분배 결과를 바탕으로 반복 짝을 줄임
+    const pastTeams = data.strategy === "freshness"
+      ? await this.teamDataController.loadPastTeams()
+      : undefined;
+
+    // least-recent 방식은 과거 PM 이력에서 가장 오래전에 PM을 맡은 멤버를 선출
+    const pmHistory = data.pmPolicy === "least-recent"
+      ? await this.teamDataController.loadPastPMs()
+      : undefined;
+
+    const distribution = this.distributionService.distribute({ ...data, pastTeams, pmHistory });
+    this.sendJsonResponse(res, 200, { success: true, ...distribution });
+  }
+
+  /**
+   * GET /api/teams/pair-history - 저장된 과거 분배 결과에서 짝별로 같은 팀이었던 횟수를 반환
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   */
+  async handlePairHistoryRoute(req, res) {
+    const result = await this.teamDataController.getPairHistory();
+    this.sendJsonResponse(res, result.success ? 200 : 500, result);
+  }
+
+  /**
+   * GET /api/teams/pm-history - 저장된 과거 분배 결과의 PM 목록을 오래된 순으로 반환
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   */
+  async handlePMHistoryRoute(req, res) {
+    const result = await this.teamDataController.getPMHistory();
+    this.sendJsonResponse(res, result.success ? 200 : 500, result);
+  }
+
+  /**
+   * GET /api/teams/history - 저장된 팀 구성 목록을 최신순으로 페이지 단위로 반환 (?page=1&limit=20)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.query - 쿼리 문자열 값
+   */
+  async handleTeamHistoryRoute(req, res, { query }) {
+    const result = await this.teamDataController.listTeamData({
+      page: query.page ? Number(query.page) : undefined,
+      limit: query.limit ? Number(query.limit) : undefined,
     });
+    this.sendResult(res, result);
+  }
+
+  /**
+   * GET /api/teams/:id - 저장된 팀 구성 조회
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id)
+   */
+  async handleGetTeamById(req, res, { params }) {
+    this.sendResult(res, await this.teamDataController.getTeamDataById(params.id));
+  }
+
+  /**
+   * GET /api/teams/:id/export - 저장된 팀 구성을 파일로 내려받기 (?format=csv|md|json|html)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id)
+   * @param {Object} context.query - 쿼리 문자열 값 (format)
+   */
+  async handleExportTeam(req, res, { params, query }) {
+    const result = await this.teamDataController.exportTeamData(params.id, query.format);
+    if (!result.success) {
+      this.sendResult(res, result);
+      return;
+    }
+    this.sendFileResponse(res, result.data);
+  }
+
+  /**
+   * PATCH /api/teams/:id - 이름(name), 메모(notes) 변경 및 멤버 교환(swaps)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id)
+   * @param {Object} context.body - 변경 내용
+   */
+  async handleUpdateTeam(req, res, { params, body }) {
+    this.sendResult(res, await this.teamDataController.updateTeamData(params.id, body));
+  }
+
+  /**
+   * DELETE /api/teams/:id - 저장된 팀 구성 삭제
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id)
+   */
+  async handleDeleteTeam(req, res, { params }) {
+    this.sendResult(res, await this.teamDataController.deleteTeamData(params.id));
+  }
+
+  /**
+   * POST /api/sessions - 실시간 공유 세션 열기 (세션 코드와 진행자 토큰 반환)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   */
+  async handleCreateSession(req, res) {
+    this.sendResult(res, this.liveSessionService.createSession());
+  }
+
+  /**
+   * GET /api/sessions/:id - 세션 정보와 마지막으로 공유한 상태 조회
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   */
+  async handleGetSession(req, res, { params }) {
+    this.sendResult(res, this.liveSessionService.getSession(params.id));
+  }
+
+  /**
+   * DELETE /api/sessions/:id - 세션 종료 (X-Session-Token 헤더에 진행자 토큰 필요)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   */
+  async handleCloseSession(req, res, { params }) {
+    this.sendResult(res, this.liveSessionService.closeSession(params.id, req.headers?.[SESSION_TOKEN_HEADER] ?? null));
+  }
+
+  /**
+   * GET /api/sessions/:id/events - 참가자용 이벤트 스트림 (text/event-stream)
+   * 연결하면 마지막 상태를 바로 보내고, 이후 진행자가 상태를 공유할 때마다 보냅니다.
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체 (연결이 끊길 때까지 열어 둠)
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   */
+  async handleSessionEvents(req, res, { params }) {
+    const result = this.liveSessionService.connect(params.id, req, res);
+    if (!result.success) {
+      this.sendResult(res, result);
+    }
+  }
+
+  /**
+   * POST /api/sessions/:id/state - 진행자 화면의 상태를 참가자에게 공유 (X-Session-Token 헤더에 진행자 토큰 필요)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   * @param {Object} context.body - 공유할 상태 ({ state })
+   */
+  async handlePublishSessionState(req, res, { params, body }) {
+    this.sendResult(res, this.liveSessionService.publish(params.id, req.headers?.[SESSION_TOKEN_HEADER], body.state));
+  }
+
+  /**
+   * PATCH /api/sessions/:id - 세션 설정 변경 (registrationOpen: 참가 신청 받기, X-Session-Token 헤더에 진행자 토큰 필요)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   * @param {Object} context.body - 바꿀 설정
+   */
+  async handleUpdateSession(req, res, { params, body }) {
+    this.sendResult(res, this.liveSessionService.updateSession(params.id, req.headers?.[SESSION_TOKEN_HEADER], body));
+  }
+
+  /**
+   * GET /api/sessions/:id/members - 참가 신청 목록 조회 (X-Session-Token 헤더에 진행자 토큰 필요)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   */
+  async handleListJoinRequests(req, res, { params }) {
+    this.sendResult(res, this.liveSessionService.listJoinRequests(params.id, req.headers?.[SESSION_TOKEN_HEADER]));
+  }
+
+  /**
+   * POST /api/sessions/:id/members - 참가 신청 (신청이 마감되었거나 이름이 겹치면 409)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드)
+   * @param {Object} context.body - 신청 내용 ({ name, gender?, tags? })
+   */
+  async handleSubmitJoinRequest(req, res, { params, body }) {
+    this.sendResult(res, this.liveSessionService.submitJoinRequest(params.id, body));
+  }
+
+  /**
+   * GET /api/sessions/:id/members/:requestId - 참가 신청 상태 조회 (신청한 참가자용)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드, requestId: 신청 id)
+   */
+  async handleGetJoinRequest(req, res, { params }) {
+    this.sendResult(res, this.liveSessionService.getJoinRequest(params.id, params.requestId));
+  }
+
+  /**
+   * PATCH /api/sessions/:id/members/:requestId - 참가 신청 승인/거절 (X-Session-Token 헤더에 진행자 토큰 필요)
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체
+   * @param {Object} context - 라우트 정보
+   * @param {Object} context.params - 경로 파라미터 (id: 세션 코드, requestId: 신청 id)
+   * @param {Object} context.body - 바꿀 상태 ({ status: 'approved' | 'rejected' })
+   */
+  async handleReviewJoinRequest(req, res, { params, body }) {
+    this.sendResult(res, this.liveSessionService.reviewJoinRequest(
+      params.id,
+      req.headers?.[SESSION_TOKEN_HEADER],
+      params.requestId,
+      body.status
+    ));
   }
 }
@@ -1,5 +1,7 @@
 /**
  * HTTP 서버 생성 및 시작을 담당하는 파일
+ * API 요청은 Router가 처리하며, 실시간 공유 세션(/api/sessions/:id/events)은
+ * 요청마다 Server-Sent Events 스트림을 열어 둡니다.
  */
 import http from 'http';
 import path from 'path';
@@ -49,6 +51,18 @@ export class Server {
       console.log(`캐시 활성화 모드로 실행 중 (${SERVER_CONFIG.CACHE_DURATION}초 기간)`);
     });
   }
+
+  /**
+   * 서버 종료
+   * 실시간 세션의 이벤트 스트림은 끝나지 않는 응답이므로 먼저 닫아야 서버가 종료됩니다.
+   * @returns {Promise<void>} 서버가 닫히면 완료
+   */
+  stop() {
+    this.router.liveSessionService.closeAll();
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
 }
 
 // 서버 인스턴스를 생성하고 시작하는 함수
@@ -0,0 +1,457 @@
+import { randomInt, randomUUID } from 'crypto';
+
+/**
+ * 세션 코드에 쓰는 문자 (헷갈리기 쉬운 0, O, 1, I 제외)
+ * @constant {string}
+ */
+const SESSION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * 세션 코드 길이
+ * @constant {number}
+ */
+const SESSION_CODE_LENGTH = 6;
+
+/**
+ * 메모리에 보관할 최대 세션 수 (넘으면 오래된 세션부터 종료)
+ * @constant {number}
+ */
+const MAX_SESSIONS = 100;
+
+/**
+ * 세션마다 받을 수 있는 최대 참가 신청 수
+ * @constant {number}
+ */
+const MAX_JOIN_REQUESTS = 200;
+
+/**
+ * 참가 신청 상태
+ * @constant {Array<string>}
+ */
+export const JOIN_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * 연결이 끊기지 않도록 주석 줄을 보내는 간격(ms)
+ * @constant {number}
+ */
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * 연결이 끊긴 참가자가 다시 연결을 시도하기까지 기다리는 시간(ms)
+ * @constant {number}
+ */
+const RECONNECT_DELAY = 3000;
+
+/**
+ * Server-Sent Events 응답 헤더
+ * @constant {Object<string, string>}
+ */
+const EVENT_STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  // 프록시가 이벤트를 모아 보내지 않도록
+  'X-Accel-Buffering': 'no'
+};
+
+/**
+ * 공유한 멤버 목록의 이름 (멤버는 이름 문자열이거나 { id, name } 프로필)
+ * @param {Array<string|Object>} [members=[]] - 진행자가 공유한 멤버 목록
+ * @returns {Array<string>} 멤버 이름 목록
+ */
+const getMemberNames = (members = []) =>
+  members.map(member => typeof member === 'string' ? member : member.name);
+
+/**
+ * 실시간 공유 세션 서비스
+ * @description
+ * 진행자(host)가 세션을 열면 세션 코드와 진행자 토큰을 발급합니다.
+ * 진행자가 보낸 상태(멤버 목록, 팀 구성 등)는 세션마다 마지막 값만 보관하고
+ * Server-Sent Events로 연결한 참가자 모두에게 보냅니다. 새로 연결한 참가자는 마지막 상태를 바로 받습니다.
+ *
+ * 참가 신청을 열면 참가자가 직접 이름과 속성(성별, 태그)을 신청하고, 진행자가 승인한 신청만 명단에 추가합니다.
+ * 진행자가 공유한 상태의 총원(totalMembers)을 다 채우면 신청을 자동으로 마감합니다.
+ *
+ * 보내는 이벤트
+ * - state: { version, state } 진행자가 보낸 상태 (id는 version)
+ * - presence: { participantCount } 참가자 수가 바뀜
+ * - end: {} 진행자가 세션을 종료함
+ */
+export class LiveSessionService {
+  /**
+   * LiveSessionService 클래스의 새 인스턴스를 생성합니다.
+   * @param {Object} [options] - 서비스 옵션
+   * @param {number} [options.heartbeatInterval=HEARTBEAT_INTERVAL] - 연결 유지용 주석을 보내는 간격(ms)
+   */
+  constructor({ heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+    // 세션 코드를 키로 하는 세션 (삽입 순서 유지)
+    this.sessions = new Map();
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * 사용 중이지 않은 세션 코드를 만듭니다.
+   * @returns {string} 세션 코드 (예: 'K7QF2M')
+   */
+  createSessionId() {
+    let id;
+    do {
+      id = Array.from({ length: SESSION_CODE_LENGTH }, () => SESSION_CODE_ALPHABET[randomInt(SESSION_CODE_ALPHABET.length)]).join('');
+    } while (this.sessions.has(id));
+    return id;
+  }
+
+  /**
+   * 세션 코드를 정규화합니다. (참가자가 소문자로 입력해도 같은 세션)
+   * @param {string} id - 세션 코드
+   * @returns {string} 대문자 세션 코드
+   */
+  normalizeId(id) {
+    return String(id).trim().toUpperCase();
+  }
+
+  /**
+   * 새 세션을 엽니다.
+   * @returns {{success: boolean, data: {id: string, hostToken: string, createdAt: string}}} 세션 코드와 진행자 토큰
+   */
+  createSession() {
+    // 보관 한도를 넘으면 가장 오래된 세션 종료
+    if (this.sessions.size >= MAX_SESSIONS) {
+      this.closeSession(this.sessions.keys().next().value);
+    }
+
+    const session = {
+      id: this.createSessionId(),
+      hostToken: randomUUID(),
+      createdAt: new Date().toISOString(),
+      version: 0,
+      state: null,
+      clients: new Set(),
+      registration: { isOpen: false, requests: [] }
+    };
+    this.sessions.set(session.id, session);
+
+    return {
+      success: true,
+      data: { id: session.id, hostToken: session.hostToken, createdAt: session.createdAt }
+    };
+  }
+
+  /**
+   * 세션을 찾고 진행자 토큰을 확인합니다.
+   * @param {string} id - 세션 코드
+   * @param {string} [hostToken] - 진행자 토큰 (undefined면 확인하지 않음)
+   * @returns {{session: Object|null, error: Object|null}} 세션 또는 실패 결과
+   */
+  authorize(id, hostToken) {
+    const session = this.sessions.get(this.normalizeId(id));
+    if (!session) {
+      return { session: null, error: { success: false, code: 'NOT_FOUND', message: '세션을 찾을 수 없습니다.' } };
+    }
+    if (hostToken !== undefined && hostToken !== session.hostToken) {
+      return { session: null, error: { success: false, code: 'FORBIDDEN', message: '세션 진행자만 할 수 있습니다.' } };
+    }
+    return { session, error: null };
+  }
+
+  /**
+   * 세션 정보를 조회합니다.
+   * @param {string} id - 세션 코드
+   * @returns {Object} 세션 코드, 생성 시각, 상태 버전, 참가자 수, 마지막 상태
+   */
+  getSession(id) {
+    const { session, error } = this.authorize(id);
+    if (error) return error;
+
+    return {
+      success: true,
+      data: {
+        id: session.id,
+        createdAt: session.createdAt,
+        version: session.version,
+        participantCount: session.clients.size,
+        state: session.state,
+        registration: this.getRegistrationStatus(session)
+      }
+    };
+  }
+
+  /**
+   * 세션 설정을 바꿉니다. (진행자만)
+   * @param {string} id - 세션 코드
+   * @param {string} hostToken - 진행자 토큰
+   * @param {Object} changes - 바꿀 설정
+   * @param {boolean} [changes.registrationOpen] - 참가 신청을 받을지 여부
+   * @returns {Object} 참가 신청 상태
+   */
+  updateSession(id, hostToken, { registrationOpen }) {
+    const { session, error } = this.authorize(id, hostToken ?? null);
+    if (error) return error;
+
+    if (registrationOpen !== undefined) {
+      session.registration.isOpen = registrationOpen;
+    }
+    return { success: true, data: { registration: this.getRegistrationStatus(session) } };
+  }
+
+  /**
+   * 남은 신청 자리를 계산합니다.
+   * 진행자가 총원을 확정했으면 총원에서 명단 인원과 처리 중인 신청 수를 뺀 값이며, 총원을 정하지 않았으면 제한이 없습니다.
+   * (승인했지만 진행자 화면이 아직 명단을 공유하지 않은 신청도 처리 중으로 셈)
+   * @param {Object} session - 세션
+   * @returns {number|null} 남은 자리 (제한이 없으면 null)
+   */
+  getRemainingSeats(session) {
+    const { isTotalConfirmed, totalMembers = 0, members = [] } = session.state ?? {};
+    if (!isTotalConfirmed || totalMembers <= 0) {
+      return null;
+    }
+
+    const waitingCount = session.registration.requests.filter(request =>
+      request.status === 'pending' || (request.status === 'approved' && !getMemberNames(members).includes(request.name))
+    ).length;
+    return Math.max(totalMembers - members.length - waitingCount, 0);
+  }
+
+  /**
+   * @param {Object} session - 세션
+   * @returns {{isOpen: boolean, remaining: number|null}} 참가 신청을 받는지와 남은 자리
+   */
+  getRegistrationStatus(session) {
+    const remaining = this.getRemainingSeats(session);
+    return { isOpen: session.registration.isOpen && remaining !== 0, remaining };
+  }
+
+  /**
+   * 참가자가 자기 이름으로 참가를 신청합니다.
+   * @param {string} id - 세션 코드
+   * @param {Object} entry - 신청 내용
+   * @param {string} entry.name - 이름
+   * @param {string} [entry.gender] - 성별
+   * @param {Array<string>} [entry.tags] - 태그
+   * @returns {Object} 신청 id와 상태 (신청 id로 승인 여부를 확인)
+   */
+  submitJoinRequest(id, { name, gender, tags }) {
+    const { session, error } = this.authorize(id);
+    if (error) return error;
+
+    const { isOpen } = this.getRegistrationStatus(session);
+    if (!isOpen || session.registration.requests.length >= MAX_JOIN_REQUESTS) {
+      return { success: false, code: 'REGISTRATION_CLOSED', message: '참가 신청이 마감되었습니다.' };
+    }
+
+    const trimmedName = name.trim();
+    const takenNames = [
+      ...getMemberNames(session.state?.members),
+      ...session.registration.requests.filter(request => request.status !== 'rejected').map(request => request.name)
+    ];
+    if (takenNames.includes(trimmedName)) {
+      return { success: false, code: 'DUPLICATE_NAME', message: `이미 신청했거나 명단에 있는 이름입니다: ${trimmedName}` };
+    }
+
+    const request = {
+      id: randomUUID(),
+      name: trimmedName,
+      ...(gender !== undefined && { gender }),
+      ...(tags !== undefined && { tags }),
+      status: 'pending',
+      submittedAt: new Date().toISOString()
+    };
+    session.registration.requests.push(request);
+
+    return { success: true, data: { id: request.id, name: request.name, status: request.status } };
+  }
+
+  /**
+   * 참가 신청 하나의 상태를 조회합니다. (신청 id를 아는 참가자용)
+   * @param {string} id - 세션 코드
+   * @param {string} requestId - 신청 id
+   * @returns {Object} 신청 id, 이름, 상태
+   */
+  getJoinRequest(id, requestId) {
+    const { session, error } = this.authorize(id);
+    if (error) return error;
+
+    const request = session.registration.requests.find(candidate => candidate.id === requestId);
+    if (!request) {
+      return { success: false, code: 'NOT_FOUND', message: '참가 신청을 찾을 수 없습니다.' };
+    }
+    return { success: true, data: { id: request.id, name: request.name, status: request.status } };
+  }
+
+  /**
+   * 참가 신청 목록을 조회합니다. (진행자만)
+   * @param {string} id - 세션 코드
+   * @param {string} hostToken - 진행자 토큰
+   * @returns {Object} 신청 목록(신청 순)과 참가 신청 상태
+   */
+  listJoinRequests(id, hostToken) {
+    const { session, error } = this.authorize(id, hostToken ?? null);
+    if (error) return error;
+
+    return {
+      success: true,
+      data: { requests: session.registration.requests, registration: this.getRegistrationStatus(session) }
+    };
+  }
+
+  /**
+   * 참가 신청을 승인하거나 거절합니다. (진행자만, 대기 중인 신청만)
+   * 승인한 멤버는 진행자 화면이 명단에 추가한 뒤 상태를 공유하면 명단 인원으로 셉니다.
+   * @param {string} id - 세션 코드
+   * @param {string} hostToken - 진행자 토큰
+   * @param {string} requestId - 신청 id
+   * @param {string} status - 'approved' 또는 'rejected'
+   * @returns {Object} 바뀐 신청
+   */
+  reviewJoinRequest(id, hostToken, requestId, status) {
+    const { session, error } = this.authorize(id, hostToken ?? null);
+    if (error) return error;
+
+    const request = session.registration.requests.find(candidate => candidate.id === requestId);
+    if (!request) {
+      return { success: false, code: 'NOT_FOUND', message: '참가 신청을 찾을 수 없습니다.' };
+    }
+    if (request.status !== 'pending') {
+      return { success: false, code: 'ALREADY_REVIEWED', message: `이미 처리한 신청입니다: ${request.name}` };
+    }
+
+    request.status = status;
+    return { success: true, data: request };
+  }
+
+  /**
+   * 진행자가 보낸 상태를 보관하고 참가자에게 보냅니다.
+   * @param {string} id - 세션 코드
+   * @param {string} hostToken - 진행자 토큰
+   * @param {Object} state - 공유할 상태
+   * @returns {Object} 새 상태 버전과 받은 참가자 수
+   */
+  publish(id, hostToken, state) {
+    const { session, error } = this.authorize(id, hostToken ?? null);
+    if (error) return error;
+
+    session.version += 1;
+    session.state = state;
+
+    // 명단이 총원을 다 채우면 참가 신청 마감 (총원을 늘리면 진행자가 다시 열 수 있음)
+    const { isTotalConfirmed, totalMembers = 0, members = [] } = state;
+    if (isTotalConfirmed && totalMembers > 0 && members.length >= totalMembers) {
+      session.registration.isOpen = false;
+    }
+
+    this.broadcast(session, 'state', { version: session.version, state }, session.version);
+
+    return { success: true, data: { version: session.version, participantCount: session.clients.size } };
+  }
+
+  /**
+   * 참가자 연결을 이벤트 스트림으로 엽니다. 연결이 끊기면 자동으로 목록에서 뺍니다.
+   * @param {string} id - 세션 코드
+   * @param {Object} req - HTTP 요청 객체
+   * @param {Object} res - HTTP 응답 객체 (스트림으로 계속 사용)
+   * @returns {Object} 실패 결과 (연결에 성공하면 success: true)
+   */
+  connect(id, req, res) {
+    const { session, error } = this.authorize(id);
+    if (error) return error;
+
+    res.writeHead(200, EVENT_STREAM_HEADERS);
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+    if (session.state !== null) {
+      this.send(res, 'state', { version: session.version, state: session.state }, session.version);
+    }
+
+    session.clients.add(res);
+    this.startHeartbeat();
+    this.broadcastPresence(session);
+
+    req.on('close', () => {
+      if (session.clients.delete(res)) {
+        this.broadcastPresence(session);
+      }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * 세션을 종료하고 참가자 연결을 닫습니다.
+   * @param {string} id - 세션 코드
+   * @param {string} [hostToken] - 진행자 토큰 (undefined면 확인하지 않음, 서버 내부용)
+   * @returns {Object} 종료 결과
+   */
+  closeSession(id, hostToken) {
+    const { session, error } = this.authorize(id, hostToken);
+    if (error) return error;
+
+    this.broadcast(session, 'end', {});
+    session.clients.forEach(res => res.end());
+    session.clients.clear();
+    this.sessions.delete(session.id);
+
+    if (![...this.sessions.values()].some(other => other.clients.size > 0)) {
+      this.stopHeartbeat();
+    }
+
+    return { success: true, message: '세션을 종료했습니다.' };
+  }
+
+  /**
+   * 모든 세션을 종료합니다. (서버 종료 시)
+   */
+  closeAll() {
+    [...this.sessions.keys()].forEach(id => this.closeSession(id));
+    this.stopHeartbeat();
+  }
+
+  /**
+   * 이벤트 하나를 스트림에 씁니다.
+   * @param {Object} res - 이벤트 스트림 응답 객체
+   * @param {string} event - 이벤트 이름
+   * @param {Object} data - JSON으로 보낼 데이터
+   * @param {number} [eventId] - 이벤트 id
+   */
+  send(res, event, data, eventId) {
+    const idLine = eventId === undefined ? '' : `id: ${eventId}\n`;
+    res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * 세션의 모든 참가자에게 이벤트를 보냅니다.
+   * @param {Object} session - 세션
+   * @param {string} event - 이벤트 이름
+   * @param {Object} data - JSON으로 보낼 데이터
+   * @param {number} [eventId] - 이벤트 id
+   */
+  broadcast(session, event, data, eventId) {
+    session.clients.forEach(res => this.send(res, event, data, eventId));
+  }
+
+  /**
+   * 참가자 수를 모든 참가자에게 알립니다.
+   * @param {Object} session - 세션
+   */
+  broadcastPresence(session) {
+    this.broadcast(session, 'presence', { participantCount: session.clients.size });
+  }
+
+  /**
+   * 프록시나 브라우저가 유휴 연결을 끊지 않도록 주기적으로 주석 줄을 보냅니다.
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.sessions.forEach(session => session.clients.forEach(res => res.write(': ping\n\n')));
+    }, this.heartbeatInterval);
+    // 연결 유지 타이머 때문에 프로세스가 끝나지 않는 일이 없도록
+    this.heartbeatTimer.unref?.();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
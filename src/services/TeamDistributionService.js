@@ -0,0 +1,144 @@
+import { randomUUID } from 'crypto';
+import TeamDistributor from '../core/team-distributor.js';
+import { countPairs, getRepeatScore } from '../utils/pairHistory.js';
+
+/**
+ * 서버에서 지원하는 분배 전략 목록
+ * @constant {Array<string>}
+ */
+export const DISTRIBUTION_STRATEGIES = ['random', 'freshness'];
+
+/**
+ * 메모리에 보관할 최대 분배 결과 수
+ * @constant {number}
+ */
+const MAX_STORED_DISTRIBUTIONS = 100;
+
+/**
+ * 서버 측 팀 분배 서비스
+ * @description
+ * TeamDistributor로 팀을 분배하고, 발급한 분배 결과를 distributionId로 보관합니다.
+ * 팀 구성을 저장할 때(POST /api/teams) distributionId로 저장할 팀이 서버가 분배한 팀과 같은지 확인하므로,
+ * 브라우저에서 팀을 직접 고른 결과는 확인되지 않은 결과로 저장됩니다.
+ * 서버는 random, freshness 전략만 지원합니다. 브라우저는 서버가 발급한 시드로 팀을 구성하며,
+ * random 전략은 브라우저와 같은 시드로 같은 팀 구성을 만듭니다.
+ * (균형 전략, 역할 조건, 고정, 직접 이동 등 브라우저에서만 바꾼 구성은 확인되지 않음)
+ */
+export class TeamDistributionService {
+  /**
+   * TeamDistributionService 클래스의 새 인스턴스를 생성합니다.
+   */
+  constructor() {
+    // distributionId를 키로 하는 분배 결과 (삽입 순서 유지)
+    this.distributions = new Map();
+  }
+
+  /**
+   * 멤버를 팀으로 분배하고 결과를 보관합니다.
+   * @param {Object} options - 분배 옵션
+   * @param {Array<string>} options.members - 분배할 멤버 이름 배열
+   * @param {number} [options.teamCount] - 팀 개수
+   * @param {Array<string>} [options.teamNames] - 팀 이름 배열
+   * @param {string} [options.strategy='random'] - 분배 전략
+   * @param {string|number} [options.seed] - 셔플 시드 (없으면 새로 생성)
+   * @param {Array<Object>} [options.constraints=[]] - 같은 팀 / 다른 팀 배정 규칙
+   * @param {Array<Array<Array<string>>>} [options.pastTeams] - 과거 분배 결과 (있으면 팀별 반복 짝 점수를 함께 반환)
+   * @param {string} [options.pmPolicy='random'] - PM 선출 방식
+   * @param {Array<Array<string>>} [options.pmHistory] - 과거 분배별 PM 이름 목록 (least-recent 방식)
+   * @param {Array<string>} [options.volunteers] - PM 지원자 이름 목록 (volunteer 방식)
+   * @returns {Object} distributionId(저장할 때 확인에 쓰는 ID), 전략, 시드, 규칙, 팀 이름, 팀별 멤버 정보, 지키지 못한 규칙을 담은 분배 결과
+   */
+  distribute({
+    members,
+    teamCount,
+    teamNames,
+    strategy = 'random',
+    seed,
+    constraints = [],
+    pastTeams,
+    pmPolicy = 'random',
+    pmHistory,
+    volunteers
+  }) {
+    const pairCounts = pastTeams ? countPairs(pastTeams) : null;
+    const distributor = new TeamDistributor();
+    const result = distributor.distribute(members, {
+      teamCount,
+      teamNames,
+      seed,
+      constraints,
+      pairCounts: strategy === 'freshness' ? pairCounts : undefined,
+      pmPolicy,
+      pmHistory,
+      volunteers
+    });
+
+    const teams = distributor.getTeamStatus();
+    const distribution = {
+      distributionId: randomUUID(),
+      createdAt: new Date().toISOString(),
+      strategy,
+      seed: result.seed,
+      constraints,
+      teamNames: Object.keys(teams),
+      teams,
+      pmPolicy,
+      pms: result.pms,
+      violations: result.violations
+    };
+
+    if (pairCounts) {
+      // 팀별로 과거에 이미 같은 팀이었던 짝의 횟수 합
+      distribution.repeatScores = Object.fromEntries(
+        Object.entries(result.teams).map(([name, teamMembers]) => [
+          name,
+          getRepeatScore(teamMembers.map(member => member.memberName), pairCounts)
+        ])
+      );
+      distribution.repeatScore = Object.values(distribution.repeatScores).reduce((sum, score) => sum + score, 0);
+    }
+
+    this.remember(distribution);
+    return distribution;
+  }
+
+  /**
+   * 발급한 분배 결과를 조회합니다.
+   * @param {string} distributionId - 분배 결과 ID
+   * @returns {Object|null} 분배 결과 (없으면 null)
+   */
+  getDistribution(distributionId) {
+    return this.distributions.get(distributionId) || null;
+  }
+
+  /**
+   * 팀 구성이 발급한 분배 결과와 같은지 확인합니다.
+   * 팀 순서와 팀별 멤버 이름이 같으면 같은 구성으로 봅니다. (팀 안의 멤버 순서와 PM은 비교하지 않음)
+   * @param {string} distributionId - 분배 결과 ID
+   * @param {Array<Array<string>>} teams - 팀별 멤버 이름 배열
+   * @returns {boolean} 같은 구성인지 여부 (발급하지 않았거나 보관 기간이 지난 ID면 false)
+   */
+  matchesDistribution(distributionId, teams) {
+    const distribution = this.getDistribution(distributionId);
+    if (!distribution) {
+      return false;
+    }
+
+    const issued = Object.values(distribution.teams).map(team => team.map(member => member.memberName).sort());
+    return issued.length === teams.length &&
+      issued.every((names, index) => JSON.stringify(names) === JSON.stringify([...teams[index]].sort()));
+  }
+
+  /**
+   * 분배 결과를 보관하고, 최대 개수를 넘으면 가장 오래된 결과를 제거합니다.
+   * @param {Object} distribution - 보관할 분배 결과
+   */
+  remember(distribution) {
+    this.distributions.set(distribution.distributionId, distribution);
+
+    if (this.distributions.size > MAX_STORED_DISTRIBUTIONS) {
+      const oldestId = this.distributions.keys().next().value;
+      this.distributions.delete(oldestId);
+    }
+  }
+}
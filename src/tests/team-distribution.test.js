@@ -1,7 +1,119 @@
+import assert from "assert";
 import demoMembers from "../../data/demoMembers.js";
 import TeamDistributor from "../core/team-distributor.js";
 import TeamMember from "../models/TeamMember.js";
-import TeamDecisionSaver from '../services/save-team-decision-json.js';
+import { TeamDistributionService, DISTRIBUTION_STRATEGIES } from '../services/TeamDistributionService.js';
+import {
+  validateTeamData,
+  validateDistributeRequest,
+  validateTeamPatch,
+  validateHistoryQuery
+} from '../utils/validators.js';
+import { resolveLocale } from '../utils/schema.js';
+import { applyTeamConstraints } from '../utils/teamConstraints.js';
+import { countPairs, getRepeatScore, minimizeRepeatPairs, toPairList } from '../utils/pairHistory.js';
+import { electPMs } from '../utils/pmElection.js';
+import { TeamDataController, MAX_PAGE_SIZE } from '../controllers/TeamDataController.js';
+import { MemoryTeamRepository } from '../models/MemoryTeamRepository.js';
+import { createTeamRepository } from '../models/createTeamRepository.js';
+import { FileTeamRepository } from '../models/FileTeamRepository.js';
+import {
+  TEAM_DOCUMENT_VERSION,
+  migrateTeamDocument,
+  toPMNames,
+  toTeamArrays
+} from '../utils/teamDocument.js';
+import { Router } from '../routes.js';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import shuffleArray from '../utils/shuffleArray.js';
+import { shuffleArray as clientShuffleArray } from '../../public/js/utils/shuffleArray.js';
+import {
+  applyMemberLocks,
+  distributeTeamsBalanced,
+  getRevealOrder,
+  getTeamBalance,
+  getTeamRatingStats,
+  moveMemberBetweenTeams,
+  redistributeUnlocked
+} from '../../public/js/utils/teamUtils.js';
+import {
+  applyTeamConstraints as clientApplyTeamConstraints,
+  findUnsatisfiedConstraints
+} from '../../public/js/utils/teamConstraints.js';
+import {
+  fromPairList,
+  minimizeRepeatPairs as clientMinimizeRepeatPairs
+} from '../../public/js/utils/pairHistory.js';
+import { electPMs as clientElectPMs } from '../../public/js/utils/pmElection.js';
+import { mapErrorsToFields, saveTeamData as clientSaveTeamData } from '../../public/js/utils/api.js';
+import { parseMemberImport, previewMemberImport } from '../../public/js/utils/memberImport.js';
+import { createMember, getMemberNames, toTeamRoster, updateMemberProfile } from '../../public/js/utils/memberUtils.js';
+import {
+  describeRoleRequirement,
+  distributeTeamsByRole,
+  findRoleShortfalls,
+  getRequiredRoleCounts,
+  isValidRoleRequirement
+} from '../../public/js/utils/roleRequirements.js';
+import { createTeamDocument, exportTeamDocument as clientExportTeamDocument } from '../../public/js/utils/teamExport.js';
+import { EXPORT_FORMATS, exportTeamDocument } from '../utils/teamExport.js';
+import memberStore from '../../public/js/store/index.js';
+import {
+  addConstraint,
+  addMember,
+  confirmTotalMembers,
+  deleteMember,
+  editMember,
+  importMembers,
+  moveMember,
+  removeRoleRequirement,
+  resetState,
+  setMemberLock,
+  setMemberRating,
+  setDistributionStrategy,
+  setPairHistory,
+  setRoleRequirement,
+  setTeamCount,
+  setTeamLock,
+  setTeams,
+  setTotalMembers,
+  togglePMVolunteer
+} from '../../public/js/store/actions.js';
+import {
+  distributeTeams as distributeTeamsWithSettings,
+  distributeTeamsWithServer
+} from '../../public/js/handlers/teamConfigHandlers.js';
+import {
+  ERROR_ACTION_TYPE,
+  errorMiddleware,
+  historyMiddleware,
+  memoMiddleware,
+  redo,
+  undo,
+  validationMiddleware
+} from '../../public/js/store/middleware.js';
+import { applyMiddleware, createStore } from '../../public/js/store/createStore.js';
+import { initialState, rootReducer } from '../../public/js/store/reducers.js';
+import {
+  PERSISTED_KEYS,
+  SESSION_STATE_VERSION,
+  SESSION_STORAGE_KEY,
+  createLocalStorageAdapter,
+  createSessionPersistence,
+  migrateSessionSnapshot
+} from '../../public/js/store/persistence.js';
+import {
+  LIVE_SHARED_KEYS,
+  createLiveSessionClient,
+  pickSharedState,
+  getJoinUrl,
+  getRegistrationUrl,
+  getSessionIdFromUrl,
+  REGISTRATION_PARAM
+} from '../../public/js/store/liveSession.js';
 
 /**
  * @fileoverview 팀 분배 시스템 테스트
@@ -26,52 +138,1522 @@ console.log('\n------------------------------ 팀 분배 결과 ----------------
 console.log('- 팀 분배 결과:');
 console.log(JSON.stringify(distributor.getTeamStatus(), null, 2));
 
+// 1-2. 이름 있는 N개 팀 분배 테스트
+console.log('\n[1-2. N개 팀 분배 기능 테스트]');
+const namedDistributor = new TeamDistributor();
+const teamNames = ['alpha', 'beta', 'gamma'];
+const { teams: namedTeams } = namedDistributor.distribute(demoMembers, { teamCount: 3, teamNames });
+const namedStatus = namedDistributor.getTeamStatus();
+
+console.log('- 팀별 인원:', Object.fromEntries(
+  Object.entries(namedTeams).map(([name, teamMembers]) => [name, teamMembers.length])
+));
+
+assert.deepStrictEqual(Object.keys(namedStatus), teamNames);
+assert.deepStrictEqual(Object.values(namedStatus).map(team => team.length), [4, 3, 3]);
+assert.strictEqual(namedStatus.alpha[2].id, 'alpha-3');
+assert.deepStrictEqual(
+  Object.values(namedStatus).flat().map(info => info.memberName).sort(),
+  [...demoMembers].sort()
+);
+
+// 재분배 시 이전 결과가 누적되지 않아야 함
+namedDistributor.distribute(demoMembers, { teamCount: 5 });
+assert.deepStrictEqual(Object.keys(namedDistributor.getTeamStatus()), ['team1', 'team2', 'team3', 'team4', 'team5']);
+assert.strictEqual(Object.values(namedDistributor.getTeamStatus()).flat().length, demoMembers.length);
+
+// 잘못된 옵션 처리
+assert.throws(() => namedDistributor.distribute(demoMembers, { teamCount: 0 }));
+assert.throws(() => namedDistributor.distribute(demoMembers, { teamCount: 2, teamNames: ['alpha'] }));
+assert.throws(() => namedDistributor.distribute(demoMembers, { teamNames: ['alpha', 'alpha'] }));
+console.log('- N개 팀 분배 검증 통과');
+
+// 1-3. 서버 측 분배 서비스 테스트 (POST /api/teams/distribute)
+console.log('\n[1-3. 서버 분배 서비스 테스트]');
+const distributionService = new TeamDistributionService();
+const distribution = distributionService.distribute({ members: demoMembers, teamCount: 3 });
+
+console.log('- 분배 ID:', distribution.distributionId);
+assert.strictEqual(distributionService.getDistribution(distribution.distributionId), distribution);
+assert.strictEqual(distributionService.getDistribution('unknown'), null);
+
+// 발급한 구성과 같은지 확인 (팀 순서와 팀별 멤버 이름, 팀 안의 순서는 무관)
+const issuedTeams = Object.values(distribution.teams).map(team => team.map(({ memberName }) => memberName));
+assert.ok(distributionService.matchesDistribution(distribution.distributionId, issuedTeams.map(team => [...team].reverse())));
+assert.ok(!distributionService.matchesDistribution(distribution.distributionId, [issuedTeams[1], issuedTeams[0], issuedTeams[2]]));
+assert.ok(!distributionService.matchesDistribution('unknown', issuedTeams));
+assert.deepStrictEqual(distribution.teamNames, ['team1', 'team2', 'team3']);
+
+assert.ok(validateDistributeRequest({ members: demoMembers, teamCount: 3 }, DISTRIBUTION_STRATEGIES).valid);
+assert.ok(!validateDistributeRequest({ members: demoMembers, teamCount: 11 }, DISTRIBUTION_STRATEGIES).valid);
+assert.ok(!validateDistributeRequest({ members: demoMembers, teamCount: 2, strategy: 'unknown' }, DISTRIBUTION_STRATEGIES).valid);
+console.log('- 서버 분배 서비스 검증 통과');
+
+// 1-4. 시드 기반 재현 테스트
+console.log('\n[1-4. 시드 재현 테스트]');
+const seededA = new TeamDistributor().distribute(demoMembers, { teamCount: 3, seed: 'replay-2025' });
+const seededB = new TeamDistributor().distribute([...demoMembers].reverse(), { teamCount: 3, seed: 'replay-2025' });
+
+console.log('- 시드:', seededA.seed, '/ 섞인 순서:', seededA.shuffledMembers);
+assert.deepStrictEqual(seededA.shuffledMembers, seededB.shuffledMembers);
+assert.ok(typeof new TeamDistributor().distribute(demoMembers).seed === 'string');
+
+// 서버와 브라우저의 shuffleArray는 같은 시드로 같은 순서를 만들어야 함
+assert.deepStrictEqual(
+  shuffleArray(demoMembers, { seed: 42 }).shuffledArray,
+  clientShuffleArray(demoMembers, { seed: 42 })
+);
+assert.deepStrictEqual(
+  distributionService.distribute({ members: demoMembers, teamCount: 2, seed: 'abc' }).teams,
+  distributionService.distribute({ members: demoMembers, teamCount: 2, seed: 'abc' }).teams
+);
+
+// 인원이 팀 수로 나누어떨어지지 않아도 같은 시드면 서버와 브라우저가 같은 팀을 만들어야 함 (앞쪽 팀이 한 명씩 더)
+[['x', 10, 3], ['replay-2025', 7, 2], [42, 11, 4]].forEach(([seed, memberCount, teamCount]) => {
+  const names = Array.from({ length: memberCount }, (_, index) => String.fromCharCode(97 + index));
+  const serverTeams = Object.values(new TeamDistributor().distribute(names, { teamCount, seed }).teams)
+    .map(team => team.map(({ memberName }) => memberName));
+  memberStore.dispatch(resetState());
+  [...names].reverse().forEach(name => memberStore.dispatch(addMember(name)));
+  memberStore.dispatch(setTeamCount(teamCount));
+  const clientTeams = distributeTeamsWithSettings({ seed }).teams
+    .map(team => getMemberNames(team, memberStore.getState().members));
+  assert.deepStrictEqual(clientTeams, serverTeams);
+  assert.strictEqual(serverTeams[0].length, Math.ceil(memberCount / teamCount));
+});
+memberStore.dispatch(resetState());
+console.log('- 시드 재현 검증 통과');
+
+// 1-5. 실력 균형 배분 테스트
+console.log('\n[1-5. 실력 균형 배분 테스트]');
+const ratings = Object.fromEntries(demoMembers.map((name, index) => [name, index + 1]));
+const balancedTeams = distributeTeamsBalanced(demoMembers, 3, { ratings, seed: 'balanced' });
+const balancedTotals = balancedTeams.map(team => getTeamRatingStats(team, ratings).total);
+
+console.log('- 팀별 점수 합계:', balancedTotals);
+assert.deepStrictEqual(balancedTeams.map(team => team.length).sort(), [3, 3, 4]);
+assert.deepStrictEqual(balancedTeams.flat().sort(), [...demoMembers].sort());
+assert.ok(Math.max(...balancedTotals) - Math.min(...balancedTotals) <= 2);
+
+// 강한 멤버가 한쪽에 몰린 입력도 고르게 나뉘어야 함
+const skewed = { a: 10, b: 10, c: 10, d: 1, e: 1, f: 1 };
+const skewedTotals = distributeTeamsBalanced(Object.keys(skewed), 2, { ratings: skewed })
+  .map(team => getTeamRatingStats(team, skewed).total);
+assert.ok(Math.abs(skewedTotals[0] - skewedTotals[1]) <= 9);
+assert.deepStrictEqual(
+  distributeTeamsBalanced(demoMembers, 3, { ratings, seed: 'balanced' }),
+  balancedTeams
+);
+
+// 스토어의 균형 배분도 멤버 ID가 아닌 이름순으로 섞어야 함 (ID가 바뀌어도 같은 이름과 시드면 같은 팀)
+const distributeBalancedByName = () => {
+  memberStore.dispatch(resetState());
+  [...demoMembers].reverse().forEach(name => memberStore.dispatch(addMember(name, { rating: ratings[name] })));
+  memberStore.dispatch(setTeamCount(3));
+  memberStore.dispatch(setDistributionStrategy('balanced'));
+  return distributeTeamsWithSettings({ seed: 'balanced' }).teams
+    .map(team => getMemberNames(team, memberStore.getState().members));
+};
+const balancedByName = distributeBalancedByName();
+assert.deepStrictEqual(distributeBalancedByName(), balancedByName);
+assert.deepStrictEqual(balancedByName, distributeTeamsBalanced([...demoMembers].sort(), 3, { ratings, seed: 'balanced' }));
+memberStore.dispatch(resetState());
+console.log('- 실력 균형 배분 검증 통과');
+
+// 1-6. 같은 팀 / 다른 팀 배정 규칙 테스트
+console.log('\n[1-6. 배정 규칙 테스트]');
+const [m1, m2, m3, m4] = demoMembers;
+const constraints = [
+  { type: 'together', members: [m1, m2] },
+  { type: 'together', members: [m2, m3] },
+  { type: 'apart', members: [m1, m4] }
+];
+const teamOfMember = (status, name) =>
+  Object.keys(status).find(teamName => status[teamName].some(info => info.memberName === name));
+
+for (const seed of ['c1', 'c2', 'c3']) {
+  const constrained = new TeamDistributor();
+  const { violations } = constrained.distribute(demoMembers, { teamCount: 3, seed, constraints });
+  const status = constrained.getTeamStatus();
+
+  assert.deepStrictEqual(violations, []);
+  assert.deepStrictEqual(Object.values(status).map(team => team.length), [4, 3, 3]);
+  assert.strictEqual(teamOfMember(status, m1), teamOfMember(status, m2));
+  assert.strictEqual(teamOfMember(status, m2), teamOfMember(status, m3));
+  assert.notStrictEqual(teamOfMember(status, m1), teamOfMember(status, m4));
+}
+
+// 지킬 수 없는 규칙은 이유와 함께 보고
+const { violations: conflicted } = new TeamDistributor().distribute(demoMembers, {
+  teamCount: 5,
+  constraints: [
+    { type: 'together', members: [m1, m2] },
+    { type: 'together', members: [m2, m3] },
+    { type: 'apart', members: [m1, m2] }
+  ]
+});
+console.log('- 지키지 못한 규칙:', conflicted.map(({ message }) => message));
+// 묶음이 풀린 뒤 다른 팀 규칙은 지켜지므로, 피카츄·라이츄 같은 팀 규칙은 반드시 보고됨
+assert.ok(conflicted.every(({ reason }) => reason === 'group-too-large'));
+assert.ok(conflicted.some(({ constraint }) => constraint.type === 'together' && constraint.members.includes(m1)));
+
+const contradiction = new TeamDistributor().distribute(demoMembers, {
+  teamCount: 2,
+  constraints: [{ type: 'together', members: [m1, m2] }, { type: 'apart', members: [m2, m1] }]
+});
+assert.deepStrictEqual(contradiction.violations.map(({ reason }) => reason), ['contradiction']);
+
+// 브라우저와 서버는 같은 분배 결과에 같은 규칙을 적용해야 함
+const blocks = [demoMembers.slice(0, 4), demoMembers.slice(4, 7), demoMembers.slice(7)];
+assert.deepStrictEqual(clientApplyTeamConstraints(blocks, constraints), applyTeamConstraints(blocks, constraints));
+
+assert.ok(validateDistributeRequest({ members: demoMembers, teamCount: 3, constraints }, DISTRIBUTION_STRATEGIES).valid);
+assert.ok(!validateDistributeRequest({
+  members: demoMembers,
+  teamCount: 3,
+  constraints: [{ type: 'apart', members: [m1, '없는멤버'] }]
+}, DISTRIBUTION_STRATEGIES).valid);
+console.log('- 배정 규칙 검증 통과');
+
+// 1-7. 과거 짝 이력 기반 freshness 전략 테스트
+console.log('\n[1-7. 짝 이력 기반 분배 테스트]');
+const pastTeams = [
+  [demoMembers.slice(0, 5), demoMembers.slice(5)],
+  [demoMembers.slice(0, 5), demoMembers.slice(5)]
+];
+const pairCounts = countPairs(pastTeams);
+assert.strictEqual(getRepeatScore(demoMembers.slice(0, 2), pairCounts), 2);
+assert.strictEqual(getRepeatScore([demoMembers[0], demoMembers[9]], pairCounts), 0);
+
+const freshTeams = minimizeRepeatPairs(pastTeams[0], pairCounts);
+const freshScore = freshTeams.reduce((sum, team) => sum + getRepeatScore(team, pairCounts), 0);
+console.log('- 반복 짝 점수:', 40, '→', freshScore);
+assert.ok(freshScore < 40);
+assert.deepStrictEqual(freshTeams.map(team => team.length), [5, 5]);
+assert.deepStrictEqual(clientMinimizeRepeatPairs(pastTeams[0], fromPairList(toPairList(pairCounts))), freshTeams);
+
+const freshDistribution = distributionService.distribute({
+  members: demoMembers, teamCount: 2, strategy: 'freshness', seed: 'fresh', pastTeams
+});
+const randomDistribution = distributionService.distribute({
+  members: demoMembers, teamCount: 2, strategy: 'random', seed: 'fresh', pastTeams
+});
+console.log('- 팀별 반복 짝 점수:', freshDistribution.repeatScores);
+assert.ok(freshDistribution.repeatScore <= randomDistribution.repeatScore);
+assert.strictEqual(freshDistribution.repeatScore, freshScore);
+
+// 저장된 과거 분배 결과(두 가지 저장 형식)를 TeamDataController로 읽기 (테스트는 메모리 저장소 사용)
+const teamDataController = new TeamDataController({ repository: new MemoryTeamRepository() });
+await teamDataController.repository.create({ timestamp: new Date().toISOString(), teamData: distributor.getTeamStatus() });
+await teamDataController.saveDistribution(namedStatus, { seed: 'named' });
+await teamDataController.saveTeamData({ teams: pastTeams[0] });
+const savedTeams = await teamDataController.loadPastTeams();
+assert.strictEqual(savedTeams.length, 3);
+assert.deepStrictEqual(savedTeams[1], Object.values(namedStatus).map(team => team.map(({ memberName }) => memberName)));
+assert.ok(savedTeams.every(teams => teams.every(team => team.every(name => typeof name === 'string'))));
+console.log('- 짝 이력 기반 분배 검증 통과');
+
+// 1-8. 팀별 PM 선출 테스트
+console.log('\n[1-8. PM 선출 테스트]');
+const pmTeams = [demoMembers.slice(0, 5), demoMembers.slice(5)];
+
+// 같은 시드면 같은 PM, 브라우저와 서버가 같은 결과
+const randomPMs = electPMs(pmTeams, { seed: 'pm-seed' });
+assert.deepStrictEqual(electPMs(pmTeams, { seed: 'pm-seed' }), randomPMs);
+assert.deepStrictEqual(clientElectPMs(pmTeams, { seed: 'pm-seed' }), randomPMs);
+assert.ok(randomPMs.every((pm, index) => pmTeams[index].includes(pm)));
+assert.deepStrictEqual(electPMs([[], ['a']], { seed: 1 }), [null, 'a']);
+console.log('- 무작위 PM:', randomPMs);
+
+// least-recent: 최근에 PM을 맡은 멤버는 제외하고 맡은 적 없는 멤버 중에서 선출
+const pmHistory = [
+  [demoMembers[0], demoMembers[5]],
+  [demoMembers[1], demoMembers[6]]
+];
+const leastRecentPMs = electPMs(pmTeams, { policy: 'least-recent', seed: 'pm-seed', pmHistory });
+assert.ok(leastRecentPMs.every(pm => !pmHistory.flat().includes(pm)));
+assert.deepStrictEqual(
+  electPMs([demoMembers.slice(0, 2)], { policy: 'least-recent', pmHistory }),
+  [demoMembers[0]]
+);
+console.log('- 가장 오래전 PM 우선:', leastRecentPMs);
+
+// volunteer: 지원자가 있는 팀은 지원자 중에서, 없는 팀은 팀원 중에서 선출
+const volunteerPMs = electPMs(pmTeams, { policy: 'volunteer', seed: 'pm-seed', volunteers: [demoMembers[3]] });
+assert.strictEqual(volunteerPMs[0], demoMembers[3]);
+assert.ok(pmTeams[1].includes(volunteerPMs[1]));
+console.log('- 지원자 우선:', volunteerPMs);
+
+// 서버 분배 결과: 팀마다 PM이 정확히 한 명
+const pmDistribution = distributionService.distribute({
+  members: demoMembers, teamCount: 3, seed: 'pm-seed', pmPolicy: 'volunteer', volunteers: [demoMembers[2]]
+});
+Object.entries(pmDistribution.teams).forEach(([name, teamMembers]) => {
+  const pms = teamMembers.filter(info => info.isPM);
+  assert.strictEqual(pms.length, 1);
+  assert.strictEqual(pms[0].memberName, pmDistribution.pms[name]);
+});
+assert.ok(Object.values(pmDistribution.pms).includes(demoMembers[2]));
+assert.ok(!validateDistributeRequest({ members: demoMembers, teamCount: 3, pmPolicy: 'oldest' }).valid);
+
+// 저장된 과거 분배 결과에서 PM 이력 읽기
+const savedPMs = await teamDataController.loadPastPMs();
+assert.ok(savedPMs.every(pms => pms.every(name => typeof name === 'string')));
+console.log('- PM 선출 검증 통과');
+
+// 1-9. 저장된 팀 구성 조회 / 수정 / 삭제 테스트
+console.log('\n[1-9. 저장 결과 CRUD 테스트]');
+
+const firstSaved = await teamDataController.saveTeamData({ teams: pmTeams, seed: 'crud-1' });
+const secondSaved = await teamDataController.saveTeamData({
+  teams: pmTeams,
+  seed: 'crud-2',
+  pms: [demoMembers[0], demoMembers[5]]
+});
+assert.ok(firstSaved.success && secondSaved.success);
+
+// 목록은 최신순, 페이지 크기 적용
+const historyPage = await teamDataController.listTeamData({ page: 1, limit: 1 });
+assert.strictEqual(historyPage.data.items.length, 1);
+assert.strictEqual(historyPage.data.items[0].id, secondSaved.id);
+assert.strictEqual(historyPage.data.items[0].location, 'current');
+assert.ok(historyPage.data.total >= 2);
+assert.strictEqual((await teamDataController.listTeamData({ page: 2, limit: 1 })).data.items[0].id, firstSaved.id);
+
+// 이름·메모 변경과 멤버 교환 (PM 자리는 교환된 멤버가 이어받음)
+const patched = await teamDataController.updateTeamData(secondSaved.id, {
+  name: '3월 스프린트',
+  notes: '수동 조정',
+  swaps: [[demoMembers[0], demoMembers[9]]]
+});
+assert.ok(patched.success);
+assert.strictEqual(patched.data.metadata.name, '3월 스프린트');
+const patchedTeams = toTeamArrays(patched.data);
+assert.ok(patchedTeams[0].includes(demoMembers[9]) && patchedTeams[1].includes(demoMembers[0]));
+assert.deepStrictEqual(toPMNames(patched.data), [demoMembers[9], demoMembers[5]]);
+assert.deepStrictEqual((await teamDataController.getTeamDataById(secondSaved.id)).data.teams, patched.data.teams);
+
+const sameTeamSwap = await teamDataController.updateTeamData(secondSaved.id, { swaps: [[demoMembers[1], demoMembers[2]]] });
+assert.strictEqual(sameTeamSwap.code, 'INVALID_SWAP');
+assert.strictEqual((await teamDataController.getTeamDataById('../history/history')).code, 'NOT_FOUND');
+assert.ok(!validateTeamPatch({}).valid);
+assert.ok(!validateTeamPatch({ swaps: [['a', 'a']] }).valid);
+assert.ok(!validateHistoryQuery({ page: '0' }, 100).valid);
+
+// 현재 결과를 삭제하면 가장 최근에 보관된 결과가 현재 결과가 됨
+assert.ok((await teamDataController.deleteTeamData(secondSaved.id)).success);
+assert.strictEqual((await teamDataController.getTeamDataById(secondSaved.id)).code, 'NOT_FOUND');
+assert.strictEqual((await teamDataController.getTeamDataById(firstSaved.id)).data.location, 'current');
+assert.ok((await teamDataController.deleteTeamData(firstSaved.id)).success);
+console.log('- 저장 결과 CRUD 검증 통과');
+
+// 1-10. 라우터 테스트 (메서드, 경로 파라미터, 쿼리 문자열, 라우트별 미들웨어)
+console.log('\n[1-10. 라우터 테스트]');
+const router = new Router({ repository: new MemoryTeamRepository() });
+
+// HTTP 요청/응답 객체 대용
+const sendRequest = async (method, url, body) => {
+  const req = Object.assign(new EventEmitter(), { method, url });
+  const res = {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    writeHead(statusCode, headers = {}) { this.statusCode = statusCode; Object.assign(this.headers, headers); this.headersSent = true; },
+    // JSON 응답은 body, 파일 응답은 text로 확인
+    end(data) {
+      this.text = data;
+      this.body = data && this.headers['Content-Type'].startsWith('application/json') ? JSON.parse(data) : undefined;
+    }
+  };
+  const handled = router.handleRequest(req, res);
+  req.emit('data', body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body));
+  req.emit('end');
+  await handled;
+  return res;
+};
+
+const { route: idRoute, params: idParams } = router.matchRoute('GET', '/api/teams/team-1');
+assert.strictEqual(idRoute.path, '/api/teams/:id');
+assert.deepStrictEqual(idParams, { id: 'team-1' });
+assert.strictEqual(router.matchRoute('GET', '/api/teams/history').route.path, '/api/teams/history');
+
+assert.strictEqual((await sendRequest('GET', '/api/teams?limit=5')).statusCode, 200);
+assert.strictEqual((await sendRequest('GET', '/api/teams/history?limit=abc')).statusCode, 400);
+assert.strictEqual((await sendRequest('GET', '/api/teams/history?page=1&limit=5')).body.data.limit, 5);
+assert.strictEqual((await sendRequest('GET', '/api/unknown')).statusCode, 404);
+assert.strictEqual((await sendRequest('POST', '/api/teams', '{bad')).statusCode, 400);
+assert.strictEqual((await sendRequest('POST', '/api/teams/distribute', { members: [] })).statusCode, 400);
+assert.strictEqual((await sendRequest('GET', '/api/teams/no-such-team')).statusCode, 404);
+
+// 요청에서 문서 형식(schemaVersion)을 지정하면 저장하지 않고 400
+const storedBefore = (await sendRequest('GET', '/api/teams/history')).body.data.total;
+for (const body of [
+  { schemaVersion: 1, teams: [['a', 'b'], ['c']] },
+  { schemaVersion: 1, teams: [['a', 'b'], ['c']], metadata: {} },
+  { schemaVersion: 2, teams: [['a', 'b'], ['c']] }
+]) {
+  const rejected = await sendRequest('POST', '/api/teams', body);
+  assert.strictEqual(rejected.statusCode, 400);
+  assert.deepStrictEqual(rejected.body.errors.map(({ pointer, code }) => [pointer, code]), [['/schemaVersion', 'not_allowed']]);
+}
+assert.strictEqual((await sendRequest('GET', '/api/teams/history')).body.data.total, storedBefore);
+
+// 화면의 분배는 서버가 발급한 시드를 쓰고, 저장할 때 서버가 분배한 구성인지 확인됨
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url, { method, body }) => {
+  const res = await sendRequest(method, url, body);
+  return { ok: res.statusCode < 400, status: res.statusCode, json: async () => res.body };
+};
+memberStore.dispatch(resetState());
+demoMembers.forEach(name => memberStore.dispatch(addMember(name)));
+memberStore.dispatch(setTeamCount(3));
+const served = await distributeTeamsWithServer();
+assert.strictEqual(router.distributionService.getDistribution(served.distributionId).seed, served.seed);
+const servedRoster = toTeamRoster(served.teams, memberStore.getState().members);
+const verifiedSave = await clientSaveTeamData({ teams: servedRoster, seed: served.seed, distributionId: served.distributionId });
+assert.strictEqual(verifiedSave.verified, true);
+assert.deepStrictEqual(
+  (await sendRequest('GET', `/api/teams/${verifiedSave.id}`)).body.data.metadata.distribution,
+  { id: served.distributionId, verified: true }
+);
+assert.strictEqual((await sendRequest('GET', '/api/teams/history?limit=1')).body.data.items[0].verified, true);
+
+// 멤버를 직접 고른 구성, distributionId 없이 보낸 구성(metadata로 속여도)은 확인되지 않은 결과
+const handPicked = [[servedRoster[1][0], ...servedRoster[0].slice(1)], [servedRoster[0][0], ...servedRoster[1].slice(1)], servedRoster[2]];
+const handPickedSave = await clientSaveTeamData({ teams: handPicked, distributionId: served.distributionId });
+assert.strictEqual(handPickedSave.verified, false);
+assert.deepStrictEqual(
+  (await sendRequest('GET', `/api/teams/${handPickedSave.id}`)).body.data.metadata.distribution,
+  { id: served.distributionId, verified: false }
+);
+const spoofedSave = await clientSaveTeamData({ teams: servedRoster, metadata: { distribution: { id: served.distributionId, verified: true } } });
+assert.strictEqual(spoofedSave.verified, false);
+assert.strictEqual((await sendRequest('GET', `/api/teams/${spoofedSave.id}`)).body.data.metadata.distribution, undefined);
+
+// 저장 후 멤버를 교환하면 확인되지 않은 결과로 바뀜
+const swappedSaved = await sendRequest('PATCH', `/api/teams/${verifiedSave.id}`, {
+  swaps: [[servedRoster[0][0].id, servedRoster[1][0].id]]
+});
+assert.strictEqual(swappedSaved.body.data.metadata.distribution.verified, false);
+assert.strictEqual(swappedSaved.body.data.teams[1].members[0].id, servedRoster[0][0].id);
+
+// 교환은 멤버 ID로 지정하므로 이름이 같은 멤버도 구분 (이름으로는 고를 수 없음)
+const namesakeSave = await clientSaveTeamData({
+  teams: [[{ id: 'm1', name: '김민수' }, { id: 'm2', name: '이서연' }], [{ id: 'm3', name: '김민수' }, { id: 'm4', name: '박지훈' }]]
+});
+const namesakeSwap = await sendRequest('PATCH', `/api/teams/${namesakeSave.id}`, { swaps: [['m3', 'm2']] });
+assert.strictEqual(namesakeSwap.statusCode, 200);
+assert.deepStrictEqual(namesakeSwap.body.data.teams.map(({ members }) => members.map(({ id }) => id)), [['m1', 'm3'], ['m2', 'm4']]);
+const ambiguousSwap = await sendRequest('PATCH', `/api/teams/${namesakeSave.id}`, { swaps: [['김민수', '박지훈']] });
+assert.strictEqual(ambiguousSwap.statusCode, 400);
+assert.strictEqual(ambiguousSwap.body.code, 'INVALID_SWAP');
+
+// 서버에 연결할 수 없으면 브라우저에서 만든 시드로 분배 (확인되지 않는 결과)
+globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+const offline = await distributeTeamsWithServer();
+assert.strictEqual(offline.distributionId, null);
+assert.strictEqual(typeof offline.seed, 'string');
+assert.deepStrictEqual(offline.teams.flat().sort(), memberStore.getState().members.map(({ id }) => id).sort());
+globalThis.fetch = originalFetch;
+for (const { id } of [verifiedSave, handPickedSave, spoofedSave, namesakeSave]) {
+  assert.ok((await router.teamDataController.deleteTeamData(id)).success);
+}
+memberStore.dispatch(resetState());
+
+const notAllowed = await sendRequest('PUT', '/api/teams/team-1');
+assert.strictEqual(notAllowed.statusCode, 405);
+assert.strictEqual(notAllowed.headers.Allow, 'GET, PATCH, DELETE');
+
+// 미들웨어가 true를 반환하면 핸들러를 실행하지 않음
+let handlerCalled = false;
+router.addRoute('GET', '/api/test/:name', () => { handlerCalled = true; }, {
+  middleware: [(req, res, { params }) => {
+    router.sendJsonResponse(res, 403, { name: params.name });
+    return true;
+  }]
+});
+const blocked = await sendRequest('GET', '/api/test/%ED%94%BC%EC%B9%B4%EC%B8%84?x=1');
+assert.strictEqual(blocked.statusCode, 403);
+assert.strictEqual(blocked.body.name, '피카츄');
+assert.ok(!handlerCalled);
+console.log('- 라우터 검증 통과');
+
+// 1-11. 스키마 검증 오류 형식 테스트 (JSON 포인터, 오류 코드, 언어별 메시지)
+console.log('\n[1-11. 스키마 검증 테스트]');
+const teamDataErrors = validateTeamData({ teams: [['a', ' '], 'b'], pms: ['z'] }).errors;
+assert.deepStrictEqual(teamDataErrors.map(({ pointer, code }) => ({ pointer, code })), [
+  { pointer: '/teams/0/1', code: 'min_length' },
+  { pointer: '/teams/1', code: 'type' }
+]);
+console.log('- 오류 예시:', teamDataErrors[1].message);
+assert.strictEqual(validateTeamData({ teams: [['a'], ['b']], pms: ['b', null] }).errors[0].code, 'not_in_team');
+
+const distributeErrors = validateDistributeRequest({
+  members: ['a', 'b'],
+  teamCount: 3,
+  constraints: [{ type: 'apart', members: ['a', 'c'] }]
+}, DISTRIBUTION_STRATEGIES).errors;
+assert.deepStrictEqual(distributeErrors.map(({ pointer, code }) => [pointer, code]), [
+  ['/teamCount', 'exceeds_members'],
+  ['/constraints/0/members', 'not_member']
+]);
+assert.strictEqual(validateDistributeRequest({ members: ['a'] }, DISTRIBUTION_STRATEGIES).errors[0].pointer, '');
+assert.strictEqual(validateDistributeRequest(null, DISTRIBUTION_STRATEGIES).errors[0].code, 'type');
+
+// 언어별 메시지
+const englishError = validateTeamPatch({ name: 1 }, { locale: 'en' }).errors[0];
+assert.strictEqual(englishError.message, 'name must be of type string.');
+assert.strictEqual(validateTeamPatch({ name: 1 }).errors[0].message, 'name은(는) 문자열 형식이어야 합니다.');
+assert.strictEqual(resolveLocale('en-US,en;q=0.9,ko;q=0.8'), 'en');
+assert.strictEqual(resolveLocale('fr-FR,ko;q=0.5'), 'ko');
+assert.strictEqual(resolveLocale(undefined), 'ko');
+assert.strictEqual(validateHistoryQuery({ limit: '500' }, 100).errors[0].code, 'maximum');
+
+// 클라이언트: 오류 포인터를 폼 필드에 연결 (가장 구체적인 필드 우선)
+const membersField = { name: 'members' };
+const firstMemberField = { name: 'members/0' };
+const { matched, unmatched } = mapErrorsToFields([
+  { pointer: '/members/0', message: '첫 번째 멤버' },
+  { pointer: '/members/3', message: '네 번째 멤버' },
+  { pointer: '/membersCount', message: '다른 필드' },
+  { pointer: '/teamCount', message: '팀 개수' }
+], {
+  '/members': membersField,
+  '/members/0': () => firstMemberField,
+  '/teamCount': null
+});
+assert.deepStrictEqual(matched.map(({ element }) => element), [firstMemberField, membersField]);
+assert.deepStrictEqual(unmatched.map(({ pointer }) => pointer), ['/membersCount', '/teamCount']);
+
+// 라우터 검증 오류 응답도 같은 형식
+const invalidDistribute = await sendRequest('POST', '/api/teams/distribute', { members: [], teamCount: 1 });
+assert.strictEqual(invalidDistribute.statusCode, 400);
+assert.strictEqual(invalidDistribute.body.errors[0].pointer, '/members');
+console.log('- 스키마 검증 통과');
+
+// 1-12. 동시 저장 테스트 (요청 순서대로 하나씩 저장되고 히스토리 항목이 빠지지 않아야 함)
+console.log('\n[1-12. 동시 저장 테스트]');
+const historyCountBefore = (await teamDataController.readHistory()).length;
+const savedCountBefore = (await teamDataController.listTeamData({ limit: MAX_PAGE_SIZE })).data.total;
+
+const concurrentSaves = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+  teamDataController.saveTeamData({ teams: pmTeams, seed: `concurrent-${i}` })));
+const concurrentIds = concurrentSaves.map(({ id }) => id);
+assert.ok(concurrentSaves.every(({ success }) => success));
+assert.strictEqual(new Set(concurrentIds).size, concurrentIds.length);
+assert.deepStrictEqual([...concurrentIds].sort(), concurrentIds); // 요청 순서대로 저장 시각이 증가
+
+// current에는 마지막 저장 결과 하나만 남고 나머지는 모두 아카이빙으로 이동
+const savedAfter = (await teamDataController.listTeamData({ limit: MAX_PAGE_SIZE })).data;
+assert.strictEqual(savedAfter.total, savedCountBefore + concurrentIds.length);
+assert.deepStrictEqual(
+  savedAfter.items.filter(({ location }) => location === 'current').map(({ id }) => id),
+  [concurrentIds[concurrentIds.length - 1]]
+);
+assert.strictEqual((await teamDataController.getCurrentTeamData()).data.seed, 'concurrent-7');
+
+// 동시에 수정해도 파일이 깨지지 않고 마지막 요청이 반영됨
+const concurrentPatches = await Promise.all(['가', '나', '다'].map(name =>
+  teamDataController.updateTeamData(concurrentIds[0], { name })));
+assert.ok(concurrentPatches.every(({ success }) => success));
+assert.strictEqual((await teamDataController.getTeamDataById(concurrentIds[0])).data.metadata.name, '다');
+
+// 저장·수정 히스토리가 한 건도 빠지지 않음
+const concurrentHistory = (await teamDataController.readHistory()).slice(historyCountBefore);
+assert.deepStrictEqual(
+  concurrentHistory.filter(({ action }) => action === 'SAVE_TEAM_DATA').map(({ id }) => id),
+  concurrentIds
+);
+assert.strictEqual(concurrentHistory.filter(({ action }) => action === 'UPDATE_TEAM_DATA').length, 3);
+
+await Promise.all(concurrentIds.map(id => teamDataController.deleteTeamData(id)));
+assert.strictEqual((await teamDataController.listTeamData({ limit: MAX_PAGE_SIZE })).data.total, savedCountBefore);
+console.log('- 동시 저장 검증 통과');
+
+// 1-13. 저장소 구현 테스트 (모든 저장소가 같은 방식으로 동작해야 함)
+console.log('\n[1-13. 저장소 구현 테스트]');
+const storeRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'team-store-'));
+const stores = [
+  ['memory', {}],
+  ['fs', { rootDir: storeRoot }],
+  ['sqlite', { filePath: path.join(storeRoot, 'teams.sqlite') }]
+];
+
+for (const [store, options] of stores) {
+  const repository = createTeamRepository({ store, ...options });
+  try {
+    await repository.init();
+  } catch (error) {
+    console.log(`- ${store} 저장소 건너뜀:`, error.message);
+    continue;
+  }
+
+  const created = await Promise.all([1, 2, 3].map(round => repository.create({ teams: [['a'], ['b']], round })));
+  const listed = await repository.list();
+  assert.deepStrictEqual(listed.map(({ id }) => id), created.map(({ id }) => id));
+  assert.deepStrictEqual(listed.map(({ location }) => location), ['archiving', 'archiving', 'current']);
+  assert.strictEqual((await repository.get(created[0].id)).record.round, 1);
+  assert.strictEqual(await repository.get('no-such-team'), null);
+
+  // modify가 null을 반환하면 저장하지 않음
+  const renamed = await repository.update(created[0].id, record => ({ ...record, name: '첫 분배' }));
+  assert.strictEqual(renamed.record.name, '첫 분배');
+  assert.strictEqual((await repository.update(created[0].id, () => null)).record.name, '첫 분배');
+  assert.strictEqual(await repository.update('no-such-team', record => record), null);
+
+  // 현재 결과를 삭제하면 가장 최근에 보관된 결과가 현재 결과가 됨
+  assert.strictEqual((await repository.remove(created[2].id)).location, 'current');
+  assert.strictEqual((await repository.get(created[1].id)).location, 'current');
+  assert.strictEqual(await repository.remove(created[2].id), null);
+
+  await repository.appendHistory({ action: 'A' });
+  await repository.appendHistory({ action: 'B' });
+  assert.deepStrictEqual((await repository.readHistory()).map(({ action }) => action), ['A', 'B']);
+  console.log(`- ${store} 저장소 검증 통과`);
+}
+
+await fs.rm(storeRoot, { recursive: true, force: true });
+assert.throws(() => createTeamRepository({ store: 'redis' }), /지원하지 않는 저장소/);
+
+// 1-14. 팀 문서 형식과 이전 형식 마이그레이션 테스트
+console.log('\n[1-14. 팀 문서 마이그레이션 테스트]');
+
+// data/teams/current의 이전 분배 결과 저장 형식 ({ timestamp, teamData }) 읽기 (읽기만 하므로 init 호출 안 함)
+const legacyRepository = new FileTeamRepository();
+const legacyEntries = (await legacyRepository.list()).filter(({ id }) => id.startsWith('team-distribute-'));
+assert.ok(legacyEntries.length >= 3);
+for (const { id } of legacyEntries) {
+  const { record } = await legacyRepository.get(id);
+  const document = migrateTeamDocument(record);
+  assert.strictEqual(document.schemaVersion, TEAM_DOCUMENT_VERSION);
+  assert.strictEqual(document.metadata.createdAt, record.timestamp);
+  assert.deepStrictEqual(document.teams.map(({ name }) => name), Object.keys(record.teamData));
+  assert.deepStrictEqual(
+    document.teams.flatMap(({ members }) => members.map(({ id: memberId }) => memberId)),
+    Object.values(record.teamData).flat().map(({ id: memberId }) => memberId)
+  );
+}
+
+// 팀 구성 저장 형식 ({ teams: [[이름]] })
+const listDocument = migrateTeamDocument({
+  teams: [['a', 'b'], ['c']],
+  pms: ['b', null],
+  seed: 7,
+  name: '회고',
+  updatedAt: '2025-03-14T00:00:00.000Z'
+});
+assert.deepStrictEqual(listDocument, {
+  schemaVersion: 1,
+  teams: [
+    {
+      name: 'team1',
+      members: [
+        { id: 'team1-1', name: 'a', role: 'member', isPM: false },
+        { id: 'team1-2', name: 'b', role: 'pm', isPM: true }
+      ]
+    },
+    { name: 'team2', members: [{ id: 'team2-1', name: 'c', role: 'member', isPM: false }] }
+  ],
+  strategy: null,
+  seed: 7,
+  metadata: { createdAt: null, name: '회고', updatedAt: '2025-03-14T00:00:00.000Z' }
+});
+
+// 현재 버전 문서는 그대로, 더 새 버전이나 알 수 없는 형식은 오류
+assert.strictEqual(migrateTeamDocument(listDocument), listDocument);
+assert.throws(() => migrateTeamDocument({ ...listDocument, schemaVersion: TEAM_DOCUMENT_VERSION + 1 }), /지원하지 않는 문서 버전/);
+assert.throws(() => migrateTeamDocument({ members: [] }), /알 수 없는 팀 데이터 형식/);
+
+// 이전 형식으로 저장된 데이터를 수정하면 현재 버전 문서로 다시 저장됨
+const legacyController = new TeamDataController({ repository: new MemoryTeamRepository() });
+const { id: legacyId } = await legacyController.repository.create({ teams: [['a', 'b'], ['c', 'd']], pms: ['a', 'd'] });
+const upgraded = await legacyController.updateTeamData(legacyId, { swaps: [['a', 'c']] });
+assert.deepStrictEqual(toTeamArrays(upgraded.data), [['c', 'b'], ['a', 'd']]);
+assert.deepStrictEqual(toPMNames(upgraded.data), ['c', 'd']);
+assert.strictEqual((await legacyController.repository.get(legacyId)).record.schemaVersion, TEAM_DOCUMENT_VERSION);
+console.log('- 팀 문서 마이그레이션 검증 통과');
+
+console.log('\n[1-15. 멤버 일괄 가져오기 테스트]');
+
+// 머리글 없는 목록은 줄바꿈, 쉼표, 탭 모두 구분자
+assert.deepStrictEqual(
+  parseMemberImport('피카츄, 라이츄\n파이리\t꼬부기\n\n').entries.map(({ name }) => name),
+  ['피카츄', '라이츄', '파이리', '꼬부기']
+);
+
+// 머리글이 있는 CSV (BOM, CRLF, 따옴표 값, 선택 열, 잘못된 행)
+const importedCsv = parseMemberImport('\uFEFFname,rating,gender,tags\r\n"피카츄, 주니어",3,F,FE;리더\r\n라이츄,,,BE\r\n,2,,\r\n파이리,높음,,\r\n');
+assert.deepStrictEqual(importedCsv.entries, [
+  { name: '피카츄, 주니어', rating: 3, gender: 'F', tags: ['FE', '리더'] },
+  { name: '라이츄', tags: ['BE'] }
+]);
+assert.deepStrictEqual(importedCsv.errors.map(({ line }) => line), [4, 5]);
+
+// TSV와 한글 머리글
+assert.deepStrictEqual(parseMemberImport('이름\t실력\n꼬부기\t1.5').entries, [{ name: '꼬부기', rating: 1.5 }]);
+
+// 미리보기는 이름을 바꾸지 않고 기존 멤버나 앞 행과 이름이 같은 행만 표시 (멤버는 ID로 구분)
+const importPreview = previewMemberImport(
+  [{ name: '피카츄' }, { name: ' 라이츄' }, { name: '라이츄' }, { name: '파이리' }],
+  [createMember('피카츄'), createMember('꼬부기')]
+);
+assert.deepStrictEqual(importPreview.rows, [
+  { input: '피카츄', name: '피카츄', isDuplicate: true },
+  { input: ' 라이츄', name: '라이츄', isDuplicate: false },
+  { input: '라이츄', name: '라이츄', isDuplicate: true },
+  { input: '파이리', name: '파이리', isDuplicate: false }
+]);
+
+// 스토어의 멤버는 ID로 가리키므로 이후 테스트는 이름으로 ID를 찾고, 팀 구성은 이름으로 바꿔 비교
+const idOf = (name) => memberStore.getState().members.find(member => member.name === name).id;
+const memberNamesOf = () => memberStore.getState().members.map(({ name }) => name);
+const nameTeamsOf = (teams) => teams.map(team => getMemberNames(team, memberStore.getState().members));
+const nameTeamsToIds = (teams) => teams.map(team => team.map(idOf));
+
+// 스토어에 한 번에 추가: 이름이 같아도 각자 ID와 프로필을 갖고, 총원은 자동 확정
+memberStore.dispatch(addMember('피카츄'));
+const [{ id: firstPikachuId }] = memberStore.getState().members;
+memberStore.dispatch(setMemberRating(firstPikachuId, 2));
+memberStore.dispatch(importMembers([{ name: '피카츄', rating: 4 }, { name: '라이츄', gender: 'F', tags: ['FE'], id: firstPikachuId }]));
+const importedState = memberStore.getState();
+assert.deepStrictEqual(importedState.members.map(({ id, ...profile }) => profile), [
+  { name: '피카츄', rating: 2 },
+  { name: '피카츄', rating: 4 },
+  { name: '라이츄', gender: 'F', tags: ['FE'] }
+]);
+assert.strictEqual(new Set(importedState.members.map(({ id }) => id)).size, 3);
+assert.strictEqual(importedState.totalMembers, 3);
+assert.strictEqual(importedState.isTotalConfirmed, true);
+memberStore.dispatch(resetState());
+console.log('- 멤버 일괄 가져오기 검증 통과');
+
+console.log('\n[1-16. 팀 구성 내보내기 테스트]');
+
+const exportTeams = { teams: [['피카츄', '라이|츄'], ['파이리, "주니어"', '<꼬부기>']], pms: ['라이|츄', null], seed: 's-1' };
+const { id: exportId } = await router.teamDataController.saveTeamData(exportTeams);
+const exportDocument = (await router.teamDataController.getTeamDataById(exportId)).data;
+
+// 형식별 내용 (CSV 따옴표, Markdown 구분자, HTML 특수문자 이스케이프)
+assert.strictEqual(
+  exportTeamDocument(migrateTeamDocument(exportTeams), 'csv'),
+  '\uFEFFteam,member,role\r\nteam1,피카츄,member\r\nteam1,라이|츄,pm\r\nteam2,"파이리, ""주니어""",member\r\nteam2,<꼬부기>,member\r\n'
+);
+assert.strictEqual(
+  exportTeamDocument(migrateTeamDocument(exportTeams), 'md'),
+  '### 팀 구성 결과\n\n| 팀 | 멤버 | PM |\n| --- | --- | --- |\n| team1 | 피카츄, 라이\\|츄 | 라이\\|츄 |\n| team2 | 파이리, "주니어", <꼬부기> |  |\n'
+);
+const exportedHtml = exportTeamDocument(exportDocument, 'html');
+assert.strictEqual((exportedHtml.match(/<section class="team">/g) || []).length, 2);
+assert.ok(exportedHtml.includes('&lt;꼬부기&gt;') && !exportedHtml.includes('<꼬부기>'));
+assert.throws(() => exportTeamDocument(exportDocument, 'xlsx'), /지원하지 않는 내보내기 형식/);
+
+// 수식으로 시작하는 이름(참가 신청으로 들어올 수 있음)은 스프레드시트가 실행하지 않도록 '를 붙임
+const formulaTeams = { teams: [['=HYPERLINK("http://x","y")', '+1'], ['-2', '@SUM(A1)', "O'Neil"]], pms: [null, null] };
+const formulaCsv = '\uFEFFteam,member,role\r\nteam1,"\'=HYPERLINK(""http://x"",""y"")",member\r\nteam1,\'+1,member\r\n' +
+  "team2,'-2,member\r\nteam2,'@SUM(A1),member\r\nteam2,O'Neil,member\r\n";
+assert.strictEqual(exportTeamDocument(migrateTeamDocument(formulaTeams), 'csv'), formulaCsv);
+assert.strictEqual(clientExportTeamDocument(createTeamDocument(formulaTeams), 'csv'), formulaCsv);
+assert.strictEqual(
+  exportTeamDocument(migrateTeamDocument(formulaTeams), 'html'),
+  clientExportTeamDocument(createTeamDocument({ ...formulaTeams, metadata: { createdAt: migrateTeamDocument(formulaTeams).metadata.createdAt } }), 'html')
+);
+
+// 서버에서 내려받은 내용은 같은 구성을 화면에서 내보낸 것과 같음
+const clientExportDocument = createTeamDocument({ ...exportTeams, metadata: { createdAt: exportDocument.metadata.createdAt } });
+for (const format of Object.keys(EXPORT_FORMATS)) {
+  const exported = await sendRequest('GET', `/api/teams/${exportId}/export?format=${format}`);
+  assert.strictEqual(exported.statusCode, 200);
+  assert.strictEqual(exported.headers['Content-Type'], EXPORT_FORMATS[format].contentType);
+  assert.strictEqual(exported.headers['Content-Disposition'], `attachment; filename="${exportId}.${format}"`);
+  assert.strictEqual(exported.text, clientExportTeamDocument(clientExportDocument, format));
+}
+assert.strictEqual((await sendRequest('GET', `/api/teams/${exportId}/export?format=xlsx`)).statusCode, 400);
+assert.strictEqual((await sendRequest('GET', `/api/teams/${exportId}/export`)).statusCode, 400);
+assert.strictEqual((await sendRequest('GET', '/api/teams/no-such-team/export?format=csv')).statusCode, 404);
+assert.ok((await router.teamDataController.deleteTeamData(exportId)).success);
+console.log('- 팀 구성 내보내기 검증 통과');
+
+console.log('\n[1-17. 세션 저장/복원 테스트]');
+
+// 저장 형식 버전 없이 상태만 저장된 값도 현재 버전으로 읽음 (종류가 맞지 않거나 저장 대상이 아닌 값은 버림)
+const versionlessSnapshot = migrateSessionSnapshot({ state: { members: ['피카츄'], totalMembers: '3', pairHistory: { pairs: [] } } });
+assert.strictEqual(versionlessSnapshot.version, SESSION_STATE_VERSION);
+assert.deepStrictEqual(Object.keys(versionlessSnapshot.state), ['members']);
+assert.deepStrictEqual(versionlessSnapshot.state.members.map(({ name }) => name), ['피카츄']);
+assert.strictEqual(migrateSessionSnapshot({ version: SESSION_STATE_VERSION + 1, state: { members: ['a'] } }), null);
+assert.strictEqual(migrateSessionSnapshot('broken'), null);
+
+// localStorage 대용
+const storageItems = new Map();
+const fakeStorage = {
+  getItem: (key) => (storageItems.has(key) ? storageItems.get(key) : null),
+  setItem: (key, value) => storageItems.set(key, String(value)),
+  removeItem: (key) => storageItems.delete(key)
+};
+const persistence = createSessionPersistence({ store: memberStore, adapter: createLocalStorageAdapter(fakeStorage), delay: 0 });
+
+// 복원 여부를 정하기 전(start 전)에는 저장하지 않음
+memberStore.dispatch(addMember('피카츄'));
+await persistence.save();
+assert.strictEqual(storageItems.size, 0);
+
+// 저장 시작 후 변경은 저장되고, 새로고침(초기화) 후 복원하면 같은 상태가 됨
+persistence.start();
+memberStore.dispatch(setTotalMembers(2));
+memberStore.dispatch(confirmTotalMembers());
+memberStore.dispatch(setMemberRating(memberStore.getState().members[0].id, 3));
+await new Promise(resolve => setTimeout(resolve, 10));
+const savedSession = JSON.parse(storageItems.get(SESSION_STORAGE_KEY));
+assert.strictEqual(savedSession.version, SESSION_STATE_VERSION);
+assert.deepStrictEqual(savedSession.state.members, memberStore.getState().members);
+assert.strictEqual(savedSession.state.members[0].rating, 3);
+assert.strictEqual(savedSession.state.pairHistory, undefined);
+persistence.stop();
+
+const stateBeforeReload = memberStore.getState();
+memberStore.dispatch(resetState());
+const loadedSession = await persistence.loadSaved();
+persistence.restore(loadedSession);
+PERSISTED_KEYS.forEach(key => assert.deepStrictEqual(memberStore.getState()[key], stateBeforeReload[key], key));
+
+// 새로 시작하면 저장된 세션을 지움
+await persistence.clear();
+assert.strictEqual(await persistence.loadSaved(), null);
+memberStore.dispatch(resetState());
+console.log('- 세션 저장/복원 검증 통과');
+
+console.log('\n[1-18. 실행 취소/다시 실행 테스트]');
+
+memberStore.dispatch(setTotalMembers(3));
+memberStore.dispatch(addMember('피카츄'));
+memberStore.dispatch(addMember('라이츄'));
+memberStore.dispatch(setPairHistory([], 4));
+memberStore.dispatch({ type: 'SET_TEAMS', payload: { teams: [[idOf('피카츄')], [idOf('라이츄')]], seed: 'undo-1' } });
+
+// 실수로 팀을 재구성해도 이전 구성으로 되돌릴 수 있음
+memberStore.dispatch({ type: 'SET_TEAMS', payload: { teams: [[idOf('라이츄')], [idOf('피카츄')]], seed: 'undo-2' } });
+assert.ok(memberStore.canUndo() && !memberStore.canRedo());
+assert.strictEqual(memberStore.dispatch(undo()), true);
+assert.deepStrictEqual(nameTeamsOf(memberStore.getState().teams), [['피카츄'], ['라이츄']]);
+assert.strictEqual(memberStore.getState().seed, 'undo-1');
+assert.ok(memberStore.canRedo());
+memberStore.dispatch(redo());
+assert.strictEqual(memberStore.getState().seed, 'undo-2');
+
+// 멤버 추가 이전까지 되돌려도 서버에서 불러온 짝 이력은 유지
+memberStore.dispatch(undo());
+memberStore.dispatch(undo());
+memberStore.dispatch(undo());
+assert.deepStrictEqual(memberNamesOf(), ['피카츄']);
+assert.deepStrictEqual(memberStore.getState().teams, []);
+assert.strictEqual(memberStore.getState().pairHistory.distributionCount, 4);
+
+// 되돌린 뒤 새로 변경하면 다시 실행할 이력은 사라짐
+memberStore.dispatch(addMember('파이리'));
+assert.ok(!memberStore.canRedo());
+assert.strictEqual(memberStore.dispatch(redo()), false);
+assert.deepStrictEqual(memberNamesOf(), ['피카츄', '파이리']);
+
+// 처음 상태보다 더 되돌릴 수는 없음
+while (memberStore.canUndo()) memberStore.dispatch(undo());
+assert.strictEqual(memberStore.dispatch(undo()), false);
+assert.strictEqual(memberStore.getState().totalMembers, 0);
+memberStore.dispatch(resetState());
+console.log('- 실행 취소/다시 실행 검증 통과');
+
+console.log('\n[1-19. 스토어 생성/미들웨어 테스트]');
+
+// 리듀서는 하나뿐이며 기본 상태는 앱 스토어의 초기 상태
+assert.deepStrictEqual(rootReducer(undefined, { type: '@@INIT' }), initialState);
+
+const reportedErrors = [];
+const errorRecorder = () => next => action => {
+  if (action.type === ERROR_ACTION_TYPE) reportedErrors.push(action.payload.originalAction.type);
+  return next(action);
+};
+const testHistory = historyMiddleware(10);
+const testMemo = memoMiddleware();
+const testStore = createStore(
+  rootReducer,
+  applyMiddleware(errorRecorder, errorMiddleware, validationMiddleware, testHistory, testMemo)
+);
+
+// 선택자 구독은 선택한 값이 바뀔 때만 알림
+const allNotifications = [];
+const memberNotifications = [];
+testStore.subscribe(state => allNotifications.push(state));
+const unsubscribeMembers = testStore.subscribe((state, members) => memberNotifications.push(members), state => state.members);
+testStore.dispatch(addMember('피카츄'));
+testStore.dispatch(setTotalMembers(3));
+testStore.dispatch(setTeams([[testStore.getState().members[0].id]], true, 'store-1'));
+assert.strictEqual(allNotifications.length, 3);
+assert.deepStrictEqual(memberNotifications.map(members => members.map(({ name }) => name)), [['피카츄']]);
+assert.strictEqual(testStore.getState().seed, 'store-1');
+
+// 미들웨어가 상태를 바꿔도 알림은 dispatch마다 한 번, 알림 시점에는 이력이 이미 갱신됨
+const undoStates = [];
+const unsubscribeUndo = testStore.subscribe(() => undoStates.push(testHistory.canRedo()));
+testStore.dispatch(undo());
+assert.deepStrictEqual(undoStates, [true]);
+assert.deepStrictEqual(testStore.getState().teams, []);
+unsubscribeUndo();
+unsubscribeMembers();
+
+// 리듀서 오류는 @@ERROR로 보고되고 상태는 그대로 유지
+const stateBeforeError = testStore.getState();
+testStore.dispatch({ type: 'IMPORT_MEMBERS', payload: {} });
+assert.deepStrictEqual(reportedErrors, ['IMPORT_MEMBERS']);
+assert.strictEqual(testStore.getState(), stateBeforeError);
+assert.throws(() => createStore(rootReducer).dispatch({}), /type/);
+
+// 메모이즈한 선택자는 상태가 바뀔 때만 다시 계산하고, 등록한 이름으로도 사용할 수 있음
+let selectorRuns = 0;
+testStore.registerSelector('getMemberCount', testMemo.memoize(state => {
+  selectorRuns++;
+  return state.members.length;
+}));
+assert.strictEqual(testStore.getMemberCount(), 1);
+assert.strictEqual(testStore.select('getMemberCount'), 1);
+assert.strictEqual(selectorRuns, 1);
+testStore.dispatch(addMember('라이츄'));
+assert.strictEqual(testStore.select('getMemberCount'), 2);
+assert.strictEqual(selectorRuns, 2);
+assert.strictEqual(testStore.select(state => state.totalMembers), 3);
+assert.throws(() => testStore.select('getUnknown'), /등록되지 않은 선택자/);
+
+// 앱 스토어도 같은 리듀서를 사용
+memberStore.dispatch(setTeams([['피카츄'], ['라이츄']], true, 'store-2'));
+assert.strictEqual(memberStore.getState().seed, 'store-2');
+assert.deepStrictEqual(memberStore.getTeams(), [['피카츄'], ['라이츄']]);
+memberStore.dispatch(resetState());
+console.log('- 스토어 생성/미들웨어 검증 통과');
+
+console.log('\n[1-20. 팀 결과 수동 조정 테스트]');
+
+// 멤버 옮기기와 고정 유틸리티
+assert.deepStrictEqual(moveMemberBetweenTeams([['a', 'b'], ['c']], 'b', 1, 0), [['a'], ['b', 'c']]);
+assert.deepStrictEqual(moveMemberBetweenTeams([['a', 'b'], ['c']], 'a', 0), [['b', 'a'], ['c']]);
+const unmovedTeams = [['a'], ['b']];
+assert.strictEqual(moveMemberBetweenTeams(unmovedTeams, 'x', 1), unmovedTeams);
+assert.deepStrictEqual(applyMemberLocks([['a', 'b'], ['c', 'd']], { c: 0 }), [['a', 'c'], ['b', 'd']]);
+// 이미 고정한 팀에 있는 멤버는 다른 고정 멤버와 자리를 바꾸지 않고, 팀 개수 밖의 고정은 무시
+assert.deepStrictEqual(applyMemberLocks([['a', 'b'], ['c', 'd']], { b: 0, c: 0, d: 5 }), [['c', 'b'], ['a', 'd']]);
+assert.deepStrictEqual(getTeamBalance([['a', 'b', 'c'], ['d']], { a: 3, d: 1 }), {
+  sizes: [3, 1],
+  sizeGap: 2,
+  isSizeBalanced: false,
+  ratingStats: [{ total: 3, average: 3, ratedCount: 1 }, { total: 1, average: 1, ratedCount: 1 }],
+  hasRatings: true,
+  ratingGap: 2
+});
+assert.deepStrictEqual(
+  findUnsatisfiedConstraints([['a', 'b'], ['c']], [{ type: 'apart', members: ['a', 'b'] }, { type: 'together', members: ['a', 'x'] }])
+    .map(({ reason, message }) => [reason, message]),
+  [['unsatisfied', 'a·b 다른 팀: 지금 팀 배치에서 지켜지지 않습니다.']]
+);
+
+// 스토어: 옮기면 PM, 규칙 위반, 균형 표시가 함께 갱신되고 실행 취소할 수 있음
+['피카츄', '라이츄', '파이리', '꼬부기'].forEach(name => memberStore.dispatch(addMember(name)));
+memberStore.dispatch(addConstraint('apart', [idOf('피카츄'), idOf('라이츄')]));
+memberStore.dispatch(setTeams(nameTeamsToIds([['피카츄', '파이리'], ['라이츄', '꼬부기']]), true, 'move-1', [], [idOf('피카츄'), idOf('라이츄')]));
+memberStore.dispatch(moveMember(idOf('피카츄'), 1, 0));
+assert.deepStrictEqual(nameTeamsOf(memberStore.getState().teams), [['파이리'], ['피카츄', '라이츄', '꼬부기']]);
+assert.deepStrictEqual(memberStore.getState().pms, [null, idOf('라이츄')]);
+assert.deepStrictEqual(
+  memberStore.getState().constraintViolations.map(({ reason, message }) => [reason, message]),
+  [['unsatisfied', '피카츄·라이츄 다른 팀: 지금 팀 배치에서 지켜지지 않습니다.']]
+);
+assert.deepStrictEqual(memberStore.getTeamBalance().sizes, [1, 3]);
+memberStore.dispatch(undo());
+assert.deepStrictEqual(nameTeamsOf(memberStore.getState().teams), [['피카츄', '파이리'], ['라이츄', '꼬부기']]);
+
+// 고정한 멤버는 재구성해도 고정한 팀에 남음
+const squirtleId = idOf('꼬부기');
+memberStore.dispatch(setTeamCount(2));
+memberStore.dispatch(setMemberLock(squirtleId, 0));
+memberStore.dispatch(setMemberLock('없는멤버', 0));
+assert.deepStrictEqual(memberStore.getMemberLocks(), { [squirtleId]: 0 });
+['lock-a', 'lock-b', 'lock-c'].forEach(seed => {
+  const { teams, violations } = distributeTeamsWithSettings({ seed });
+  assert.ok(teams[0].includes(squirtleId), seed);
+  assert.deepStrictEqual(teams.map(team => team.length), [2, 2]);
+  assert.ok(!teams.some(team => team.includes(idOf('피카츄')) && team.includes(idOf('라이츄'))) || violations.length > 0);
+});
+
+// 고정한 멤버를 직접 옮기면 옮긴 팀에 고정되고, 이름을 바꿔도 ID로 가리키므로 고정이 그대로 남음
+memberStore.dispatch(moveMember(squirtleId, 1));
+assert.deepStrictEqual(memberStore.getMemberLocks(), { [squirtleId]: 1 });
+memberStore.dispatch(editMember(squirtleId, { name: '어니부기' }));
+assert.deepStrictEqual(memberStore.getMemberLocks(), { [squirtleId]: 1 });
+assert.strictEqual(idOf('어니부기'), squirtleId);
+memberStore.dispatch(setMemberLock(squirtleId, null));
+assert.deepStrictEqual(memberStore.getMemberLocks(), {});
+memberStore.dispatch(resetState());
+console.log('- 팀 결과 수동 조정 검증 통과');
+
+console.log('\n[1-21. 일부 팀 고정 후 재구성 테스트]');
+
+// 고정한 팀은 그대로, 고정한 멤버는 고정한 팀에, 나머지는 인원을 맞춰 배치
+const partialMembers = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+const partialTeams = [['a', 'b'], ['c', 'd', 'e'], ['f', 'g']];
+['p-1', 'p-2', 'p-3'].forEach(seed => {
+  const redistributed = redistributeUnlocked(partialMembers, partialTeams, { teamLocks: [0], memberLocks: { g: 1 }, seed });
+  assert.deepStrictEqual(redistributed[0], ['a', 'b'], seed);
+  assert.ok(redistributed[1].includes('g'), seed);
+  assert.deepStrictEqual(redistributed.slice(1).map(team => team.length).sort(), [2, 3], seed);
+  assert.deepStrictEqual(redistributed.flat().sort(), partialMembers, seed);
+});
+assert.deepStrictEqual(
+  redistributeUnlocked(partialMembers, partialTeams, { teamLocks: [1], seed: 'same' }),
+  redistributeUnlocked(partialMembers, partialTeams, { teamLocks: [1], seed: 'same' })
+);
+
+// 리듀서: 없는 팀은 고정할 수 없고, 팀 개수가 줄면 범위 밖 고정은 사라짐
+let teamLockState = rootReducer({ ...initialState, teams: [['a'], ['b'], ['c']] }, setTeamLock(2, true));
+teamLockState = rootReducer(teamLockState, setTeamLock(0, true));
+assert.deepStrictEqual(teamLockState.teamLocks, [0, 2]);
+assert.strictEqual(rootReducer(teamLockState, setTeamLock(3, true)), teamLockState);
+assert.deepStrictEqual(rootReducer(teamLockState, setTeamLock(2, false)).teamLocks, [0]);
+assert.deepStrictEqual(rootReducer(teamLockState, setTeams([['a', 'b'], ['c']], true)).teamLocks, [0]);
+
+// 스토어: 재구성해도 고정한 팀과 PM은 그대로이며, 고정은 실행 취소와 세션 저장에 포함됨
+['피카츄', '라이츄', '파이리', '꼬부기', '이상해씨', '버터플'].forEach(name => memberStore.dispatch(addMember(name)));
+memberStore.dispatch(setTeamCount(3));
+memberStore.dispatch(setTeams(
+  nameTeamsToIds([['피카츄', '라이츄'], ['파이리', '꼬부기'], ['이상해씨', '버터플']]),
+  true, 'lock-0', [], ['라이츄', '파이리', '버터플'].map(idOf)
+));
+memberStore.dispatch(setTeamLock(0, true));
+assert.deepStrictEqual(memberStore.getTeamLocks(), [0]);
+['lock-x', 'lock-y', 'lock-z'].forEach(seed => {
+  const { teams, pms } = distributeTeamsWithSettings({ seed });
+  assert.deepStrictEqual(nameTeamsOf(teams)[0], ['피카츄', '라이츄'], seed);
+  assert.strictEqual(pms[0], idOf('라이츄'), seed);
+  assert.deepStrictEqual(teams.map(team => team.length), [2, 2, 2], seed);
+});
+assert.ok(PERSISTED_KEYS.includes('teamLocks'));
+memberStore.dispatch(undo());
+assert.deepStrictEqual(memberStore.getTeamLocks(), []);
+memberStore.dispatch(resetState());
+console.log('- 일부 팀 고정 후 재구성 검증 통과');
+
+console.log('\n[1-22. 실시간 공유 세션 테스트]');
+
+// 서버: 세션 열기, 진행자 토큰 확인, 이벤트 스트림으로 상태 전달
+const sendSessionRequest = async (method, url, body, headers = {}) => {
+  const req = Object.assign(new EventEmitter(), { method, url, headers });
+  const res = {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    writeHead(statusCode, headers = {}) { this.statusCode = statusCode; Object.assign(this.headers, headers); this.headersSent = true; },
+    end(data) { this.body = data ? JSON.parse(data) : undefined; }
+  };
+  const handled = router.handleRequest(req, res);
+  req.emit('data', body === undefined ? '' : JSON.stringify(body));
+  req.emit('end');
+  await handled;
+  return res;
+};
+const openStream = async (id) => {
+  const req = Object.assign(new EventEmitter(), { method: 'GET', url: `/api/sessions/${id}/events`, headers: {} });
+  const res = {
+    chunks: [],
+    ended: false,
+    setHeader() {},
+    writeHead(statusCode, headers = {}) { this.statusCode = statusCode; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end(data) { this.ended = true; this.body = data; },
+    // 받은 이벤트를 { event, data } 목록으로
+    events() {
+      return this.chunks
+        .filter(chunk => chunk.includes('event: '))
+        .map(chunk => ({ event: chunk.match(/event: (.+)/)[1], data: JSON.parse(chunk.match(/data: (.+)/)[1]) }));
+    }
+  };
+  await router.handleRequest(req, res);
+  return { req, res };
+};
+
+const createdSession = await sendSessionRequest('POST', '/api/sessions');
+assert.strictEqual(createdSession.statusCode, 200);
+const { id: liveId, hostToken } = createdSession.body.data;
+assert.match(liveId, /^[A-HJ-NP-Z2-9]{6}$/);
+
+const sharedState = { members: [{ id: 'm1', name: '피카츄' }, { id: 'm2', name: '라이츄' }], teams: [['m1'], ['m2']], pms: [null, 'm2'], isDistributed: true };
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${liveId}/state`, { state: sharedState })).statusCode, 403);
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${liveId}/state`, { state: sharedState }, { 'x-session-token': 'wrong' })).statusCode, 403);
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${liveId}/state`, { state: { members: 'x' } }, { 'x-session-token': hostToken })).statusCode, 400);
+assert.strictEqual((await sendSessionRequest('POST', '/api/sessions/NOPE22/state', { state: sharedState }, { 'x-session-token': hostToken })).statusCode, 404);
+assert.strictEqual((await openStream('NOPE22')).res.statusCode, 404);
+
+const firstViewer = await openStream(liveId.toLowerCase());
+assert.strictEqual(firstViewer.res.statusCode, 200);
+assert.ok(firstViewer.res.headers['Content-Type'].startsWith('text/event-stream'));
+const published = await sendSessionRequest('POST', `/api/sessions/${liveId}/state`, { state: sharedState }, { 'x-session-token': hostToken });
+assert.deepStrictEqual(published.body.data, { version: 1, participantCount: 1 });
+assert.deepStrictEqual(firstViewer.res.events().at(-1), { event: 'state', data: { version: 1, state: sharedState } });
+
+// 나중에 연결한 참가자는 마지막 상태를 바로 받고, 참가자 수 변화는 모두에게 알림
+const secondViewer = await openStream(liveId);
+assert.deepStrictEqual(secondViewer.res.events().map(({ event }) => event), ['state', 'presence']);
+assert.deepStrictEqual(firstViewer.res.events().at(-1), { event: 'presence', data: { participantCount: 2 } });
+secondViewer.req.emit('close');
+assert.deepStrictEqual(firstViewer.res.events().at(-1), { event: 'presence', data: { participantCount: 1 } });
+assert.strictEqual((await sendSessionRequest('GET', `/api/sessions/${liveId}`)).body.data.participantCount, 1);
+
+assert.strictEqual((await sendSessionRequest('DELETE', `/api/sessions/${liveId}`)).statusCode, 403);
+assert.strictEqual((await sendSessionRequest('DELETE', `/api/sessions/${liveId}`, undefined, { 'x-session-token': hostToken })).statusCode, 200);
+assert.strictEqual(firstViewer.res.events().at(-1).event, 'end');
+assert.ok(firstViewer.res.ended);
+assert.strictEqual((await sendSessionRequest('GET', `/api/sessions/${liveId}`)).statusCode, 404);
+
+// 클라이언트: 진행자는 공유할 값이 바뀔 때만 보내고, 참가자는 받은 상태를 스토어에 반영
+assert.strictEqual(getSessionIdFromUrl(new URL('http://localhost:3030/?session=k7qf2m')), 'K7QF2M');
+assert.strictEqual(getSessionIdFromUrl(new URL('http://localhost:3030/?session=<b>')), null);
+assert.strictEqual(getJoinUrl('K7QF2M', new URL('http://localhost:3030/?x=1#top')), 'http://localhost:3030/?session=K7QF2M');
+
+const publishedStates = [];
+const hostStore = createStore(rootReducer, initialState);
+const hostClient = createLiveSessionClient({
+  store: hostStore,
+  api: {
+    create: async () => ({ data: { id: 'K7QF2M', hostToken: 'token' } }),
+    publish: async (id, token, state) => {
+      publishedStates.push(state);
+      return { data: { participantCount: 3 } };
+    },
+    close: async () => ({ success: true })
+  }
+});
+assert.strictEqual(await hostClient.host(), 'K7QF2M');
+hostStore.dispatch(addMember('피카츄', { role: '디자인' }));
+hostStore.dispatch(setMemberRating(hostStore.getState().members[0].id, 5));
+await new Promise(resolve => setTimeout(resolve, 0));
+// 참가자에게는 멤버 ID와 이름만 공유하므로 실력 점수나 역할이 바뀌어도 다시 보내지 않음
+assert.deepStrictEqual(publishedStates.map(state => state.members), [[], [{ id: hostStore.getState().members[0].id, name: '피카츄' }]]);
+assert.deepStrictEqual(Object.keys(publishedStates[0]), LIVE_SHARED_KEYS);
+assert.deepStrictEqual(hostStore.getState().liveSession, {
+  id: 'K7QF2M',
+  role: 'host',
+  status: 'open',
+  participantCount: 3,
+  registration: { isOpen: false, remaining: null },
+  joinRequests: []
+});
+hostStore.dispatch(resetState());
+assert.strictEqual(hostStore.getState().liveSession.role, 'host');
+await hostClient.leave();
+assert.strictEqual(hostStore.getState().liveSession, null);
+
+class FakeEventSource {
+  static CLOSED = 2;
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, listener) { this.listeners[type] = listener; }
+  emit(type, data) { this.listeners[type]({ data: JSON.stringify(data) }); }
+  close() { this.readyState = FakeEventSource.CLOSED; }
+}
+const viewerStore = createStore(rootReducer, initialState);
+const viewerClient = createLiveSessionClient({ store: viewerStore, EventSourceImpl: FakeEventSource });
+viewerClient.join('K7QF2M');
+assert.strictEqual(FakeEventSource.last.url, '/api/sessions/K7QF2M/events');
+FakeEventSource.last.listeners.open();
+FakeEventSource.last.emit('state', { version: 1, state: sharedState });
+FakeEventSource.last.emit('presence', { participantCount: 4 });
+assert.deepStrictEqual(viewerStore.getState().teams, sharedState.teams);
+assert.deepStrictEqual(viewerStore.getState().liveSession, { id: 'K7QF2M', role: 'participant', status: 'open', participantCount: 4 });
+FakeEventSource.last.emit('end', {});
+assert.strictEqual(viewerStore.getState().liveSession.status, 'ended');
+console.log('- 실시간 공유 세션 검증 통과');
+
+console.log('\n[1-23. 참가 신청 링크 테스트]');
+
+// 서버: 진행자가 신청을 열고, 참가자가 신청하고, 진행자가 승인/거절
+const { id: joinId, hostToken: joinToken } = (await sendSessionRequest('POST', '/api/sessions')).body.data;
+const hostHeaders = { 'x-session-token': joinToken };
+const publishJoinState = (state) => sendSessionRequest('POST', `/api/sessions/${joinId}/state`, { state }, hostHeaders);
+await publishJoinState({ members: [{ id: 'm1', name: '피카츄' }], teams: [], totalMembers: 3, isTotalConfirmed: true });
+
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '라이츄' })).body.code, 'REGISTRATION_CLOSED');
+assert.strictEqual((await sendSessionRequest('PATCH', `/api/sessions/${joinId}`, { registrationOpen: true })).statusCode, 403);
+assert.strictEqual((await sendSessionRequest('PATCH', `/api/sessions/${joinId}`, { registrationOpen: 'yes' }, hostHeaders)).statusCode, 400);
+const opened = await sendSessionRequest('PATCH', `/api/sessions/${joinId}`, { registrationOpen: true }, hostHeaders);
+assert.deepStrictEqual(opened.body.data.registration, { isOpen: true, remaining: 2 });
+
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: ' ' })).statusCode, 400);
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '피카츄' })).statusCode, 409);
+const raichuRequest = await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: ' 라이츄 ', gender: 'M', tags: ['전기'] });
+assert.strictEqual(raichuRequest.statusCode, 200);
+assert.deepStrictEqual({ ...raichuRequest.body.data, id: undefined }, { id: undefined, name: '라이츄', status: 'pending' });
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '라이츄' })).body.code, 'DUPLICATE_NAME');
+const pichuRequest = await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '피츄' });
+
+// 명단 1명 + 대기 2명이 총원 3명을 채우면 더 받지 않음
+assert.strictEqual((await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '파이리' })).body.code, 'REGISTRATION_CLOSED');
+assert.deepStrictEqual((await sendSessionRequest('GET', `/api/sessions/${joinId}`)).body.data.registration, { isOpen: false, remaining: 0 });
+
+assert.strictEqual((await sendSessionRequest('GET', `/api/sessions/${joinId}/members`)).statusCode, 403);
+const joinList = await sendSessionRequest('GET', `/api/sessions/${joinId}/members`, undefined, hostHeaders);
+assert.deepStrictEqual(joinList.body.data.requests.map(({ name, gender, tags }) => ({ name, gender, tags })), [
+  { name: '라이츄', gender: 'M', tags: ['전기'] },
+  { name: '피츄', gender: undefined, tags: undefined }
+]);
+
+const raichuPath = `/api/sessions/${joinId}/members/${raichuRequest.body.data.id}`;
+assert.strictEqual((await sendSessionRequest('PATCH', raichuPath, { status: 'approved' })).statusCode, 403);
+assert.strictEqual((await sendSessionRequest('PATCH', raichuPath, { status: 'pending' }, hostHeaders)).statusCode, 400);
+assert.strictEqual((await sendSessionRequest('PATCH', `/api/sessions/${joinId}/members/unknown`, { status: 'approved' }, hostHeaders)).statusCode, 404);
+assert.strictEqual((await sendSessionRequest('PATCH', raichuPath, { status: 'approved' }, hostHeaders)).body.data.status, 'approved');
+assert.strictEqual((await sendSessionRequest('PATCH', raichuPath, { status: 'rejected' }, hostHeaders)).body.code, 'ALREADY_REVIEWED');
+assert.strictEqual((await sendSessionRequest('GET', raichuPath)).body.data.status, 'approved');
+
+// 거절하면 자리가 다시 나고, 승인한 멤버가 명단에 들어가 총원을 채우면 신청이 마감됨
+await sendSessionRequest('PATCH', `/api/sessions/${joinId}/members/${pichuRequest.body.data.id}`, { status: 'rejected' }, hostHeaders);
+assert.deepStrictEqual((await sendSessionRequest('GET', `/api/sessions/${joinId}`)).body.data.registration, { isOpen: true, remaining: 1 });
+const charmanderRequest = await sendSessionRequest('POST', `/api/sessions/${joinId}/members`, { name: '파이리' });
+await sendSessionRequest('PATCH', `/api/sessions/${joinId}/members/${charmanderRequest.body.data.id}`, { status: 'approved' }, hostHeaders);
+await publishJoinState({ members: ['피카츄', '라이츄', '파이리'], teams: [], totalMembers: 3, isTotalConfirmed: true });
+await publishJoinState({ members: ['피카츄', '라이츄', '파이리'], teams: [], totalMembers: 4, isTotalConfirmed: true });
+assert.deepStrictEqual((await sendSessionRequest('GET', `/api/sessions/${joinId}`)).body.data.registration, { isOpen: false, remaining: 1 });
+await sendSessionRequest('DELETE', `/api/sessions/${joinId}`, undefined, hostHeaders);
+
+// 클라이언트: 신청을 열면 세션부터 열고, 승인한 신청은 명단에 추가
+assert.strictEqual(getRegistrationUrl('K7QF2M', new URL('http://localhost:3030/?session=K7QF2M')), 'http://localhost:3030/?join=K7QF2M');
+assert.strictEqual(getSessionIdFromUrl(new URL('http://localhost:3030/?join=k7qf2m'), REGISTRATION_PARAM), 'K7QF2M');
+
+const fakeRequests = [{ id: 'r1', name: '꼬부기', gender: 'F', tags: ['물'], status: 'pending' }];
+const registrationCalls = [];
+const registrationStore = createStore(rootReducer, initialState);
+const registrationClient = createLiveSessionClient({
+  store: registrationStore,
+  pollInterval: 60000,
+  api: {
+    create: async () => ({ data: { id: 'K7QF2M', hostToken: 'token' } }),
+    publish: async () => ({ data: { participantCount: 0 } }),
+    close: async () => ({ success: true }),
+    update: async (id, token, changes) => {
+      registrationCalls.push(['update', changes]);
+      return { data: { registration: { isOpen: changes.registrationOpen, remaining: null } } };
+    },
+    listJoinRequests: async () => ({ data: { requests: fakeRequests, registration: { isOpen: true, remaining: null } } }),
+    reviewJoinRequest: async (id, token, requestId, status) => {
+      registrationCalls.push(['review', requestId, status]);
+      const request = fakeRequests.find(candidate => candidate.id === requestId);
+      request.status = status;
+      return { data: request };
+    }
+  }
+});
+assert.deepStrictEqual(await registrationClient.setRegistrationOpen(true), { isOpen: true, remaining: null });
+assert.strictEqual(registrationStore.getState().liveSession.role, 'host');
+assert.deepStrictEqual(registrationStore.getState().liveSession.joinRequests.map(request => request.name), ['꼬부기']);
+
+await registrationClient.reviewJoinRequest('r1', 'approved');
+assert.deepStrictEqual(registrationCalls, [['update', { registrationOpen: true }], ['review', 'r1', 'approved']]);
+assert.deepStrictEqual(
+  registrationStore.getState().members.map(({ id, ...profile }) => profile),
+  [{ name: '꼬부기', gender: 'F', tags: ['물'] }]
+);
+assert.deepStrictEqual(registrationStore.getState().liveSession.joinRequests, []);
+await registrationClient.leave();
+console.log('- 참가 신청 링크 검증 통과');
+
+console.log('\n[1-24. 팀 발표 공개 순서 테스트]');
+
+// 팀을 번갈아 한 명씩, 인원이 적은 팀은 건너뜀
+assert.deepStrictEqual(
+  getRevealOrder([['피카츄', '라이츄', '피츄'], ['꼬부기'], ['파이리', '리자드']]).map(({ teamIndex, position, member }) => `${teamIndex}:${position}:${member}`),
+  ['0:0:피카츄', '1:0:꼬부기', '2:0:파이리', '0:1:라이츄', '2:1:리자드', '0:2:피츄']
+);
+assert.deepStrictEqual(getRevealOrder([]), []);
+assert.deepStrictEqual(getRevealOrder([[], []]), []);
+
+// 어떤 전략으로 만든 팀이든 모든 멤버를 한 번씩 공개
+const balancedForReveal = distributeTeamsBalanced(['a', 'b', 'c', 'd', 'e'], 2, { ratings: { a: 5, b: 4, c: 3 }, seed: 'reveal' });
+assert.deepStrictEqual(getRevealOrder(balancedForReveal).map(({ member }) => member).sort(), ['a', 'b', 'c', 'd', 'e']);
+console.log('- 팀 발표 공개 순서 검증 통과');
+
+console.log('\n[1-25. 멤버 프로필 테스트]');
+
+// 이름이 같아도 ID가 다르고, 빈 값은 항목을 지우며, 바뀐 것이 없으면 같은 객체
+const [firstKim, secondKim] = [createMember(' 김민수 ', { role: '백엔드', tags: [] }), createMember('김민수')];
+assert.notStrictEqual(firstKim.id, secondKim.id);
+assert.deepStrictEqual({ ...firstKim, id: undefined }, { id: undefined, name: '김민수', role: '백엔드' });
+assert.deepStrictEqual(updateMemberProfile(firstKim, { role: '', notes: ' 안경 ', rating: 3 }), { id: firstKim.id, name: '김민수', notes: '안경', rating: 3 });
+assert.strictEqual(updateMemberProfile(firstKim, { name: ' ', role: '백엔드' }), firstKim);
+
+// 스토어: 프로필 수정과 삭제 (삭제한 멤버는 팀 구성, PM, 고정, 규칙, PM 지원자에서도 빠짐)
+['김민수', '김민수', '이서연'].forEach(name => memberStore.dispatch(addMember(name)));
+const [kimA, kimB, lee] = memberStore.getState().members.map(({ id }) => id);
+memberStore.dispatch(editMember(kimB, { role: '디자인', notes: '2팀 희망' }));
+assert.deepStrictEqual(memberStore.getState().members.map(({ name, role }) => [name, role]), [['김민수', undefined], ['김민수', '디자인'], ['이서연', undefined]]);
+memberStore.dispatch(editMember(kimB, { name: '' }));
+assert.strictEqual(memberStore.getState().members[1].name, '김민수');
+memberStore.dispatch(setTeams([[kimA, lee], [kimB]], true, 'profile-1', [], [kimA, kimB]));
+memberStore.dispatch(setMemberLock(kimA, 0));
+memberStore.dispatch(addConstraint('apart', [kimA, kimB]));
+memberStore.dispatch(togglePMVolunteer(kimA, true));
+memberStore.dispatch(deleteMember(kimA));
+const afterDelete = memberStore.getState();
+assert.deepStrictEqual(afterDelete.members.map(({ id }) => id), [kimB, lee]);
+assert.deepStrictEqual(afterDelete.teams, [[lee], [kimB]]);
+assert.deepStrictEqual(afterDelete.pms, [null, kimB]);
+assert.deepStrictEqual([afterDelete.memberLocks, afterDelete.constraints, afterDelete.pmVolunteers], [{}, [], []]);
+
+// 이름이 같은 멤버도 분배와 공유, 저장에서 구분됨
+memberStore.dispatch(addMember('김민수'));
+memberStore.dispatch(setTeamCount(2));
+const sameNameTeams = distributeTeamsWithSettings({ seed: 'same-name' }).teams;
+assert.deepStrictEqual(sameNameTeams.flat().sort(), memberStore.getState().members.map(({ id }) => id).sort());
+assert.deepStrictEqual(pickSharedState(memberStore.getState()).members.map(({ name }) => name), ['김민수', '이서연', '김민수']);
+assert.ok(!('role' in pickSharedState(memberStore.getState()).members[0]));
+memberStore.dispatch(resetState());
+
+// 세션 저장 버전 1(멤버가 이름 문자열)은 프로필로 옮기고 나머지 상태는 멤버 ID를 가리키도록 바꿈
+const migratedProfiles = migrateSessionSnapshot({
+  version: 1,
+  state: {
+    members: ['a', 'b'],
+    memberRatings: { a: 3 },
+    memberAttributes: { b: { gender: 'F', tags: ['FE'] } },
+    teams: [['a'], ['b', 'x']],
+    pms: ['a', 'x'],
+    memberLocks: { b: 1 },
+    constraints: [{ type: 'apart', members: ['a', 'b'] }, { type: 'together', members: ['a', 'x'] }],
+    pmVolunteers: ['b']
+  }
+}).state;
+const [idA, idB] = migratedProfiles.members.map(({ id }) => id);
+assert.deepStrictEqual(migratedProfiles.members, [{ id: idA, name: 'a', rating: 3 }, { id: idB, name: 'b', gender: 'F', tags: ['FE'] }]);
+assert.deepStrictEqual(migratedProfiles.teams, [[idA], [idB]]);
+assert.deepStrictEqual(migratedProfiles.pms, [idA, null]);
+assert.deepStrictEqual(migratedProfiles.memberLocks, { [idB]: 1 });
+assert.deepStrictEqual(migratedProfiles.constraints, [{ type: 'apart', members: [idA, idB] }]);
+assert.deepStrictEqual(migratedProfiles.pmVolunteers, [idB]);
+assert.ok(!('memberRatings' in migratedProfiles) && !('memberAttributes' in migratedProfiles));
+
+// 서버: 팀 구성 멤버로 { id, name }을 받으면 PM은 멤버 ID로 비교하고 문서에 멤버 ID를 남김
+const rosterMembers = [createMember('김민수'), createMember('김민수')];
+const roster = toTeamRoster([[rosterMembers[0].id], [rosterMembers[1].id]], rosterMembers);
+assert.deepStrictEqual(roster, [[{ id: rosterMembers[0].id, name: '김민수' }], [{ id: rosterMembers[1].id, name: '김민수' }]]);
+assert.ok(validateTeamData({ teams: roster, pms: [rosterMembers[0].id, null] }).valid);
+assert.deepStrictEqual(
+  validateTeamData({ teams: roster, pms: ['김민수', null] }).errors.map(({ pointer, code }) => [pointer, code]),
+  [['/pms/0', 'not_in_team']]
+);
+assert.ok(!validateTeamData({ teams: [[{ id: 'm1', name: ' ' }]] }).valid);
+const rosterDocument = migrateTeamDocument({ teams: roster, pms: [rosterMembers[0].id, null] });
+assert.deepStrictEqual(rosterDocument.teams.map(team => team.members.map(({ id, isPM }) => [id, isPM])), [[[rosterMembers[0].id, true]], [[rosterMembers[1].id, false]]]);
+assert.deepStrictEqual(createTeamDocument({ teams: roster, pms: [rosterMembers[0].id, null] }), rosterDocument);
+
+// 멤버 프로필(실력 점수, 역할 등)은 문서 멤버의 profile에 담기고, 팀 안의 역할(role)과 섞이지 않아야 함
+const profiledMember = createMember('이지은', { rating: 4, role: '프론트엔드', tags: ['FE'] });
+const profiledRoster = toTeamRoster([[profiledMember.id, rosterMembers[0].id]], [profiledMember, rosterMembers[0]]);
+assert.deepStrictEqual(profiledRoster[0][0], { id: profiledMember.id, name: '이지은', profile: { rating: 4, role: '프론트엔드', tags: ['FE'] } });
+assert.ok(validateTeamData({ teams: profiledRoster, pms: [profiledMember.id] }).valid);
+const profiledDocument = migrateTeamDocument({ teams: profiledRoster, pms: [profiledMember.id] });
+assert.deepStrictEqual(profiledDocument.teams[0].members.map(({ role, profile }) => [role, profile]), [
+  ['pm', { rating: 4, role: '프론트엔드', tags: ['FE'] }],
+  ['member', undefined]
+]);
+assert.deepStrictEqual(createTeamDocument({ teams: profiledRoster, pms: [profiledMember.id] }), profiledDocument);
+console.log('- 멤버 프로필 검증 통과');
+
+console.log('\n[1-26. 역할 조건 배분 테스트]');
+
+// 역할 조건 형식과 설명
+assert.ok(isValidRoleRequirement({ role: '디자이너', min: 1, max: 1 }));
+assert.ok(isValidRoleRequirement({ role: '백엔드', min: 0, max: 2 }));
+assert.ok(!isValidRoleRequirement({ role: ' ', min: 1, max: null }));
+assert.ok(!isValidRoleRequirement({ role: '백엔드', min: 2, max: 1 }));
+assert.ok(!isValidRoleRequirement({ role: '백엔드', min: 0, max: null }));
+assert.ok(isValidRoleRequirement({ role: '디자이너', min: 2, max: 2, team: 0 }));
+[-1, 1.5, '1'].forEach(team => assert.ok(!isValidRoleRequirement({ role: '디자이너', min: 1, max: null, team })));
+assert.deepStrictEqual(
+  [{ role: '디자이너', min: 1, max: 1 }, { role: '백엔드', min: 1, max: 2 }, { role: 'FE', min: 1, max: null }, { role: 'PM', min: 0, max: 1 }].map(describeRoleRequirement),
+  ['디자이너 1명', '백엔드 1~2명', 'FE 1명 이상', 'PM 1명 이하']
+);
+
+// 12명, 3팀: 역할별 최소 인원을 모든 팀이 채우고, 최대 인원을 넘지 않으며, 시드가 같으면 같은 결과
+const roleOfMember = Object.fromEntries([
+  ...['f1', 'f2', 'f3', 'f4'].map(id => [id, 'Frontend']),
+  ...['b1', 'b2', 'b3'].map(id => [id, 'backend ']),
+  ...['d1', 'd2', 'd3'].map(id => [id, '디자이너'])
+]);
+const roleMembers = [...Object.keys(roleOfMember), 'x1', 'x2'];
+const roleRules = [
+  { role: 'frontend', min: 1, max: null },
+  { role: 'Backend', min: 1, max: 1 },
+  { role: '디자이너', min: 1, max: 1 }
+];
+const getTestRole = id => roleOfMember[id];
+const countTestRole = (team, role) => team.filter(id => getTestRole(id)?.trim().toLowerCase() === role).length;
+['role-1', 'role-2', 'role-3', 42].forEach(seed => {
+  const roleTeams = distributeTeamsByRole(roleMembers, 3, { requirements: roleRules, getRole: getTestRole, seed });
+  assert.deepStrictEqual(roleTeams.map(team => team.length), [4, 4, 4]);
+  assert.deepStrictEqual(roleTeams.flat().sort(), [...roleMembers].sort());
+  roleTeams.forEach(team => {
+    assert.ok(countTestRole(team, 'frontend') >= 1);
+    assert.strictEqual(countTestRole(team, 'backend'), 1);
+    assert.strictEqual(countTestRole(team, '디자이너'), 1);
+  });
+  assert.deepStrictEqual(findRoleShortfalls(roleTeams, roleRules, { getRole: getTestRole }), []);
+  assert.deepStrictEqual(distributeTeamsByRole(roleMembers, 3, { requirements: roleRules, getRole: getTestRole, seed }), roleTeams);
+});
+// 조건 안에서는 무작위 (시드에 따라 다른 구성)
+assert.ok(new Set(['a', 'b', 'c', 'd', 'e'].map(seed =>
+  JSON.stringify(distributeTeamsByRole(roleMembers, 3, { requirements: roleRules, getRole: getTestRole, seed })))).size > 1);
+
+// 역할 멤버가 모자라면 한 팀에 몰지 않고 나눈 뒤, 모자란 팀을 이유와 함께 알려줌
+const scarceTeams = distributeTeamsByRole(['d1', 'd2', 'x1', 'x2', 'x3', 'x4'], 3, {
+  requirements: [{ role: '디자이너', min: 1, max: null }],
+  getRole: getTestRole,
+  seed: 'scarce'
+});
+assert.deepStrictEqual(scarceTeams.map(team => countTestRole(team, '디자이너')).sort(), [0, 1, 1]);
+const scarceShortfalls = findRoleShortfalls(scarceTeams, [{ role: '디자이너', min: 1, max: null }], { getRole: getTestRole });
+assert.deepStrictEqual(scarceShortfalls.map(({ reason, count }) => [reason, count]), [['not-enough-members', 0]]);
+assert.strictEqual(
+  scarceShortfalls[0].message,
+  `Team ${scarceShortfalls[0].teamIndex + 1} 디자이너 1명 이상 (현재 0명): 역할이 디자이너인 멤버가 2명뿐이라 3개 팀에 1명씩 배정할 수 없습니다.`
+);
+
+// 멤버는 충분하지만 한 팀에 몰린 경우, 최대 인원 초과, 팀 인원 부족
+assert.deepStrictEqual(
+  findRoleShortfalls([['b1', 'b2'], ['x1', 'x2']], [{ role: 'backend', min: 1, max: 1 }], { getRole: getTestRole })
+    .map(({ teamIndex, reason }) => [teamIndex, reason]),
+  [[0, 'over-max'], [1, 'unsatisfied']]
+);
+assert.deepStrictEqual(
+  findRoleShortfalls([['f1'], ['b1', 'f2', 'b2']], [{ role: 'frontend', min: 1, max: null }, { role: 'backend', min: 1, max: null }], { getRole: getTestRole })
+    .map(({ teamIndex, reason }) => [teamIndex, reason]),
+  [[0, 'team-too-small']]
+);
+
+// 팀 조건: 같은 역할의 모든 팀 조건보다 우선하고, 필요 인원 합계에 반영
+const teamRoleRules = [{ role: '디자이너', min: 1, max: 1, team: null }, { role: '디자이너', min: 2, max: 2, team: 0 }];
+assert.deepStrictEqual([...getRequiredRoleCounts(teamRoleRules, 3)], [['디자이너', 4]]);
+const teamRoleMembers = ['d1', 'd2', 'd3', 'd4', 'x1', 'x2', 'x3', 'x4', 'x5'];
+const getTeamTestRole = id => (id === 'd4' ? '디자이너' : getTestRole(id));
+['team-role-1', 'team-role-2', 'team-role-3'].forEach(seed => {
+  const teamRoleTeams = distributeTeamsByRole(teamRoleMembers, 3, { requirements: teamRoleRules, getRole: getTeamTestRole, seed });
+  assert.deepStrictEqual(teamRoleTeams.map(team => team.filter(id => id.startsWith('d')).length), [2, 1, 1], seed);
+  assert.deepStrictEqual(findRoleShortfalls(teamRoleTeams, teamRoleRules, { getRole: getTeamTestRole }), []);
+});
+// 팀 조건은 그 팀만 확인하고, 멤버가 모자라면 팀별 최소 인원 합계로 설명
+assert.deepStrictEqual(
+  findRoleShortfalls([['d1', 'x1'], ['d2', 'x2']], [{ role: '디자이너', min: 2, max: null, team: 0 }], { getRole: getTestRole })
+    .map(({ teamIndex, reason }) => [teamIndex, reason]),
+  [[0, 'unsatisfied']]
+);
+const teamRoleShortfalls = findRoleShortfalls([['d1', 'x1'], ['d2', 'x2'], ['d3', 'x3']], teamRoleRules, { getRole: getTestRole });
+assert.deepStrictEqual(teamRoleShortfalls.map(({ teamIndex, reason }) => [teamIndex, reason]), [[0, 'not-enough-members']]);
+assert.strictEqual(
+  teamRoleShortfalls[0].message,
+  'Team 1 디자이너 2명 (현재 1명): 역할이 디자이너인 멤버가 3명뿐이라 팀별 최소 인원 합계(4명)를 채울 수 없습니다.'
+);
+
+// 스토어: 같은 역할의 조건은 대체되고, 잘못된 조건은 무시됨
+memberStore.dispatch(resetState());
+memberStore.dispatch(setRoleRequirement(' 디자이너 ', 1, 1));
+memberStore.dispatch(setRoleRequirement('백엔드', 1));
+memberStore.dispatch(setRoleRequirement('디자이너', 1, 2));
+memberStore.dispatch(setRoleRequirement('기획', 2, 1));
+assert.deepStrictEqual(memberStore.getState().roleRequirements, [
+  { role: '디자이너', min: 1, max: 2, team: null },
+  { role: '백엔드', min: 1, max: null, team: null }
+]);
+assert.ok(PERSISTED_KEYS.includes('roleRequirements'));
+// 같은 역할이라도 팀이 다르면 따로 저장되고, 같은 팀의 조건만 대체됨
+memberStore.dispatch(setRoleRequirement('디자이너', 2, 2, 0));
+memberStore.dispatch(setRoleRequirement('디자이너', 0, 1, 1));
+memberStore.dispatch(setRoleRequirement('디자이너', 2, 3, 0));
+memberStore.dispatch(setRoleRequirement('디자이너', 1, null, -1));
+assert.deepStrictEqual(memberStore.getState().roleRequirements.slice(2), [
+  { role: '디자이너', min: 2, max: 3, team: 0 },
+  { role: '디자이너', min: 0, max: 1, team: 1 }
+]);
+memberStore.dispatch(removeRoleRequirement(3));
+memberStore.dispatch(removeRoleRequirement(2));
+
+// 분배: 역할 조건을 먼저 맞추고, 역할을 바꾸거나 멤버를 옮기면 getRoleShortfalls가 지금 구성 기준으로 알려줌
+memberStore.dispatch(removeRoleRequirement(0));
+memberStore.dispatch(importMembers([
+  { name: '가', role: '백엔드' }, { name: '나', role: '백엔드' }, { name: '다', role: '백엔드' },
+  { name: '라' }, { name: '마' }, { name: '바' }
+]));
+memberStore.dispatch(setTeamCount(3));
+const storeRoleTeams = distributeTeamsWithSettings({ seed: 'store-roles' }).teams;
+memberStore.dispatch(setTeams(storeRoleTeams, true, 'store-roles'));
+const backendIds = memberStore.getState().members.filter(({ role }) => role === '백엔드').map(({ id }) => id);
+assert.ok(storeRoleTeams.every(team => team.filter(id => backendIds.includes(id)).length === 1));
+assert.deepStrictEqual(memberStore.getRoleShortfalls(), []);
+memberStore.dispatch(editMember(backendIds[0], { role: '' }));
+const teamWithoutBackend = storeRoleTeams.findIndex(team => team.includes(backendIds[0]));
+assert.deepStrictEqual(memberStore.getRoleShortfalls().map(({ teamIndex, reason }) => [teamIndex, reason]), [[teamWithoutBackend, 'not-enough-members']]);
+memberStore.dispatch(editMember(backendIds[0], { role: '백엔드' }));
+const otherTeam = (teamWithoutBackend + 1) % 3;
+memberStore.dispatch(moveMember(backendIds[0], otherTeam));
+assert.deepStrictEqual(memberStore.getRoleShortfalls().map(({ teamIndex, reason }) => [teamIndex, reason]), [[teamWithoutBackend, 'unsatisfied']]);
+memberStore.dispatch(resetState());
+assert.deepStrictEqual(memberStore.getState().roleRequirements, []);
+
+// 일부 팀을 고정하고 다시 구성해도 고정하지 않은 팀에 역할 조건을 적용 (freshness 교환도 역할 조건을 어기지 않음)
+memberStore.dispatch(importMembers([
+  { name: '가', role: '디자이너' }, { name: '나' }, { name: '다' },
+  { name: '라', role: '디자이너' }, { name: '마', role: '디자이너' },
+  { name: '바' }, { name: '사' }, { name: '아' }, { name: '자' }
+]));
+memberStore.dispatch(setTeamCount(3));
+memberStore.dispatch(setTeams(nameTeamsToIds([['가', '나', '다'], ['라', '마', '바'], ['사', '아', '자']]), true, 'role-lock'));
+memberStore.dispatch(setTeamLock(0, true));
+memberStore.dispatch(setRoleRequirement('디자이너', 1, 1));
+const designerIds = ['가', '라', '마'].map(idOf);
+['random', 'freshness'].forEach(strategy => {
+  memberStore.dispatch(setDistributionStrategy(strategy));
+  ['role-lock-1', 'role-lock-2', 'role-lock-3', 'role-lock-4'].forEach(seed => {
+    const { teams } = distributeTeamsWithSettings({ seed });
+    assert.deepStrictEqual(nameTeamsOf(teams)[0], ['가', '나', '다'], seed);
+    assert.deepStrictEqual(teams.map(team => team.filter(id => designerIds.includes(id)).length), [1, 1, 1], `${strategy} ${seed}`);
+    assert.deepStrictEqual(teams.map(team => team.length), [3, 3, 3], seed);
+  });
+});
+// 팀 조건의 팀 인덱스는 전체 팀 기준 (고정한 팀의 조건은 건너뛰고, Team 3 조건은 Team 3에 적용)
+memberStore.dispatch(removeRoleRequirement(0));
+memberStore.dispatch(setRoleRequirement('디자이너', 3, 3, 0));
+memberStore.dispatch(setRoleRequirement('디자이너', 2, 2, 2));
+['random', 'freshness'].forEach(strategy => {
+  memberStore.dispatch(setDistributionStrategy(strategy));
+  ['role-lock-1', 'role-lock-2', 'role-lock-3'].forEach(seed => {
+    const { teams } = distributeTeamsWithSettings({ seed });
+    assert.deepStrictEqual(nameTeamsOf(teams)[0], ['가', '나', '다'], seed);
+    assert.deepStrictEqual(teams.map(team => team.filter(id => designerIds.includes(id)).length), [1, 0, 2], `${strategy} ${seed}`);
+  });
+});
+memberStore.dispatch(resetState());
+console.log('- 역할 조건 배분 검증 통과');
+
 /**
  * ===========================
  * 팀 분배 결과 저장 프로세스
  * ===========================
  */
 
-// TeamDecisionSaver 인스턴스 생성
-// - 생성자에서 저장 디렉토리 경로 설정 (data/teams/current)
-// - 이 시점에서는 실제 디렉토리는 아직 생성되지 않음
-const saver = new TeamDecisionSaver();
-
-try {
-  // saveTeamDecision 메서드 호출 (비동기 작업 시작)
-  // 1. distributor.getTeamStatus()
-  //    - 현재 팀 분배 상태를 객체로 반환
-  //    - 팀 구성, 멤버 정보 등이 포함됨
-  //
-  // 2. 저장 프로세스 (순차적 실행)
-  //    a. initializeDirectory() 호출
-  //       - data/teams/current 디렉토리 생성 (없는 경우)
-  //    b. 타임스탬프 생성 (현재 시간 기준)
-  //    c. 파일명 생성: team-distribute-{timestamp}.json
-  //    d. JSON 데이터 구성
-  //       - timestamp: 저장 시점
-  //       - teamData: 팀 분배 결과
-  //    e. 파일 시스템에 JSON 파일 작성
-  await saver.saveTeamDecision(distributor.getTeamStatus());
-
-  // 저장 성공 시 메시지 출력
-  console.log('\n팀 분배 결과가 성공적으로 저장되었습니다.');
-} catch (error) {
-  // 에러 발생 가능 케이스:
-  // 1. 디렉토리 생성 실패
-  // 2. 파일 쓰기 권한 부족
-  // 3. 디스크 공간 부족
-  // 4. 잘못된 파일 경로
-  // 5. JSON 직렬화 실패
-  console.error('팀 분배 결과 저장 중 오류가 발생했습니다:', error);
-}
+// 분배 결과 저장 (TeamDataController 하나로 저장)
+// - distributor.getTeamStatus()의 팀 이름별 멤버 정보를 { teams, teamNames, pms } 형식으로 바꿔 저장
+// - 저장소는 SERVER_CONFIG.DATA.STORE 설정으로 고르며, 테스트에서는 메모리 저장소를 사용
+// - 이전 결과는 보관(archiving)되고 새 결과가 현재 결과(current)가 됨
+const saveResult = await teamDataController.saveDistribution(distributor.getTeamStatus());
 
-/**
- * 참고: 비동기 처리 흐름
- * 1. 이 코드는 async/await를 사용하므로 반드시 async 함수 내부에서 실행되어야 함
- * 2. await 키워드로 인해 저장이 완료될 때까지 다음 코드 실행이 일시 중지됨
- * 3. 저장 작업은 메인 스레드를 차단하지 않음 (비동기 I/O 작업)
- */
+if (saveResult.success) {
+  console.log('\n팀 분배 결과가 성공적으로 저장되었습니다:', saveResult.id);
+} else {
+  // 저장소 초기화 실패, 쓰기 권한 부족, 디스크 공간 부족 등
+  console.error('팀 분배 결과 저장 중 오류가 발생했습니다:', saveResult.message);
+}
 
 console.log('\n------------------------------ TeamMember 클래스 기능 테스트 ------------------------------');
 // 2. TeamMember 클래스 기능 테스트
@@ -102,7 +1684,6 @@ console.log('- PM 해제 후:', member.getInfo());
  * 
  * 2. 팀원 관리 관련
  * - 팀 간 멤버 이동
- * - 팀별 PM 자동 지정
  * - PM 중복 지정 방지
  * - 팀별 인원 밸런스 조정
  * 
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview 원자적 파일 쓰기와 디렉토리 단위 쓰기 잠금
+ *
+ * @description
+ * - writeFileAtomic: 같은 디렉토리의 임시 파일에 먼저 쓰고 rename으로 교체하므로
+ *   쓰는 도중 프로세스가 죽어도 대상 파일은 이전 내용 또는 새 내용 중 하나로 남습니다.
+ * - withLock: 같은 키(디렉토리 경로)에 대한 작업을 요청 순서대로 하나씩 실행합니다.
+ *   잠금은 프로세스 안에서만 유효하므로 서버 프로세스 하나가 데이터 디렉토리를 쓴다고 가정합니다.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * 임시 파일 확장자 (저장 파일 목록을 읽을 때 .json만 읽으므로 남은 임시 파일은 무시됨)
+ * @constant {string}
+ */
+export const TEMP_FILE_SUFFIX = '.tmp';
+
+/**
+ * 키별 마지막 작업의 Promise (작업 대기열의 꼬리)
+ * @type {Map<*, Promise<void>>}
+ */
+const lockTails = new Map();
+
+/**
+ * @function writeFileAtomic
+ * @param {string} filePath - 저장할 파일 경로
+ * @param {string} data - 저장할 내용
+ * @returns {Promise<void>}
+ * @description
+ * 임시 파일에 내용을 쓰고 디스크에 반영(fsync)한 뒤 대상 경로로 rename합니다.
+ * 실패하면 임시 파일을 지우고 오류를 다시 던집니다.
+ *
+ * @example
+ * await writeFileAtomic('data/current/team-1.json', JSON.stringify(record, null, 2));
+ */
+export const writeFileAtomic = async (filePath, data) => {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${randomBytes(6).toString('hex')}${TEMP_FILE_SUFFIX}`
+    );
+
+    let handle;
+    try {
+        handle = await fs.open(tempPath, 'w');
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await handle?.close().catch(() => {});
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * @function withLock
+ * @param {*} key - 잠금 키 (보통 디렉토리 경로)
+ * @param {Function} task - 잠금을 잡은 상태에서 실행할 비동기 함수
+ * @returns {Promise<*>} task의 결과
+ * @description
+ * 같은 키의 앞선 작업이 끝난 뒤(성공/실패와 무관하게) task를 실행합니다.
+ * 대기 중인 작업이 없으면 키를 정리합니다.
+ *
+ * @example
+ * await withLock(CURRENT_DIR, async () => {
+ *     // 이 안의 파일 이동과 쓰기는 다른 저장 요청과 섞이지 않음
+ * });
+ */
+export const withLock = (key, task) => {
+    const previous = lockTails.get(key) ?? Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.then(() => {}, () => {});
+
+    lockTails.set(key, tail);
+    tail.then(() => {
+        if (lockTails.get(key) === tail) {
+            lockTails.delete(key);
+        }
+    });
+
+    return result;
+};
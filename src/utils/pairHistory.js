@@ -0,0 +1,112 @@
+/**
+ * @fileoverview 과거 팀 구성 기반 짝 반복 점수 계산
+ *
+ * @description
+ * 저장된 과거 분배 결과에서 두 사람이 같은 팀이었던 횟수를 세고,
+ * 새 팀 구성에서 이미 같은 팀이었던 짝이 얼마나 반복되는지(반복 짝 점수)를 계산합니다.
+ * freshness 전략은 팀 간 멤버 교환으로 이 점수를 최소화합니다.
+ * public/js/utils/pairHistory.js와 동일한 알고리즘을 사용합니다.
+ */
+
+/**
+ * 점수를 줄이는 교환(swap)을 시도할 최대 횟수
+ * @constant {number}
+ */
+const MAX_FRESHNESS_SWAPS = 200;
+
+/**
+ * @function pairKey
+ * @param {string} a - 멤버 이름
+ * @param {string} b - 멤버 이름
+ * @returns {string} 순서와 무관한 짝 키
+ */
+export const pairKey = (a, b) => JSON.stringify(a < b ? [a, b] : [b, a]);
+
+/**
+ * @function countPairs
+ * @param {Array<Array<Array<string>>>} distributions - 과거 분배 결과 목록 (분배별 팀 배열)
+ * @returns {Map<string, number>} 짝 키별 같은 팀이었던 횟수
+ *
+ * @example
+ * countPairs([[['a', 'b'], ['c']], [['a', 'b', 'c']]]).get(pairKey('a', 'b')); // 2
+ */
+export const countPairs = (distributions) => {
+    const pairCounts = new Map();
+
+    distributions.forEach(teams => teams.forEach(team => {
+        const members = [...new Set(team)];
+        members.forEach((a, i) => members.slice(i + 1).forEach(b => {
+            const key = pairKey(a, b);
+            pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+        }));
+    }));
+
+    return pairCounts;
+};
+
+/**
+ * @function toPairList
+ * @param {Map<string, number>} pairCounts - 짝 키별 횟수
+ * @returns {Array<{members: Array<string>, count: number}>} 횟수 내림차순 짝 목록 (API 응답용)
+ */
+export const toPairList = (pairCounts) =>
+    [...pairCounts.entries()]
+        .map(([key, count]) => ({ members: JSON.parse(key), count }))
+        .sort((x, y) => y.count - x.count || pairKey(...x.members).localeCompare(pairKey(...y.members)));
+
+/**
+ * @function getRepeatScore
+ * @param {Array<string>} team - 팀 멤버 배열
+ * @param {Map<string, number>} pairCounts - 짝 키별 횟수
+ * @returns {number} 팀 안의 모든 짝이 과거에 같은 팀이었던 횟수의 합
+ */
+export const getRepeatScore = (team, pairCounts) =>
+    team.reduce((score, a, i) =>
+        score + team.slice(i + 1).reduce((sum, b) => sum + (pairCounts.get(pairKey(a, b)) || 0), 0), 0);
+
+/**
+ * @function minimizeRepeatPairs
+ * @param {Array<Array<string>>} teams - 처음 분배된 팀 배열 (팀 인원은 그대로 유지됨)
+ * @param {Map<string, number>} pairCounts - 짝 키별 횟수
+ * @returns {Array<Array<string>>} 반복 짝 점수를 줄인 팀 배열
+ * @description
+ * 두 팀 간 멤버 교환 중 전체 반복 짝 점수를 가장 많이 줄이는 교환을 반복 적용합니다.
+ * 처음 분배가 시드로 정해지므로 같은 시드와 같은 이력이면 같은 결과가 나옵니다.
+ */
+export const minimizeRepeatPairs = (teams, pairCounts) => {
+    const result = teams.map(team => [...team]);
+    if (!pairCounts.size) {
+        return result;
+    }
+
+    const count = (a, b) => pairCounts.get(pairKey(a, b)) || 0;
+    // member가 team(except 제외)의 멤버들과 같은 팀이었던 횟수 합
+    const affinity = (member, team, except) =>
+        team.reduce((sum, other) => (other === except ? sum : sum + count(member, other)), 0);
+
+    for (let swap = 0; swap < MAX_FRESHNESS_SWAPS; swap++) {
+        let best = null;
+
+        for (let a = 0; a < result.length; a++) {
+            for (let b = a + 1; b < result.length; b++) {
+                result[a].forEach((x, i) => {
+                    result[b].forEach((y, j) => {
+                        const gain =
+                            affinity(x, result[a], x) + affinity(y, result[b], y) -
+                            affinity(y, result[a], x) - affinity(x, result[b], y);
+                        if (gain > 0 && (!best || gain > best.gain)) {
+                            best = { a, b, i, j, gain };
+                        }
+                    });
+                });
+            }
+        }
+
+        if (!best) break;
+
+        const { a, b, i, j } = best;
+        [result[a][i], result[b][j]] = [result[b][j], result[a][i]];
+    }
+
+    return result;
+};
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview 선언적 스키마 기반 데이터 검증
+ *
+ * @description
+ * API 요청 본문과 쿼리 값을 스키마로 검사하고, 오류마다 JSON 포인터(RFC 6901),
+ * 오류 코드, 요청 언어에 맞는 메시지를 돌려줍니다.
+ *
+ * 스키마 키워드:
+ * - type: 'object' | 'array' | 'string' | 'integer' | 'number' | 'boolean' | 'null' (배열로 여러 형식 허용)
+ * - object: properties, required
+ * - array: items, minItems, maxItems, uniqueItems
+ * - string: minLength, maxLength, pattern, trim (true면 앞뒤 공백을 빼고 길이 검사)
+ * - integer/number: minimum, maximum
+ * - enum: 허용 값 목록 (모든 형식)
+ * - check: (value, root) => [{ pointer?, code, params? }] 형태의 추가 검사
+ *   (해당 값과 하위 값에 구조 오류가 없을 때만 실행, pointer는 값 기준 상대 경로)
+ */
+
+/**
+ * 지원하는 언어 (첫 번째 값이 기본 언어)
+ * @constant {Array<string>}
+ */
+export const SUPPORTED_LOCALES = ['ko', 'en'];
+
+/**
+ * 공통 오류 코드별 메시지 ({field}와 params 값이 치환됨)
+ * @constant {Object<string, Object<string, string>>}
+ */
+const BASE_MESSAGES = {
+    ko: {
+        required: '{field}은(는) 필수 항목입니다.',
+        type: '{field}은(는) {expected} 형식이어야 합니다.',
+        enum: '{field}은(는) {allowed} 중 하나여야 합니다.',
+        min_length: '{field}은(는) {limit}자 이상이어야 합니다.',
+        max_length: '{field}은(는) {limit}자 이하여야 합니다.',
+        pattern: '{field}의 형식이 올바르지 않습니다.',
+        min_items: '{field}은(는) {limit}개 이상이어야 합니다.',
+        max_items: '{field}은(는) {limit}개 이하여야 합니다.',
+        unique_items: '{field}에 중복된 값이 있습니다.',
+        minimum: '{field}은(는) {limit} 이상이어야 합니다.',
+        maximum: '{field}은(는) {limit} 이하여야 합니다.'
+    },
+    en: {
+        required: '{field} is required.',
+        type: '{field} must be of type {expected}.',
+        enum: '{field} must be one of {allowed}.',
+        min_length: '{field} must be at least {limit} characters long.',
+        max_length: '{field} must be at most {limit} characters long.',
+        pattern: '{field} has an invalid format.',
+        min_items: '{field} must contain at least {limit} items.',
+        max_items: '{field} must contain at most {limit} items.',
+        unique_items: '{field} must not contain duplicate values.',
+        minimum: '{field} must be greater than or equal to {limit}.',
+        maximum: '{field} must be less than or equal to {limit}.'
+    }
+};
+
+/**
+ * 메시지에 표시할 형식 이름
+ * @constant {Object<string, Object<string, string>>}
+ */
+const TYPE_NAMES = {
+    ko: {
+        object: '객체',
+        array: '배열',
+        string: '문자열',
+        integer: '정수',
+        number: '숫자',
+        boolean: '불리언',
+        null: 'null'
+    },
+    en: {
+        object: 'object',
+        array: 'array',
+        string: 'string',
+        integer: 'integer',
+        number: 'number',
+        boolean: 'boolean',
+        null: 'null'
+    }
+};
+
+/**
+ * 최상위 값을 가리킬 때 쓰는 필드 이름
+ * @constant {Object<string, string>}
+ */
+const ROOT_FIELD = { ko: '요청 데이터', en: 'request body' };
+
+/**
+ * @function resolveLocale
+ * @param {string} [acceptLanguage] - Accept-Language 헤더 값
+ * @returns {string} 지원하는 언어 중 가장 선호도가 높은 언어 (없으면 기본 언어)
+ *
+ * @example
+ * resolveLocale('en-US,en;q=0.9,ko;q=0.8'); // 'en'
+ */
+export const resolveLocale = (acceptLanguage) => {
+    if (typeof acceptLanguage !== 'string') {
+        return SUPPORTED_LOCALES[0];
+    }
+
+    const preferred = acceptLanguage
+        .split(',')
+        .map(part => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.find(option => option.trim().startsWith('q='));
+            return { language: tag.toLowerCase().split('-')[0], q: quality ? Number(quality.trim().slice(2)) : 1 };
+        })
+        .filter(({ language, q }) => SUPPORTED_LOCALES.includes(language) && q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return preferred[0]?.language ?? SUPPORTED_LOCALES[0];
+};
+
+/**
+ * @function toPointer
+ * @param {Array<string|number>} path - 경로 조각
+ * @returns {string} JSON 포인터 (예: '/teams/0/1')
+ */
+export const toPointer = (path) =>
+    path.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+/**
+ * @function toFieldName
+ * @param {Array<string|number>} path - 경로 조각
+ * @param {string} locale - 언어
+ * @returns {string} 메시지에 표시할 필드 이름 (예: 'teams[0][1]', 'constraints[0].members')
+ */
+const toFieldName = (path, locale) => {
+    if (!path.length) {
+        return ROOT_FIELD[locale];
+    }
+
+    return path
+        .map((segment, index) => {
+            if (typeof segment === 'number') return `[${segment}]`;
+            return index === 0 ? segment : `.${segment}`;
+        })
+        .join('');
+};
+
+/**
+ * @function formatMessage
+ * @param {string} template - 메시지 템플릿
+ * @param {Object} values - 치환할 값
+ * @returns {string} 치환된 메시지
+ */
+const formatMessage = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, key) => {
+        const value = values[key];
+        if (value === undefined) return match;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+
+/**
+ * @function typeOf
+ * @param {*} value - 값
+ * @returns {string} 스키마 형식 이름
+ */
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * @function matchesType
+ * @param {*} value - 값
+ * @param {string|Array<string>} [type] - 허용 형식
+ * @returns {boolean} 형식이 맞는지 여부 (integer는 number로도 인정)
+ */
+const matchesType = (value, type) => {
+    if (type === undefined) return true;
+
+    const actual = typeOf(value);
+    return [].concat(type).some(expected =>
+        expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+/**
+ * @function collectErrors
+ * @param {Object} schema - 스키마
+ * @param {*} value - 검사할 값
+ * @param {Array<string|number>} path - 현재 경로
+ * @param {*} root - 최상위 값 (check 함수에 전달)
+ * @param {Array<Object>} errors - 오류를 모을 배열 ({ path, code, params })
+ */
+const collectErrors = (schema, value, path, root, errors) => {
+    const errorCount = errors.length;
+    const fail = (code, params = {}, at = path) => errors.push({ path: at, code, params });
+
+    if (!matchesType(value, schema.type)) {
+        fail('type', { expected: [].concat(schema.type) });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('enum', { allowed: schema.enum });
+    }
+
+    if (typeof value === 'string') {
+        const length = schema.trim ? value.trim().length : value.length;
+        if (schema.minLength !== undefined && length < schema.minLength) fail('min_length', { limit: schema.minLength });
+        if (schema.maxLength !== undefined && length > schema.maxLength) fail('max_length', { limit: schema.maxLength });
+        if (schema.pattern && !schema.pattern.test(value)) fail('pattern');
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', { limit: schema.minimum });
+        if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', { limit: schema.maximum });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('min_items', { limit: schema.minItems });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('max_items', { limit: schema.maxItems });
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail('unique_items');
+        }
+        if (schema.items) {
+            value.forEach((item, index) => collectErrors(schema.items, item, [...path, index], root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => fail('required', {}, [...path, key]));
+
+        Object.entries(schema.properties || {})
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([key, propertySchema]) =>
+                collectErrors(propertySchema, value[key], [...path, key], root, errors));
+    }
+
+    // 구조 오류가 없을 때만 추가 검사 실행
+    if (schema.check && errors.length === errorCount) {
+        schema.check(value, root).forEach(({ pointer = [], code, params }) =>
+            fail(code, params, [...path, ...pointer]));
+    }
+};
+
+/**
+ * @function validateSchema
+ * @param {Object} schema - 스키마
+ * @param {*} data - 검사할 값
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 메시지 언어
+ * @param {Object<string, Object<string, string>>} [options.messages] - 추가 오류 코드별 메시지 (언어별)
+ * @returns {{valid: boolean, errors: Array<{pointer: string, code: string, message: string}>}} 검사 결과
+ *
+ * @example
+ * validateSchema({ type: 'object', required: ['teams'] }, {});
+ * // { valid: false, errors: [{ pointer: '/teams', code: 'required', message: 'teams은(는) 필수 항목입니다.' }] }
+ */
+export const validateSchema = (schema, data, { locale = SUPPORTED_LOCALES[0], messages = {} } = {}) => {
+    const language = SUPPORTED_LOCALES.includes(locale) ? locale : SUPPORTED_LOCALES[0];
+    const collected = [];
+    collectErrors(schema, data, [], data, collected);
+
+    const errors = collected.map(({ path, code, params }) => {
+        const template = messages[language]?.[code] ?? BASE_MESSAGES[language][code] ?? code;
+        const values = { field: toFieldName(path, language), ...params };
+        if (values.expected) {
+            values.expected = values.expected.map(type => TYPE_NAMES[language][type] ?? type);
+        }
+
+        return {
+            pointer: toPointer(path),
+            code,
+            message: formatMessage(template, values)
+        };
+    });
+
+    return { valid: errors.length === 0, errors };
+};
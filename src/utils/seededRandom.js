@@ -0,0 +1,57 @@
+/**
+ * @fileoverview 시드 기반 난수 생성기
+ *
+ * @description
+ * 같은 시드로 항상 같은 난수열을 만드는 PRNG(mulberry32)를 제공합니다.
+ * 시드 문자열은 FNV-1a 해시로 32비트 정수로 변환합니다.
+ * public/js/utils/seededRandom.js와 동일한 알고리즘이므로
+ * 브라우저와 서버에서 같은 시드로 같은 분배 결과를 재현할 수 있습니다.
+ */
+
+/**
+ * @function hashSeed
+ * @param {string|number} seed - 시드 값
+ * @returns {number} 32비트 부호 없는 정수 해시
+ * @description 시드를 FNV-1a 알고리즘으로 32비트 정수로 변환합니다.
+ */
+export const hashSeed = (seed) => {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+};
+
+/**
+ * @function createSeededRandom
+ * @param {string|number} seed - 시드 값
+ * @returns {Function} Math.random처럼 [0, 1) 범위의 실수를 반환하는 함수
+ * @description mulberry32 알고리즘 기반의 시드 난수 생성기를 만듭니다.
+ *
+ * @example
+ * const random = createSeededRandom('2025-spring');
+ * random(); // 같은 시드라면 항상 같은 값
+ */
+export const createSeededRandom = (seed) => {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * @function generateSeed
+ * @returns {string} base36 시드 문자열
+ * @description 시드가 지정되지 않은 분배에 기록할 새 시드를 생성합니다.
+ */
+export const generateSeed = () =>
+    Math.floor(Math.random() * 0xffffffff).toString(36).padStart(7, '0');
@@ -1,21 +1,30 @@
+import { createSeededRandom } from './seededRandom.js';
+
 /**
  * @function shuffleArray
  * @param {Array} array - 섞을 배열
+ * @param {Object} [options] - 섞기 옵션
+ * @param {string|number} [options.seed] - 시드 값 (지정하면 항상 같은 순서로 섞임)
  * @returns {Object} 섞인 배열과 관련 정보를 담은 객체
  * @description
  * Fisher-Yates 알고리즘을 사용하여 배열을 무작위로 섞습니다.
  * 원본 배열은 변경하지 않고 새로운 배열을 반환합니다.
+ * 시드가 없으면 Math.random()을 사용합니다.
  * 
  * @example
  * const array = [1, 2, 3, 4, 5];
  * const result = shuffleArray(array);
  * console.log(result.shuffledArray); // 섞인 배열
+ *
+ * // 같은 시드는 같은 결과를 만듭니다
+ * shuffleArray(array, { seed: 'abc' }).shuffledArray; // 항상 동일
  */
-const shuffleArray = (array) => {
+const shuffleArray = (array, { seed } = {}) => {
     const shuffled = [...array];
+    const random = seed === undefined || seed === null ? Math.random : createSeededRandom(seed);
     
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
 
@@ -25,4 +34,4 @@ const shuffleArray = (array) => {
     };
 };
 
-export default shuffleArray; 
\ No newline at end of file
+export default shuffleArray; 
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview 팀 배정 규칙(같은 팀 / 다른 팀) 적용
+ *
+ * @description
+ * 이미 분배된 팀에 "반드시 같은 팀(together)", "반드시 다른 팀(apart)" 규칙을 적용합니다.
+ * 처음 분배 결과가 모든 규칙을 만족하면 그대로 두고, 그렇지 않으면 팀 인원을 유지한 채
+ * 같은 팀 묶음 단위로 다시 배치합니다. 모든 규칙을 만족할 수 없으면 최대한 배치한 뒤
+ * 지키지 못한 규칙과 이유를 함께 반환합니다.
+ * public/js/utils/teamConstraints.js와 동일한 알고리즘이므로 같은 입력이면 같은 결과를 만듭니다.
+ */
+
+/**
+ * 지원하는 규칙 종류
+ * @constant {Array<string>}
+ */
+export const CONSTRAINT_TYPES = ['together', 'apart'];
+
+/**
+ * 재배치 탐색 단계 상한 (규칙이 많을 때 탐색 시간이 무한정 늘어나지 않도록 제한)
+ * @constant {number}
+ */
+const MAX_SEARCH_STEPS = 20000;
+
+/**
+ * @function describeConstraint
+ * @param {Object} constraint - 규칙
+ * @returns {string} 사람이 읽을 수 있는 규칙 설명
+ */
+export const describeConstraint = ({ type, members }) =>
+    `${members.join('·')} ${type === 'together' ? '같은 팀' : '다른 팀'}`;
+
+/**
+ * @function createViolation
+ * @param {Object} constraint - 지키지 못한 규칙
+ * @param {string} reason - 이유 코드
+ * @param {string} detail - 이유 설명
+ * @returns {Object} 규칙 위반 정보
+ */
+const createViolation = (constraint, reason, detail) => ({
+    constraint,
+    reason,
+    message: `${describeConstraint(constraint)}: ${detail}`
+});
+
+/**
+ * @function isSatisfied
+ * @param {Object} constraint - 규칙
+ * @param {Map<string, number>} teamOf - 멤버별 팀 인덱스
+ * @returns {boolean} 규칙을 만족하는지 여부
+ */
+const isSatisfied = ({ type, members: [a, b] }, teamOf) =>
+    type === 'together' ? teamOf.get(a) === teamOf.get(b) : teamOf.get(a) !== teamOf.get(b);
+
+/**
+ * @function mapTeamIndexes
+ * @param {Array<Array<string>>} teams - 팀 배열
+ * @returns {Map<string, number>} 멤버별 팀 인덱스
+ */
+const mapTeamIndexes = (teams) => {
+    const teamOf = new Map();
+    teams.forEach((team, index) => team.forEach(member => teamOf.set(member, index)));
+    return teamOf;
+};
+
+/**
+ * @function applyTeamConstraints
+ * @param {Array<Array<string>>} teams - 처음 분배된 팀 배열 (팀 인원은 그대로 유지됨)
+ * @param {Array<Object>} [constraints=[]] - 규칙 목록 ({ type: 'together'|'apart', members: [a, b] })
+ * @returns {Object} 규칙을 적용한 결과
+ * @returns {Array<Array<string>>} result.teams - 규칙을 적용한 팀 배열
+ * @returns {Array<Object>} result.violations - 지키지 못한 규칙 ({ constraint, reason, message })
+ * @description
+ * 이유 코드:
+ * - invalid-constraint: 규칙 형식이 올바르지 않음
+ * - unknown-member: 분배 대상에 없는 멤버가 포함됨
+ * - group-too-large: 같은 팀 규칙으로 묶인 인원이 팀 최대 인원보다 많음
+ * - contradiction: 같은 팀 규칙으로 묶인 멤버끼리 다른 팀 규칙이 있음
+ * - unsatisfiable: 팀 인원 안에서 모든 규칙을 동시에 만족하는 배치가 없음
+ *
+ * @example
+ * applyTeamConstraints([['a', 'b'], ['c', 'd']], [{ type: 'apart', members: ['a', 'b'] }]);
+ * // { teams: [['a', 'd'], ['b', 'c']], violations: [] }
+ */
+export const applyTeamConstraints = (teams, constraints = []) => {
+    if (!constraints.length) {
+        return { teams, violations: [] };
+    }
+
+    const initialOrder = teams.flat();
+    const position = new Map(initialOrder.map((member, index) => [member, index]));
+    const initialTeamOf = mapTeamIndexes(teams);
+    const violations = [];
+    // 재배치 대상에서 빠진 규칙 (최종 배치에서도 지켜지지 않은 경우에만 보고)
+    const dropped = [];
+
+    // 1. 형식과 멤버 존재 여부 확인
+    const active = constraints.filter(constraint => {
+        const { type, members } = constraint || {};
+        if (!CONSTRAINT_TYPES.includes(type) || !Array.isArray(members) ||
+            members.length !== 2 || members[0] === members[1]) {
+            violations.push({
+                constraint,
+                reason: 'invalid-constraint',
+                message: '규칙은 서로 다른 두 멤버와 together 또는 apart 종류로 지정해야 합니다.'
+            });
+            return false;
+        }
+
+        const missing = members.filter(member => !position.has(member));
+        if (missing.length) {
+            violations.push(createViolation(constraint, 'unknown-member',
+                `${missing.join(', ')}은(는) 분배 대상 멤버가 아닙니다.`));
+            return false;
+        }
+
+        return true;
+    });
+
+    // 2. 같은 팀 규칙을 묶음으로 합침 (union-find)
+    const parent = new Map(initialOrder.map(member => [member, member]));
+    const find = (member) => {
+        while (parent.get(member) !== member) {
+            member = parent.get(member);
+        }
+        return member;
+    };
+    const buildGroups = (togetherRules) => {
+        initialOrder.forEach(member => parent.set(member, member));
+        togetherRules.forEach(({ members: [a, b] }) => parent.set(find(a), find(b)));
+
+        const groups = new Map();
+        initialOrder.forEach(member => {
+            const root = find(member);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(member);
+        });
+        return groups;
+    };
+
+    const maxTeamSize = Math.max(...teams.map(team => team.length));
+    let together = active.filter(({ type }) => type === 'together');
+    let apart = active.filter(({ type }) => type === 'apart');
+    let groups = buildGroups(together);
+
+    // 3. 팀 최대 인원보다 큰 묶음은 풀어서 개별 멤버로 배치
+    const oversized = [...groups.values()].filter(group => group.length > maxTeamSize);
+    if (oversized.length) {
+        const oversizedMembers = new Set(oversized.flat());
+        together = together.filter(constraint => {
+            if (!oversizedMembers.has(constraint.members[0])) return true;
+            const size = groups.get(find(constraint.members[0])).length;
+            dropped.push(createViolation(constraint, 'group-too-large',
+                `같은 팀으로 묶인 인원(${size}명)이 팀 최대 인원(${maxTeamSize}명)보다 많습니다.`));
+            return false;
+        });
+        groups = buildGroups(together);
+    }
+
+    // 4. 같은 묶음 안의 다른 팀 규칙은 만족할 수 없음
+    apart = apart.filter(constraint => {
+        const [a, b] = constraint.members;
+        if (find(a) !== find(b)) return true;
+        dropped.push(createViolation(constraint, 'contradiction',
+            '같은 팀 규칙으로 묶인 멤버끼리는 다른 팀으로 나눌 수 없습니다.'));
+        return false;
+    });
+
+    const rules = [...together, ...apart];
+
+    // 최종 배치에서 지켜지지 않은 규칙을 이유와 함께 보고
+    const report = (finalTeams, unsatisfied = []) => {
+        const teamOf = mapTeamIndexes(finalTeams);
+        dropped
+            .filter(({ constraint }) => !isSatisfied(constraint, teamOf))
+            .forEach(violation => violations.push(violation));
+        unsatisfied.forEach(rule => violations.push(createViolation(rule, 'unsatisfiable',
+            '팀 인원 안에서 다른 규칙과 동시에 만족하는 배치를 찾지 못했습니다.')));
+        return { teams: finalTeams, violations };
+    };
+
+    // 처음 분배가 이미 모든 규칙을 만족하면 그대로 사용
+    if (rules.every(rule => isSatisfied(rule, initialTeamOf))) {
+        return report(teams);
+    }
+
+    // 5. 묶음 단위로 재배치 (큰 묶음 먼저, 원래 팀을 우선 시도)
+    const avoid = new Map(initialOrder.map(member => [member, new Set()]));
+    apart.forEach(({ members: [a, b] }) => {
+        avoid.get(a).add(b);
+        avoid.get(b).add(a);
+    });
+
+    const units = [...groups.values()].sort((x, y) =>
+        y.length - x.length || position.get(x[0]) - position.get(y[0]));
+    const preferences = units.map(unit => {
+        const counts = teams.map((_, index) =>
+            unit.filter(member => initialTeamOf.get(member) === index).length);
+        return teams
+            .map((_, index) => index)
+            .sort((x, y) => counts[y] - counts[x] || x - y);
+    });
+
+    const capacity = teams.map(team => team.length);
+    const assignment = teams.map(() => []);
+    const conflicts = (unit, team) =>
+        unit.some(member => team.some(other => avoid.get(member).has(other)));
+
+    let steps = 0;
+    const place = (unitIndex) => {
+        if (unitIndex === units.length) return true;
+        if (++steps > MAX_SEARCH_STEPS) return false;
+
+        const unit = units[unitIndex];
+        for (const teamIndex of preferences[unitIndex]) {
+            const team = assignment[teamIndex];
+            if (team.length + unit.length > capacity[teamIndex] || conflicts(unit, team)) continue;
+
+            team.push(...unit);
+            if (place(unitIndex + 1)) return true;
+            team.splice(team.length - unit.length, unit.length);
+        }
+        return false;
+    };
+
+    if (!place(0)) {
+        // 모든 규칙을 만족하는 배치가 없으면 충돌이 가장 적은 팀부터 채움
+        assignment.forEach(team => team.splice(0));
+        units.forEach((unit, unitIndex) => {
+            const fits = preferences[unitIndex]
+                .filter(teamIndex => assignment[teamIndex].length + unit.length <= capacity[teamIndex]);
+            const target = fits.find(teamIndex => !conflicts(unit, assignment[teamIndex])) ?? fits[0];
+
+            if (target !== undefined) {
+                assignment[target].push(...unit);
+                return;
+            }
+
+            // 묶음이 통째로 들어갈 팀이 없으면 멤버별로 나눠 배치
+            unit.forEach(member => {
+                const open = preferences[unitIndex]
+                    .filter(teamIndex => assignment[teamIndex].length < capacity[teamIndex]);
+                const teamIndex = open.find(index => !conflicts([member], assignment[index])) ?? open[0];
+                assignment[teamIndex].push(member);
+            });
+        });
+    }
+
+    // 팀 안의 멤버 순서는 처음 분배 순서를 따름
+    const result = assignment.map(team => [...team].sort((a, b) => position.get(a) - position.get(b)));
+    const teamOf = mapTeamIndexes(result);
+
+    return report(result, rules.filter(rule => !isSatisfied(rule, teamOf)));
+};
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview 팀 분배 결과 문서 형식과 이전 형식 변환(마이그레이션)
+ *
+ * @description
+ * 저장되는 모든 팀 분배 결과는 다음 형식(schemaVersion 1)을 따릅니다.
+ * {
+ *   schemaVersion: 1,
+ *   teams: [{ name: 'team1', members: [{ id: 'team1-1', name: '피카츄', role: 'pm', isPM: true, profile: { rating: 3, role: '프론트엔드' } }, ...] }, ...],
+ *   strategy: 'random' | null,
+ *   seed: string | number | null,
+ *   metadata: { createdAt, updatedAt, name, notes, distribution?: { id, verified }, ... }
+ * }
+ * metadata.distribution은 서버 분배 결과 ID(distributionId)와 함께 저장한 경우에만 있으며,
+ * verified는 저장한 팀이 서버가 분배한 팀과 같았는지(이후 멤버를 교환하면 false) 나타냅니다.
+ * role은 팀 안에서의 역할(PM 여부)이고, 멤버 프로필(실력 점수, 역할, 태그 등)은 profile에 그대로 담습니다.
+ * (profile은 프로필 값이 있는 멤버만 가짐)
+ *
+ * schemaVersion이 없는 문서(버전 0)는 다음 두 가지 이전 형식 중 하나입니다.
+ * - 분배 결과 저장 형식: { timestamp, teamData: { 팀이름: [{ id, memberName, isPM, ... }, ...] } }
+ * - 팀 구성 저장 형식: { teams: [['멤버1' 또는 { id, name, profile? }, ...], ...], pms?, teamNames?, seed?, strategy?, name?, notes?, updatedAt?, metadata? }
+ *   (멤버가 { id, name }이면 멤버 ID를 그대로 쓰고 pms도 멤버 ID로 비교)
+ * 읽을 때 migrateTeamDocument로 현재 버전으로 올린 뒤 사용합니다.
+ */
+
+/**
+ * 현재 문서 형식 버전
+ * @constant {number}
+ */
+export const TEAM_DOCUMENT_VERSION = 1;
+
+/**
+ * 멤버 역할
+ * @constant {Object<string, string>}
+ */
+export const MEMBER_ROLES = { PM: 'pm', MEMBER: 'member' };
+
+/**
+ * @function defaultTeamName
+ * @param {number} index - 팀 순서 (0부터 시작)
+ * @returns {string} 기본 팀 이름 (TeamDistributor와 같은 team1, team2, ... 형식)
+ */
+const defaultTeamName = (index) => `team${index + 1}`;
+
+/**
+ * @function createMember
+ * @param {string} teamName - 팀 이름
+ * @param {number} index - 팀 안에서의 순서 (0부터 시작)
+ * @param {string} name - 멤버 이름
+ * @param {boolean} isPM - PM 여부
+ * @param {string} [id] - 멤버 ID (없으면 TeamMember와 같은 '팀이름-순번' 형식)
+ * @param {Object} [profile] - 멤버 프로필 (비어 있으면 담지 않음)
+ * @returns {{id: string, name: string, role: string, isPM: boolean, profile?: Object}} 문서의 멤버
+ */
+const createMember = (teamName, index, name, isPM, id, profile) => ({
+    id: id ?? `${teamName}-${index + 1}`,
+    name,
+    role: isPM ? MEMBER_ROLES.PM : MEMBER_ROLES.MEMBER,
+    isPM,
+    ...(profile && typeof profile === 'object' && Object.keys(profile).length > 0 && { profile })
+});
+
+/**
+ * @function getDocumentVersion
+ * @param {Object} record - 저장된 데이터
+ * @returns {number} 문서 형식 버전 (schemaVersion이 없으면 0)
+ */
+export const getDocumentVersion = (record) =>
+    Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 0;
+
+/**
+ * 분배 결과 저장 형식({ timestamp, teamData })을 버전 1 문서로 바꿉니다.
+ * @param {Object} record - 이전 형식 데이터
+ * @returns {Object} 버전 1 문서
+ */
+const migrateTeamDataRecord = ({ timestamp, teamData, strategy = null, seed = null, metadata = {} }) => ({
+    schemaVersion: 1,
+    teams: Object.entries(teamData)
+        .filter(([, members]) => Array.isArray(members))
+        .map(([teamName, members]) => ({
+            name: teamName,
+            members: members.map((member, index) => typeof member === 'string'
+                ? createMember(teamName, index, member, false)
+                : createMember(teamName, index, member.memberName, Boolean(member.isPM), member.id))
+        })),
+    strategy,
+    seed,
+    metadata: { ...metadata, createdAt: timestamp ?? metadata.createdAt ?? null }
+});
+
+/**
+ * 팀 구성 저장 형식({ teams: [[이름 또는 { id, name, profile }]] })을 버전 1 문서로 바꿉니다.
+ * @param {Object} record - 이전 형식 데이터
+ * @returns {Object} 버전 1 문서
+ */
+const migrateTeamListRecord = ({ teams, pms = [], teamNames = [], strategy = null, seed = null, name, notes, updatedAt, metadata = {} }) => ({
+    schemaVersion: 1,
+    teams: teams
+        .filter(Array.isArray)
+        .map((members, teamIndex) => {
+            const teamName = teamNames[teamIndex] ?? defaultTeamName(teamIndex);
+            return {
+                name: teamName,
+                members: members.map((member, index) => typeof member === 'string'
+                    ? createMember(teamName, index, member, pms[teamIndex] === member)
+                    : createMember(teamName, index, member.name, pms[teamIndex] === member.id, member.id, member.profile))
+            };
+        }),
+    strategy,
+    seed,
+    metadata: {
+        createdAt: null,
+        ...metadata,
+        ...(name !== undefined && { name }),
+        ...(notes !== undefined && { notes }),
+        ...(updatedAt !== undefined && { updatedAt })
+    }
+});
+
+/**
+ * 버전별 마이그레이션 (from 버전 문서를 from + 1 버전 문서로 바꿈)
+ * @constant {Object<number, Function>}
+ */
+const MIGRATIONS = {
+    0: (record) => {
+        if (record?.teamData && typeof record.teamData === 'object') {
+            return migrateTeamDataRecord(record);
+        }
+        if (Array.isArray(record?.teams)) {
+            return migrateTeamListRecord(record);
+        }
+        throw new Error('알 수 없는 팀 데이터 형식입니다.');
+    }
+};
+
+/**
+ * @function migrateTeamDocument
+ * @param {Object} record - 저장된 데이터 (이전 형식 또는 현재 형식)
+ * @returns {Object} 현재 버전 문서 (이미 현재 버전이면 그대로 반환)
+ * @throws {Error} 형식을 알 수 없거나 지원하는 버전보다 새 문서인 경우
+ *
+ * @example
+ * migrateTeamDocument({ teams: [['a', 'b']], pms: ['b'] });
+ * // { schemaVersion: 1, teams: [{ name: 'team1', members: [{ id: 'team1-1', name: 'a', role: 'member', isPM: false }, ...] }], ... }
+ */
+export const migrateTeamDocument = (record) => {
+    let document = record;
+    let version = getDocumentVersion(record);
+
+    if (version > TEAM_DOCUMENT_VERSION) {
+        throw new Error(`지원하지 않는 문서 버전입니다: ${version} (최대 ${TEAM_DOCUMENT_VERSION})`);
+    }
+
+    while (version < TEAM_DOCUMENT_VERSION) {
+        document = MIGRATIONS[version](document);
+        version = getDocumentVersion(document);
+    }
+
+    return document;
+};
+
+/**
+ * @function toTeamArrays
+ * @param {Object} document - 현재 버전 문서
+ * @returns {Array<Array<string>>} 팀별 멤버 이름 배열 (짝 이력 계산용)
+ */
+export const toTeamArrays = (document) =>
+    document.teams.map(team => team.members.map(member => member.name));
+
+/**
+ * @function toPMNames
+ * @param {Object} document - 현재 버전 문서
+ * @returns {Array<string>} PM 이름 목록 (PM 이력 계산용)
+ */
+export const toPMNames = (document) =>
+    document.teams.flatMap(team => team.members.filter(member => member.isPM).map(member => member.name));
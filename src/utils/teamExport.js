@@ -0,0 +1,165 @@
+/**
+ * @fileoverview 팀 분배 결과 문서를 CSV, Markdown, JSON, 인쇄용 HTML로 내보내기
+ *
+ * @description
+ * 입력은 teamDocument.js의 현재 버전 문서입니다.
+ * - csv: team,member,role 열 (엑셀에서 한글이 깨지지 않도록 UTF-8 BOM 포함)
+ * - md: 채팅에 붙여넣기 좋은 팀별 한 줄 표
+ * - json: 문서 그대로 (들여쓰기 2칸)
+ * - html: 팀마다 카드 하나인 인쇄용 페이지
+ * public/js/utils/teamExport.js와 같은 결과를 만듭니다.
+ */
+
+/**
+ * 내보내기 형식별 MIME 타입과 확장자
+ * @constant {Object<string, {contentType: string, extension: string}>}
+ */
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+/**
+ * 내보내기 문서의 기본 제목
+ * @constant {string}
+ */
+const DEFAULT_TITLE = '팀 구성 결과';
+
+/**
+ * @function escapeCsv
+ * @param {string} value - CSV 값
+ * @returns {string} 쉼표, 따옴표, 줄바꿈이 있으면 큰따옴표로 감싼 값
+ * (=, +, -, @로 시작하면 스프레드시트가 수식으로 실행하지 않도록 앞에 '를 붙임)
+ */
+const escapeCsv = (value) => {
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function escapeMarkdown
+ * @param {string} value - 표 칸에 넣을 값
+ * @returns {string} 표 구분자(|)와 줄바꿈을 이스케이프한 값
+ */
+const escapeMarkdown = (value) => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * @function escapeHtml
+ * @param {string} value - HTML에 넣을 값
+ * @returns {string} HTML 특수문자를 바꾼 값
+ */
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * @function toCsv
+ * @param {Object} document - 현재 버전 팀 문서
+ * @returns {string} team,member,role 열의 CSV
+ */
+const toCsv = (document) => '\uFEFF' + [
+    'team,member,role',
+    ...document.teams.flatMap(team => team.members.map(member =>
+        [team.name, member.name, member.role].map(escapeCsv).join(',')))
+].join('\r\n') + '\r\n';
+
+/**
+ * @function toMarkdown
+ * @param {Object} document - 현재 버전 팀 문서
+ * @returns {string} 팀별 한 줄의 Markdown 표
+ */
+const toMarkdown = (document) => [
+    `### ${escapeMarkdown(document.metadata?.name ?? DEFAULT_TITLE)}`,
+    '',
+    '| 팀 | 멤버 | PM |',
+    '| --- | --- | --- |',
+    ...document.teams.map(team => {
+        const members = team.members.map(member => escapeMarkdown(member.name)).join(', ');
+        const pms = team.members.filter(member => member.isPM).map(member => escapeMarkdown(member.name)).join(', ');
+        return `| ${escapeMarkdown(team.name)} | ${members} | ${pms} |`;
+    })
+].join('\n') + '\n';
+
+/**
+ * @function toJson
+ * @param {Object} document - 현재 버전 팀 문서
+ * @returns {string} 문서의 JSON
+ */
+const toJson = (document) => `${JSON.stringify(document, null, 2)}\n`;
+
+/**
+ * @function toHtml
+ * @param {Object} document - 현재 버전 팀 문서
+ * @returns {string} 팀마다 카드 하나인 인쇄용 HTML 페이지
+ */
+const toHtml = (document) => {
+    const title = escapeHtml(document.metadata?.name ?? DEFAULT_TITLE);
+    const details = [
+        document.metadata?.createdAt && `생성: ${escapeHtml(document.metadata.createdAt)}`,
+        document.seed !== null && document.seed !== undefined && `시드: ${escapeHtml(String(document.seed))}`
+    ].filter(Boolean).join(' · ');
+    const cards = document.teams.map(team => `
+      <section class="team">
+        <h2>${escapeHtml(team.name)} <small>(${team.members.length}명)</small></h2>
+        <ol>
+          ${team.members.map(member => `<li>${escapeHtml(member.name)}${member.isPM ? ' <span class="pm">PM</span>' : ''}</li>`).join('\n          ')}
+        </ol>
+      </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #111; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .details { color: #555; font-size: 13px; margin: 0 0 16px; }
+    .teams { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; }
+    .team { border: 1px solid #ccc; border-radius: 8px; padding: 12px; break-inside: avoid; page-break-inside: avoid; }
+    .team h2 { font-size: 16px; margin: 0 0 8px; }
+    .team small { color: #666; font-weight: normal; }
+    .team ol { margin: 0; padding-left: 20px; }
+    .pm { font-size: 11px; font-weight: 600; padding: 0 6px; border: 1px solid #111; border-radius: 10px; }
+    @page { margin: 12mm; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${details ? `<p class="details">${details}</p>` : ''}
+  <main class="teams">${cards}
+  </main>
+</body>
+</html>
+`;
+};
+
+/**
+ * 형식별 변환 함수
+ * @constant {Object<string, Function>}
+ */
+const EXPORTERS = { csv: toCsv, md: toMarkdown, json: toJson, html: toHtml };
+
+/**
+ * @function exportTeamDocument
+ * @param {Object} document - 현재 버전 팀 문서
+ * @param {string} format - 내보내기 형식 (EXPORT_FORMATS의 키)
+ * @returns {string} 내보낸 내용
+ * @throws {Error} 지원하지 않는 형식인 경우
+ *
+ * @example
+ * exportTeamDocument(migrateTeamDocument({ teams: [['a', 'b']], pms: ['b'] }), 'csv');
+ * // '\uFEFFteam,member,role\r\nteam1,a,member\r\nteam1,b,pm\r\n'
+ */
+export const exportTeamDocument = (document, format) => {
+    if (!EXPORTERS[format]) {
+        throw new Error(`지원하지 않는 내보내기 형식입니다: ${format} (${Object.keys(EXPORT_FORMATS).join(', ')} 중 하나)`);
+    }
+    return EXPORTERS[format](document);
+};
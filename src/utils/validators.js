@@ -1,53 +1,386 @@
 /**
  * API 입력 데이터 검증을 위한 유틸리티 함수
+ * 요청 데이터 형식은 스키마로 선언하고, 오류는 JSON 포인터·오류 코드·언어별 메시지로 반환합니다.
  */
 
+import { CONSTRAINT_TYPES } from './teamConstraints.js';
+import { PM_POLICIES } from './pmElection.js';
+import { validateSchema } from './schema.js';
+
 /**
- * 팀 데이터 유효성 검사
- * @param {Object} data - 검증할 팀 데이터
- * @returns {Object} 검증 결과 (valid: 유효 여부, errors: 오류 메시지 배열)
+ * 도메인 검사 오류 코드별 메시지 (공통 오류 메시지는 schema.js에 정의)
+ * @constant {Object<string, Object<string, string>>}
  */
-export const validateTeamData = (data) => {
-  const errors = [];
+const VALIDATION_MESSAGES = {
+  ko: {
+    one_of_required: '{fields} 중 하나 이상이 필요합니다.',
+    not_member: '{field}의 {member}은(는) members에 없는 멤버입니다.',
+    not_in_team: '{field}은(는) teams[{team}]의 멤버여야 합니다.',
+    exceeds_members: '{field}은(는) 멤버 수({limit})보다 클 수 없습니다.',
+    length_mismatch: '{field}의 길이는 {other}와 같아야 합니다.',
+    positive_integer: '{field}은(는) 1 이상의 정수여야 합니다.',
+    not_allowed: '{field}은(는) 지정할 수 없습니다.'
+  },
+  en: {
+    one_of_required: 'At least one of {fields} is required.',
+    not_member: '{member} in {field} is not listed in members.',
+    not_in_team: '{field} must be a member of teams[{team}].',
+    exceeds_members: '{field} must not exceed the number of members ({limit}).',
+    length_mismatch: 'The length of {field} must equal {other}.',
+    positive_integer: '{field} must be an integer of 1 or more.',
+    not_allowed: '{field} is not allowed.'
+  }
+};
 
-  // 객체 타입 검사
-  if (!data || typeof data !== 'object') {
-    return {
-      valid: false,
-      errors: ['데이터가 유효한 객체 형식이 아닙니다.']
-    };
+/**
+ * 멤버 이름 (공백만 있는 문자열 제외)
+ * @constant {Object}
+ */
+const memberNameSchema = { type: 'string', minLength: 1, trim: true };
+
+/**
+ * 멤버 ID (비어있지 않은 문자열)
+ * @constant {Object}
+ */
+const memberIdSchema = { type: 'string', minLength: 1 };
+
+/**
+ * 팀 구성의 멤버 (이름 문자열 또는 멤버 ID와 이름 { id, name }, 프로필이 있으면 profile)
+ * @constant {Object}
+ */
+const teamMemberSchema = {
+  ...memberNameSchema,
+  type: ['string', 'object'],
+  required: ['id', 'name'],
+  properties: { id: memberIdSchema, name: memberNameSchema, profile: { type: 'object' } }
+};
+
+/**
+ * @param {string|Object} member - 팀 구성의 멤버
+ * @returns {string} PM과 비교할 값 (프로필이면 멤버 ID, 문자열이면 이름)
+ */
+const getMemberKey = (member) => typeof member === 'string' ? member : member?.id;
+
+/**
+ * 셔플 시드 (비어있지 않은 문자열 또는 정수, 없으면 null)
+ * @constant {Object}
+ */
+const seedSchema = { type: ['string', 'integer', 'null'], minLength: 1, trim: true };
+
+/**
+ * 서로 다른 두 멤버 이름 쌍
+ * @constant {Object}
+ */
+const memberPairSchema = { type: 'array', items: memberNameSchema, minItems: 2, maxItems: 2, uniqueItems: true };
+
+/**
+ * 서로 팀을 바꿀 두 멤버 (멤버 ID, 이름 목록으로 저장한 이전 형식 데이터는 이름)
+ * @constant {Object}
+ */
+const memberSwapSchema = { type: 'array', items: memberIdSchema, minItems: 2, maxItems: 2, uniqueItems: true };
+
+/**
+ * 배정 규칙 ({ type: 'together'|'apart', members: [a, b] })
+ * @constant {Object}
+ */
+const constraintSchema = {
+  type: 'object',
+  required: ['type', 'members'],
+  properties: {
+    type: { type: 'string', enum: CONSTRAINT_TYPES },
+    members: memberPairSchema
   }
+};
 
-  // teams 배열 검사
-  if (!Array.isArray(data.teams)) {
-    errors.push('teams 필드는 배열이어야 합니다.');
-  } else {
-    // 각 팀 검사 (배열 형태)
-    data.teams.forEach((team, index) => {
-      if (!Array.isArray(team)) {
-        errors.push(`teams[${index}]는 배열이어야 합니다.`);
-      } else {
-        // 각 멤버 검사 (문자열 형태)
-        team.forEach((member, memberIndex) => {
-          if (typeof member !== 'string' || !member.trim()) {
-            errors.push(`teams[${index}][${memberIndex}]는 유효한 문자열이어야 합니다.`);
-          }
-        });
-      }
+/**
+ * 저장할 팀 데이터
+ * 문서 형식(schemaVersion)은 서버가 정하므로 요청에서 받지 않습니다.
+ * (받은 문서를 그대로 저장하면 형식이 맞지 않는 문서가 저장될 수 있음)
+ * @constant {Object}
+ */
+const teamDataSchema = {
+  type: 'object',
+  required: ['teams'],
+  properties: {
+    teams: { type: 'array', items: { type: 'array', items: teamMemberSchema } },
+    // 팀 순서대로 팀 이름 (없으면 team1, team2, ...)
+    teamNames: { type: 'array', items: memberNameSchema, uniqueItems: true },
+    metadata: { type: 'object' },
+    seed: seedSchema,
+    strategy: { type: 'string' },
+    // 팀 순서대로 PM 이름 (PM이 없는 팀은 null)
+    pms: { type: 'array', items: { type: ['string', 'null'] } },
+    // 서버에서 분배받은 결과 ID (POST /api/teams/distribute, 저장할 팀 구성이 그 결과와 같은지 확인)
+    distributionId: { type: 'string', minLength: 1 }
+  },
+  check: ({ teams, pms = [], ...rest }) => [
+    ...('schemaVersion' in rest ? [{ pointer: ['schemaVersion'], code: 'not_allowed' }] : []),
+    ...pms
+      .map((pm, index) => ({ pm, index }))
+      .filter(({ pm, index }) => pm !== null && !(teams[index] || []).map(getMemberKey).includes(pm))
+      .map(({ index }) => ({ pointer: ['pms', index], code: 'not_in_team', params: { team: index } }))
+  ]
+};
+
+/**
+ * 팀 분배 요청 스키마
+ * @param {Array<string>} strategies - 허용되는 분배 전략 목록
+ * @returns {Object} 스키마
+ */
+const createDistributeRequestSchema = (strategies) => ({
+  type: 'object',
+  required: ['members'],
+  properties: {
+    members: { type: 'array', minItems: 1, items: memberNameSchema },
+    teamCount: { type: 'integer', minimum: 1 },
+    teamNames: { type: 'array', items: memberNameSchema, uniqueItems: true },
+    strategy: { type: 'string', enum: strategies },
+    seed: seedSchema,
+    constraints: { type: 'array', items: constraintSchema },
+    pmPolicy: { type: 'string', enum: PM_POLICIES },
+    volunteers: { type: 'array', items: { type: 'string' } }
+  },
+  check: ({ members, teamCount, teamNames, constraints = [] }) => {
+    const errors = [];
+
+    // teamCount가 없으면 teamNames 길이로 팀 개수를 정함
+    if (teamCount === undefined && teamNames === undefined) {
+      errors.push({ code: 'one_of_required', params: { fields: ['teamCount', 'teamNames'] } });
+    }
+    if (teamCount > members.length) {
+      errors.push({ pointer: ['teamCount'], code: 'exceeds_members', params: { limit: members.length } });
+    }
+    if (teamCount !== undefined && teamNames !== undefined && teamNames.length !== teamCount) {
+      errors.push({ pointer: ['teamNames'], code: 'length_mismatch', params: { other: 'teamCount' } });
+    }
+
+    constraints.forEach((constraint, index) => {
+      constraint.members
+        .filter(member => !members.includes(member))
+        .forEach(member => errors.push({
+          pointer: ['constraints', index, 'members'],
+          code: 'not_member',
+          params: { member }
+        }));
     });
+
+    return errors;
+  }
+});
+
+/**
+ * 저장된 팀 데이터 수정(PATCH) 요청
+ * @constant {Object}
+ */
+const teamPatchSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    notes: { type: 'string', maxLength: 2000 },
+    // 서로 팀을 바꿀 두 멤버 ID 목록
+    swaps: { type: 'array', items: memberSwapSchema }
+  },
+  check: ({ name, notes, swaps }) =>
+    name === undefined && notes === undefined && swaps === undefined
+      ? [{ code: 'one_of_required', params: { fields: ['name', 'notes', 'swaps'] } }]
+      : []
+};
+
+/**
+ * 실시간 세션에 공유할 상태 (진행자 화면의 멤버 목록과 팀 구성)
+ * @constant {Object}
+ */
+const liveStateSchema = {
+  type: 'object',
+  required: ['state'],
+  properties: {
+    state: {
+      type: 'object',
+      required: ['members', 'teams'],
+      properties: {
+        members: { type: 'array', items: teamMemberSchema },
+        totalMembers: { type: 'integer', minimum: 0 },
+        isTotalConfirmed: { type: 'boolean' },
+        teamCount: { type: 'integer', minimum: 0 },
+        isTeamCountConfirmed: { type: 'boolean' },
+        // 멤버가 프로필이면 팀 구성과 PM은 멤버 ID
+        teams: { type: 'array', items: { type: 'array', items: memberIdSchema } },
+        pms: { type: 'array', items: { type: ['string', 'null'] } },
+        isDistributed: { type: 'boolean' }
+      }
+    }
   }
+};
 
-  // 메타데이터 검사 (선택 사항)
-  if (data.metadata && typeof data.metadata !== 'object') {
-    errors.push('metadata는 객체여야 합니다.');
+/**
+ * 실시간 세션 설정 변경
+ * @constant {Object}
+ */
+const liveSessionPatchSchema = {
+  type: 'object',
+  required: ['registrationOpen'],
+  properties: {
+    registrationOpen: { type: 'boolean' }
+  }
+};
+
+/**
+ * 참가자의 참가 신청 (이름과 선택 속성)
+ * @constant {Object}
+ */
+const joinRequestSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { ...memberNameSchema, maxLength: 50 },
+    gender: { type: 'string', maxLength: 20 },
+    tags: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 30 } }
+  }
+};
+
+/**
+ * 참가 신청 승인/거절 스키마
+ * @param {Array<string>} statuses - 바꿀 수 있는 상태 목록
+ * @returns {Object} 스키마
+ */
+const createJoinReviewSchema = (statuses) => ({
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: statuses }
   }
+});
+
+/**
+ * 저장 결과 목록 조회 쿼리 스키마 (쿼리 값은 문자열)
+ * @param {number} maxLimit - 허용되는 최대 페이지 크기
+ * @returns {Object} 스키마
+ */
+const createHistoryQuerySchema = (maxLimit) => {
+  const positiveInteger = (max) => ({
+    type: 'string',
+    check: (value) => {
+      if (!/^[1-9]\d*$/.test(value)) return [{ code: 'positive_integer' }];
+      return max !== undefined && Number(value) > max ? [{ code: 'maximum', params: { limit: max } }] : [];
+    }
+  });
 
   return {
-    valid: errors.length === 0,
-    errors
+    type: 'object',
+    properties: {
+      page: positiveInteger(),
+      limit: positiveInteger(maxLimit)
+    }
   };
 };
 
+/**
+ * 저장된 팀 데이터 내보내기 쿼리 스키마
+ * @param {Array<string>} formats - 허용되는 내보내기 형식 목록
+ * @returns {Object} 스키마
+ */
+const createExportQuerySchema = (formats) => ({
+  type: 'object',
+  required: ['format'],
+  properties: {
+    format: { type: 'string', enum: formats }
+  }
+});
+
+/**
+ * 팀 데이터 유효성 검사
+ * @param {Object} data - 검증할 팀 데이터
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateTeamData = (data, { locale } = {}) =>
+  validateSchema(teamDataSchema, data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 팀 분배 요청 데이터 유효성 검사
+ * @param {Object} data - 검증할 분배 요청 데이터
+ * @param {Array<string>} strategies - 허용되는 분배 전략 목록
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateDistributeRequest = (data, strategies, { locale } = {}) =>
+  validateSchema(createDistributeRequestSchema(strategies), data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 저장 결과 목록 조회 쿼리 유효성 검사
+ * @param {Object} query - 쿼리 값 (page, limit은 문자열 또는 undefined)
+ * @param {number} maxLimit - 허용되는 최대 페이지 크기
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateHistoryQuery = (query, maxLimit, { locale } = {}) =>
+  validateSchema(createHistoryQuerySchema(maxLimit), query, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 저장된 팀 데이터 내보내기 쿼리 유효성 검사
+ * @param {Object} query - 쿼리 값 (format)
+ * @param {Array<string>} formats - 허용되는 내보내기 형식 목록
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateExportQuery = (query, formats, { locale } = {}) =>
+  validateSchema(createExportQuerySchema(formats), query, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 저장된 팀 데이터 수정(PATCH) 요청 유효성 검사
+ * @param {Object} data - 검증할 수정 요청 데이터 (name, notes, swaps)
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateTeamPatch = (data, { locale } = {}) =>
+  validateSchema(teamPatchSchema, data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 실시간 세션 상태 공유 요청 유효성 검사
+ * @param {Object} data - 검증할 요청 데이터 ({ state })
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateLiveState = (data, { locale } = {}) =>
+  validateSchema(liveStateSchema, data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 실시간 세션 설정 변경 요청 유효성 검사
+ * @param {Object} data - 검증할 요청 데이터 ({ registrationOpen })
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateLiveSessionPatch = (data, { locale } = {}) =>
+  validateSchema(liveSessionPatchSchema, data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 참가 신청 요청 유효성 검사
+ * @param {Object} data - 검증할 신청 데이터 ({ name, gender?, tags? })
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateJoinRequest = (data, { locale } = {}) =>
+  validateSchema(joinRequestSchema, data, { locale, messages: VALIDATION_MESSAGES });
+
+/**
+ * 참가 신청 승인/거절 요청 유효성 검사
+ * @param {Object} data - 검증할 요청 데이터 ({ status })
+ * @param {Array<string>} statuses - 바꿀 수 있는 상태 목록
+ * @param {Object} [options] - 검사 옵션
+ * @param {string} [options.locale='ko'] - 오류 메시지 언어
+ * @returns {Object} 검증 결과 (valid: 유효 여부, errors: { pointer, code, message } 배열)
+ */
+export const validateJoinReview = (data, statuses, { locale } = {}) =>
+  validateSchema(createJoinReviewSchema(statuses), data, { locale, messages: VALIDATION_MESSAGES });
+
 /**
  * URL 경로 보안 검증
  * @param {string} url - 검증할 URL 경로